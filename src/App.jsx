@@ -1,153 +1,95 @@
 // RentIt (ToolStack) — module-ready MVP (Styled v1: grey + lime/emerald accent)
-// Purpose: Rental unit tracker: unit profile, monthly costs, issues, incident log, evidence refs + export/import + print preview
+// Purpose: Rental unit tracker: one or more units (profile, monthly costs, issues, incident log, evidence refs) + export/import + print preview
 // Paste into: src/App.jsx
 // Requires: Tailwind v4 configured (same as other ToolStack apps).
+// Data: shared Mietakte store (src/lib/store.js) — issues here are the case file's defects.
 
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  categoryAmount,
+  categoryPatch,
+  costCategories,
+  dayInMonth,
+  forUnit,
+  isOpenDefect,
+  isoMonth,
+  isoToday,
+  makeCostRow,
+  makeDefect,
+  makeEvidence,
+  makeIncident,
+  makePayment,
+  makeRecurringCost,
+  makeUnit,
+  recalcCostRow,
+  round2,
+  toNum,
+  withDefectStatus,
+} from "./lib/schema.js";
+import {
+  STORE_KEY,
+  addRecord,
+  createSnapshot,
+  getData,
+  getProfile,
+  inlineAttachments,
+  lastChange,
+  openImportFile,
+  patchRecord,
+  removeRecord,
+  removeUnit,
+  saveProfile,
+  sealExport,
+  storageInfo,
+  storeImportedBlobs,
+  undo,
+  update,
+  updateSettings,
+  updateUi,
+  useEncryptionState,
+  useHistoryState,
+  useStore,
+} from "./lib/store.js";
+import { unitBundle, unitsBundle } from "./lib/bundles.js";
+import { prepareImport } from "./lib/importer.js";
+import { calcRentReduction, warmRentForMonth } from "./lib/rentReduction.js";
+import {
+  RECURRING_SOURCES,
+  costsForMonth,
+  missingMonths,
+  nextMonth,
+  recurringAmount,
+  withCostRows,
+  withPendingCostRows,
+} from "./lib/recurringCosts.js";
+import { PAYMENT_METHODS, accountStatement, daysOverdue, overdueRows } from "./lib/payments.js";
+import { RANGE_PRESETS, costTotals, resolveRange, rowsInRange } from "./lib/costCharts.js";
+import {
+  CURRENCY_CODES,
+  inBaseCurrency,
+  isCurrencyCode,
+  knownCurrencies,
+  moneyFmt,
+  rateFor,
+  rowCurrency,
+} from "./lib/currency.js";
+import { findTemplate } from "./lib/letterTemplates.js";
+import { PROFILE_KEY, signatureFromFile } from "./lib/profile.js";
+import BankImport from "./BankImport.jsx";
+import CostCharts from "./CostCharts.jsx";
+import CostSettings from "./CostSettings.jsx";
+import ImportPreview from "./ImportPreview.jsx";
+import Deposit from "./Deposit.jsx";
+import Meters from "./Meters.jsx";
+import RentHistory from "./RentHistory.jsx";
+import UtilityBills from "./UtilityBills.jsx";
 
 const APP_ID = "rentit";
 const APP_VERSION = "v1";
-const KEY = `toolstack.${APP_ID}.${APP_VERSION}`;
-const PROFILE_KEY = "toolstack.profile.v1";
 
 // Put your real ToolStack hub URL here (Wix page)
 const HUB_URL = "https://YOUR-WIX-HUB-URL-HERE";
 
-/** Optional: legacy migration hook placeholder */
-function migrateIfNeeded() {
-  // Example:
-  // const legacy = localStorage.getItem("toolstack.mietakte.v1");
-  // if (legacy && !localStorage.getItem(KEY)) localStorage.setItem(KEY, legacy);
-}
-
-function safeParse(raw, fallback) {
-  try {
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
-}
-
-function isoToday() {
-  return new Date().toISOString().slice(0, 10);
-}
-
-function isoMonth() {
-  return isoToday().slice(0, 7);
-}
-
-function uid(prefix = "id") {
-  return (
-    crypto?.randomUUID?.() ||
-    `${prefix}-${Date.now()}-${Math.random().toString(16).slice(2)}`
-  );
-}
-
-function toNum(v, fallback = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : fallback;
-}
-
-function round2(n) {
-  return Math.round(toNum(n, 0) * 100) / 100;
-}
-
-function moneyFmt(n, currency) {
-  const x = Number(n);
-  if (!Number.isFinite(x)) return "-";
-  return `${x.toFixed(2)} ${currency}`;
-}
-
-function loadProfile() {
-  return (
-    safeParse(localStorage.getItem(PROFILE_KEY), null) || {
-      org: "ToolStack",
-      user: "",
-      language: "EN",
-      logo: "",
-    }
-  );
-}
-
-function defaultState() {
-  return {
-    meta: {
-      appId: APP_ID,
-      version: APP_VERSION,
-      updatedAt: new Date().toISOString(),
-    },
-    settings: {
-      currency: "EUR",
-    },
-    unit: {
-      label: "",
-      address: "",
-      landlordName: "",
-      landlordEmail: "",
-      landlordAddress: "",
-      landlordPhone1: "",
-      landlordPhone2: "",
-      agentName: "",
-      contractStart: "",
-      contractType: "",
-      rentWarm: 0,
-      rentCold: 0,
-      deposit: 0,
-      notes: "",
-    },
-    costs: [
-      {
-        id: uid("c"),
-        month: isoMonth(),
-        rent: 0,
-        utilities: 0,
-        electricity: 0,
-        internet: 0,
-        parking: 0,
-        furniture: 0,
-        other: 0,
-        total: 0,
-        paid: false,
-        note: "",
-      },
-    ],
-    issues: [],
-    incidents: [],
-    evidence: [],
-  };
-}
-
-function loadState() {
-  migrateIfNeeded();
-  const loaded = safeParse(localStorage.getItem(KEY), null);
-  if (!loaded) return defaultState();
-
-  // Forward-safe: ensure new landlord fields exist on older saves
-  const unit = loaded.unit || {};
-  const next = {
-    ...defaultState(),
-    ...loaded,
-    unit: {
-      ...defaultState().unit,
-      ...unit,
-      landlordEmail: unit.landlordEmail || "",
-      landlordAddress: unit.landlordAddress || "",
-      landlordPhone1: unit.landlordPhone1 || "",
-      landlordPhone2: unit.landlordPhone2 || "",
-    },
-  };
-  return next;
-}
-
-function saveState(state) {
-  const next = {
-    ...state,
-    meta: { ...state.meta, updatedAt: new Date().toISOString() },
-  };
-  localStorage.setItem(KEY, JSON.stringify(next));
-  return next;
-}
-
 const btnSecondary =
   "px-3 py-2 rounded-xl bg-white border border-neutral-200 shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition";
 const btnPrimary =
@@ -168,6 +110,112 @@ function pillClass(kind) {
   }
 }
 
+// Costs tab: the month's Mietminderung and what is left to pay
+function ReductionCell({ month, currency }) {
+  if (!month?.reduction) return <span className="text-neutral-300">—</span>;
+  return (
+    <div title={`${month.percent}% for ${month.days} of ${month.daysInMonth} days`}>
+      <div className="text-emerald-700 font-medium">−{moneyFmt(month.reduction, currency)}</div>
+      <div className="text-xs text-neutral-500">pay {moneyFmt(month.owed, currency)}</div>
+    </div>
+  );
+}
+
+// Running balance of the account statement: paid minus due so far
+function balanceLabel(balance, currency) {
+  if (!balance) return "settled";
+  return balance > 0 ? `${moneyFmt(balance, currency)} overpaid` : `${moneyFmt(-balance, currency)} in arrears`;
+}
+
+// Costs tab: how much of the row is paid; overdue rows say for how long
+function PaidCell({ row, late, currency }) {
+  if (row.paid) {
+    const over = -toNum(row.outstanding);
+    return (
+      <div className="text-emerald-700 font-medium">
+        Paid{over > 0 ? <span className="text-xs font-normal"> (+{moneyFmt(over, currency)})</span> : null}
+      </div>
+    );
+  }
+  return (
+    <div>
+      <div className={late ? "text-red-700 font-medium" : "text-neutral-700"}>
+        {moneyFmt(row.outstanding, currency)} open
+      </div>
+      <div className="text-xs text-neutral-500">
+        {late ? `${late} day${late === 1 ? "" : "s"} overdue` : `paid ${moneyFmt(row.paidAmount, currency)}`}
+      </div>
+    </div>
+  );
+}
+
+// Costs tab: the payments booked against one month's row
+function PaymentList({ row, currency, onAdd, onChange, onDelete }) {
+  const payments = row.payments || [];
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm">
+          <span className="font-semibold">Payments for {row.month}</span> · due {moneyFmt(row.total, currency)}
+          {row.dueDate ? ` on ${row.dueDate}` : ""} · paid {moneyFmt(row.paidAmount, currency)} · outstanding{" "}
+          {moneyFmt(Math.max(0, toNum(row.outstanding)), currency)}
+        </div>
+        <button className={btnSecondary} onClick={onAdd}>
+          + Payment
+        </button>
+      </div>
+      {payments.length === 0 ? (
+        <div className="mt-2 text-sm text-neutral-500">No payments recorded.</div>
+      ) : (
+        <div className="mt-2 space-y-2">
+          {payments.map((p) => (
+            <div key={p.id} className="flex flex-wrap items-center gap-2">
+              <input
+                type="date"
+                className="px-2 py-1 rounded-xl border border-neutral-200 bg-white"
+                value={p.date}
+                onChange={(e) => onChange(p.id, { date: e.target.value })}
+              />
+              <input
+                type="number"
+                step="0.01"
+                className="w-28 px-2 py-1 rounded-xl border border-neutral-200 bg-white"
+                value={p.amount}
+                onChange={(e) => onChange(p.id, { amount: toNum(e.target.value, 0) })}
+              />
+              <select
+                className="px-2 py-1 rounded-xl border border-neutral-200 bg-white"
+                value={p.method}
+                onChange={(e) => onChange(p.id, { method: e.target.value })}
+              >
+                {PAYMENT_METHODS.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.label}
+                  </option>
+                ))}
+              </select>
+              <input
+                className="flex-1 min-w-40 px-2 py-1 rounded-xl border border-neutral-200 bg-white"
+                placeholder="Reference (e.g., bank transfer text)"
+                value={p.reference}
+                onChange={(e) => onChange(p.id, { reference: e.target.value })}
+              />
+              <button className={btnSecondary} onClick={() => onDelete(p.id)}>
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Case-file incidents carry a one-line summary; RentIt entries only have the details text
+function incidentSummary(x) {
+  return String(x?.summary || x?.details || "");
+}
+
 function sevClass(sev) {
   switch (sev) {
     case "high":
@@ -179,120 +227,269 @@ function sevClass(sev) {
   }
 }
 
-export default function App() {
-  const [profile, setProfile] = useState(loadProfile());
-  const [state, setState] = useState(loadState());
-
-  const [tab, setTab] = useState("overview");
+const NAV = [
+  { id: "overview", label: "Overview" },
+  { id: "unit", label: "Unit" },
+  { id: "rent", label: "Rent" },
+  { id: "costs", label: "Costs" },
+  { id: "utilities", label: "Utility bills" },
+  { id: "meters", label: "Meters" },
+  { id: "deposit", label: "Deposit" },
+  { id: "issues", label: "Issues" },
+  { id: "incidents", label: "Incidents" },
+  { id: "evidence", label: "Evidence" },
+];
+
+/**
+ * RentIt screen. When mounted by the shell, the active tab comes from the URL
+ * (`tab`) and changes are reported via `onTabChange`; standalone it keeps its own tab state.
+ */
+export default function App({ tab: routeTab, onTabChange } = {}) {
+  const [profile, setProfile] = useState(getProfile);
+  const data = useStore();
+  const { enabled: encryptionEnabled } = useEncryptionState();
+
+  const [localTab, setLocalTab] = useState("overview");
+  const requestedTab = onTabChange ? routeTab : localTab;
+  const tab = NAV.some((n) => n.id === requestedTab) ? requestedTab : "overview";
+  const setTab = onTabChange || setLocalTab;
   const [previewOpen, setPreviewOpen] = useState(false);
   const importRef = useRef(null);
 
-  // Persist profile + app state
+  // Persist profile (sealed by the store while encryption is on; unit data is persisted by the shared store)
   useEffect(() => {
-    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+    saveProfile(profile);
   }, [profile]);
 
+  const currency = data.settings.currency;
+  const unit = data.units.find((u) => u.id === data.ui.activeUnitId) || data.units[0];
+  const unitId = unit.id;
+
+  const costs = useMemo(() => forUnit(data.costs, unitId), [data.costs, unitId]);
+  // The same rows converted into the base currency: what totals, charts, statements and the report add up
+  const baseCosts = useMemo(() => costs.map((r) => inBaseCurrency(r, data.settings)), [costs, data.settings]);
+  const categories = useMemo(() => costCategories(data.settings), [data.settings]);
+  const recurring = useMemo(() => forUnit(data.recurring, unitId), [data.recurring, unitId]);
+  const utilityBills = useMemo(() => forUnit(data.utilityBills, unitId), [data.utilityBills, unitId]);
+  const rentChanges = useMemo(() => forUnit(data.rentChanges, unitId), [data.rentChanges, unitId]);
+  const meters = useMemo(() => forUnit(data.meters, unitId), [data.meters, unitId]);
+  const deposit = useMemo(() => data.deposits.find((d) => d.unitId === unitId) || null, [data.deposits, unitId]);
+  const issues = useMemo(() => forUnit(data.defects, unitId), [data.defects, unitId]);
+  const incidents = useMemo(() => forUnit(data.incidents, unitId), [data.incidents, unitId]);
+  const evidence = useMemo(() => forUnit(data.evidence, unitId), [data.evidence, unitId]);
+
+  // Toast after deletes, with an Undo action for that delete (hidden once anything else is recorded)
+  const [toast, setToast] = useState(null);
+  const { undoEntry } = useHistoryState();
+
   useEffect(() => {
-    localStorage.setItem(KEY, JSON.stringify(state));
-  }, [state]);
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(t);
+  }, [toast]);
 
-  const currency = state.settings.currency;
+  const notifyDeleted = (msg) => setToast({ msg, entry: lastChange() });
 
-  // ===== Overview metrics =====
-  const openIssuesCount = useMemo(
-    () => (state.issues || []).filter((x) => x.status !== "resolved").length,
-    [state.issues]
+  function undoFromToast() {
+    undo(toast.entry);
+    setToast(null);
+  }
+
+  // ===== Units =====
+  function unitName(u) {
+    return u.label || u.address || "Unnamed unit";
+  }
+
+  function selectUnit(id) {
+    updateUi({ activeUnitId: id });
+  }
+
+  function addUnit() {
+    const u = makeUnit({ label: `Unit ${data.units.length + 1}` });
+    update(
+      (prev) => ({
+        ...prev,
+        units: [...prev.units, u],
+        ui: { ...prev.ui, activeUnitId: u.id },
+      }),
+      "Add unit"
+    );
+    setTab("unit");
+  }
+
+  function deleteUnit() {
+    if (data.units.length < 2) return alert("RentIt needs at least one unit.");
+    const linked = data.cases.filter((c) => c.unitId === unitId).length;
+    if (linked)
+      return alert(
+        `This unit is used by ${linked} case file(s). Move or delete those cases in the Case File first.`
+      );
+    if (!confirm(`Delete "${unitName(unit)}" with all its costs, issues, incidents and evidence?`)) return;
+    removeUnit(unitId);
+    notifyDeleted("Unit deleted");
+  }
+
+  // Cross-unit overview: one row per unit with the same last-12-months logic as the unit view
+  const unitsOverview = useMemo(() => {
+    return data.units.map((u) => {
+      const rows = forUnit(data.costs, u.id)
+        .map((r) => inBaseCurrency(r, data.settings))
+        .sort((a, b) => String(b.month).localeCompare(String(a.month)))
+        .slice(0, 12);
+      return {
+        unit: u,
+        openIssues: forUnit(data.defects, u.id).filter(isOpenDefect).length,
+        incidents: forUnit(data.incidents, u.id).length,
+        total12: round2(rows.reduce((s, r) => s + toNum(r.total), 0)),
+        unpaid: rows.filter((r) => !r.paid).length,
+        overdue: round2(overdueRows(rows).reduce((s, x) => s + toNum(x.row.outstanding), 0)),
+      };
+    });
+  }, [data.units, data.costs, data.settings, data.defects, data.incidents]);
+
+  const allUnitsTotal12 = useMemo(
+    () => round2(unitsOverview.reduce((s, x) => s + x.total12, 0)),
+    [unitsOverview]
   );
 
+  // ===== Overview metrics =====
+  const openIssuesCount = useMemo(() => issues.filter(isOpenDefect).length, [issues]);
+
   const currentMonth = useMemo(() => isoMonth(), []);
 
   const costsSorted = useMemo(() => {
-    return [...(state.costs || [])].sort((a, b) =>
-      String(b.month).localeCompare(String(a.month))
-    );
-  }, [state.costs]);
-
-  const last12Costs = useMemo(() => costsSorted.slice(0, 12), [costsSorted]);
-
-  const totalsLast12 = useMemo(() => {
-    const sum = (k) => round2(last12Costs.reduce((s, r) => s + toNum(r[k]), 0));
-    const total = round2(last12Costs.reduce((s, r) => s + toNum(r.total), 0));
-    return {
-      rent: sum("rent"),
-      utilities: sum("utilities"),
-      electricity: sum("electricity"),
-      internet: sum("internet"),
-      parking: sum("parking"),
-      furniture: sum("furniture"),
-      other: sum("other"),
-      total,
-    };
-  }, [last12Costs]);
+    return [...costs].sort((a, b) => String(b.month).localeCompare(String(a.month)));
+  }, [costs]);
+
+  // Date range for the totals and charts (Overview selector; also used by the Costs tab and the report)
+  const [costRange, setCostRange] = useState({ preset: "12m", from: "", to: "" });
+  const range = useMemo(() => resolveRange(costRange, costs, currentMonth), [costRange, costs, currentMonth]);
+  const rangeCosts = useMemo(() => rowsInRange(baseCosts, range), [baseCosts, range]);
+  const rangeLabel = useMemo(() => {
+    const preset = RANGE_PRESETS.find((p) => p.id === costRange.preset);
+    return costRange.preset === "custom" ? `${range.from} – ${range.to}` : preset.label.toLowerCase();
+  }, [costRange.preset, range]);
+
+  const totalsInRange = useMemo(() => costTotals(rangeCosts), [rangeCosts]);
+  const baseById = useMemo(() => new Map(baseCosts.map((r) => [r.id, r])), [baseCosts]);
+  const rowCurrencies = useMemo(() => knownCurrencies(data.settings), [data.settings]);
+  // Rows left out of the totals because their currency has no exchange rate
+  const unconverted = useMemo(
+    () => costs.filter((r) => rateFor(rowCurrency(r, data.settings), data.settings) === null),
+    [costs, data.settings]
+  );
 
-  // ===== Helpers =====
-  function updateSettings(patch) {
-    setState((prev) =>
-      saveState({ ...prev, settings: { ...prev.settings, ...patch } })
-    );
-  }
+  // Archived categories stay visible while any row of the unit still has an amount in them
+  const usedCategories = useMemo(
+    () => categories.filter((c) => !c.archived || costs.some((r) => categoryAmount(r, c.id))),
+    [categories, costs]
+  );
+  const categoryUsage = useMemo(() => {
+    const out = {};
+    for (const r of data.costs) {
+      for (const c of categories) if (categoryAmount(r, c.id)) out[c.id] = (out[c.id] || 0) + 1;
+    }
+    return out;
+  }, [data.costs, categories]);
+  const [costSettingsOpen, setCostSettingsOpen] = useState(false);
+  const [bankImportOpen, setBankImportOpen] = useState(false);
+
+  // Mietminderung from the unit's issues, per month (same calculation as the case file's letter)
+  const reduction = useMemo(
+    () => calcRentReduction(issues, { rentForMonth: warmRentForMonth(unit, data.costs, rentChanges) }),
+    [issues, unit, data.costs, rentChanges]
+  );
+  const reductionByMonth = useMemo(() => new Map(reduction.months.map((m) => [m.month, m])), [reduction]);
 
+  // ===== Helpers =====
   function updateUnit(patch) {
-    setState((prev) => saveState({ ...prev, unit: { ...prev.unit, ...patch } }));
+    patchRecord("units", unitId, patch);
   }
 
-  function recalcCostRow(row) {
-    const total = round2(
-      toNum(row.rent) +
-        toNum(row.utilities) +
-        toNum(row.electricity) +
-        toNum(row.internet) +
-        toNum(row.parking) +
-        toNum(row.furniture) +
-        toNum(row.other)
-    );
-    return { ...row, total };
+  // Current month first; once it has a row, the month after the newest one
+  function addCostRow() {
+    const month = costs.some((r) => r.month === currentMonth) ? nextMonth(costsSorted[0].month) : currentMonth;
+    addRecord("costs", makeCostRow(unitId, { month, ...costsForMonth(unit, recurring, month, rentChanges) }));
   }
 
-  function addCostRow() {
-    const row = recalcCostRow({
-      id: uid("c"),
-      month: isoMonth(),
-      rent: 0,
-      utilities: 0,
-      electricity: 0,
-      internet: 0,
-      parking: 0,
-      furniture: 0,
-      other: 0,
-      total: 0,
-      paid: false,
-      note: "",
+  function updateCostRow(id, patch) {
+    patchRecord("costs", id, (r) => {
+      const next = { ...r, ...patch };
+      // Moving a row to another month keeps its due day
+      if (patch.month && r.dueDate && !("dueDate" in patch)) next.dueDate = dayInMonth(patch.month, r.dueDate.slice(8));
+      return recalcCostRow(next);
     });
-    setState((prev) =>
-      saveState({ ...prev, costs: [row, ...(prev.costs || [])] })
-    );
   }
 
-  function updateCostRow(id, patch) {
-    setState((prev) =>
-      saveState({
-        ...prev,
-        costs: (prev.costs || []).map((r) =>
-          r.id === id ? recalcCostRow({ ...r, ...patch }) : r
-        ),
-      })
-    );
+  // ===== Payments (per cost row) =====
+  const [paymentsRowId, setPaymentsRowId] = useState(null);
+
+  const overdue = useMemo(() => overdueRows(baseCosts), [baseCosts]);
+  const overdueTotal = useMemo(() => round2(overdue.reduce((s, x) => s + toNum(x.row.outstanding), 0)), [overdue]);
+  const statement = useMemo(() => accountStatement(baseCosts), [baseCosts]);
+
+  function updatePayments(rowId, fn) {
+    patchRecord("costs", rowId, (r) => recalcCostRow({ ...r, payments: fn(r.payments || []) }));
+  }
+
+  function addPayment(row) {
+    updatePayments(row.id, (list) => [...list, makePayment({ amount: Math.max(0, toNum(row.outstanding)) })]);
+    setPaymentsRowId(row.id);
+  }
+
+  function updatePayment(rowId, paymentId, patch) {
+    updatePayments(rowId, (list) => list.map((p) => (p.id === paymentId ? { ...p, ...patch } : p)));
+  }
+
+  function deletePayment(rowId, paymentId) {
+    updatePayments(rowId, (list) => list.filter((p) => p.id !== paymentId));
   }
 
   function deleteCostRow(id) {
-    setState((prev) =>
-      saveState({ ...prev, costs: (prev.costs || []).filter((r) => r.id !== id) })
-    );
+    removeRecord("costs", id);
+    notifyDeleted("Cost row deleted");
+  }
+
+  // ===== Recurring costs =====
+  const missingCostMonths = useMemo(() => missingMonths(unit, recurring, costs), [unit, recurring, costs]);
+
+  // Months after unit.recurringThrough get their row when the unit is opened. This is not an undo step:
+  // undoing it would only make the months pending again. Months that have a row by then are skipped.
+  useEffect(() => {
+    if (!unitId) return;
+    update((prev) => withPendingCostRows(prev, unitId), "Generate recurring costs", { undoable: false });
+  }, [unitId]);
+
+  function generateMissingMonths() {
+    update((prev) => withCostRows(prev, unitId, missingCostMonths), "Generate missing months");
   }
 
-  // ===== Issues =====
+  function addRecurringCost() {
+    addRecord("recurring", makeRecurringCost(unitId, { label: "New recurring cost", category: "other" }));
+  }
+
+  // Rent and utilities templates linked to the unit's cold/warm rent
+  function recurringFromUnit() {
+    const startMonth = String(unit.contractStart || "").slice(0, 7) || currentMonth;
+    const templates = [
+      makeRecurringCost(unitId, { label: "Cold rent", category: "rent", source: "rentCold", startMonth }),
+      makeRecurringCost(unitId, { label: "Utilities advance", category: "utilities", source: "utilities", startMonth }),
+    ];
+    update((prev) => ({ ...prev, recurring: [...templates, ...prev.recurring] }), "Add recurring costs");
+  }
+
+  function updateRecurringCost(id, patch) {
+    patchRecord("recurring", id, patch);
+  }
+
+  function deleteRecurringCost(id) {
+    removeRecord("recurring", id);
+    notifyDeleted("Recurring cost deleted");
+  }
+
+  // ===== Issues (stored as shared defects) =====
   const [issueDraft, setIssueDraft] = useState({
-    date: isoToday(),
+    startDate: isoToday(),
     category: "Heating",
     severity: "high", // low | medium | high
     status: "open", // open | in-progress | resolved
@@ -303,94 +500,73 @@ export default function App() {
   });
 
   function addIssue() {
-    const item = {
-      id: uid("is"),
-      createdAt: new Date().toISOString(),
+    const draft = makeDefect(unitId, {
       ...issueDraft,
       title: String(issueDraft.title || "").trim(),
       details: String(issueDraft.details || "").trim(),
       evidenceRef: String(issueDraft.evidenceRef || "").trim(),
-    };
+    });
+    const item = withDefectStatus(draft, draft.status);
     if (!item.title) return alert("Please enter an issue title.");
-    setState((prev) =>
-      saveState({ ...prev, issues: [item, ...(prev.issues || [])] })
-    );
+    addRecord("defects", item);
     setIssueDraft((d) => ({ ...d, title: "", details: "", evidenceRef: "" }));
   }
 
   function updateIssue(id, patch) {
-    setState((prev) =>
-      saveState({
-        ...prev,
-        issues: (prev.issues || []).map((x) =>
-          x.id === id ? { ...x, ...patch } : x
-        ),
-      })
-    );
+    patchRecord("defects", id, patch);
   }
 
   function deleteIssue(id) {
-    setState((prev) =>
-      saveState({ ...prev, issues: (prev.issues || []).filter((x) => x.id !== id) })
-    );
+    removeRecord("defects", id);
+    notifyDeleted("Issue deleted");
   }
 
   const issuesSorted = useMemo(() => {
-    return [...(state.issues || [])].sort((a, b) =>
-      String(b.date).localeCompare(String(a.date))
-    );
-  }, [state.issues]);
+    return [...issues].sort((a, b) => String(b.startDate).localeCompare(String(a.startDate)));
+  }, [issues]);
 
   // ===== Incidents =====
   const [incidentDraft, setIncidentDraft] = useState({
     date: isoToday(),
     time: "",
     who: "",
-    what: "",
+    details: "",
     impact: "",
     evidenceRef: "",
   });
 
   function addIncident() {
-    const item = {
-      id: uid("in"),
-      createdAt: new Date().toISOString(),
+    const item = makeIncident(unitId, {
       ...incidentDraft,
       who: String(incidentDraft.who || "").trim(),
-      what: String(incidentDraft.what || "").trim(),
+      details: String(incidentDraft.details || "").trim(),
       impact: String(incidentDraft.impact || "").trim(),
       evidenceRef: String(incidentDraft.evidenceRef || "").trim(),
-    };
-    if (!item.what) return alert("Please describe what happened.");
-    setState((prev) =>
-      saveState({ ...prev, incidents: [item, ...(prev.incidents || [])] })
-    );
+    });
+    if (!item.details) return alert("Please describe what happened.");
+    addRecord("incidents", item);
     setIncidentDraft((d) => ({
       ...d,
       time: "",
       who: "",
-      what: "",
+      details: "",
       impact: "",
       evidenceRef: "",
     }));
   }
 
   function deleteIncident(id) {
-    setState((prev) =>
-      saveState({
-        ...prev,
-        incidents: (prev.incidents || []).filter((x) => x.id !== id),
-      })
-    );
+    removeRecord("incidents", id);
+    notifyDeleted("Incident deleted");
   }
 
   const incidentsSorted = useMemo(() => {
-    return [...(state.incidents || [])].sort((a, b) => {
+    return [...incidents].sort((a, b) => {
       const ak = `${a.date} ${a.time || ""}`;
       const bk = `${b.date} ${b.time || ""}`;
       return bk.localeCompare(ak);
     });
-  }, [state.incidents]);
+  }, [incidents]);
 
   // ===== Evidence =====
   const [evidenceDraft, setEvidenceDraft] = useState({
@@ -402,72 +578,83 @@ export default function App() {
   });
 
   function addEvidence() {
-    const item = {
-      id: uid("ev"),
-      createdAt: new Date().toISOString(),
+    const item = makeEvidence(unitId, {
       ...evidenceDraft,
       ref: String(evidenceDraft.ref || "").trim(),
       description: String(evidenceDraft.description || "").trim(),
       link: String(evidenceDraft.link || "").trim(),
-    };
+    });
     if (!item.ref)
       return alert(
         "Please enter an evidence reference (e.g., Photo 12 / Email 2025-11-24)."
       );
-    setState((prev) =>
-      saveState({ ...prev, evidence: [item, ...(prev.evidence || [])] })
-    );
+    addRecord("evidence", item);
     setEvidenceDraft((d) => ({ ...d, ref: "", description: "", link: "" }));
   }
 
   function deleteEvidence(id) {
-    setState((prev) =>
-      saveState({
-        ...prev,
-        evidence: (prev.evidence || []).filter((x) => x.id !== id),
-      })
-    );
+    removeRecord("evidence", id);
+    notifyDeleted("Evidence deleted");
   }
 
   const evidenceSorted = useMemo(() => {
-    return [...(state.evidence || [])].sort((a, b) =>
-      String(b.date).localeCompare(String(a.date))
-    );
-  }, [state.evidence]);
+    return [...evidence].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+  }, [evidence]);
 
   // ===== Export / Import / Print =====
-  function exportJSON() {
-    const payload = {
+  // scope: "unit" (current unit) | "all" (every unit, without case files)
+  // Attachments are inlined as data URLs so the file is self-contained; with encryption on the file
+  // is encrypted with the same passphrase.
+  async function exportJSON(scope = "unit") {
+    const payload = await sealExport({
       exportedAt: new Date().toISOString(),
       profile,
-      data: state,
-    };
+      data: await inlineAttachments(scope === "all" ? unitsBundle(data) : unitBundle(data, unitId)),
+    });
+    const slug =
+      scope === "all" ? "all-units" : unitName(unit).replaceAll(/[^a-z0-9\-_]+/gi, "-").toLowerCase();
     const blob = new Blob([JSON.stringify(payload, null, 2)], {
       type: "application/json",
     });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `toolstack-rentit-${APP_VERSION}-${isoToday()}.json`;
+    a.download = `toolstack-rentit-${APP_VERSION}-${slug}-${isoToday()}.json`;
     a.click();
     URL.revokeObjectURL(url);
   }
 
-  function importJSON(file) {
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const parsed = JSON.parse(String(reader.result || ""));
-        const incoming = parsed?.data;
-        if (!incoming?.unit || !Array.isArray(incoming?.costs))
-          throw new Error("Invalid import file");
-        setProfile(parsed?.profile || profile);
-        setState(saveState(incoming));
-      } catch (e) {
-        alert("Import failed: " + (e?.message || "unknown error"));
-      }
-    };
-    reader.readAsText(file);
+  // Any Mietakte export (units, case, full backup, legacy RentIt v1) is validated and previewed first;
+  // the preview dialog picks replace / merge-by-id / copy. Older exports are upgraded on the way in.
+  const [pendingImport, setPendingImport] = useState(null);
+
+  async function importJSON(file) {
+    try {
+      const text = await openImportFile(file);
+      if (text !== null) setPendingImport(await prepareImport(text, getData()));
+    } catch (e) {
+      alert("Import failed: " + (e?.message || "unknown error"));
+    }
+  }
+
+  async function confirmImport({ plan, includeProfile }) {
+    const { next, focus } = plan;
+    try {
+      await storeImportedBlobs(pendingImport.incoming.blobs, next);
+    } catch (e) {
+      alert("Import failed: " + (e?.message || "unknown error"));
+      return;
+    }
+    createSnapshot("Before import", "import");
+    update(
+      () => ({
+        ...next,
+        ui: { ...next.ui, activeUnitId: focus.unitId || next.ui.activeUnitId },
+      }),
+      "Import"
+    );
+    if (includeProfile && pendingImport.incoming.profile) setProfile({ ...profile, ...pendingImport.incoming.profile });
+    setPendingImport(null);
   }
 
   function printPreview() {
@@ -480,22 +667,13 @@ export default function App() {
       id: APP_ID,
       name: "RentIt",
       version: APP_VERSION,
-      storageKeys: [KEY, PROFILE_KEY],
+      storageKeys: encryptionEnabled ? [STORE_KEY] : [STORE_KEY, PROFILE_KEY],
+      storage: storageInfo().name,
       exports: ["print", "json"],
     }),
-    []
+    [encryptionEnabled]
   );
 
-  // ===== UI data =====
-  const nav = [
-    { id: "overview", label: "Overview" },
-    { id: "unit", label: "Unit" },
-    { id: "costs", label: "Costs" },
-    { id: "issues", label: "Issues" },
-    { id: "incidents", label: "Incidents" },
-    { id: "evidence", label: "Evidence" },
-  ];
-
   return (
     <div className="min-h-screen bg-neutral-50 text-neutral-900">
       <div className="max-w-6xl mx-auto p-4 sm:p-6">
@@ -504,7 +682,7 @@ export default function App() {
           <div>
             <div className="text-2xl font-bold tracking-tight">RentIt</div>
             <div className="text-sm text-neutral-600">
-              Module-ready ({moduleManifest.id}.{moduleManifest.version}) • Unit • Costs • Issues • Incident log • Print/export
+              Module-ready ({moduleManifest.id}.{moduleManifest.version}) • Units • Costs • Issues • Incident log • Print/export
             </div>
             <div className="mt-3 h-[2px] w-80 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
           </div>
@@ -516,8 +694,11 @@ export default function App() {
             <button className={btnSecondary} onClick={printPreview}>
               Print / Save PDF
             </button>
-            <button className={btnSecondary} onClick={exportJSON}>
-              Export
+            <button className={btnSecondary} onClick={() => exportJSON("unit")}>
+              Export unit
+            </button>
+            <button className={btnSecondary} onClick={() => exportJSON("all")}>
+              Export all
             </button>
             <button className={btnPrimary} onClick={() => importRef.current?.click()}>
               Import
@@ -525,7 +706,7 @@ export default function App() {
             <input
               ref={importRef}
               type="file"
-              accept="application/json"
+              accept="application/json,.json,application/zip,.zip"
               className="hidden"
               onChange={(e) => {
                 const f = e.target.files?.[0];
@@ -536,9 +717,33 @@ export default function App() {
           </div>
         </div>
 
+        {/* Unit switcher */}
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          <div className="text-sm text-neutral-600">Unit</div>
+          <select
+            className="px-3 py-2 rounded-xl border border-neutral-200 bg-white shadow-sm"
+            value={unitId}
+            onChange={(e) => selectUnit(e.target.value)}
+          >
+            {data.units.map((u) => (
+              <option key={u.id} value={u.id}>
+                {unitName(u)}
+              </option>
+            ))}
+          </select>
+          <button className={btnSecondary} onClick={addUnit}>
+            + Unit
+          </button>
+          {data.units.length > 1 && (
+            <button className={btnSecondary} onClick={deleteUnit}>
+              Delete unit
+            </button>
+          )}
+        </div>
+
         {/* Tabs */}
         <div className="mt-4 flex flex-wrap gap-2">
-          {nav.map((n) => (
+          {NAV.map((n) => (
             <button
               key={n.id}
               className={
@@ -587,19 +792,68 @@ export default function App() {
                 </select>
               </label>
               <label className="block text-sm">
-                <div className="text-neutral-600">Currency</div>
+                <div className="text-neutral-600">Base currency (ISO 4217)</div>
                 <input
                   className={inputBase}
-                  value={state.settings.currency}
+                  list="base-currency-codes"
+                  value={currency}
                   onChange={(e) =>
                     updateSettings({
-                      currency: String(e.target.value || "").toUpperCase(),
+                      currency: String(e.target.value || "").toUpperCase().trim(),
                     })
                   }
                 />
+                <datalist id="base-currency-codes">
+                  {CURRENCY_CODES.map((code) => (
+                    <option key={code} value={code} />
+                  ))}
+                </datalist>
+                {!isCurrencyCode(currency) ? (
+                  <div className="mt-1 text-xs text-red-700">
+                    Not a currency code (e.g. EUR, CHF, USD); amounts are shown without formatting.
+                  </div>
+                ) : null}
               </label>
+              <div className="block text-sm">
+                <div className="text-neutral-600">Signature (for letter PDFs)</div>
+                {profile.signature ? (
+                  <div className="mt-1 flex items-center gap-2">
+                    <img
+                      src={profile.signature}
+                      alt="Signature"
+                      className="h-10 max-w-[160px] object-contain border border-neutral-200 rounded-lg bg-white"
+                    />
+                    <button className={btnSecondary} onClick={() => setProfile({ ...profile, signature: "" })}>
+                      Remove
+                    </button>
+                  </div>
+                ) : null}
+                <input
+                  type="file"
+                  accept="image/*"
+                  className="mt-1 block w-full text-xs"
+                  onChange={async (e) => {
+                    const file = e.target.files?.[0];
+                    e.target.value = "";
+                    if (!file) return;
+                    try {
+                      const signature = await signatureFromFile(file);
+                      setProfile((p) => ({ ...p, signature }));
+                    } catch (err) {
+                      alert(err.message);
+                    }
+                  }}
+                />
+                <div className="mt-1 text-xs text-neutral-500">A scan of your signature on white paper works best.</div>
+              </div>
               <div className="pt-2 text-xs text-neutral-500">
-                Stored at <span className="font-mono">{PROFILE_KEY}</span>
+                {encryptionEnabled ? (
+                  "Stored encrypted with your data"
+                ) : (
+                  <>
+                    Stored at <span className="font-mono">{PROFILE_KEY}</span>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -612,27 +866,93 @@ export default function App() {
                   <div>
                     <div className="font-semibold">Overview</div>
                     <div className="text-sm text-neutral-600">
-                      Unit: <span className="font-semibold">{state.unit.label || "-"}</span> • Open issues:{" "}
+                      Unit: <span className="font-semibold">{unit.label || "-"}</span> • Open issues:{" "}
                       <span className="font-semibold">{openIssuesCount}</span> • Current month:{" "}
                       <span className="font-semibold">{currentMonth}</span>
                     </div>
                   </div>
                 </div>
 
-                <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+                {overdue.length ? (
+                  <div className="mt-4 rounded-2xl border border-red-200 bg-red-50 p-3 text-sm">
+                    <div className="flex flex-wrap items-baseline justify-between gap-2">
+                      <div className="font-semibold text-red-800">
+                        Overdue: {moneyFmt(overdueTotal, currency)} in {overdue.length} month
+                        {overdue.length === 1 ? "" : "s"}
+                      </div>
+                      <button className={btnSecondary} onClick={() => setTab("costs")}>
+                        Record payments
+                      </button>
+                    </div>
+                    <ul className="mt-2 space-y-1 text-red-900">
+                      {overdue.map(({ row, days }) => (
+                        <li key={row.id}>
+                          {row.month}: {moneyFmt(row.outstanding, currency)} open, due {row.dueDate} ({days} day
+                          {days === 1 ? "" : "s"} overdue)
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ) : null}
+
+                <div className="mt-4 flex flex-wrap items-end gap-2 text-sm">
+                  <label className="block">
+                    <div className="text-xs text-neutral-600">Period</div>
+                    <select
+                      className={inputBase}
+                      value={costRange.preset}
+                      onChange={(e) => setCostRange({ preset: e.target.value, from: range.from, to: range.to })}
+                    >
+                      {RANGE_PRESETS.map((p) => (
+                        <option key={p.id} value={p.id}>
+                          {p.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {costRange.preset === "custom" ? (
+                    <>
+                      <label className="block">
+                        <div className="text-xs text-neutral-600">From</div>
+                        <input
+                          type="month"
+                          className={inputBase}
+                          value={costRange.from}
+                          onChange={(e) => setCostRange((r) => ({ ...r, from: e.target.value }))}
+                        />
+                      </label>
+                      <label className="block">
+                        <div className="text-xs text-neutral-600">To</div>
+                        <input
+                          type="month"
+                          className={inputBase}
+                          value={costRange.to}
+                          onChange={(e) => setCostRange((r) => ({ ...r, to: e.target.value }))}
+                        />
+                      </label>
+                    </>
+                  ) : null}
+                  <div className="pb-2 text-xs text-neutral-500">
+                    {range.from} – {range.to}
+                  </div>
+                </div>
+
+                <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3">
                   <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3">
-                    <div className="font-semibold">Last 12 months totals</div>
+                    <div className="font-semibold">Totals ({rangeLabel})</div>
                     <div className="mt-2 space-y-1 text-sm text-neutral-700">
                       <div>
-                        Total: <span className="font-semibold">{moneyFmt(totalsLast12.total, currency)}</span>
+                        Total: <span className="font-semibold">{moneyFmt(totalsInRange.total, currency)}</span>
+                      </div>
+                      {usedCategories.map((c) => (
+                        <div key={c.id}>
+                          {c.label}: {moneyFmt(totalsInRange[c.id] || 0, currency)}
+                        </div>
+                      ))}
+                      <div>
+                        Paid: {moneyFmt(totalsInRange.paid, currency)} • Outstanding:{" "}
+                        {moneyFmt(totalsInRange.outstanding, currency)}
                       </div>
-                      <div>Rent: {moneyFmt(totalsLast12.rent, currency)}</div>
-                      <div>Utilities: {moneyFmt(totalsLast12.utilities, currency)}</div>
-                      <div>Electricity: {moneyFmt(totalsLast12.electricity, currency)}</div>
-                      <div>Internet: {moneyFmt(totalsLast12.internet, currency)}</div>
-                      <div>Parking: {moneyFmt(totalsLast12.parking, currency)}</div>
-                      <div>Furniture: {moneyFmt(totalsLast12.furniture, currency)}</div>
-                      <div>Other: {moneyFmt(totalsLast12.other, currency)}</div>
                     </div>
                   </div>
 
@@ -662,18 +982,28 @@ export default function App() {
                   </div>
                 </div>
 
+                <div className="mt-4">
+                  <CostCharts
+                    rows={baseCosts}
+                    range={range}
+                    categories={usedCategories}
+                    currency={currency}
+                    fileBase={`rentit-${unit.label || unit.id}`.replace(/[^\w-]+/g, "-")}
+                  />
+                </div>
+
                 <div className="mt-4 rounded-2xl border border-neutral-200 bg-neutral-50 p-3">
                   <div className="font-semibold">Recent items</div>
                   <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-3">
                     <div className="rounded-xl bg-white border border-neutral-200 p-3">
                       <div className="text-sm text-neutral-600">Latest issue</div>
                       <div className="mt-1 font-semibold">{issuesSorted[0]?.title || "-"}</div>
-                      <div className="text-sm text-neutral-600">{issuesSorted[0]?.date || ""}</div>
+                      <div className="text-sm text-neutral-600">{issuesSorted[0]?.startDate || ""}</div>
                     </div>
                     <div className="rounded-xl bg-white border border-neutral-200 p-3">
                       <div className="text-sm text-neutral-600">Latest incident</div>
                       <div className="mt-1 font-semibold">
-                        {incidentsSorted[0]?.what ? String(incidentsSorted[0].what).slice(0, 50) : "-"}
+                        {incidentSummary(incidentsSorted[0]).slice(0, 50) || "-"}
                       </div>
                       <div className="text-sm text-neutral-600">{incidentsSorted[0]?.date || ""}</div>
                     </div>
@@ -684,6 +1014,52 @@ export default function App() {
                     </div>
                   </div>
                 </div>
+
+                {unitsOverview.length > 1 && (
+                  <div className="mt-4 rounded-2xl border border-neutral-200 bg-neutral-50 p-3">
+                    <div className="font-semibold">All units</div>
+                    <div className="mt-2 overflow-auto">
+                      <table className="w-full text-sm">
+                        <thead className="text-left text-neutral-600">
+                          <tr className="border-b">
+                            <th className="py-2 pr-2">Unit</th>
+                            <th className="py-2 pr-2">Address</th>
+                            <th className="py-2 pr-2">Open issues</th>
+                            <th className="py-2 pr-2">Incidents</th>
+                            <th className="py-2 pr-2">Unpaid months</th>
+                            <th className="py-2 pr-2">Overdue</th>
+                            <th className="py-2 pr-2">Last 12 months</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {unitsOverview.map((x) => (
+                            <tr
+                              key={x.unit.id}
+                              className={
+                                "border-b last:border-b-0 cursor-pointer hover:bg-white " +
+                                (x.unit.id === unitId ? "font-semibold" : "")
+                              }
+                              onClick={() => selectUnit(x.unit.id)}
+                            >
+                              <td className="py-2 pr-2">{unitName(x.unit)}</td>
+                              <td className="py-2 pr-2">{x.unit.address || "-"}</td>
+                              <td className="py-2 pr-2">{x.openIssues}</td>
+                              <td className="py-2 pr-2">{x.incidents}</td>
+                              <td className="py-2 pr-2">{x.unpaid}</td>
+                              <td className={"py-2 pr-2 " + (x.overdue ? "text-red-700" : "")}>
+                                {x.overdue ? moneyFmt(x.overdue, currency) : "-"}
+                              </td>
+                              <td className="py-2 pr-2">{moneyFmt(x.total12, currency)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    <div className="mt-2 text-sm text-neutral-700">
+                      All units, last 12 months: <span className="font-semibold">{moneyFmt(allUnitsTotal12, currency)}</span>
+                    </div>
+                  </div>
+                )}
               </div>
             )}
 
@@ -697,7 +1073,7 @@ export default function App() {
                     <div className="text-neutral-600">Unit label</div>
                     <input
                       className={inputBase}
-                      value={state.unit.label}
+                      value={unit.label}
                       onChange={(e) => updateUnit({ label: e.target.value })}
                       placeholder="e.g., Room 3 / Flat A"
                     />
@@ -707,7 +1083,7 @@ export default function App() {
                     <input
                       type="date"
                       className={inputBase}
-                      value={state.unit.contractStart}
+                      value={unit.contractStart}
                       onChange={(e) => updateUnit({ contractStart: e.target.value })}
                     />
                   </label>
@@ -715,11 +1091,20 @@ export default function App() {
                     <div className="text-neutral-600">Address</div>
                     <input
                       className={inputBase}
-                      value={state.unit.address}
+                      value={unit.address}
                       onChange={(e) => updateUnit({ address: e.target.value })}
                       placeholder="Street, City"
                     />
                   </label>
+                  <label className="text-sm md:col-span-2">
+                    <div className="text-neutral-600">Tenant name</div>
+                    <input
+                      className={inputBase}
+                      value={unit.tenantName}
+                      onChange={(e) => updateUnit({ tenantName: e.target.value })}
+                      placeholder="Used as sender in case-file letters"
+                    />
+                  </label>
 
                   {/* Landlord details */}
                   <div className="md:col-span-2 mt-2">
@@ -731,7 +1116,7 @@ export default function App() {
                     <div className="text-neutral-600">Landlord name</div>
                     <input
                       className={inputBase}
-                      value={state.unit.landlordName}
+                      value={unit.landlordName}
                       onChange={(e) => updateUnit({ landlordName: e.target.value })}
                     />
                   </label>
@@ -740,7 +1125,7 @@ export default function App() {
                     <input
                       type="email"
                       className={inputBase}
-                      value={state.unit.landlordEmail}
+                      value={unit.landlordEmail}
                       onChange={(e) => updateUnit({ landlordEmail: e.target.value })}
                       placeholder="name@example.com"
                     />
@@ -749,7 +1134,7 @@ export default function App() {
                     <div className="text-neutral-600">Landlord physical address</div>
                     <input
                       className={inputBase}
-                      value={state.unit.landlordAddress}
+                      value={unit.landlordAddress}
                       onChange={(e) => updateUnit({ landlordAddress: e.target.value })}
                       placeholder="Street, ZIP, City"
                     />
@@ -758,7 +1143,7 @@ export default function App() {
                     <div className="text-neutral-600">Landlord phone (1)</div>
                     <input
                       className={inputBase}
-                      value={state.unit.landlordPhone1}
+                      value={unit.landlordPhone1}
                       onChange={(e) => updateUnit({ landlordPhone1: e.target.value })}
                       placeholder="+49 …"
                     />
@@ -767,7 +1152,7 @@ export default function App() {
                     <div className="text-neutral-600">Landlord phone (2)</div>
                     <input
                       className={inputBase}
-                      value={state.unit.landlordPhone2}
+                      value={unit.landlordPhone2}
                       onChange={(e) => updateUnit({ landlordPhone2: e.target.value })}
                       placeholder="Optional"
                     />
@@ -777,7 +1162,7 @@ export default function App() {
                     <div className="text-neutral-600">Agent / representative</div>
                     <input
                       className={inputBase}
-                      value={state.unit.agentName}
+                      value={unit.agentName}
                       onChange={(e) => updateUnit({ agentName: e.target.value })}
                       placeholder="Optional"
                     />
@@ -787,7 +1172,7 @@ export default function App() {
                     <div className="text-neutral-600">Contract type</div>
                     <input
                       className={inputBase}
-                      value={state.unit.contractType}
+                      value={unit.contractType}
                       onChange={(e) => updateUnit({ contractType: e.target.value })}
                       placeholder="e.g., WG room, furnished, fixed-term / indefinite"
                     />
@@ -801,7 +1186,7 @@ export default function App() {
                       type="number"
                       step="0.01"
                       className={inputBase}
-                      value={state.unit.rentWarm}
+                      value={unit.rentWarm}
                       onChange={(e) => updateUnit({ rentWarm: toNum(e.target.value, 0) })}
                     />
                   </label>
@@ -811,7 +1196,7 @@ export default function App() {
                       type="number"
                       step="0.01"
                       className={inputBase}
-                      value={state.unit.rentCold}
+                      value={unit.rentCold}
                       onChange={(e) => updateUnit({ rentCold: toNum(e.target.value, 0) })}
                     />
                   </label>
@@ -821,17 +1206,22 @@ export default function App() {
                       type="number"
                       step="0.01"
                       className={inputBase}
-                      value={state.unit.deposit}
+                      value={unit.deposit}
                       onChange={(e) => updateUnit({ deposit: toNum(e.target.value, 0) })}
                     />
                   </label>
                 </div>
+                {rentChanges.length ? (
+                  <div className="mt-1 text-xs text-neutral-500">
+                    Warm and cold rent follow the rent history — record changes in the Rent tab.
+                  </div>
+                ) : null}
 
                 <label className="block text-sm mt-3">
                   <div className="text-neutral-600">Notes</div>
                   <textarea
                     className={`${inputBase} min-h-[100px]`}
-                    value={state.unit.notes}
+                    value={unit.notes}
                     onChange={(e) => updateUnit({ notes: e.target.value })}
                     placeholder="Anything important: special agreements, defects known at move-in, heating arrangement, etc."
                   />
@@ -844,26 +1234,70 @@ export default function App() {
                 <div className="flex flex-wrap items-end justify-between gap-3">
                   <div>
                     <div className="font-semibold">Monthly costs</div>
-                    <div className="text-sm text-neutral-600">Track your all-in monthly housing costs and mark as paid.</div>
+                    <div className="text-sm text-neutral-600">
+                      Track your all-in monthly housing costs and the payments made against them.
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    <button className={btnSecondary} onClick={() => setBankImportOpen(!bankImportOpen)}>
+                      {bankImportOpen ? "Hide bank import" : "Bank import"}
+                    </button>
+                    <button className={btnSecondary} onClick={() => setCostSettingsOpen(!costSettingsOpen)}>
+                      {costSettingsOpen ? "Hide categories & currencies" : "Categories & currencies"}
+                    </button>
+                    <button className={btnPrimary} onClick={addCostRow}>
+                      + Month
+                    </button>
                   </div>
-                  <button className={btnPrimary} onClick={addCostRow}>
-                    + Month
-                  </button>
                 </div>
 
+                {costSettingsOpen ? (
+                  <div className="mt-3">
+                    <CostSettings settings={data.settings} categories={categories} usage={categoryUsage} />
+                  </div>
+                ) : null}
+
+                {bankImportOpen ? (
+                  <div className="mt-3">
+                    <BankImport units={data.units} costs={data.costs} settings={data.settings} activeUnitId={unitId} />
+                  </div>
+                ) : null}
+
+                {unconverted.length ? (
+                  <div className="mt-3 rounded-2xl border border-amber-200 bg-amber-50 p-3 text-sm text-amber-900">
+                    No exchange rate for {[...new Set(unconverted.map((r) => rowCurrency(r, data.settings)))].join(", ")}:{" "}
+                    {unconverted.length} row{unconverted.length === 1 ? " is" : "s are"} left out of the totals and
+                    charts. Add the rate under Categories &amp; currencies.
+                  </div>
+                ) : null}
+
+                {missingCostMonths.length ? (
+                  <div className="mt-3 rounded-2xl border border-amber-200 bg-amber-50 p-3 text-sm flex flex-wrap items-center justify-between gap-2">
+                    <div className="text-amber-900">
+                      No cost row yet for {missingCostMonths.length === 1 ? "" : `${missingCostMonths.length} months: `}
+                      {missingCostMonths.join(", ")}
+                    </div>
+                    <button className={btnSecondary} onClick={generateMissingMonths}>
+                      Generate missing months
+                    </button>
+                  </div>
+                ) : null}
+
                 <div className="mt-3 overflow-auto">
                   <table className="w-full text-sm">
                     <thead className="text-left text-neutral-600">
                       <tr className="border-b">
                         <th className="py-2 pr-2">Month</th>
-                        <th className="py-2 pr-2">Rent</th>
-                        <th className="py-2 pr-2">Utilities</th>
-                        <th className="py-2 pr-2">Electricity</th>
-                        <th className="py-2 pr-2">Internet</th>
-                        <th className="py-2 pr-2">Parking</th>
-                        <th className="py-2 pr-2">Furniture</th>
-                        <th className="py-2 pr-2">Other</th>
+                        {usedCategories.map((c) => (
+                          <th key={c.id} className={"py-2 pr-2 " + (c.archived ? "text-neutral-400" : "")}>
+                            {c.label}
+                            {c.archived ? " (archived)" : ""}
+                          </th>
+                        ))}
                         <th className="py-2 pr-2">Total</th>
+                        <th className="py-2 pr-2" title="Rent reduction from the unit's issues (Mietminderung)">
+                          Reduction
+                        </th>
                         <th className="py-2 pr-2">Paid</th>
                         <th className="py-2 pr-2 text-right">Action</th>
                       </tr>
@@ -871,50 +1305,312 @@ export default function App() {
                     <tbody>
                       {costsSorted.length === 0 ? (
                         <tr>
-                          <td colSpan={11} className="py-3 text-neutral-500">
+                          <td colSpan={usedCategories.length + 5} className="py-3 text-neutral-500">
                             No cost rows yet.
                           </td>
                         </tr>
                       ) : (
-                        costsSorted.map((r) => (
-                          <tr key={r.id} className="border-b last:border-b-0">
-                            <td className="py-2 pr-2 font-medium">
+                        costsSorted.map((r) => {
+                          const late = daysOverdue(r);
+                          const rowCur = rowCurrency(r, data.settings);
+                          const base = baseById.get(r.id);
+                          return (
+                            <React.Fragment key={r.id}>
+                              <tr className={"border-b last:border-b-0 " + (late ? "bg-red-50" : "")}>
+                                <td className="py-2 pr-2 font-medium">
+                                  <input
+                                    type="month"
+                                    className="px-2 py-1 rounded-xl border border-neutral-200 bg-white"
+                                    value={r.month}
+                                    onChange={(e) => updateCostRow(r.id, { month: e.target.value })}
+                                  />
+                                  <div className="text-xs text-neutral-500 mt-1">
+                                    <input
+                                      className="w-full px-2 py-1 rounded-xl border border-neutral-200"
+                                      placeholder="Note"
+                                      value={r.note || ""}
+                                      onChange={(e) => updateCostRow(r.id, { note: e.target.value })}
+                                    />
+                                  </div>
+                                  <label className="mt-1 flex items-center gap-1 text-xs text-neutral-500">
+                                    Due
+                                    <input
+                                      type="date"
+                                      className="px-2 py-1 rounded-xl border border-neutral-200 bg-white"
+                                      value={r.dueDate || ""}
+                                      onChange={(e) => updateCostRow(r.id, { dueDate: e.target.value })}
+                                    />
+                                  </label>
+                                </td>
+                                {usedCategories.map((c) => (
+                                  <td key={c.id} className="py-2 pr-2">
+                                    <input
+                                      type="number"
+                                      step="0.01"
+                                      className="w-24 px-2 py-1 rounded-xl border border-neutral-200"
+                                      value={categoryAmount(r, c.id)}
+                                      onChange={(e) =>
+                                        updateCostRow(r.id, categoryPatch(r, c.id, toNum(e.target.value, 0)))
+                                      }
+                                    />
+                                  </td>
+                                ))}
+                                <td className="py-2 pr-2 font-semibold">
+                                  {moneyFmt(r.total, rowCur)}
+                                  {rowCur !== currency ? (
+                                    <div className="text-xs font-normal text-neutral-500">
+                                      {base.rate === null ? "no exchange rate" : `≈ ${moneyFmt(base.total, currency)}`}
+                                    </div>
+                                  ) : null}
+                                  <select
+                                    className="mt-1 block px-1 py-0.5 rounded-lg border border-neutral-200 bg-white text-xs font-normal"
+                                    title="Currency of this row"
+                                    value={r.currency || ""}
+                                    onChange={(e) => updateCostRow(r.id, { currency: e.target.value })}
+                                  >
+                                    <option value="">{currency}</option>
+                                    {rowCurrencies
+                                      .filter((code) => code !== currency)
+                                      .map((code) => (
+                                        <option key={code} value={code}>
+                                          {code}
+                                        </option>
+                                      ))}
+                                  </select>
+                                </td>
+                                <td className="py-2 pr-2 whitespace-nowrap">
+                                  <ReductionCell month={reductionByMonth.get(r.month)} currency={currency} />
+                                </td>
+                                <td className="py-2 pr-2 whitespace-nowrap">
+                                  <PaidCell row={r} late={late} currency={rowCur} />
+                                  <button
+                                    className="mt-1 text-xs underline text-neutral-600"
+                                    onClick={() => setPaymentsRowId(paymentsRowId === r.id ? null : r.id)}
+                                  >
+                                    Payments ({(r.payments || []).length})
+                                  </button>
+                                </td>
+                                <td className="py-2 pr-2 text-right">
+                                  <button className={btnSecondary} onClick={() => deleteCostRow(r.id)}>
+                                    Delete
+                                  </button>
+                                </td>
+                              </tr>
+                              {paymentsRowId === r.id ? (
+                                <tr className="border-b bg-neutral-50">
+                                  <td colSpan={usedCategories.length + 5} className="p-3">
+                                    <PaymentList
+                                      row={r}
+                                      currency={rowCur}
+                                      onAdd={() => addPayment(r)}
+                                      onChange={(paymentId, patch) => updatePayment(r.id, paymentId, patch)}
+                                      onDelete={(paymentId) => deletePayment(r.id, paymentId)}
+                                    />
+                                  </td>
+                                </tr>
+                              ) : null}
+                            </React.Fragment>
+                          );
+                        })
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="mt-4 rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm">
+                  <div className="font-semibold">Totals ({rangeLabel})</div>
+                  <div className="mt-1 text-neutral-700">
+                    {moneyFmt(totalsInRange.total, currency)} total •{" "}
+                    {usedCategories
+                      .filter((c) => totalsInRange[c.id])
+                      .map((c) => `${moneyFmt(totalsInRange[c.id], currency)} ${c.label.toLowerCase()}`)
+                      .join(" • ")}
+                  </div>
+                </div>
+
+                {statement.lines.length ? (
+                  <div className="mt-3 rounded-2xl border border-neutral-200 bg-white p-3 text-sm">
+                    <div className="flex flex-wrap items-baseline justify-between gap-2">
+                      <div className="font-semibold">Account statement</div>
+                      <div className={statement.balance < 0 ? "text-red-700 font-medium" : "text-neutral-700"}>
+                        Balance {balanceLabel(statement.balance, currency)}
+                      </div>
+                    </div>
+                    <div className="mt-2 overflow-auto">
+                      <table className="w-full">
+                        <thead className="text-left text-neutral-600">
+                          <tr className="border-b">
+                            <th className="py-1 pr-2">Month</th>
+                            <th className="py-1 pr-2">Due date</th>
+                            <th className="py-1 pr-2 text-right">Due</th>
+                            <th className="py-1 pr-2 text-right">Paid</th>
+                            <th className="py-1 pr-2 text-right">Difference</th>
+                            <th className="py-1 pr-2 text-right">Running balance</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {statement.lines.map((x) => (
+                            <tr key={x.row.id} className="border-b last:border-b-0">
+                              <td className="py-1 pr-2">{x.month}</td>
+                              <td className="py-1 pr-2">{x.dueDate || "-"}</td>
+                              <td className="py-1 pr-2 text-right">{moneyFmt(x.due, currency)}</td>
+                              <td className="py-1 pr-2 text-right">{moneyFmt(x.paid, currency)}</td>
+                              <td className={"py-1 pr-2 text-right " + (x.difference < 0 ? "text-red-700" : "")}>
+                                {x.difference > 0 ? "+" : ""}
+                                {moneyFmt(x.difference, currency)}
+                              </td>
+                              <td className={"py-1 pr-2 text-right font-medium " + (x.balance < 0 ? "text-red-700" : "")}>
+                                {balanceLabel(x.balance, currency)}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                ) : null}
+
+                {reduction.months.length ? (
+                  <div className="mt-3 rounded-2xl border border-emerald-200 bg-emerald-50 p-3 text-sm">
+                    <div className="font-semibold">Rent reduction from issues</div>
+                    <div className="mt-1 text-neutral-700">
+                      {moneyFmt(reduction.total.reduction, currency)} over {reduction.months.length} month
+                      {reduction.months.length === 1 ? "" : "s"} ({reduction.months[0].month} –{" "}
+                      {reduction.months[reduction.months.length - 1].month}), prorated by day from each issue's start
+                      and resolved date. The case file shows the month-by-month table and uses it in the rent
+                      reduction letter.
+                    </div>
+                  </div>
+                ) : null}
+
+                <div className="mt-6 flex flex-wrap items-end justify-between gap-3">
+                  <div>
+                    <div className="font-semibold">Recurring costs</div>
+                    <div className="text-sm text-neutral-600">
+                      Fill new month rows automatically. Rent and utilities use the unit's cold/warm rent unless a
+                      recurring cost covers them.
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {recurring.length === 0 ? (
+                      <button className={btnSecondary} onClick={recurringFromUnit}>
+                        Set up from unit rent
+                      </button>
+                    ) : null}
+                    <button className={btnSecondary} onClick={addRecurringCost}>
+                      + Recurring cost
+                    </button>
+                  </div>
+                </div>
+
+                <div className="mt-3 overflow-auto">
+                  <table className="w-full text-sm">
+                    <thead className="text-left text-neutral-600">
+                      <tr className="border-b">
+                        <th className="py-2 pr-2">Label</th>
+                        <th className="py-2 pr-2">Category</th>
+                        <th className="py-2 pr-2">Amount</th>
+                        <th className="py-2 pr-2">From</th>
+                        <th className="py-2 pr-2">Until</th>
+                        <th className="py-2 pr-2" title="Day of the month the payment is due">
+                          Due day
+                        </th>
+                        <th className="py-2 pr-2 text-right">Action</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {recurring.length === 0 ? (
+                        <tr>
+                          <td colSpan={7} className="py-3 text-neutral-500">
+                            No recurring costs yet.
+                          </td>
+                        </tr>
+                      ) : (
+                        recurring.map((t) => (
+                          <tr key={t.id} className="border-b last:border-b-0 align-top">
+                            <td className="py-2 pr-2">
+                              <input
+                                className="w-full min-w-32 px-2 py-1 rounded-xl border border-neutral-200"
+                                value={t.label}
+                                onChange={(e) => updateRecurringCost(t.id, { label: e.target.value })}
+                              />
+                            </td>
+                            <td className="py-2 pr-2">
+                              <select
+                                className="px-2 py-1 rounded-xl border border-neutral-200 bg-white"
+                                value={t.category}
+                                onChange={(e) => updateRecurringCost(t.id, { category: e.target.value })}
+                              >
+                                {categories
+                                  .filter((c) => !c.archived || c.id === t.category)
+                                  .map((c) => (
+                                    <option key={c.id} value={c.id}>
+                                      {c.label}
+                                    </option>
+                                  ))}
+                              </select>
+                            </td>
+                            <td className="py-2 pr-2">
+                              <input
+                                type="number"
+                                step="0.01"
+                                className="w-24 px-2 py-1 rounded-xl border border-neutral-200 disabled:bg-neutral-50"
+                                value={recurringAmount(t, unit, currentMonth, rentChanges)}
+                                disabled={!!t.source}
+                                onChange={(e) => updateRecurringCost(t.id, { amount: toNum(e.target.value, 0) })}
+                              />
+                              <select
+                                className="mt-1 block px-2 py-1 rounded-xl border border-neutral-200 bg-white text-xs"
+                                value={t.source}
+                                onChange={(e) =>
+                                  updateRecurringCost(t.id, {
+                                    source: e.target.value,
+                                    amount: recurringAmount(
+                                      { ...t, source: e.target.value },
+                                      unit,
+                                      currentMonth,
+                                      rentChanges
+                                    ),
+                                  })
+                                }
+                              >
+                                {RECURRING_SOURCES.map((x) => (
+                                  <option key={x.id} value={x.id}>
+                                    {x.label}
+                                  </option>
+                                ))}
+                              </select>
+                            </td>
+                            <td className="py-2 pr-2">
                               <input
                                 type="month"
                                 className="px-2 py-1 rounded-xl border border-neutral-200 bg-white"
-                                value={r.month}
-                                onChange={(e) => updateCostRow(r.id, { month: e.target.value })}
+                                value={t.startMonth}
+                                onChange={(e) => updateRecurringCost(t.id, { startMonth: e.target.value })}
+                              />
+                            </td>
+                            <td className="py-2 pr-2">
+                              <input
+                                type="month"
+                                className="px-2 py-1 rounded-xl border border-neutral-200 bg-white"
+                                value={t.endMonth}
+                                onChange={(e) => updateRecurringCost(t.id, { endMonth: e.target.value })}
                               />
-                              <div className="text-xs text-neutral-500 mt-1">
-                                <input
-                                  className="w-full px-2 py-1 rounded-xl border border-neutral-200"
-                                  placeholder="Note"
-                                  value={r.note || ""}
-                                  onChange={(e) => updateCostRow(r.id, { note: e.target.value })}
-                                />
-                              </div>
                             </td>
-                            {["rent", "utilities", "electricity", "internet", "parking", "furniture", "other"].map((k) => (
-                              <td key={k} className="py-2 pr-2">
-                                <input
-                                  type="number"
-                                  step="0.01"
-                                  className="w-24 px-2 py-1 rounded-xl border border-neutral-200"
-                                  value={r[k]}
-                                  onChange={(e) => updateCostRow(r.id, { [k]: toNum(e.target.value, 0) })}
-                                />
-                              </td>
-                            ))}
-                            <td className="py-2 pr-2 font-semibold">{moneyFmt(r.total, currency)}</td>
                             <td className="py-2 pr-2">
                               <input
-                                type="checkbox"
-                                checked={!!r.paid}
-                                onChange={(e) => updateCostRow(r.id, { paid: e.target.checked })}
+                                type="number"
+                                min="1"
+                                max="31"
+                                className="w-16 px-2 py-1 rounded-xl border border-neutral-200"
+                                value={t.dueDay}
+                                onChange={(e) =>
+                                  updateRecurringCost(t.id, { dueDay: Math.min(31, Math.max(1, toNum(e.target.value, 1))) })
+                                }
                               />
                             </td>
                             <td className="py-2 pr-2 text-right">
-                              <button className={btnSecondary} onClick={() => deleteCostRow(r.id)}>
+                              <button className={btnSecondary} onClick={() => deleteRecurringCost(t.id)}>
                                 Delete
                               </button>
                             </td>
@@ -924,16 +1620,39 @@ export default function App() {
                     </tbody>
                   </table>
                 </div>
-
-                <div className="mt-4 rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm">
-                  <div className="font-semibold">Totals (last 12 months)</div>
-                  <div className="mt-1 text-neutral-700">
-                    {moneyFmt(totalsLast12.total, currency)} total • {moneyFmt(totalsLast12.rent, currency)} rent
-                  </div>
-                </div>
               </div>
             )}
 
+            {tab === "rent" && (
+              <RentHistory unit={unit} changes={rentChanges} cpi={data.settings.cpi} currency={currency} />
+            )}
+
+            {tab === "deposit" && (
+              <Deposit
+                unit={unit}
+                deposit={deposit}
+                cases={forUnit(data.cases, unitId)}
+                template={findTemplate(data.settings, "deposit_demand")}
+                language={data.settings.letterLanguage}
+                currency={currency}
+              />
+            )}
+
+            {tab === "meters" && (
+              <Meters
+                unit={unit}
+                meters={meters}
+                costs={baseCosts}
+                categories={categories}
+                evidence={evidence}
+                currency={currency}
+              />
+            )}
+
+            {tab === "utilities" && (
+              <UtilityBills unit={unit} bills={utilityBills} costs={data.costs} currency={currency} />
+            )}
+
             {tab === "issues" && (
               <div>
                 <div className="font-semibold">Issues</div>
@@ -947,8 +1666,8 @@ export default function App() {
                       <input
                         type="date"
                         className={inputBase}
-                        value={issueDraft.date}
-                        onChange={(e) => setIssueDraft({ ...issueDraft, date: e.target.value })}
+                        value={issueDraft.startDate}
+                        onChange={(e) => setIssueDraft({ ...issueDraft, startDate: e.target.value })}
                       />
                     </label>
                     <label className="text-sm">
@@ -1062,7 +1781,8 @@ export default function App() {
                             <div>
                               <div className="font-semibold">{x.title}</div>
                               <div className="text-sm text-neutral-600">
-                                {x.date} • {x.category} • Notified: {x.notified}
+                                {x.startDate}
+                                {x.resolvedDate ? ` → ${x.resolvedDate}` : ""} • {x.category} • Notified: {x.notified}
                               </div>
                             </div>
                             <div className="flex items-center gap-2">
@@ -1087,7 +1807,7 @@ export default function App() {
                               <select
                                 className="text-sm px-2 py-1 rounded-xl border border-neutral-200 bg-white"
                                 value={x.status}
-                                onChange={(e) => updateIssue(x.id, { status: e.target.value })}
+                                onChange={(e) => updateIssue(x.id, (d) => withDefectStatus(d, e.target.value))}
                               >
                                 <option value="open">Open</option>
                                 <option value="in-progress">In progress</option>
@@ -1102,6 +1822,28 @@ export default function App() {
                                 <option value="medium">Medium</option>
                                 <option value="high">High</option>
                               </select>
+                              <label className="text-sm flex items-center gap-1 text-neutral-600">
+                                Reduction %
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="100"
+                                  className="w-20 px-2 py-1 rounded-xl border border-neutral-200 bg-white"
+                                  value={x.impactPercent ?? 0}
+                                  onChange={(e) => updateIssue(x.id, { impactPercent: toNum(e.target.value, 0) })}
+                                />
+                              </label>
+                              {x.status === "resolved" ? (
+                                <label className="text-sm flex items-center gap-1 text-neutral-600">
+                                  Resolved on
+                                  <input
+                                    type="date"
+                                    className="px-2 py-1 rounded-xl border border-neutral-200 bg-white"
+                                    value={x.resolvedDate || ""}
+                                    onChange={(e) => updateIssue(x.id, { resolvedDate: e.target.value })}
+                                  />
+                                </label>
+                              ) : null}
                             </div>
                             <button className={btnSecondary} onClick={() => deleteIssue(x.id)}>
                               Delete
@@ -1156,8 +1898,8 @@ export default function App() {
                     <div className="text-neutral-600">What happened</div>
                     <textarea
                       className={`${inputBase} min-h-[90px]`}
-                      value={incidentDraft.what}
-                      onChange={(e) => setIncidentDraft({ ...incidentDraft, what: e.target.value })}
+                      value={incidentDraft.details}
+                      onChange={(e) => setIncidentDraft({ ...incidentDraft, details: e.target.value })}
                       placeholder="Write it like a report: facts first."
                     />
                   </label>
@@ -1213,7 +1955,7 @@ export default function App() {
                               <td className="py-2 pr-2 font-medium">{x.date}</td>
                               <td className="py-2 pr-2">{x.time || "-"}</td>
                               <td className="py-2 pr-2">{x.who || "-"}</td>
-                              <td className="py-2 pr-2">{x.what ? String(x.what).slice(0, 80) : "-"}</td>
+                              <td className="py-2 pr-2">{incidentSummary(x).slice(0, 80) || "-"}</td>
                               <td className="py-2 pr-2">{x.evidenceRef || "-"}</td>
                               <td className="py-2 pr-2 text-right">
                                 <button className={btnSecondary} onClick={() => deleteIncident(x.id)}>
@@ -1351,6 +2093,24 @@ export default function App() {
           </div>
         </div>
 
+        {toast?.entry && toast.entry === undoEntry && (
+          <div className="fixed bottom-6 right-6 z-40 rounded-2xl bg-neutral-900 text-white px-4 py-3 shadow-lg flex items-center gap-3">
+            <div className="text-sm">{toast.msg}</div>
+            <button className="text-sm font-semibold text-lime-300 hover:text-lime-200" onClick={undoFromToast}>
+              Undo
+            </button>
+          </div>
+        )}
+
+        {pendingImport && (
+          <ImportPreview
+            pending={pendingImport}
+            current={data}
+            onConfirm={confirmImport}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+
         {/* Preview modal */}
         {previewOpen && (
           <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-3 z-50">
@@ -1380,32 +2140,53 @@ export default function App() {
                     <span className="text-neutral-600">Generated:</span> {new Date().toLocaleString()}
                   </div>
                   <div>
-                    <span className="text-neutral-600">Unit:</span> {state.unit.label || "-"}
+                    <span className="text-neutral-600">Unit:</span> {unit.label || "-"}
                   </div>
                   <div>
-                    <span className="text-neutral-600">Address:</span> {state.unit.address || "-"}
+                    <span className="text-neutral-600">Address:</span> {unit.address || "-"}
                   </div>
                   <div>
-                    <span className="text-neutral-600">Landlord:</span> {state.unit.landlordName || "-"}
+                    <span className="text-neutral-600">Landlord:</span> {unit.landlordName || "-"}
                   </div>
                   <div>
-                    <span className="text-neutral-600">Landlord email:</span> {state.unit.landlordEmail || "-"}
+                    <span className="text-neutral-600">Landlord email:</span> {unit.landlordEmail || "-"}
                   </div>
                   <div>
-                    <span className="text-neutral-600">Landlord phone:</span> {[state.unit.landlordPhone1, state.unit.landlordPhone2].filter(Boolean).join(" / ") || "-"}
+                    <span className="text-neutral-600">Landlord phone:</span> {[unit.landlordPhone1, unit.landlordPhone2].filter(Boolean).join(" / ") || "-"}
                   </div>
                   <div>
-                    <span className="text-neutral-600">Landlord address:</span> {state.unit.landlordAddress || "-"}
+                    <span className="text-neutral-600">Landlord address:</span> {unit.landlordAddress || "-"}
                   </div>
                   <div>
-                    <span className="text-neutral-600">Agent:</span> {state.unit.agentName || "-"}
+                    <span className="text-neutral-600">Agent:</span> {unit.agentName || "-"}
                   </div>
                 </div>
 
                 <div className="mt-4 rounded-2xl border border-neutral-200 p-3 text-sm">
-                  <div className="font-semibold">Costs (last 12 months)</div>
+                  <div className="font-semibold">Costs ({rangeLabel})</div>
                   <div className="mt-1 text-neutral-700">
-                    Total: <span className="font-semibold">{moneyFmt(totalsLast12.total, currency)}</span>
+                    Total: <span className="font-semibold">{moneyFmt(totalsInRange.total, currency)}</span> • Paid:{" "}
+                    {moneyFmt(totalsInRange.paid, currency)} • Outstanding: {moneyFmt(totalsInRange.outstanding, currency)}
+                  </div>
+                  <div className="mt-1 text-neutral-700">
+                    {usedCategories
+                      .filter((c) => totalsInRange[c.id])
+                      .map((c) => `${c.label}: ${moneyFmt(totalsInRange[c.id], currency)}`)
+                      .join(" • ")}
+                  </div>
+                  {unconverted.length ? (
+                    <div className="mt-1 text-xs text-neutral-500">
+                      {unconverted.length} row{unconverted.length === 1 ? "" : "s"} without an exchange rate not included.
+                    </div>
+                  ) : null}
+                  <div className="mt-3">
+                    <CostCharts
+                      rows={baseCosts}
+                      range={range}
+                      categories={usedCategories}
+                      currency={currency}
+                      exportable={false}
+                    />
                   </div>
                 </div>
 
@@ -1430,7 +2211,7 @@ export default function App() {
                             </span>
                           </div>
                         </div>
-                        <div className="text-neutral-600">{x.date} • {x.category} • Evidence: {x.evidenceRef || "-"}</div>
+                        <div className="text-neutral-600">{x.startDate} • {x.category} • Evidence: {x.evidenceRef || "-"}</div>
                         {x.details && <div className="text-neutral-700 whitespace-pre-wrap mt-1">{x.details}</div>}
                       </div>
                     ))}
@@ -1444,7 +2225,7 @@ export default function App() {
                     {incidentsSorted.slice(0, 10).map((x) => (
                       <div key={x.id} className="border-t pt-2 first:border-t-0 first:pt-0">
                         <div className="font-medium">{x.date} {x.time ? `(${x.time})` : ""}</div>
-                        <div className="text-neutral-700 whitespace-pre-wrap">{x.what}</div>
+                        <div className="text-neutral-700 whitespace-pre-wrap">{[x.summary, x.details].filter(Boolean).join("\n")}</div>
                         <div className="text-neutral-600">Who: {x.who || "-"} • Evidence: {x.evidenceRef || "-"}</div>
                       </div>
                     ))}
@@ -1464,7 +2245,7 @@ export default function App() {
                 </div>
 
                 <div className="mt-6 text-xs text-neutral-500">
-                  Storage key: <span className="font-mono">{KEY}</span>
+                  Storage: <span className="font-mono">{storageInfo().location}</span>
                 </div>
               </div>
             </div>
@@ -0,0 +1,281 @@
+// ToolStack Mietakte shell — hosts RentIt and the Landlord Case File behind client-side routes.
+// Routes:
+//   /rentit/:tab?               RentIt (overview, unit, costs, ...)
+//   /casefile/:caseId?/:tab?    Landlord Case File (snapshot, incidents, defects, ...)
+//   /restore/:snapshotId?       Restore points (automatic and manual snapshots of all data)
+//   /security                   Passphrase encryption and auto-lock
+// Undo/redo (buttons + Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl+Y) covers both modules.
+// With encryption on, nothing is routed until the passphrase is entered.
+
+import React, { useEffect, useState } from "react";
+import RentIt from "./App.jsx";
+import LandlordCaseFileApp from "./LandlordCaseFileApp.jsx";
+import RestorePoints from "./RestorePoints.jsx";
+import SecuritySettings from "./SecuritySettings.jsx";
+import { hrefFor, matchPath, navigate, usePath } from "./lib/router.js";
+import {
+  lock,
+  redo,
+  storeError,
+  undo,
+  unlock,
+  useEncryptionState,
+  useHistoryState,
+  useStoreStatus,
+} from "./lib/store.js";
+
+const MODULES = [
+  { id: "rentit", label: "RentIt", path: "/rentit" },
+  { id: "casefile", label: "Case File", path: "/casefile" },
+  { id: "restore", label: "Restore points", path: "/restore" },
+  { id: "security", label: "Security", path: "/security" },
+];
+
+function rentitPath(tab) {
+  return tab ? `/rentit/${encodeURIComponent(tab)}` : "/rentit";
+}
+
+function casefilePath({ caseId, tab } = {}) {
+  if (!caseId) return "/casefile";
+  return `/casefile/${encodeURIComponent(caseId)}${tab ? `/${encodeURIComponent(tab)}` : ""}`;
+}
+
+function restorePath(snapshotId) {
+  return snapshotId ? `/restore/${encodeURIComponent(snapshotId)}` : "/restore";
+}
+
+// Shown when stored data cannot be opened (e.g. saved by a newer version); nothing is overwritten
+function LoadError() {
+  return (
+    <div className="max-w-3xl mx-auto p-6">
+      <div className="rounded-2xl border border-red-200 bg-red-50 p-6">
+        <div className="font-semibold text-red-900">Your data could not be opened</div>
+        <div className="text-sm text-red-800 mt-1">{storeError()?.message || "Unknown error"}</div>
+        <div className="text-xs text-red-700 mt-3">Your saved data has not been changed.</div>
+      </div>
+    </div>
+  );
+}
+
+function UnlockScreen() {
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      await unlock(passphrase);
+    } catch (err) {
+      setError(err?.message || "Could not unlock");
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto p-6">
+      <form className="rounded-2xl border border-neutral-200 bg-white p-6 space-y-3" onSubmit={submit}>
+        <div className="font-semibold text-neutral-900">Mietakte is locked</div>
+        <div className="text-sm text-neutral-600">Your data is encrypted. Enter your passphrase to open it.</div>
+        <input
+          type="password"
+          autoFocus
+          autoComplete="current-password"
+          className="w-full px-3 py-2 rounded-xl border border-neutral-200 focus:outline-none focus:ring-2 focus:ring-lime-400/25"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+        />
+        {error ? <div className="text-sm text-red-700">{error}</div> : null}
+        <button
+          type="submit"
+          disabled={busy || !passphrase}
+          className="w-full px-3 py-2 rounded-xl bg-neutral-900 text-white text-sm disabled:opacity-40"
+        >
+          {busy ? "Unlocking…" : "Unlock"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Locks the app after `minutes` without keyboard, pointer or scroll activity (0 = never)
+function useAutoLock(minutes) {
+  useEffect(() => {
+    if (!minutes) return;
+    let timer = null;
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => lock(), minutes * 60000);
+    };
+    const events = ["keydown", "pointerdown", "pointermove", "wheel", "scroll"];
+    events.forEach((name) => window.addEventListener(name, reset, { passive: true }));
+    reset();
+    return () => {
+      clearTimeout(timer);
+      events.forEach((name) => window.removeEventListener(name, reset));
+    };
+  }, [minutes]);
+}
+
+// Text fields keep the browser's own undo for what is being typed
+function isTextInput(el) {
+  if (!el) return false;
+  if (el.isContentEditable) return true;
+  if (el.tagName === "TEXTAREA") return true;
+  return el.tagName === "INPUT" && !["checkbox", "radio", "button", "file"].includes(el.type);
+}
+
+function useUndoShortcuts(enabled) {
+  useEffect(() => {
+    if (!enabled) return;
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isTextInput(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || (key === "y" && !e.metaKey)) {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [enabled]);
+}
+
+function UndoRedo() {
+  const { canUndo, canRedo, undoLabel, redoLabel } = useHistoryState();
+  const btn =
+    "px-2 py-1.5 rounded-xl text-sm text-neutral-700 hover:bg-neutral-100 disabled:opacity-30 disabled:hover:bg-transparent";
+  return (
+    <div className="flex gap-1">
+      <button
+        className={btn}
+        disabled={!canUndo}
+        onClick={() => undo()}
+        title={canUndo ? `Undo: ${undoLabel} (Ctrl+Z)` : "Nothing to undo"}
+      >
+        ↶ Undo
+      </button>
+      <button
+        className={btn}
+        disabled={!canRedo}
+        onClick={() => redo()}
+        title={canRedo ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"}
+      >
+        ↷ Redo
+      </button>
+    </div>
+  );
+}
+
+function NotFound() {
+  return (
+    <div className="max-w-3xl mx-auto p-6">
+      <div className="rounded-2xl border border-dashed border-neutral-300 bg-white p-6 text-center">
+        <div className="font-semibold">Page not found</div>
+        <div className="text-sm text-neutral-600 mt-1">This address does not match any module.</div>
+        <button
+          className="mt-4 px-3 py-2 rounded-xl bg-neutral-900 text-white text-sm"
+          onClick={() => navigate("/rentit")}
+        >
+          Go to RentIt
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function AppShell() {
+  const path = usePath();
+  const status = useStoreStatus();
+  const encryption = useEncryptionState();
+  useUndoShortcuts(status === "ready");
+  useAutoLock(status === "ready" && encryption.enabled ? encryption.autoLockMinutes : 0);
+
+  const rentit = matchPath("/rentit/:tab?", path);
+  const casefile = matchPath("/casefile/:caseId?/:tab?", path);
+  const restore = matchPath("/restore/:snapshotId?", path);
+  const security = matchPath("/security", path);
+  const isRoot = path === "/";
+  const activeModule = rentit
+    ? "rentit"
+    : casefile
+      ? "casefile"
+      : restore
+        ? "restore"
+        : security
+          ? "security"
+          : null;
+
+  useEffect(() => {
+    if (isRoot) navigate("/rentit", { replace: true });
+  }, [isRoot]);
+
+  return (
+    <div className="min-h-screen bg-neutral-50">
+      <div className="border-b border-neutral-200 bg-white">
+        <div className="max-w-7xl mx-auto px-4 py-2 flex items-center justify-between gap-3">
+          <div className="text-sm font-semibold tracking-tight text-neutral-900">ToolStack • Mietakte</div>
+          <div className="flex items-center gap-3">
+            {status === "ready" ? <UndoRedo /> : null}
+            {status === "ready" && encryption.enabled ? (
+              <button
+                className="px-2 py-1.5 rounded-xl text-sm text-neutral-700 hover:bg-neutral-100"
+                onClick={() => lock()}
+                title="Lock (the passphrase is needed to open the data again)"
+              >
+                Lock
+              </button>
+            ) : null}
+            <nav className="flex gap-1">
+              {MODULES.map((m) => (
+                <a
+                  key={m.id}
+                  href={hrefFor(m.path)}
+                  onClick={(e) => {
+                    if (e.metaKey || e.ctrlKey || e.shiftKey || e.button !== 0) return;
+                    e.preventDefault();
+                    navigate(m.path);
+                  }}
+                  className={`px-3 py-1.5 rounded-xl text-sm font-medium transition ${
+                    activeModule === m.id
+                      ? "bg-neutral-900 text-white"
+                      : "text-neutral-700 hover:bg-neutral-100"
+                  }`}
+                >
+                  {m.label}
+                </a>
+              ))}
+            </nav>
+          </div>
+        </div>
+      </div>
+
+      {status === "loading" ? (
+        <div className="max-w-3xl mx-auto p-6 text-sm text-neutral-500">Loading…</div>
+      ) : status === "error" ? (
+        <LoadError />
+      ) : status === "locked" ? (
+        <UnlockScreen />
+      ) : rentit ? (
+        <RentIt tab={rentit.tab} onTabChange={(tab) => navigate(rentitPath(tab))} />
+      ) : casefile ? (
+        <LandlordCaseFileApp
+          caseId={casefile.caseId}
+          tab={casefile.tab}
+          onNavigate={(to, opts) => navigate(casefilePath(to), opts)}
+        />
+      ) : restore ? (
+        <RestorePoints snapshotId={restore.snapshotId} onSelect={(id) => navigate(restorePath(id))} />
+      ) : security ? (
+        <SecuritySettings />
+      ) : isRoot ? null : (
+        <NotFound />
+      )}
+    </div>
+  );
+}
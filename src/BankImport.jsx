@@ -0,0 +1,405 @@
+// RentIt bank import (Costs tab): reads a bank export (CSV, CAMT.053, MT940) on this device, suggests which cost
+// row each outgoing transaction pays (./lib/bankImport.js) and records the confirmed ones as payments, which
+// sets the rows' paid state. The matching rules live in the shared settings.
+
+import React, { useMemo, useRef, useState } from "react";
+import { makeBankRule, makePayment, recalcCostRow, toNum } from "./lib/schema.js";
+import { update, updateSettings } from "./lib/store.js";
+import { moneyFmt, rowCurrency } from "./lib/currency.js";
+import {
+  CSV_FIELDS,
+  camtTransactions,
+  csvSignature,
+  csvTransactions,
+  detectFormat,
+  guessCsvMapping,
+  matchTransactions,
+  mt940Transactions,
+  normalizeIban,
+  paymentFromTransaction,
+  parseCsv,
+} from "./lib/bankImport.js";
+
+const btnSecondary =
+  "px-3 py-2 rounded-xl bg-white border border-neutral-200 shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition";
+const btnPrimary =
+  "px-3 py-2 rounded-xl bg-neutral-900 text-white border border-neutral-900 shadow-sm hover:bg-neutral-800 active:translate-y-[1px] transition disabled:opacity-40";
+const cellInput = "px-2 py-1 rounded-xl border border-neutral-200 bg-white";
+const btnSmall = "px-2 py-1 rounded-lg bg-white border border-neutral-200 text-xs hover:bg-neutral-50 disabled:opacity-40";
+
+const FORMAT_LABELS = { csv: "CSV", camt: "CAMT.053", mt940: "MT940" };
+
+const STATUS_LABELS = {
+  matched: "Match found",
+  unmatched: "No match",
+  imported: "Already imported",
+  incoming: "Incoming – skipped",
+};
+
+const unitName = (u) => u?.label || u?.address || "Unnamed unit";
+
+function RulesEditor({ rules, units }) {
+  const save = (list) => updateSettings({ bankRules: list });
+  const change = (id, patch) => save(rules.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+
+  return (
+    <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold">Matching rules</div>
+        <button className={btnSecondary} onClick={() => save([...rules, makeBankRule({ unitId: units[0]?.id || "" })])}>
+          + Rule
+        </button>
+      </div>
+      <div className="text-xs text-neutral-500">
+        A transaction from the IBAN and/or with the text in its name or reference is matched to the unit&apos;s cost
+        rows first. The tolerance allows small differences to the amount outstanding.
+      </div>
+      {rules.length === 0 ? (
+        <div className="mt-2 text-sm text-neutral-500">
+          No rules yet: matches rely on amount and month only. Add one per landlord or supplier account.
+        </div>
+      ) : (
+        <table className="mt-2 w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-neutral-500">
+              <th className="py-1 pr-2 font-normal">Name</th>
+              <th className="py-1 pr-2 font-normal">IBAN</th>
+              <th className="py-1 pr-2 font-normal">Text contains</th>
+              <th className="py-1 pr-2 font-normal">Unit</th>
+              <th className="py-1 pr-2 font-normal">Tolerance</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map((r) => (
+              <tr key={r.id} className="border-b last:border-b-0">
+                <td className="py-1 pr-2">
+                  <input
+                    className={`${cellInput} w-full`}
+                    placeholder="Landlord"
+                    value={r.label}
+                    onChange={(e) => change(r.id, { label: e.target.value })}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    className={`${cellInput} w-full font-mono`}
+                    placeholder="DE…"
+                    value={r.iban}
+                    onChange={(e) => change(r.id, { iban: normalizeIban(e.target.value) })}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    className={`${cellInput} w-full`}
+                    placeholder="Miete"
+                    value={r.text}
+                    onChange={(e) => change(r.id, { text: e.target.value })}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <select
+                    className={cellInput}
+                    value={r.unitId}
+                    onChange={(e) => change(r.id, { unitId: e.target.value })}
+                  >
+                    <option value="">Any unit</option>
+                    {units.map((u) => (
+                      <option key={u.id} value={u.id}>
+                        {unitName(u)}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    className={`${cellInput} w-20`}
+                    value={r.tolerance}
+                    onChange={(e) => change(r.id, { tolerance: toNum(e.target.value, 0) })}
+                  />
+                </td>
+                <td className="py-1 text-right">
+                  <button className={btnSmall} onClick={() => save(rules.filter((x) => x.id !== r.id))}>
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/** Props: units, costs (all units' cost rows), settings (shared settings), activeUnitId. */
+export default function BankImport({ units, costs, settings, activeUnitId }) {
+  const fileRef = useRef(null);
+  const [file, setFile] = useState(null); // { name, format, csv?, transactions }
+  const [mapping, setMapping] = useState(null);
+  const [choices, setChoices] = useState({}); // { [txId]: { rowId, confirmed } } overriding the suggestions
+  const [error, setError] = useState("");
+  const [recorded, setRecorded] = useState(0);
+  const rules = useMemo(() => settings.bankRules || [], [settings.bankRules]);
+
+  const transactions = useMemo(() => {
+    if (!file) return [];
+    return file.format === "csv" ? (mapping ? csvTransactions(file.csv, mapping) : []) : file.transactions;
+  }, [file, mapping]);
+
+  const review = useMemo(
+    () => matchTransactions(transactions, { costs, rules, settings, units }),
+    [transactions, costs, rules, settings, units]
+  );
+  const items = review.map((item) => ({ ...item, ...choices[item.tx.id] }));
+  const toRecord = items.filter((x) => x.confirmed && x.rowId && (x.status === "matched" || x.status === "unmatched"));
+
+  const rowById = useMemo(() => new Map(costs.map((r) => [r.id, r])), [costs]);
+  const unitById = useMemo(() => new Map(units.map((u) => [u.id, u])), [units]);
+  // Rows a transaction can be assigned to by hand: everything with money outstanding, active unit first
+  const openRows = useMemo(
+    () =>
+      costs
+        .filter((r) => toNum(r.outstanding) > 0)
+        .sort(
+          (a, b) =>
+            (a.unitId === activeUnitId ? 0 : 1) - (b.unitId === activeUnitId ? 0 : 1) ||
+            String(a.unitId).localeCompare(String(b.unitId)) ||
+            String(b.month).localeCompare(String(a.month))
+        ),
+    [costs, activeUnitId]
+  );
+
+  const rowLabel = (row) =>
+    `${units.length > 1 ? `${unitName(unitById.get(row.unitId))} · ` : ""}${row.month || "no month"} · ` +
+    `${moneyFmt(row.outstanding, rowCurrency(row, settings))} open`;
+
+  async function readFile(picked) {
+    if (!picked) return;
+    setError("");
+    setRecorded(0);
+    setChoices({});
+    try {
+      const text = await picked.text();
+      const format = detectFormat(text);
+      if (format === "csv") {
+        const csv = parseCsv(text);
+        if (!csv.headers.length) throw new Error("No table found in the file.");
+        setMapping(settings.bankCsvMappings?.[csvSignature(csv.headers)] || guessCsvMapping(csv.headers));
+        setFile({ name: picked.name, format, csv });
+      } else {
+        const list = format === "camt" ? camtTransactions(text) : mt940Transactions(text);
+        if (!list.length) throw new Error("The statement contains no transactions.");
+        setMapping(null);
+        setFile({ name: picked.name, format, transactions: list });
+      }
+    } catch (e) {
+      setFile(null);
+      setError(e?.message || "The file could not be read.");
+    }
+  }
+
+  function changeMapping(field, index) {
+    const next = { ...mapping, [field]: index };
+    setMapping(next);
+    setChoices({});
+    updateSettings({ bankCsvMappings: { ...settings.bankCsvMappings, [csvSignature(file.csv.headers)]: next } });
+  }
+
+  const choose = (txId, patch) => setChoices((c) => ({ ...c, [txId]: { ...c[txId], ...patch } }));
+
+  function ruleFrom(tx) {
+    const row = rowById.get(items.find((x) => x.tx.id === tx.id)?.rowId);
+    const rule = makeBankRule({
+      label: tx.name,
+      iban: tx.iban,
+      text: tx.iban ? "" : tx.name,
+      unitId: row?.unitId || activeUnitId || "",
+    });
+    updateSettings({ bankRules: [...rules, rule] });
+  }
+
+  function recordPayments() {
+    const byRow = new Map();
+    for (const x of toRecord) {
+      byRow.set(x.rowId, [...(byRow.get(x.rowId) || []), makePayment(paymentFromTransaction(x.tx))]);
+    }
+    // One undo step for the whole import; recalcCostRow sets paid once nothing is outstanding
+    update(
+      (prev) => ({
+        ...prev,
+        costs: prev.costs.map((r) =>
+          byRow.has(r.id) ? recalcCostRow({ ...r, payments: [...(r.payments || []), ...byRow.get(r.id)] }) : r
+        ),
+      }),
+      "Import bank payments"
+    );
+    setRecorded(toRecord.length);
+    setChoices({});
+  }
+
+  const counts = items.reduce((acc, x) => ({ ...acc, [x.status]: (acc[x.status] || 0) + 1 }), {});
+
+  return (
+    <div className="space-y-3">
+      <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div>
+            <div className="text-sm font-semibold">Bank statement</div>
+            <div className="text-xs text-neutral-500">
+              CSV export, CAMT.053 (XML) or MT940 from online banking. The file is read on this device and not kept.
+            </div>
+          </div>
+          <button className={btnSecondary} onClick={() => fileRef.current?.click()}>
+            {file ? "Other file" : "Choose file"}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".csv,.txt,.xml,.sta,.mt940,text/csv,text/plain,application/xml,text/xml"
+            className="hidden"
+            onChange={(e) => {
+              readFile(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+        </div>
+        {error ? <div className="mt-2 text-sm text-red-700">{error}</div> : null}
+        {file ? (
+          <div className="mt-2 text-sm text-neutral-700">
+            {file.name} · {FORMAT_LABELS[file.format]} · {transactions.length} transaction
+            {transactions.length === 1 ? "" : "s"}
+            {counts.matched ? ` · ${counts.matched} matched` : ""}
+            {counts.imported ? ` · ${counts.imported} already imported` : ""}
+          </div>
+        ) : null}
+        {recorded ? (
+          <div className="mt-2 rounded-xl border border-lime-200 bg-lime-50 p-2 text-sm text-lime-900">
+            {recorded} payment{recorded === 1 ? "" : "s"} recorded. Undo reverts the whole import.
+          </div>
+        ) : null}
+
+        {file?.format === "csv" && mapping ? (
+          <div className="mt-3 grid grid-cols-2 md:grid-cols-3 gap-2 text-sm">
+            {CSV_FIELDS.map((f) => (
+              <label key={f.id} className="block">
+                <span className="text-xs text-neutral-600">{f.label}</span>
+                <select
+                  className={`${cellInput} w-full mt-1`}
+                  value={mapping[f.id] ?? -1}
+                  onChange={(e) => changeMapping(f.id, Number(e.target.value))}
+                >
+                  <option value={-1}>—</option>
+                  {file.csv.headers.map((h, i) => (
+                    <option key={i} value={i}>
+                      {h || `Column ${i + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            {mapping.date < 0 || mapping.amount < 0 ? (
+              <div className="col-span-full text-xs text-amber-800">Map at least the booking date and the amount.</div>
+            ) : null}
+          </div>
+        ) : null}
+      </div>
+
+      {items.length ? (
+        <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div>
+              <div className="text-sm font-semibold">Review matches</div>
+              <div className="text-xs text-neutral-500">
+                Tick the transactions to record. Each becomes a bank transfer payment on the chosen cost row.
+              </div>
+            </div>
+            <button className={btnPrimary} disabled={!toRecord.length} onClick={recordPayments}>
+              Record {toRecord.length} payment{toRecord.length === 1 ? "" : "s"}
+            </button>
+          </div>
+          <div className="mt-2 overflow-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-neutral-500 border-b">
+                  <th className="py-2 pr-2 font-normal" />
+                  <th className="py-2 pr-2 font-normal">Date</th>
+                  <th className="py-2 pr-2 font-normal">Counterparty / reference</th>
+                  <th className="py-2 pr-2 font-normal text-right">Amount</th>
+                  <th className="py-2 pr-2 font-normal">Cost row</th>
+                  <th className="py-2 font-normal">Why</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((x) => {
+                  const open = x.status === "matched" || x.status === "unmatched";
+                  const row = rowById.get(x.rowId);
+                  return (
+                    <tr
+                      key={x.tx.id}
+                      className={"border-b last:border-b-0 align-top " + (open ? "" : "text-neutral-400")}
+                    >
+                      <td className="py-2 pr-2">
+                        <input
+                          type="checkbox"
+                          disabled={!open || !x.rowId}
+                          checked={!!(open && x.rowId && x.confirmed)}
+                          onChange={(e) => choose(x.tx.id, { confirmed: e.target.checked })}
+                        />
+                      </td>
+                      <td className="py-2 pr-2 whitespace-nowrap">{x.tx.date}</td>
+                      <td className="py-2 pr-2">
+                        <div>{x.tx.name || "—"}</div>
+                        <div className="text-xs text-neutral-500">{x.tx.reference}</div>
+                        {x.tx.iban ? <div className="text-xs text-neutral-400 font-mono">{x.tx.iban}</div> : null}
+                      </td>
+                      <td className="py-2 pr-2 text-right whitespace-nowrap">
+                        {moneyFmt(x.tx.amount, x.tx.currency || settings.currency)}
+                      </td>
+                      <td className="py-2 pr-2">
+                        {open ? (
+                          <select
+                            className={`${cellInput} max-w-[16rem]`}
+                            value={x.rowId || ""}
+                            onChange={(e) => choose(x.tx.id, { rowId: e.target.value, confirmed: !!e.target.value })}
+                          >
+                            <option value="">— not a cost payment —</option>
+                            {row && !openRows.includes(row) ? <option value={row.id}>{rowLabel(row)}</option> : null}
+                            {openRows.map((r) => (
+                              <option key={r.id} value={r.id}>
+                                {rowLabel(r)}
+                              </option>
+                            ))}
+                          </select>
+                        ) : (
+                          STATUS_LABELS[x.status]
+                        )}
+                      </td>
+                      <td className="py-2 text-xs text-neutral-600">
+                        {open ? (
+                          <>
+                            <div>{x.reasons?.length ? x.reasons.join(", ") : STATUS_LABELS[x.status]}</div>
+                            {x.status === "unmatched" && (x.tx.iban || x.tx.name) ? (
+                              <button className={`${btnSmall} mt-1`} onClick={() => ruleFrom(x.tx)}>
+                                Rule from this
+                              </button>
+                            ) : null}
+                          </>
+                        ) : null}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ) : null}
+
+      <RulesEditor rules={rules} units={units} />
+    </div>
+  );
+}
@@ -0,0 +1,337 @@
+// RentIt cost charts — plain SVG (no chart library): stacked monthly breakdown, year-over-year totals,
+// electricity trend and paid vs outstanding. Each chart can be saved as SVG or PNG for the printed report.
+// Data comes from ./lib/costCharts.js; colours are hex values so exported files look the same.
+
+import React, { useMemo, useRef, useState } from "react";
+import { monthlySeries, niceMax, yearOverYear } from "./lib/costCharts.js";
+import { moneyFmt } from "./lib/currency.js";
+
+const btnSmall = "px-2 py-1 rounded-lg bg-white border border-neutral-200 text-xs hover:bg-neutral-50";
+
+const W = 640;
+const H = 220;
+const PAD = { left: 52, right: 12, top: 12, bottom: 28 };
+const PLOT_W = W - PAD.left - PAD.right;
+const PLOT_H = H - PAD.top - PAD.bottom;
+
+const YEAR_COLORS = ["#a3a3a3", "#3b82f6", "#10b981", "#f59e0b", "#ec4899"];
+const PAID_COLOR = "#10b981";
+const OPEN_COLOR = "#ef4444";
+// The newest year gets the last colour; older years fall back to grey
+const yearColor = (i, count) => YEAR_COLORS[Math.max(0, YEAR_COLORS.length - count + i) % YEAR_COLORS.length];
+const MONTH_LABELS = ["J", "F", "M", "A", "M", "J", "J", "A", "S", "O", "N", "D"];
+
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function svgSource(svg) {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", String(W));
+  clone.setAttribute("height", String(H));
+  return new XMLSerializer().serializeToString(clone);
+}
+
+function exportSvg(svg, name) {
+  downloadBlob(`${name}.svg`, new Blob([svgSource(svg)], { type: "image/svg+xml" }));
+}
+
+// Draws the SVG on a white canvas at twice the size (sharp enough for print)
+function exportPng(svg, name) {
+  const img = new Image();
+  const url = URL.createObjectURL(new Blob([svgSource(svg)], { type: "image/svg+xml" }));
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = W * 2;
+    canvas.height = H * 2;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => blob && downloadBlob(`${name}.png`, blob), "image/png");
+  };
+  img.onerror = () => URL.revokeObjectURL(url);
+  img.src = url;
+}
+
+/** Chart frame: y grid with labels, x labels for every n-th slot. */
+function Axes({ max, labels, every = 1 }) {
+  const ticks = [0, 0.25, 0.5, 0.75, 1];
+  const slot = PLOT_W / Math.max(1, labels.length);
+  return (
+    <g fontSize="10" fill="#737373">
+      {ticks.map((t) => {
+        const y = PAD.top + PLOT_H * (1 - t);
+        return (
+          <g key={t}>
+            <line x1={PAD.left} x2={W - PAD.right} y1={y} y2={y} stroke="#e5e5e5" />
+            <text x={PAD.left - 6} y={y + 3} textAnchor="end">
+              {Math.round(max * t)}
+            </text>
+          </g>
+        );
+      })}
+      {labels.map((label, i) =>
+        i % every === 0 ? (
+          <text key={i} x={PAD.left + slot * (i + 0.5)} y={H - 10} textAnchor="middle">
+            {label}
+          </text>
+        ) : null
+      )}
+    </g>
+  );
+}
+
+// Month labels: "03/26", thinned out so they do not overlap
+const monthLabel = (month) => `${month.slice(5)}/${month.slice(2, 4)}`;
+const labelEvery = (n) => Math.max(1, Math.ceil(n / 12));
+
+function StackedBars({ series, keys, colors, names, currency, svgRef }) {
+  const max = niceMax(Math.max(0, ...series.map((m) => keys.reduce((s, k) => s + (m[k] || 0), 0))));
+  const slot = PLOT_W / Math.max(1, series.length);
+  const barW = Math.max(2, slot * 0.7);
+  return (
+    <svg ref={svgRef} viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" fontFamily="sans-serif">
+      <Axes max={max} labels={series.map((m) => monthLabel(m.month))} every={labelEvery(series.length)} />
+      {series.map((m, i) => {
+        let y = PAD.top + PLOT_H;
+        const x = PAD.left + slot * i + (slot - barW) / 2;
+        return (
+          <g key={m.month}>
+            {keys.map((k) => {
+              const h = ((m[k] || 0) / max) * PLOT_H;
+              if (h <= 0) return null;
+              y -= h;
+              return (
+                <rect key={k} x={x} y={y} width={barW} height={h} fill={colors[k]}>
+                  <title>{`${m.month} · ${names[k] || k}: ${moneyFmt(m[k], currency)}`}</title>
+                </rect>
+              );
+            })}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function Lines({ lines, labels, currency, svgRef }) {
+  const values = lines.flatMap((l) => l.values).filter((v) => v !== null);
+  const max = niceMax(Math.max(0, ...values));
+  const slot = PLOT_W / Math.max(1, labels.length);
+  const point = (v, i) => [PAD.left + slot * (i + 0.5), PAD.top + PLOT_H * (1 - v / max)];
+  return (
+    <svg ref={svgRef} viewBox={`0 0 ${W} ${H}`} className="w-full h-auto" role="img" fontFamily="sans-serif">
+      <Axes max={max} labels={labels} every={labelEvery(labels.length)} />
+      {lines.map((line) => {
+        // Gaps (months without a row) split the line into segments
+        const segments = [];
+        let current = [];
+        line.values.forEach((v, i) => {
+          if (v === null) {
+            if (current.length) segments.push(current);
+            current = [];
+          } else current.push(point(v, i));
+        });
+        if (current.length) segments.push(current);
+        return (
+          <g key={line.id}>
+            {segments.map((seg, j) => (
+              <polyline
+                key={j}
+                points={seg.map((p) => p.join(",")).join(" ")}
+                fill="none"
+                stroke={line.color}
+                strokeWidth="2"
+              />
+            ))}
+            {line.values.map((v, i) =>
+              v === null ? null : (
+                <circle key={i} cx={point(v, i)[0]} cy={point(v, i)[1]} r="3" fill={line.color}>
+                  <title>{`${line.label} ${labels[i]}: ${moneyFmt(v, currency)}`}</title>
+                </circle>
+              )
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function Legend({ items, hidden, onToggle }) {
+  return (
+    <div className="mt-1 flex flex-wrap gap-x-3 gap-y-1 text-xs">
+      {items.map((item) => (
+        <button
+          key={item.id}
+          type="button"
+          className={"inline-flex items-center gap-1 " + (hidden?.has(item.id) ? "opacity-40 line-through" : "")}
+          onClick={onToggle ? () => onToggle(item.id) : undefined}
+          disabled={!onToggle}
+        >
+          <span className="inline-block w-3 h-3 rounded-sm" style={{ background: item.color }} />
+          {item.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function ChartCard({ title, subtitle, fileName, svgRef, exportable, children }) {
+  return (
+    <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div>
+          <div className="font-semibold text-sm">{title}</div>
+          {subtitle ? <div className="text-xs text-neutral-500">{subtitle}</div> : null}
+        </div>
+        {exportable ? (
+          <div className="flex gap-1 print:hidden">
+            <button className={btnSmall} onClick={() => svgRef.current && exportSvg(svgRef.current, fileName)}>
+              SVG
+            </button>
+            <button className={btnSmall} onClick={() => svgRef.current && exportPng(svgRef.current, fileName)}>
+              PNG
+            </button>
+          </div>
+        ) : null}
+      </div>
+      <div className="mt-2">{children}</div>
+    </div>
+  );
+}
+
+/**
+ * Props: rows (the unit's cost rows in the base currency), range ({ from, to } months), categories (cost
+ * categories to chart, in order), currency, fileBase (prefix for exported files), exportable (false in the report).
+ */
+export default function CostCharts({ rows, range, categories, currency, fileBase = "rentit", exportable = true }) {
+  const [hidden, setHidden] = useState(() => new Set());
+  const stackedRef = useRef(null);
+  const yearRef = useRef(null);
+  const electricityRef = useRef(null);
+  const paidRef = useRef(null);
+
+  const series = useMemo(() => monthlySeries(rows, range), [rows, range]);
+  const years = useMemo(() => yearOverYear(rows, range), [rows, range]);
+  const keys = categories.map((c) => c.id).filter((k) => !hidden.has(k));
+  const colors = Object.fromEntries(categories.map((c) => [c.id, c.color]));
+  const labels = Object.fromEntries(categories.map((c) => [c.id, c.label]));
+  const period = `${range.from} – ${range.to}`;
+  const name = (chart) => `${fileBase}-${chart}-${range.from}-${range.to}`;
+
+  function toggle(key) {
+    setHidden((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+      <ChartCard
+        title="Monthly costs by category"
+        subtitle={`${period} · click a category to hide it`}
+        fileName={name("breakdown")}
+        svgRef={stackedRef}
+        exportable={exportable}
+      >
+        <StackedBars
+          series={series}
+          keys={keys}
+          colors={colors}
+          names={labels}
+          currency={currency}
+          svgRef={stackedRef}
+        />
+        <Legend
+          items={categories.map((c) => ({ id: c.id, label: c.label, color: c.color }))}
+          hidden={hidden}
+          onToggle={exportable ? toggle : null}
+        />
+      </ChartCard>
+
+      <ChartCard
+        title="Year over year"
+        subtitle="Monthly totals per calendar year"
+        fileName={name("year-over-year")}
+        svgRef={yearRef}
+        exportable={exportable}
+      >
+        <Lines
+          lines={years.map((y, i) => ({
+            id: y.year,
+            label: y.year,
+            color: yearColor(i, years.length),
+            values: y.totals,
+          }))}
+          labels={MONTH_LABELS}
+          currency={currency}
+          svgRef={yearRef}
+        />
+        <Legend
+          items={years.map((y, i) => ({
+            id: y.year,
+            label: y.year,
+            color: yearColor(i, years.length),
+          }))}
+        />
+      </ChartCard>
+
+      <ChartCard
+        title="Electricity"
+        subtitle={period}
+        fileName={name("electricity")}
+        svgRef={electricityRef}
+        exportable={exportable}
+      >
+        <Lines
+          lines={[
+            {
+              id: "electricity",
+              label: labels.electricity || "Electricity",
+              color: colors.electricity || "#f59e0b",
+              values: series.map((m) => (m.total ? m.electricity : null)),
+            },
+          ]}
+          labels={series.map((m) => monthLabel(m.month))}
+          currency={currency}
+          svgRef={electricityRef}
+        />
+      </ChartCard>
+
+      <ChartCard
+        title="Paid vs outstanding"
+        subtitle={period}
+        fileName={name("payments")}
+        svgRef={paidRef}
+        exportable={exportable}
+      >
+        <StackedBars
+          series={series}
+          keys={["paid", "outstanding"]}
+          colors={{ paid: PAID_COLOR, outstanding: OPEN_COLOR }}
+          names={{ paid: "Paid", outstanding: "Outstanding" }}
+          currency={currency}
+          svgRef={paidRef}
+        />
+        <Legend
+          items={[
+            { id: "paid", label: "Paid", color: PAID_COLOR },
+            { id: "outstanding", label: "Outstanding", color: OPEN_COLOR },
+          ]}
+        />
+      </ChartCard>
+    </div>
+  );
+}
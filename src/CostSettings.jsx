@@ -0,0 +1,192 @@
+// RentIt cost settings (Costs tab): the cost categories (add, rename, archive, reorder) and the exchange rates
+// that convert cost rows kept in another currency into the base currency (./lib/currency.js).
+// Both live in the shared settings, so they apply to every unit and travel with exports.
+
+import React, { useState } from "react";
+import { makeCategory, makeExchangeRate, toNum } from "./lib/schema.js";
+import { updateSettings } from "./lib/store.js";
+import { CURRENCY_CODES, isCurrencyCode } from "./lib/currency.js";
+
+const btnSecondary =
+  "px-3 py-2 rounded-xl bg-white border border-neutral-200 shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition";
+const cellInput = "px-2 py-1 rounded-xl border border-neutral-200 bg-white";
+const btnSmall = "px-2 py-1 rounded-lg bg-white border border-neutral-200 text-xs hover:bg-neutral-50 disabled:opacity-40";
+
+// Stored without the derived builtIn flag (costCategories adds it back)
+const stored = (list) => list.map(({ id, label, color, archived }) => ({ id, label, color, archived: !!archived }));
+
+/** Props: settings (shared settings), categories (costCategories(settings)), usage ({ [categoryId]: rows }). */
+export default function CostSettings({ settings, categories, usage }) {
+  const [newLabel, setNewLabel] = useState("");
+  const rates = settings.exchangeRates || [];
+  const base = settings.currency;
+
+  function saveCategories(list) {
+    updateSettings({ categories: stored(list) });
+  }
+
+  function changeCategory(id, patch) {
+    saveCategories(categories.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+  }
+
+  function moveCategory(index, delta) {
+    const list = [...categories];
+    const [item] = list.splice(index, 1);
+    list.splice(index + delta, 0, item);
+    saveCategories(list);
+  }
+
+  function addCategory() {
+    const label = newLabel.trim();
+    if (!label) return;
+    saveCategories([...categories, makeCategory({ label })]);
+    setNewLabel("");
+  }
+
+  function saveRates(list) {
+    updateSettings({ exchangeRates: list });
+  }
+
+  const changeRate = (id, patch) => saveRates(rates.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+        <div className="text-sm font-semibold">Cost categories</div>
+        <div className="text-xs text-neutral-500">
+          Archived categories disappear from new entries; amounts already recorded still count in the totals.
+        </div>
+        <table className="mt-2 w-full text-sm">
+          <tbody>
+            {categories.map((c, i) => (
+              <tr key={c.id} className={"border-b last:border-b-0 " + (c.archived ? "text-neutral-400" : "")}>
+                <td className="py-1 pr-2">
+                  <input
+                    type="color"
+                    className="h-7 w-8 rounded border border-neutral-200"
+                    value={c.color}
+                    onChange={(e) => changeCategory(c.id, { color: e.target.value })}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    className={`${cellInput} w-full`}
+                    value={c.label}
+                    onChange={(e) => changeCategory(c.id, { label: e.target.value })}
+                  />
+                </td>
+                <td className="py-1 pr-2 text-xs text-neutral-500 whitespace-nowrap">
+                  {c.builtIn ? "built-in" : ""}
+                  {usage[c.id] ? ` · ${usage[c.id]} row${usage[c.id] === 1 ? "" : "s"}` : ""}
+                </td>
+                <td className="py-1 text-right whitespace-nowrap">
+                  <button className={btnSmall} disabled={i === 0} onClick={() => moveCategory(i, -1)} title="Move up">
+                    ↑
+                  </button>{" "}
+                  <button
+                    className={btnSmall}
+                    disabled={i === categories.length - 1}
+                    onClick={() => moveCategory(i, 1)}
+                    title="Move down"
+                  >
+                    ↓
+                  </button>{" "}
+                  <button className={btnSmall} onClick={() => changeCategory(c.id, { archived: !c.archived })}>
+                    {c.archived ? "Restore" : "Archive"}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-2 flex gap-2">
+          <input
+            className={`${cellInput} flex-1`}
+            placeholder="New category (e.g. Cleaning)"
+            value={newLabel}
+            onChange={(e) => setNewLabel(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && addCategory()}
+          />
+          <button className={btnSecondary} onClick={addCategory} disabled={!newLabel.trim()}>
+            + Category
+          </button>
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+        <div className="flex items-center justify-between gap-2">
+          <div className="text-sm font-semibold">Exchange rates</div>
+          <button className={btnSecondary} onClick={() => saveRates([...rates, makeExchangeRate()])}>
+            + Rate
+          </button>
+        </div>
+        <div className="text-xs text-neutral-500">
+          For cost rows in another currency: how much 1 unit is worth in {base || "the base currency"}. Totals, charts
+          and the report convert with these rates.
+        </div>
+        {rates.length === 0 ? (
+          <div className="mt-2 text-sm text-neutral-500">No exchange rates; every row is in {base}.</div>
+        ) : (
+          <table className="mt-2 w-full text-sm">
+            <tbody>
+              {rates.map((r) => {
+                const invalid = r.currency && !isCurrencyCode(r.currency);
+                const duplicate = rates.some((x) => x.id !== r.id && x.currency && x.currency === r.currency);
+                return (
+                  <tr key={r.id} className="border-b last:border-b-0 align-top">
+                    <td className="py-1 pr-2 whitespace-nowrap">
+                      1{" "}
+                      <input
+                        className={`${cellInput} w-20 uppercase`}
+                        list="currency-codes"
+                        placeholder="USD"
+                        value={r.currency}
+                        onChange={(e) => changeRate(r.id, { currency: e.target.value.toUpperCase().trim() })}
+                      />
+                      {invalid ? <div className="text-xs text-red-700">Not an ISO 4217 code</div> : null}
+                      {duplicate ? <div className="text-xs text-red-700">Listed twice</div> : null}
+                      {r.currency && r.currency === base ? (
+                        <div className="text-xs text-amber-800">This is the base currency</div>
+                      ) : null}
+                    </td>
+                    <td className="py-1 pr-2 whitespace-nowrap">
+                      ={" "}
+                      <input
+                        type="number"
+                        step="0.0001"
+                        min="0"
+                        className={`${cellInput} w-28`}
+                        value={r.rate}
+                        onChange={(e) => changeRate(r.id, { rate: toNum(e.target.value, 0) })}
+                      />{" "}
+                      {base}
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="date"
+                        className={cellInput}
+                        title="Rate as of"
+                        value={r.date}
+                        onChange={(e) => changeRate(r.id, { date: e.target.value })}
+                      />
+                    </td>
+                    <td className="py-1 text-right">
+                      <button className={btnSmall} onClick={() => saveRates(rates.filter((x) => x.id !== r.id))}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+        <datalist id="currency-codes">
+          {CURRENCY_CODES.map((code) => (
+            <option key={code} value={code} />
+          ))}
+        </datalist>
+      </div>
+    </div>
+  );
+}
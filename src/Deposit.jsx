@@ -0,0 +1,443 @@
+// RentIt "Deposit" tab — the deposit ledger of a unit: how the deposit was paid, the interest it earned from
+// the savings rates, and its return after move-out with the landlord's deductions and retention period.
+// Once the retention period has passed, a demand letter goes to the unit's case file (./lib/deposit.js).
+
+import React, { useMemo, useState } from "react";
+import {
+  makeCase,
+  makeDeduction,
+  makeDeposit,
+  makeDepositPayment,
+  makeLetter,
+  makeSavingsRate,
+  round2,
+  toNum,
+} from "./lib/schema.js";
+import { addRecord, patchRecord, update } from "./lib/store.js";
+import {
+  DEDUCTION_KINDS,
+  DEPOSIT_FORMS,
+  DEPOSIT_LETTER_NAME,
+  DEFAULT_RETENTION_MONTHS,
+  depositDemandLetter,
+  depositStatus,
+  instalmentPlan,
+} from "./lib/deposit.js";
+import { moneyFmt } from "./lib/currency.js";
+
+const btnSecondary =
+  "px-3 py-2 rounded-xl bg-white border border-neutral-200 shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition";
+const btnPrimary =
+  "px-3 py-2 rounded-xl bg-neutral-900 text-white border border-neutral-900 shadow-sm hover:bg-neutral-800 active:translate-y-[1px] transition";
+const inputBase =
+  "w-full mt-1 px-3 py-2 rounded-xl border border-neutral-200 bg-white focus:outline-none focus:ring-2 focus:ring-lime-400/25 focus:border-neutral-300";
+const cellInput = "px-2 py-1 rounded-xl border border-neutral-200 bg-white";
+
+const FLAG_TONES = {
+  error: "border-red-200 bg-red-50 text-red-800",
+  warning: "border-amber-200 bg-amber-50 text-amber-900",
+  info: "border-neutral-200 bg-neutral-50 text-neutral-700",
+};
+
+// Dated amounts (instalments paid, amounts returned)
+function PaymentTable({ title, rows, emptyText, onAdd, onChange, onRemove }) {
+  return (
+    <div>
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm font-semibold">{title}</div>
+        <button className={btnSecondary} onClick={onAdd}>
+          + Add
+        </button>
+      </div>
+      {rows.length === 0 ? (
+        <div className="mt-2 text-sm text-neutral-500">{emptyText}</div>
+      ) : (
+        <table className="mt-2 w-full text-sm">
+          <tbody>
+            {rows.map((p) => (
+              <tr key={p.id} className="border-b last:border-b-0">
+                <td className="py-1 pr-2">
+                  <input
+                    type="date"
+                    className={cellInput}
+                    value={p.date}
+                    onChange={(e) => onChange(p.id, { date: e.target.value })}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    type="number"
+                    step="0.01"
+                    className={`${cellInput} w-28`}
+                    value={p.amount}
+                    onChange={(e) => onChange(p.id, { amount: toNum(e.target.value, 0) })}
+                  />
+                </td>
+                <td className="py-1 pr-2">
+                  <input
+                    className={`${cellInput} w-full`}
+                    placeholder="Note"
+                    value={p.note}
+                    onChange={(e) => onChange(p.id, { note: e.target.value })}
+                  />
+                </td>
+                <td className="py-1 text-right">
+                  <button className={btnSecondary} onClick={() => onRemove(p.id)}>
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Props: unit (active unit), deposit (its ledger or null), cases (the unit's cases), currency,
+ * template (the deposit_demand letter template, see ./lib/letterTemplates.js), language (of new letters).
+ */
+export default function Deposit({ unit, deposit, cases, currency, template, language }) {
+  const [notice, setNotice] = useState("");
+  const status = useMemo(() => (deposit ? depositStatus(deposit, unit) : null), [deposit, unit]);
+  const plan = useMemo(() => instalmentPlan(unit), [unit]);
+
+  if (!deposit) {
+    return (
+      <div>
+        <div className="font-semibold">Deposit</div>
+        <div className="text-sm text-neutral-600">
+          Track how the deposit ({moneyFmt(toNum(unit.deposit), currency)} agreed) was paid, the interest it earns and
+          its return after you move out.
+        </div>
+        <button className={`${btnPrimary} mt-3`} onClick={() => addRecord("deposits", makeDeposit(unit.id))}>
+          Set up deposit ledger
+        </button>
+      </div>
+    );
+  }
+
+  function updateDeposit(patch) {
+    patchRecord("deposits", deposit.id, patch);
+  }
+
+  function updateList(key, fn) {
+    patchRecord("deposits", deposit.id, (d) => ({ ...d, [key]: fn(d[key] || []) }));
+  }
+
+  const listHandlers = (key, make) => ({
+    onAdd: () => updateList(key, (list) => [...list, make()]),
+    onChange: (id, patch) => updateList(key, (list) => list.map((x) => (x.id === id ? { ...x, ...patch } : x))),
+    onRemove: (id) => updateList(key, (list) => list.filter((x) => x.id !== id)),
+  });
+
+  function addPlannedInstalments() {
+    updateList("instalments", (list) => [
+      ...list,
+      ...plan.map((p, i) => makeDepositPayment({ date: p.due, amount: p.amount, note: `Instalment ${i + 1} of 3` })),
+    ]);
+  }
+
+  // The letter goes to the unit's newest case; without one a "Deposit return" case is created (one undo step)
+  function createDemandLetter() {
+    const built = depositDemandLetter({
+      c: { address: unit.address, landlordName: unit.landlordName, tenantName: unit.tenantName },
+      deposit,
+      status,
+      template,
+    });
+    const existing = [...cases].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))[0];
+    const target = existing || makeCase(unit.id, { title: "Deposit return" });
+    const letter = makeLetter(target.id, {
+      type: "deposit_demand",
+      templateVersion: template?.version || 0,
+      language: language || "de",
+      title: template?.name || DEPOSIT_LETTER_NAME,
+      ...built,
+    });
+    update(
+      (prev) => ({
+        ...prev,
+        cases: existing ? prev.cases : [...prev.cases, target],
+        letters: [...prev.letters, letter],
+      }),
+      "Create deposit demand letter"
+    );
+    setNotice(`Demand letter added to the case "${target.title}" — open it in the Case File under Letters.`);
+  }
+
+  const interestForm = status.form.interest;
+
+  return (
+    <div>
+      <div>
+        <div className="font-semibold">Deposit</div>
+        <div className="text-sm text-neutral-600">
+          Agreed: {moneyFmt(status.agreed, currency)} (set on the Unit tab) · paid {moneyFmt(status.paid, currency)}
+        </div>
+      </div>
+
+      <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-2">
+        <label className="text-sm">
+          <div className="text-neutral-600">Paid as</div>
+          <select className={inputBase} value={deposit.form} onChange={(e) => updateDeposit({ form: e.target.value })}>
+            {DEPOSIT_FORMS.map((f) => (
+              <option key={f.id} value={f.id}>
+                {f.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm">
+          <div className="text-neutral-600">{interestForm ? "Bank" : "Guarantor / insurer"}</div>
+          <input className={inputBase} value={deposit.bank} onChange={(e) => updateDeposit({ bank: e.target.value })} />
+        </label>
+        <label className="text-sm">
+          <div className="text-neutral-600">{interestForm ? "Account / reference" : "Certificate / policy no."}</div>
+          <input
+            className={inputBase}
+            value={deposit.accountRef}
+            onChange={(e) => updateDeposit({ accountRef: e.target.value })}
+          />
+        </label>
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+          <PaymentTable
+            title="Instalments paid"
+            rows={deposit.instalments || []}
+            emptyText="No payments recorded yet."
+            {...listHandlers("instalments", () => makeDepositPayment({ amount: Math.max(0, round2(status.agreed - status.paid)) }))}
+          />
+          {plan.length && !(deposit.instalments || []).length ? (
+            <div className="mt-2 text-xs text-neutral-600">
+              You may pay in three monthly instalments from the start of the tenancy (§ 551 Abs. 2 BGB):{" "}
+              {plan.map((p) => `${p.due} ${moneyFmt(p.amount, currency)}`).join(" · ")}{" "}
+              <button className="underline" onClick={addPlannedInstalments}>
+                Record these
+              </button>
+            </div>
+          ) : null}
+        </div>
+
+        <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+          <div className="flex items-center justify-between gap-2">
+            <div className="text-sm font-semibold">Savings rates</div>
+            <button
+              className={btnSecondary}
+              disabled={!interestForm}
+              onClick={() => updateList("rates", (list) => [...list, makeSavingsRate()])}
+            >
+              + Rate
+            </button>
+          </div>
+          {!interestForm ? (
+            <div className="mt-2 text-sm text-neutral-500">A guarantee or insurance earns no interest.</div>
+          ) : (deposit.rates || []).length === 0 ? (
+            <div className="mt-2 text-sm text-neutral-500">
+              Add the savings rate (3-month notice) with the date it applied from, e.g. from your bank statements.
+            </div>
+          ) : (
+            <table className="mt-2 w-full text-sm">
+              <tbody>
+                {[...deposit.rates]
+                  .sort((a, b) => String(a.from).localeCompare(String(b.from)))
+                  .map((r) => (
+                    <tr key={r.id} className="border-b last:border-b-0">
+                      <td className="py-1 pr-2">
+                        <input
+                          type="date"
+                          className={cellInput}
+                          value={r.from}
+                          onChange={(e) => listHandlers("rates").onChange(r.id, { from: e.target.value })}
+                        />
+                      </td>
+                      <td className="py-1 pr-2 whitespace-nowrap">
+                        <input
+                          type="number"
+                          step="0.01"
+                          className={`${cellInput} w-20`}
+                          value={r.rate}
+                          onChange={(e) => listHandlers("rates").onChange(r.id, { rate: toNum(e.target.value, 0) })}
+                        />{" "}
+                        % p.a.
+                      </td>
+                      <td className="py-1 text-right">
+                        <button className={btnSecondary} onClick={() => listHandlers("rates").onRemove(r.id)}>
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+          )}
+          {status.years.length ? (
+            <div className="mt-2 text-xs text-neutral-600">
+              {status.years.map((y) => `${y.year}: ${moneyFmt(y.interest, currency)}`).join(" · ")}
+            </div>
+          ) : null}
+        </div>
+      </div>
+
+      <div className="mt-6 font-semibold">Return after move-out</div>
+      <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-2">
+        <label className="text-sm">
+          <div className="text-neutral-600">Flat handed back on</div>
+          <input
+            type="date"
+            className={inputBase}
+            value={deposit.handoverDate}
+            onChange={(e) => updateDeposit({ handoverDate: e.target.value })}
+          />
+        </label>
+        <label className="text-sm">
+          <div className="text-neutral-600">Retention claimed by the landlord (months)</div>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            className={inputBase}
+            placeholder={`Not stated (${DEFAULT_RETENTION_MONTHS} assumed)`}
+            value={deposit.retentionMonths}
+            onChange={(e) => updateDeposit({ retentionMonths: e.target.value === "" ? "" : toNum(e.target.value, 0) })}
+          />
+        </label>
+        <label className="text-sm">
+          <div className="text-neutral-600">Your account for the refund (IBAN)</div>
+          <input
+            className={inputBase}
+            value={deposit.refundAccount}
+            onChange={(e) => updateDeposit({ refundAccount: e.target.value })}
+          />
+        </label>
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+          <div className="flex items-center justify-between gap-2">
+            <div className="text-sm font-semibold">Landlord's deductions</div>
+            <button className={btnSecondary} onClick={() => listHandlers("deductions", makeDeduction).onAdd()}>
+              + Deduction
+            </button>
+          </div>
+          {(deposit.deductions || []).length === 0 ? (
+            <div className="mt-2 text-sm text-neutral-500">No deductions claimed.</div>
+          ) : (
+            <table className="mt-2 w-full text-sm">
+              <tbody>
+                {deposit.deductions.map((d) => (
+                  <tr key={d.id} className="border-b last:border-b-0 align-top">
+                    <td className="py-1 pr-2">
+                      <select
+                        className={cellInput}
+                        value={d.kind}
+                        onChange={(e) => listHandlers("deductions").onChange(d.id, { kind: e.target.value })}
+                      >
+                        {DEDUCTION_KINDS.map((k) => (
+                          <option key={k.id} value={k.id}>
+                            {k.label}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        className={`${cellInput} mt-1 w-full`}
+                        placeholder="As stated by the landlord"
+                        value={d.label}
+                        onChange={(e) => listHandlers("deductions").onChange(d.id, { label: e.target.value })}
+                      />
+                    </td>
+                    <td className="py-1 pr-2">
+                      <input
+                        type="number"
+                        step="0.01"
+                        className={`${cellInput} w-24`}
+                        value={d.amount}
+                        onChange={(e) =>
+                          listHandlers("deductions").onChange(d.id, { amount: toNum(e.target.value, 0) })
+                        }
+                      />
+                    </td>
+                    <td className="py-1 pr-2 whitespace-nowrap">
+                      <label className="inline-flex items-center gap-1">
+                        <input
+                          type="checkbox"
+                          checked={!!d.accepted}
+                          onChange={(e) => listHandlers("deductions").onChange(d.id, { accepted: e.target.checked })}
+                        />
+                        Accepted
+                      </label>
+                    </td>
+                    <td className="py-1 text-right">
+                      <button className={btnSecondary} onClick={() => listHandlers("deductions").onRemove(d.id)}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+          <PaymentTable
+            title="Returned so far"
+            rows={deposit.returns || []}
+            emptyText="Nothing returned yet."
+            {...listHandlers("returns", () => makeDepositPayment({ amount: status.claim }))}
+          />
+        </div>
+      </div>
+
+      <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm space-y-1">
+          <div className="font-semibold">Balance</div>
+          <div>Paid: {moneyFmt(status.paid, currency)}</div>
+          <div>Interest: {moneyFmt(status.interest, currency)}</div>
+          {status.accepted ? <div>Accepted deductions: −{moneyFmt(status.accepted, currency)}</div> : null}
+          {status.disputed ? (
+            <div className="text-amber-900">Disputed deductions: {moneyFmt(status.disputed, currency)}</div>
+          ) : null}
+          {status.returned ? <div>Returned: −{moneyFmt(status.returned, currency)}</div> : null}
+          <div className={"font-semibold " + (status.overdue ? "text-red-700" : "")}>
+            Still to be returned: {moneyFmt(status.claim, currency)}
+          </div>
+          {status.deadline ? <div className="text-neutral-600">Due back by {status.deadline}</div> : null}
+        </div>
+        <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm space-y-2">
+          <div className="font-semibold">Checks</div>
+          {status.flags.length ? (
+            <ul className="space-y-1">
+              {status.flags.map((f, i) => (
+                <li key={i} className={`rounded-lg border px-2 py-1 text-xs ${FLAG_TONES[f.level]}`}>
+                  {f.message}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <div className="text-neutral-500">Nothing to flag.</div>
+          )}
+          {status.overdue ? (
+            <button className={btnPrimary} onClick={createDemandLetter}>
+              Create demand letter
+            </button>
+          ) : null}
+          {notice ? <div className="text-xs text-emerald-800">{notice}</div> : null}
+        </div>
+      </div>
+
+      <label className="block text-sm mt-4">
+        <div className="text-neutral-600">Notes</div>
+        <textarea
+          className={`${inputBase} min-h-[80px]`}
+          value={deposit.notes}
+          onChange={(e) => updateDeposit({ notes: e.target.value })}
+        />
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+// Import preview dialog shared by RentIt and the Case File.
+// Shows validation errors, lets the user pick replace / merge / copy and previews the counts
+// for that mode. Nothing is written until "Import" is pressed (the caller applies the plan).
+
+import React, { useMemo, useState } from "react";
+import { COLLECTION_LABELS, IMPORT_MODES, planImport } from "./lib/importer.js";
+import { COLLECTIONS } from "./lib/schema.js";
+
+const btnSecondary =
+  "px-3 py-2 rounded-xl bg-white border border-neutral-200 shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition";
+const btnPrimary =
+  "px-3 py-2 rounded-xl bg-neutral-900 text-white border border-neutral-900 shadow-sm hover:bg-neutral-800 active:translate-y-[1px] transition disabled:opacity-40";
+
+function Count({ n, tone }) {
+  if (!n) return <span className="text-neutral-300">0</span>;
+  return <span className={`font-semibold ${tone}`}>{n}</span>;
+}
+
+/**
+ * `pending` is the result of prepareImport(): { incoming, errors }.
+ * onConfirm({ plan, mode, includeProfile }) applies it; onCancel closes without changes.
+ */
+export default function ImportPreview({ pending, current, onConfirm, onCancel }) {
+  const { incoming, errors } = pending;
+  const [mode, setMode] = useState("replace");
+  const [includeProfile, setIncludeProfile] = useState(false);
+
+  const plan = useMemo(() => planImport(current, incoming, mode), [current, incoming, mode]);
+  const rows = COLLECTIONS.filter((key) => {
+    const s = plan.summary[key];
+    return incoming.data[key].length || s.added || s.changed || s.removed;
+  });
+  const blocked = errors.length > 0;
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center p-3 z-50">
+      <div className="w-full max-w-2xl bg-white rounded-2xl shadow-xl border border-neutral-200 overflow-hidden text-neutral-900">
+        <div className="p-3 border-b flex items-center justify-between">
+          <div className="font-semibold">Import preview — {incoming.source}</div>
+          <button className={btnSecondary} onClick={onCancel}>
+            Cancel
+          </button>
+        </div>
+
+        <div className="p-4 overflow-auto max-h-[75vh] space-y-4">
+          {blocked ? (
+            <div className="rounded-xl border border-red-200 bg-red-50 p-3">
+              <div className="text-sm font-semibold text-red-900">
+                The file has {errors.length} problem{errors.length === 1 ? "" : "s"} and cannot be imported
+              </div>
+              <ul className="mt-2 text-sm text-red-800 space-y-1 max-h-48 overflow-auto">
+                {errors.map((e, i) => (
+                  <li key={i}>
+                    <span className="font-mono text-xs">{e.path}</span>: {e.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+
+          <div>
+            <div className="text-sm font-semibold">How should the file be imported?</div>
+            <div className="mt-2 space-y-2">
+              {IMPORT_MODES.map((m) => (
+                <label
+                  key={m.id}
+                  className={`flex gap-3 items-start rounded-xl border p-3 cursor-pointer ${
+                    mode === m.id ? "border-neutral-900 bg-neutral-50" : "border-neutral-200"
+                  }`}
+                >
+                  <input
+                    type="radio"
+                    name="import-mode"
+                    className="mt-1"
+                    checked={mode === m.id}
+                    onChange={() => setMode(m.id)}
+                  />
+                  <span>
+                    <span className="text-sm font-medium">{m.label}</span>
+                    <span className="block text-xs text-neutral-600">{m.hint(incoming.full)}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="text-sm font-semibold">What changes</div>
+            <table className="mt-2 w-full text-sm">
+              <thead>
+                <tr className="text-left text-neutral-600 border-b">
+                  <th className="py-2 pr-2">Records</th>
+                  <th className="py-2 pr-2 text-right">In file</th>
+                  <th className="py-2 pr-2 text-right">Added</th>
+                  <th className="py-2 pr-2 text-right">Changed</th>
+                  <th className="py-2 text-right">Removed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((key) => (
+                  <tr key={key} className="border-b last:border-b-0">
+                    <td className="py-2 pr-2">{COLLECTION_LABELS[key]}</td>
+                    <td className="py-2 pr-2 text-right">{incoming.data[key].length}</td>
+                    <td className="py-2 pr-2 text-right">
+                      <Count n={plan.summary[key].added} tone="text-emerald-700" />
+                    </td>
+                    <td className="py-2 pr-2 text-right">
+                      <Count n={plan.summary[key].changed} tone="text-amber-700" />
+                    </td>
+                    <td className="py-2 text-right">
+                      <Count n={plan.summary[key].removed} tone="text-red-700" />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {plan.skipped ? (
+              <div className="mt-2 text-xs text-neutral-600">
+                {plan.skipped} record{plan.skipped === 1 ? " was" : "s were"} edited here more recently than in the
+                file and will be kept.
+              </div>
+            ) : null}
+          </div>
+
+          {incoming.profile ? (
+            <label className="flex items-center gap-2 text-sm">
+              <input type="checkbox" checked={includeProfile} onChange={(e) => setIncludeProfile(e.target.checked)} />
+              Also replace my profile (organization, user, language) with the one in the file
+            </label>
+          ) : null}
+        </div>
+
+        <div className="p-3 border-t flex justify-end gap-2">
+          <button className={btnSecondary} onClick={onCancel}>
+            Cancel
+          </button>
+          <button className={btnPrimary} disabled={blocked} onClick={() => onConfirm({ plan, mode, includeProfile })}>
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
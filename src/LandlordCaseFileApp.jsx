@@ -1,18 +1,76 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  forUnit,
+  isOpenDefect,
+  isoToday,
+  makeCase,
+  makeDefect,
+  makeDeposit,
+  makeEvidence,
+  makeIncident,
+  makeLetter,
+  makeUnit,
+  toNum,
+  uid,
+  withDefectStatus,
+} from "./lib/schema.js";
+import {
+  addRecord,
+  attachmentBlob,
+  attachmentUrl,
+  createSnapshot,
+  getData,
+  getProfile,
+  inlineAttachments,
+  lastChange,
+  openImportFile,
+  onPersistError,
+  useEncryptionState,
+  useHistoryState,
+  patchRecord,
+  removeRecord,
+  resetData,
+  saveAttachment,
+  sealExport,
+  storeImportedBlobs,
+  undo,
+  update,
+  updateSettings,
+  updateUi,
+  useStore,
+} from "./lib/store.js";
+import { caseBundle } from "./lib/bundles.js";
+import { buildCaseArchive } from "./lib/caseArchive.js";
+import { moneyFmt } from "./lib/currency.js";
+import { calcRentReduction, warmRentForMonth } from "./lib/rentReduction.js";
+import { depositStatus } from "./lib/deposit.js";
+import {
+  LETTER_LANGUAGES,
+  TemplateError,
+  letterContext,
+  letterText,
+  letterVersions,
+  renderLetter,
+  templateList,
+} from "./lib/letterTemplates.js";
+import { prepareImport } from "./lib/importer.js";
+import { DIN_FORMS, letterPdf } from "./lib/letterPdf.js";
+import {
+  DELIVERY_METHODS,
+  LETTER_STATUSES,
+  daysLapsed,
+  lapsedLetters,
+  letterStatusPatch,
+} from "./lib/letterTracking.js";
+import ImportPreview from "./ImportPreview.jsx";
+import LetterTemplates from "./LetterTemplates.jsx";
 
 // Landlord Case File – Single-file prototype
 // - Runs fully in-browser
-// - Saves to localStorage
+// - Reads/writes the shared Mietakte store (units, defects, incidents and evidence are shared with RentIt)
 // - Lets you track: cases, defects, incidents, evidence links, attachments, letters, exports
 // - Print any report page to PDF using your browser
 
-const LS_KEY = "landlord_case_file_app_v1";
-
-const uid = () =>
-  (typeof crypto !== "undefined" && crypto.randomUUID
-    ? crypto.randomUUID()
-    : `id_${Math.random().toString(16).slice(2)}_${Date.now()}`);
-
 const nowLocal = () => {
   const d = new Date();
   const pad = (n) => String(n).padStart(2, "0");
@@ -24,17 +82,11 @@ const nowLocal = () => {
   return `${yyyy}-${mm}-${dd}T${hh}:${mi}`; // for <input type="datetime-local">
 };
 
-const safeParse = (s, fallback) => {
-  try {
-    const v = JSON.parse(s);
-    return v ?? fallback;
-  } catch {
-    return fallback;
-  }
+const downloadText = (filename, text, mime = "application/json") => {
+  downloadBlob(filename, new Blob([text], { type: mime }));
 };
 
-const downloadText = (filename, text, mime = "application/json") => {
-  const blob = new Blob([text], { type: mime });
+const downloadBlob = (filename, blob) => {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -67,53 +119,6 @@ const TABS = [
   { id: "export", label: "Export" },
 ];
 
-const LETTER_TEMPLATES = {
-  repair_request: {
-    name: "Repair Request (German/English – rough draft)",
-    build: ({ c, defects }) => {
-      const openDefects = defects.filter((d) => d.status === "open");
-      const defectLines = openDefects
-        .map(
-          (d, i) =>
-            `${i + 1}. ${d.title}${d.room ? ` (Room: ${d.room})` : ""} — since ${d.startDate || "[date]"}`
-        )
-        .join("\n");
-
-      const en = `Subject: Request to remedy defects – ${c.address || "[address]"}\n\nDear ${c.landlordName || "[Landlord/Representative]"},\n\nI am requesting that the following defects in my rented accommodation be remedied without delay:\n\n${defectLines || "[List defects here]"}\n\nPlease confirm a repair appointment date and the responsible company/technician.\n\nKind regards,\n${c.tenantName || "[Your name]"}`;
-
-      const de = `Betreff: Aufforderung zur Mängelbeseitigung – ${c.address || "[Adresse]"}\n\nSehr geehrte/r ${c.landlordName || "[Vermieter/Bevollmächtigte/r]"},\n\nhiermit fordere ich Sie auf, die folgenden Mängel in meinem Mietobjekt unverzüglich zu beseitigen:\n\n${defectLines || "[Mängel hier auflisten]"}\n\nBitte bestätigen Sie mir einen Reparaturtermin sowie die zuständige Firma/den Techniker.\n\nMit freundlichen Grüßen\n${c.tenantName || "[Ihr Name]"}`;
-
-      return { subject: `Repair request – ${c.address || "[address]"}`, body: `${en}\n\n— — —\n\n${de}` };
-    },
-  },
-
-  rent_reduction_notice: {
-    name: "Rent Reduction Notice (German/English – rough draft)",
-    build: ({ c, defects }) => {
-      const openDefects = defects.filter((d) => d.status === "open");
-      const total = openDefects.reduce((acc, d) => acc + (Number(d.impactPercent) || 0), 0);
-      const defectLines = openDefects
-        .map(
-          (d, i) =>
-            `${i + 1}. ${d.title}${d.room ? ` (Room: ${d.room})` : ""} — since ${d.startDate || "[date]"} — proposed reduction: ${d.impactPercent || 0}%`
-        )
-        .join("\n");
-
-      const warm = Number(c.rentWarm) || 0;
-      const reduced = warm ? Math.round((warm * (1 - Math.min(total, 100) / 100)) * 100) / 100 : 0;
-
-      const en = `Subject: Notice of rent reduction due to defects – ${c.address || "[address]"}\n\nDear ${c.landlordName || "[Landlord/Representative]"},\n\nDue to the ongoing defects listed below, I am exercising my right to a rent reduction for the period in which the defects persist.\n\nDefects:\n${defectLines || "[List defects here]"}\n\nProposed total reduction: ${total}%\nWarm rent (current): ${warm ? `€${warm}` : "[amount]"}\nReduced payment (proposal): ${warm ? `€${reduced}` : "[amount]"}\n\nI request immediate remedy of the defects. Please confirm next steps and a repair timeline in writing.\n\nKind regards,\n${c.tenantName || "[Your name]"}`;
-
-      const de = `Betreff: Anzeige der Mietminderung wegen Mängeln – ${c.address || "[Adresse]"}\n\nSehr geehrte/r ${c.landlordName || "[Vermieter/Bevollmächtigte/r]"},\n\naufgrund der nachfolgend aufgeführten, fortbestehenden Mängel mache ich eine Mietminderung für den Zeitraum geltend, in dem die Mängel bestehen.\n\nMängel:\n${defectLines || "[Mängel hier auflisten]"}\n\nVorgeschlagene Gesamtsumme der Mietminderung: ${total}%\nWarmmiete (aktuell): ${warm ? `€${warm}` : "[Betrag]"}\nZahlbetrag (Vorschlag): ${warm ? `€${reduced}` : "[Betrag]"}\n\nIch bitte um umgehende Mängelbeseitigung. Bitte bestätigen Sie das weitere Vorgehen sowie einen Reparaturzeitplan schriftlich.\n\nMit freundlichen Grüßen\n${c.tenantName || "[Ihr Name]"}`;
-
-      return {
-        subject: `Rent reduction notice – ${c.address || "[address]"}`,
-        body: `${en}\n\n— — —\n\n${de}`,
-      };
-    },
-  },
-};
-
 function Section({ title, right, children }) {
   return (
     <div className="rounded-2xl bg-white shadow-sm border border-slate-200">
@@ -162,6 +167,74 @@ function Pill({ children, tone = "default" }) {
   );
 }
 
+// Letter status pill: answered green, awaiting an answer amber, lapsed deadline red
+const letterTone = (l) => {
+  if (daysLapsed(l)) return "urgent";
+  if (l.status === "answered") return "resolved";
+  return l.status === "sent" || l.status === "delivered" ? "open" : "default";
+};
+
+function RentReductionTable({ reduction, currency }) {
+  const { periods, months, total } = reduction;
+  if (!months.length) {
+    return (
+      <div className="text-sm text-slate-600">
+        No reduction yet. A defect counts once it has a start date and an impact %.
+      </div>
+    );
+  }
+  return (
+    <div className="space-y-3">
+      <div className="text-sm text-slate-600">
+        Prorated by day from each defect's start date to its resolved date (open defects: until today). Overlapping
+        defects combine as 1 − (1 − a)(1 − b), so the total stays below 100%. Base: warm rent of the month (cost row
+        rent + utilities, otherwise the unit's warm rent).
+      </div>
+      <div className="text-xs text-slate-500">
+        {periods.map((p) => `${p.defect.title || "(no title)"}: ${p.from} – ${p.to}, ${p.percent}%`).join(" · ")}
+      </div>
+      <div className="overflow-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-slate-600">
+            <tr className="border-b">
+              <th className="py-2 pr-2">Month</th>
+              <th className="py-2 pr-2 text-right">Days</th>
+              <th className="py-2 pr-2 text-right">Reduction</th>
+              <th className="py-2 pr-2 text-right">Warm rent</th>
+              <th className="py-2 pr-2 text-right">Withheld</th>
+              <th className="py-2 text-right">Owed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {months.map((m) => (
+              <tr key={m.month} className="border-b last:border-b-0">
+                <td className="py-2 pr-2 font-medium">{m.month}</td>
+                <td className="py-2 pr-2 text-right">
+                  {m.days}/{m.daysInMonth}
+                </td>
+                <td className="py-2 pr-2 text-right">{m.percent}%</td>
+                <td className="py-2 pr-2 text-right">{moneyFmt(m.rent, currency)}</td>
+                <td className="py-2 pr-2 text-right text-emerald-700">{moneyFmt(m.reduction, currency)}</td>
+                <td className="py-2 text-right">{moneyFmt(m.owed, currency)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="border-t font-semibold">
+              <td className="py-2 pr-2" colSpan={3}>
+                Total
+              </td>
+              <td className="py-2 pr-2 text-right">{moneyFmt(total.rent, currency)}</td>
+              <td className="py-2 pr-2 text-right text-emerald-700">{moneyFmt(total.reduction, currency)}</td>
+              <td className="py-2 text-right">{moneyFmt(total.owed, currency)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 function EmptyState({ title, subtitle, action }) {
   return (
     <div className="rounded-2xl border border-dashed border-slate-300 p-6 text-center">
@@ -172,301 +245,463 @@ function EmptyState({ title, subtitle, action }) {
   );
 }
 
-export default function LandlordCaseFileApp() {
-  const [app, setApp] = useState(() => {
-    const saved = typeof window !== "undefined" ? localStorage.getItem(LS_KEY) : null;
-    const base = {
-      activeCaseId: null,
-      cases: [],
-      ui: { tab: "snapshot", query: "" },
+// Attachment files live in the blob store; the link resolves to an object URL once loaded
+function AttachmentLink({ attachment, children }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let alive = true;
+    attachmentUrl(attachment.id).then((u) => alive && setUrl(u), () => alive && setUrl(null));
+    return () => {
+      alive = false;
     };
-    return saved ? safeParse(saved, base) : base;
-  });
+  }, [attachment.id]);
+
+  if (!url) return <span className="px-3 py-2 rounded-xl text-sm text-slate-400 border border-slate-200">{children}</span>;
+  return (
+    <a
+      href={url}
+      target="_blank"
+      rel="noreferrer"
+      download={String(attachment.type || "").startsWith("image/") ? undefined : attachment.name}
+      className="px-3 py-2 rounded-xl text-sm bg-white border border-slate-200 hover:border-slate-300"
+    >
+      {children}
+    </a>
+  );
+}
+
+// When mounted by the shell, the active case + tab come from the URL (/casefile/:caseId/:tab)
+// and every selection goes through onNavigate({ caseId, tab }). Standalone, store ui state drives both.
+export default function LandlordCaseFileApp({ caseId: routeCaseId, tab: routeTab, onNavigate } = {}) {
+  const data = useStore();
+  const { enabled: encryptionEnabled } = useEncryptionState();
+  const [query, setQuery] = useState("");
 
   const [toast, setToast] = useState(null);
-  const toastTimer = useRef(null);
+  const { undoEntry } = useHistoryState();
 
-  const notify = (msg) => {
-    setToast(msg);
-    if (toastTimer.current) clearTimeout(toastTimer.current);
-    toastTimer.current = setTimeout(() => setToast(null), 2200);
-  };
+  // `undoable` adds an Undo button for the change just made (used after deletes) and keeps the toast up a
+  // little longer; the button goes away once anything else is recorded
+  const notify = (msg, { undoable = false } = {}) => setToast({ msg, entry: undoable ? lastChange() : null });
 
   useEffect(() => {
-    try {
-      localStorage.setItem(LS_KEY, JSON.stringify(app));
-    } catch {
-      // localStorage full
-      notify("Storage is full. Export and delete large attachments.");
-    }
-  }, [app]);
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), toast.entry ? 6000 : 2200);
+    return () => clearTimeout(t);
+  }, [toast]);
+
+  const undoFromToast = () => {
+    const entry = undo(toast?.entry);
+    notify(entry ? `Undone: ${entry.label}` : "Nothing to undo");
+  };
+
+  // Browser storage full or unavailable
+  useEffect(
+    () => onPersistError(() => setToast({ msg: "Could not save. Browser storage may be full; export a backup." })),
+    []
+  );
+
+  const routed = typeof onNavigate === "function";
+  const activeCaseId = routed ? routeCaseId || null : data.ui.activeCaseId;
+  const requestedTab = routed ? routeTab : data.ui.caseTab;
+  const activeTab = TABS.some((t) => t.id === requestedTab) ? requestedTab : "snapshot";
 
-  const activeCase = useMemo(
-    () => app.cases.find((c) => c.id === app.activeCaseId) || null,
-    [app.cases, app.activeCaseId]
+  const activeCase = data.cases.find((c) => c.id === activeCaseId) || null;
+  const unit = useMemo(
+    () => (activeCase ? data.units.find((u) => u.id === activeCase.unitId) || null : null),
+    [data.units, activeCase]
   );
+  const unitId = unit?.id || null;
+
+  const caseDefects = useMemo(() => forUnit(data.defects, unitId), [data.defects, unitId]);
+  const rentChanges = useMemo(() => forUnit(data.rentChanges, unitId), [data.rentChanges, unitId]);
+  const deposit = useMemo(() => {
+    const record = data.deposits.find((d) => d.unitId === unitId) || makeDeposit(unitId);
+    return { record, status: depositStatus(record, unit) };
+  }, [data.deposits, unitId, unit]);
+  const reduction = useMemo(
+    () => calcRentReduction(caseDefects, { rentForMonth: warmRentForMonth(unit, data.costs, rentChanges) }),
+    [caseDefects, unit, data.costs, rentChanges]
+  );
+  const caseIncidents = useMemo(() => forUnit(data.incidents, unitId), [data.incidents, unitId]);
+  const caseDocuments = useMemo(() => forUnit(data.evidence, unitId), [data.evidence, unitId]);
+  const caseLetters = data.letters.filter((l) => l.caseId === activeCaseId);
+
+  // Bare /casefile: reopen the last viewed case (replace, so Back still leaves the module)
+  const lastCaseId = data.cases.some((c) => c.id === data.ui.activeCaseId) ? data.ui.activeCaseId : null;
+  const lastTab = data.ui.caseTab || "snapshot";
+  useEffect(() => {
+    if (!routed || routeCaseId || !lastCaseId) return;
+    onNavigate({ caseId: lastCaseId, tab: lastTab }, { replace: true });
+  }, [routed, routeCaseId, lastCaseId, lastTab, onNavigate]);
+
+  const openCase = (id, tab = activeTab) => {
+    updateUi({ activeCaseId: id, caseTab: tab });
+    if (routed) onNavigate({ caseId: id, tab });
+  };
+
+  const setTab = (tab) => openCase(activeCaseId, tab);
 
   const filteredCases = useMemo(() => {
-    const q = (app.ui?.query || "").trim().toLowerCase();
-    if (!q) return app.cases;
-    return app.cases.filter((c) =>
-      [c.title, c.address, c.landlordName, c.notes]
+    const q = query.trim().toLowerCase();
+    if (!q) return data.cases;
+    return data.cases.filter((c) => {
+      const u = data.units.find((x) => x.id === c.unitId) || {};
+      return [c.title, u.address, u.landlordName, c.notes]
         .filter(Boolean)
         .join(" ")
         .toLowerCase()
-        .includes(q)
-    );
-  }, [app.cases, app.ui?.query]);
+        .includes(q);
+    });
+  }, [data.cases, data.units, query]);
+
+  // Sidebar badges: address + open counts come from each case's unit
+  const caseStats = useMemo(() => {
+    const stats = {};
+    for (const c of data.cases) {
+      stats[c.id] = {
+        u: data.units.find((x) => x.id === c.unitId),
+        openD: forUnit(data.defects, c.unitId).filter(isOpenDefect).length,
+        openI: forUnit(data.incidents, c.unitId).filter((i) => i.urgency !== "resolved").length,
+      };
+    }
+    return stats;
+  }, [data.cases, data.units, data.defects, data.incidents]);
 
+  // New cases attach to the unit currently open in RentIt (switch units in the case header)
   const createCase = () => {
-    const id = uid();
-    const c = {
-      id,
-      title: `Case ${app.cases.length + 1}`,
-      address: "",
-      landlordName: "",
-      tenantName: "",
-      rentWarm: "",
-      createdAt: new Date().toISOString(),
-      notes: "",
-      defects: [],
-      incidents: [],
-      documents: [],
-      letters: [],
-    };
-    setApp((a) => ({ ...a, activeCaseId: id, cases: [c, ...a.cases] }));
+    const c = makeCase(data.ui.activeUnitId || data.units[0]?.id, {
+      title: `Case ${data.cases.length + 1}`,
+    });
+    addRecord("cases", c);
+    openCase(c.id, "snapshot");
     notify("New case created");
   };
 
   const updateActiveCase = (patch) => {
     if (!activeCase) return;
-    setApp((a) => ({
-      ...a,
-      cases: a.cases.map((c) => (c.id === activeCase.id ? { ...c, ...patch } : c)),
-    }));
+    patchRecord("cases", activeCase.id, patch);
+  };
+
+  const updateUnit = (patch) => {
+    if (!unitId) return;
+    patchRecord("units", unitId, patch);
+  };
+
+  const assignUnit = (value) => {
+    if (!activeCase) return;
+    if (value !== "__new") {
+      updateActiveCase({ unitId: value });
+      return;
+    }
+    const u = makeUnit({ label: activeCase.title || "" });
+    update(
+      (prev) => ({
+        ...prev,
+        units: [...prev.units, u],
+        cases: prev.cases.map((c) => (c.id === activeCase.id ? { ...c, unitId: u.id } : c)),
+      }),
+      "Add unit"
+    );
+    notify("New unit created");
   };
 
   const deleteCase = () => {
     if (!activeCase) return;
-    const ok = window.confirm("Delete this entire case? This cannot be undone.");
+    const ok = window.confirm("Delete this entire case with its letters?");
     if (!ok) return;
-    setApp((a) => {
-      const remaining = a.cases.filter((c) => c.id !== activeCase.id);
-      return {
-        ...a,
-        cases: remaining,
-        activeCaseId: remaining[0]?.id || null,
-        ui: { ...a.ui, tab: "snapshot" },
-      };
-    });
-    notify("Case deleted");
+    const remaining = data.cases.filter((c) => c.id !== activeCase.id);
+    update(
+      (prev) => ({
+        ...prev,
+        cases: prev.cases.filter((c) => c.id !== activeCase.id),
+        letters: prev.letters.filter((l) => l.caseId !== activeCase.id),
+      }),
+      "Delete case"
+    );
+    openCase(remaining[0]?.id || null, "snapshot");
+    notify("Case deleted", { undoable: true });
   };
 
   const addDefect = () => {
     if (!activeCase) return;
-    const d = {
-      id: uid(),
+    const d = makeDefect(unitId, {
       title: "Heating defect (room radiator not working)",
-      room: "",
-      startDate: "",
-      status: "open",
-      impactPercent: 0,
-      notes: "",
-      createdAt: new Date().toISOString(),
-    };
-    updateActiveCase({ defects: [d, ...(activeCase.defects || [])] });
+    });
+    addRecord("defects", d);
     notify("Defect added");
   };
 
   const updateDefect = (id, patch) => {
-    updateActiveCase({
-      defects: (activeCase.defects || []).map((d) => (d.id === id ? { ...d, ...patch } : d)),
-    });
+    patchRecord("defects", id, patch);
   };
 
   const deleteDefect = (id) => {
     const ok = window.confirm("Delete this defect?");
     if (!ok) return;
-    updateActiveCase({ defects: (activeCase.defects || []).filter((d) => d.id !== id) });
-    notify("Defect deleted");
+    removeRecord("defects", id);
+    notify("Defect deleted", { undoable: true });
   };
 
   const addIncident = () => {
     if (!activeCase) return;
-    const it = {
-      id: uid(),
-      dateTime: nowLocal(),
+    const [date, time] = nowLocal().split("T");
+    const it = makeIncident(unitId, {
+      date,
+      time,
       type: "Heating / utilities",
-      summary: "",
-      details: "",
-      tags: [],
-      evidence: [],
-      attachments: [],
-      urgency: "open", // open / urgent / resolved
-      createdAt: new Date().toISOString(),
-    };
-    updateActiveCase({ incidents: [it, ...(activeCase.incidents || [])] });
+    });
+    addRecord("incidents", it);
     notify("Incident added");
   };
 
   const updateIncident = (id, patch) => {
-    updateActiveCase({
-      incidents: (activeCase.incidents || []).map((i) => (i.id === id ? { ...i, ...patch } : i)),
-    });
+    patchRecord("incidents", id, patch);
   };
 
   const deleteIncident = (id) => {
     const ok = window.confirm("Delete this incident?");
     if (!ok) return;
-    updateActiveCase({ incidents: (activeCase.incidents || []).filter((i) => i.id !== id) });
-    notify("Incident deleted");
+    removeRecord("incidents", id);
+    notify("Incident deleted", { undoable: true });
   };
 
   const addEvidenceLink = (incidentId) => {
-    const i = (activeCase.incidents || []).find((x) => x.id === incidentId);
-    if (!i) return;
     const ev = { id: uid(), label: "", url: "" };
-    updateIncident(incidentId, { evidence: [ev, ...(i.evidence || [])] });
+    patchRecord("incidents", incidentId, (i) => ({ ...i, evidence: [ev, ...(i.evidence || [])] }));
   };
 
   const updateEvidenceLink = (incidentId, evId, patch) => {
-    const i = (activeCase.incidents || []).find((x) => x.id === incidentId);
-    if (!i) return;
-    updateIncident(incidentId, {
+    patchRecord("incidents", incidentId, (i) => ({
+      ...i,
       evidence: (i.evidence || []).map((e) => (e.id === evId ? { ...e, ...patch } : e)),
-    });
+    }));
   };
 
   const deleteEvidenceLink = (incidentId, evId) => {
-    const i = (activeCase.incidents || []).find((x) => x.id === incidentId);
-    if (!i) return;
-    updateIncident(incidentId, { evidence: (i.evidence || []).filter((e) => e.id !== evId) });
+    patchRecord("incidents", incidentId, (i) => ({
+      ...i,
+      evidence: (i.evidence || []).filter((e) => e.id !== evId),
+    }));
+    notify("Evidence link removed", { undoable: true });
   };
 
-  const addAttachment = async (incidentId, file) => {
+  // Files on incidents (photos, scans) and letters (proof of sending / delivery)
+  const addAttachment = async (collection, id, file) => {
     if (!file) return;
-    // Note: localStorage is limited. Keep attachments small.
-    const maxMB = 2;
-    if (file.size > maxMB * 1024 * 1024) {
-      notify(`File too large for this prototype (>${maxMB}MB).`);
+    let att;
+    try {
+      att = await saveAttachment(file);
+    } catch (e) {
+      notify(e?.message || "Could not store the file");
       return;
     }
-    const dataUrl = await new Promise((resolve, reject) => {
-      const r = new FileReader();
-      r.onload = () => resolve(String(r.result));
-      r.onerror = reject;
-      r.readAsDataURL(file);
-    });
-    const i = (activeCase.incidents || []).find((x) => x.id === incidentId);
-    if (!i) return;
-    const att = { id: uid(), name: file.name, type: file.type, size: file.size, dataUrl };
-    updateIncident(incidentId, { attachments: [att, ...(i.attachments || [])] });
+    patchRecord(collection, id, (r) => ({ ...r, attachments: [att, ...(r.attachments || [])] }));
     notify("Attachment added");
   };
 
-  const deleteAttachment = (incidentId, attId) => {
-    const i = (activeCase.incidents || []).find((x) => x.id === incidentId);
-    if (!i) return;
-    updateIncident(incidentId, { attachments: (i.attachments || []).filter((a) => a.id !== attId) });
-    notify("Attachment removed");
+  const deleteAttachment = (collection, id, attId) => {
+    patchRecord(collection, id, (r) => ({
+      ...r,
+      attachments: (r.attachments || []).filter((a) => a.id !== attId),
+    }));
+    notify("Attachment removed", { undoable: true });
   };
 
   const addDocument = () => {
     if (!activeCase) return;
-    const doc = { id: uid(), name: "", url: "", notes: "", createdAt: new Date().toISOString() };
-    updateActiveCase({ documents: [doc, ...(activeCase.documents || [])] });
+    addRecord("evidence", makeEvidence(unitId, { type: "Document" }));
     notify("Document reference added");
   };
 
   const updateDocument = (id, patch) => {
-    updateActiveCase({
-      documents: (activeCase.documents || []).map((d) => (d.id === id ? { ...d, ...patch } : d)),
-    });
+    patchRecord("evidence", id, patch);
   };
 
   const deleteDocument = (id) => {
     const ok = window.confirm("Delete this document reference?");
     if (!ok) return;
-    updateActiveCase({ documents: (activeCase.documents || []).filter((d) => d.id !== id) });
-    notify("Document removed");
+    removeRecord("evidence", id);
+    notify("Document removed", { undoable: true });
+  };
+
+  // Letter templates see the case merged with its unit's tenancy + landlord details (./lib/letterTemplates.js)
+  const letterTemplates = useMemo(() => templateList(data.settings), [data.settings]);
+  const [letterTemplateId, setLetterTemplateId] = useState(letterTemplates[0]?.id || "");
+  const [templatesOpen, setTemplatesOpen] = useState(false);
+  const letterData = useMemo(
+    () =>
+      letterContext({
+        c: {
+          ...activeCase,
+          address: unit?.address || "",
+          landlordName: unit?.landlordName || "",
+          landlordAddress: unit?.landlordAddress || "",
+          tenantName: unit?.tenantName || "",
+          rentWarm: toNum(unit?.rentWarm),
+          rentCold: toNum(unit?.rentCold),
+          contractStart: unit?.contractStart || "",
+        },
+        unit,
+        defects: caseDefects,
+        incidents: caseIncidents,
+        costs: forUnit(data.costs, unitId),
+        utilityBills: forUnit(data.utilityBills, unitId),
+        rentChanges,
+        reduction,
+        deposit,
+        today: isoToday(),
+      }),
+    [activeCase, unit, unitId, caseDefects, caseIncidents, data.costs, data.utilityBills, rentChanges, reduction, deposit]
+  );
+
+  // Subject and body in both languages, or null (with a notice) when the template does not render
+  const buildLetter = (t) => {
+    try {
+      return renderLetter(t, letterData);
+    } catch (e) {
+      if (!(e instanceof TemplateError)) throw e;
+      notify(`Template "${t.name}": ${e.message}`);
+      return null;
+    }
   };
 
-  const generateLetter = (templateKey) => {
+  const letterLanguage = data.settings.letterLanguage || "de";
+
+  const generateLetter = (templateId) => {
     if (!activeCase) return;
-    const t = LETTER_TEMPLATES[templateKey];
-    if (!t) return;
-    const built = t.build({ c: activeCase, defects: activeCase.defects || [] });
-    const letter = {
-      id: uid(),
-      type: templateKey,
+    const t = letterTemplates.find((x) => x.id === templateId);
+    const built = t && buildLetter(t);
+    if (!built) return;
+    const letter = makeLetter(activeCase.id, {
+      type: t.id,
+      templateVersion: t.version || 0,
+      language: letterLanguage,
       title: t.name,
-      subject: built.subject,
-      body: built.body,
-      createdAt: new Date().toISOString(),
-    };
-    updateActiveCase({ letters: [letter, ...(activeCase.letters || [])] });
+      ...built,
+    });
+    addRecord("letters", letter);
     notify("Letter generated");
   };
 
+  // Renders the letter again from the current version of its template; the language stays as chosen
+  const regenerateLetter = (l) => {
+    const t = letterTemplates.find((x) => x.id === l.type);
+    if (!t) {
+      notify("The template of this letter no longer exists.");
+      return;
+    }
+    if (!window.confirm("Regenerate this letter from its template? Your edits to its text are replaced.")) return;
+    const built = buildLetter(t);
+    if (!built) return;
+    patchRecord("letters", l.id, { templateVersion: t.version || 0, ...built });
+    notify("Letter regenerated", { undoable: true });
+  };
+
   const updateLetter = (id, patch) => {
-    updateActiveCase({
-      letters: (activeCase.letters || []).map((l) => (l.id === id ? { ...l, ...patch } : l)),
+    patchRecord("letters", id, patch);
+  };
+
+  const setLetterStatus = (l, status) => {
+    updateLetter(l.id, letterStatusPatch(l, status));
+  };
+
+  const toggleEnclosure = (l, evidenceId, on) => {
+    const rest = (l.enclosures || []).filter((id) => id !== evidenceId);
+    updateLetter(l.id, { enclosures: on ? [...rest, evidenceId] : rest });
+  };
+
+  const letterPdfLayout = { form: "B", foldMarks: true, ...data.settings.letterPdf };
+
+  // DIN 5008 letter from the tenant (sender) to the landlord, with the checked documents as enclosures
+  const downloadLetterPdf = (l) => {
+    const profile = getProfile();
+    const blob = letterPdf({
+      letter: l,
+      sender: { name: unit?.tenantName || profile.user || "", address: unit?.address || "" },
+      recipient: { name: unit?.landlordName || "", address: unit?.landlordAddress || "" },
+      enclosures: caseDocuments.filter((d) => l.enclosures?.includes(d.id)),
+      signature: profile.signature || "",
+      ...letterPdfLayout,
     });
+    downloadBlob(`${(activeCase.title || "case").replaceAll(/[^a-z0-9\-_]+/gi, "-")}-letter.pdf`, blob);
   };
 
   const deleteLetter = (id) => {
-    const ok = window.confirm("Delete this letter draft?");
+    const ok = window.confirm("Delete this letter?");
     if (!ok) return;
-    updateActiveCase({ letters: (activeCase.letters || []).filter((l) => l.id !== id) });
-    notify("Letter deleted");
+    removeRecord("letters", id);
+    notify("Letter deleted", { undoable: true });
   };
 
-  const exportActiveCaseJSON = () => {
+  const exportActiveCaseJSON = async () => {
     if (!activeCase) return;
     const name = (activeCase.title || "case").replaceAll(/[^a-z0-9\-_]+/gi, "-");
-    downloadText(`${name}-export.json`, JSON.stringify(activeCase, null, 2));
+    const bundle = await sealExport(await inlineAttachments(caseBundle(getData(), activeCase.id)));
+    downloadText(`${name}-export.json`, JSON.stringify(bundle, null, 2));
   };
 
-  const exportAllJSON = () => {
-    downloadText("landlord-casefile-all.json", JSON.stringify(app, null, 2));
+  // ZIP for a lawyer / tenants' association: real attachment files, letters as .txt, printable index, manifest
+  const downloadCaseBundle = async () => {
+    if (!activeCase) return;
+    if (encryptionEnabled) {
+      const ok = window.confirm("The case bundle is a plain ZIP and is not encrypted. Download it anyway?");
+      if (!ok) return;
+    }
+    try {
+      const name = (activeCase.title || "case").replaceAll(/[^a-z0-9\-_]+/gi, "-");
+      downloadBlob(`${name}-bundle.zip`, await buildCaseArchive(getData(), activeCase.id, attachmentBlob));
+    } catch (e) {
+      notify(e?.message || "Could not create the case bundle");
+    }
   };
 
+  const exportAllJSON = async () => {
+    const all = await sealExport(await inlineAttachments(getData()));
+    downloadText("landlord-casefile-all.json", JSON.stringify(all, null, 2));
+  };
+
+  // Any Mietakte export (full backup, case, units, legacy case file) is validated and previewed first;
+  // the preview dialog picks replace / merge-by-id / copy. Older exports are upgraded on the way in.
+  const [pendingImport, setPendingImport] = useState(null);
+
   const importJSON = async (file) => {
     if (!file) return;
-    const text = await file.text();
-    const parsed = safeParse(text, null);
-    if (!parsed) {
-      notify("Invalid JSON");
-      return;
-    }
-    // Accept either full app export or a single case
-    if (parsed.cases && Array.isArray(parsed.cases)) {
-      setApp(parsed);
-      notify("Imported full app data");
-      return;
+    try {
+      const text = await openImportFile(file);
+      if (text !== null) setPendingImport(await prepareImport(text, getData()));
+    } catch (e) {
+      notify(e?.message || "Import failed");
     }
-    if (parsed.id && parsed.title && parsed.defects && parsed.incidents) {
-      setApp((a) => ({
-        ...a,
-        cases: [parsed, ...a.cases.filter((c) => c.id !== parsed.id)],
-        activeCaseId: parsed.id,
-      }));
-      notify("Imported case into your app");
+  };
+
+  const confirmImport = async ({ plan }) => {
+    try {
+      await storeImportedBlobs(pendingImport.incoming.blobs, plan.next);
+    } catch (e) {
+      notify(e?.message || "Import failed");
       return;
     }
-    notify("JSON recognized, but format not supported");
+    createSnapshot("Before import", "import");
+    const next = update(() => plan.next, "Import");
+    setPendingImport(null);
+    openCase(plan.focus.caseId || next.ui.activeCaseId || next.cases[0]?.id || null, "snapshot");
+    notify("Import complete");
   };
 
   const wipeAll = () => {
-    const ok = window.confirm("Wipe ALL data from this app? This cannot be undone.");
+    const ok = window.confirm("Wipe ALL data (cases and RentIt units) from this app? You can still undo this afterwards.");
     if (!ok) return;
-    setApp({ activeCaseId: null, cases: [], ui: { tab: "snapshot", query: "" } });
-    notify("All data wiped");
+    resetData();
+    if (routed) onNavigate({ caseId: null });
+    notify("All data wiped", { undoable: true });
   };
 
-  const openDefects = (activeCase?.defects || []).filter((d) => d.status === "open");
-  const resolvedDefects = (activeCase?.defects || []).filter((d) => d.status === "resolved");
-  const openIncidents = (activeCase?.incidents || []).filter((i) => i.urgency !== "resolved");
+  const openDefects = caseDefects.filter(isOpenDefect);
+  const resolvedDefects = caseDefects.filter((d) => !isOpenDefect(d));
+  const openIncidents = caseIncidents.filter((i) => i.urgency !== "resolved");
+  const lapsed = lapsedLetters(caseLetters);
 
   return (
     <div className="min-h-screen bg-slate-50">
@@ -490,8 +725,8 @@ export default function LandlordCaseFileApp() {
               title="Cases"
               right={
                 <input
-                  value={app.ui?.query || ""}
-                  onChange={(e) => setApp((a) => ({ ...a, ui: { ...(a.ui || {}), query: e.target.value } }))}
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
                   placeholder="Search"
                   className="w-44 rounded-xl border border-slate-200 px-3 py-2 text-sm bg-white"
                 />
@@ -510,13 +745,12 @@ export default function LandlordCaseFileApp() {
               ) : (
                 <div className="space-y-2">
                   {filteredCases.map((c) => {
-                    const isActive = c.id === app.activeCaseId;
-                    const openD = (c.defects || []).filter((d) => d.status === "open").length;
-                    const openI = (c.incidents || []).filter((i) => i.urgency !== "resolved").length;
+                    const isActive = c.id === activeCaseId;
+                    const { u, openD, openI } = caseStats[c.id] || {};
                     return (
                       <button
                         key={c.id}
-                        onClick={() => setApp((a) => ({ ...a, activeCaseId: c.id, ui: { ...(a.ui || {}), tab: a.ui?.tab || "snapshot" } }))}
+                        onClick={() => openCase(c.id)}
                         className={`w-full text-left rounded-2xl border px-3 py-3 transition ${
                           isActive
                             ? "border-slate-900 bg-white"
@@ -526,7 +760,7 @@ export default function LandlordCaseFileApp() {
                         <div className="flex items-start justify-between gap-3">
                           <div>
                             <div className="font-semibold text-slate-900">{c.title || "Untitled case"}</div>
-                            <div className="text-xs text-slate-600 mt-1">{c.address || "(no address yet)"}</div>
+                            <div className="text-xs text-slate-600 mt-1">{u?.address || "(no address yet)"}</div>
                           </div>
                           <div className="flex flex-col items-end gap-1">
                             {openD ? <Pill tone="open">{openD} open defects</Pill> : <Pill>0 open defects</Pill>}
@@ -555,7 +789,7 @@ export default function LandlordCaseFileApp() {
                     Import JSON
                     <input
                       type="file"
-                      accept="application/json"
+                      accept="application/json,.json,application/zip,.zip"
                       className="hidden"
                       onChange={(e) => importJSON(e.target.files?.[0] || null)}
                     />
@@ -563,7 +797,7 @@ export default function LandlordCaseFileApp() {
                   <SmallButton onClick={() => window.print()}>Print current view</SmallButton>
                 </div>
                 <div className="text-xs text-slate-500 mt-3">
-                  Tip: attachments use browser storage and can fill up quickly. If you hit storage limits, export then remove attachments.
+                  Tip: attachments are kept in this browser only. Exports include them, so export regularly as a backup.
                 </div>
               </Section>
             </div>
@@ -573,8 +807,12 @@ export default function LandlordCaseFileApp() {
           <div className="lg:col-span-8">
             {!activeCase ? (
               <EmptyState
-                title="Pick or create a case"
-                subtitle="Choose a case on the left, or create a new one."
+                title={routeCaseId ? "Case not found" : "Pick or create a case"}
+                subtitle={
+                  routeCaseId
+                    ? "This link points to a case that no longer exists on this device."
+                    : "Choose a case on the left, or create a new one."
+                }
                 action={
                   <SmallButton tone="primary" onClick={createCase}>
                     + New case
@@ -595,6 +833,7 @@ export default function LandlordCaseFileApp() {
                   right={
                     <div className="flex items-center gap-2">
                       <SmallButton onClick={exportActiveCaseJSON}>Export case</SmallButton>
+                      <SmallButton onClick={downloadCaseBundle}>Case bundle (ZIP)</SmallButton>
                       <SmallButton tone="danger" onClick={deleteCase}>
                         Delete
                       </SmallButton>
@@ -609,32 +848,50 @@ export default function LandlordCaseFileApp() {
                         className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
                       />
                     </Field>
+                    <Field label="Unit" hint="Address, landlord and defects are shared with this RentIt unit.">
+                      <select
+                        value={activeCase.unitId || ""}
+                        onChange={(e) => assignUnit(e.target.value)}
+                        className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
+                      >
+                        {data.units.map((u) => (
+                          <option key={u.id} value={u.id}>
+                            {u.label || u.address || "Unnamed unit"}
+                          </option>
+                        ))}
+                        <option value="__new">+ New unit</option>
+                      </select>
+                    </Field>
                     <Field label="Address">
                       <input
-                        value={activeCase.address || ""}
-                        onChange={(e) => updateActiveCase({ address: e.target.value })}
+                        value={unit?.address || ""}
+                        onChange={(e) => updateUnit({ address: e.target.value })}
                         className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
                       />
                     </Field>
                     <Field label="Landlord / Representative">
                       <input
-                        value={activeCase.landlordName || ""}
-                        onChange={(e) => updateActiveCase({ landlordName: e.target.value })}
+                        value={unit?.landlordName || ""}
+                        onChange={(e) => updateUnit({ landlordName: e.target.value })}
                         className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
                       />
                     </Field>
                     <Field label="Tenant name">
                       <input
-                        value={activeCase.tenantName || ""}
-                        onChange={(e) => updateActiveCase({ tenantName: e.target.value })}
+                        value={unit?.tenantName || ""}
+                        onChange={(e) => updateUnit({ tenantName: e.target.value })}
                         className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
                       />
                     </Field>
-                    <Field label="Warm rent (€)" hint="Used for draft calculations in the rent reduction letter.">
+                    <Field
+                      label={`Warm rent (${data.settings.currency})`}
+                      hint="Used for draft calculations in the rent reduction letter."
+                    >
                       <input
-                        value={activeCase.rentWarm || ""}
-                        onChange={(e) => updateActiveCase({ rentWarm: e.target.value })}
-                        inputMode="decimal"
+                        type="number"
+                        step="0.01"
+                        value={unit?.rentWarm || ""}
+                        onChange={(e) => updateUnit({ rentWarm: toNum(e.target.value, 0) })}
                         className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
                       />
                     </Field>
@@ -649,11 +906,11 @@ export default function LandlordCaseFileApp() {
 
                   <div className="mt-4 flex flex-wrap gap-2">
                     {TABS.map((t) => {
-                      const active = (app.ui?.tab || "snapshot") === t.id;
+                      const active = activeTab === t.id;
                       return (
                         <button
                           key={t.id}
-                          onClick={() => setApp((a) => ({ ...a, ui: { ...(a.ui || {}), tab: t.id } }))}
+                          onClick={() => setTab(t.id)}
                           className={`px-3 py-2 rounded-xl text-sm font-medium border transition ${
                             active
                               ? "bg-slate-900 text-white border-slate-900"
@@ -668,7 +925,7 @@ export default function LandlordCaseFileApp() {
                 </Section>
 
                 {/* TAB CONTENT */}
-                {(app.ui?.tab || "snapshot") === "snapshot" && (
+                {activeTab === "snapshot" && (
                   <Section
                     title="Snapshot"
                     right={
@@ -698,6 +955,24 @@ export default function LandlordCaseFileApp() {
                     </div>
 
                     <div className="mt-4 grid grid-cols-1 gap-3">
+                      {lapsed.length ? (
+                        <div className="rounded-2xl border border-rose-200 bg-rose-50 p-4">
+                          <div className="flex items-center justify-between gap-2">
+                            <div className="font-semibold text-rose-900">Lapsed letter deadlines</div>
+                            <SmallButton onClick={() => setTab("letters")}>Open letters</SmallButton>
+                          </div>
+                          <ul className="mt-2 space-y-1 text-sm text-rose-900">
+                            {lapsed.map(({ letter, days }) => (
+                              <li key={letter.id}>
+                                <span className="font-medium">{letter.title || letter.subject || "Letter"}</span> —
+                                deadline {letter.deadline} ({days} {days === 1 ? "day" : "days"} ago), no answer
+                                recorded
+                                {letter.sentDate ? ` · sent ${letter.sentDate}` : ""}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      ) : null}
                       <div className="rounded-2xl border border-slate-200 bg-white p-4">
                         <div className="font-semibold text-slate-900">Next actions</div>
                         <ul className="mt-2 space-y-2 text-sm text-slate-700 list-disc pl-5">
@@ -710,7 +985,7 @@ export default function LandlordCaseFileApp() {
                   </Section>
                 )}
 
-                {(app.ui?.tab || "snapshot") === "incidents" && (
+                {activeTab === "incidents" && (
                   <Section
                     title="Incidents"
                     right={
@@ -721,7 +996,7 @@ export default function LandlordCaseFileApp() {
                       </div>
                     }
                   >
-                    {(activeCase.incidents || []).length === 0 ? (
+                    {caseIncidents.length === 0 ? (
                       <EmptyState
                         title="No incidents yet"
                         subtitle="Incidents are your timeline: messages, visits, heating changes, repairs, threats, anything noteworthy."
@@ -733,7 +1008,7 @@ export default function LandlordCaseFileApp() {
                       />
                     ) : (
                       <div className="space-y-3">
-                        {(activeCase.incidents || []).map((i) => (
+                        {caseIncidents.map((i) => (
                           <div key={i.id} className="rounded-2xl border border-slate-200 bg-white p-4">
                             <div className="flex flex-wrap items-start justify-between gap-3">
                               <div className="flex items-center gap-2">
@@ -754,8 +1029,11 @@ export default function LandlordCaseFileApp() {
                               <Field label="Date/time">
                                 <input
                                   type="datetime-local"
-                                  value={i.dateTime || ""}
-                                  onChange={(e) => updateIncident(i.id, { dateTime: e.target.value })}
+                                  value={i.date ? `${i.date}T${i.time || "00:00"}` : ""}
+                                  onChange={(e) => {
+                                    const [date = "", time = ""] = e.target.value.split("T");
+                                    updateIncident(i.id, { date, time });
+                                  }}
                                   className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
                                 />
                               </Field>
@@ -845,12 +1123,12 @@ export default function LandlordCaseFileApp() {
                                       type="file"
                                       accept="image/*,application/pdf"
                                       className="hidden"
-                                      onChange={(e) => addAttachment(i.id, e.target.files?.[0] || null)}
+                                      onChange={(e) => addAttachment("incidents", i.id, e.target.files?.[0] || null)}
                                     />
                                   </label>
                                 </div>
                                 {(i.attachments || []).length === 0 ? (
-                                  <div className="text-sm text-slate-600 mt-2">Small files only (prototype limit). Use links for large docs.</div>
+                                  <div className="text-sm text-slate-600 mt-2">No files yet. Photos and PDFs are stored in this browser.</div>
                                 ) : (
                                   <div className="mt-3 space-y-2">
                                     {(i.attachments || []).map((a) => (
@@ -860,26 +1138,13 @@ export default function LandlordCaseFileApp() {
                                           <div className="text-xs text-slate-600">{Math.round((a.size || 0) / 1024)} KB</div>
                                         </div>
                                         <div className="flex items-center gap-2">
-                                          {String(a.type || "").startsWith("image/") ? (
-                                            <a
-                                              href={a.dataUrl}
-                                              target="_blank"
-                                              rel="noreferrer"
-                                              className="px-3 py-2 rounded-xl text-sm bg-white border border-slate-200 hover:border-slate-300"
-                                            >
-                                              View
-                                            </a>
-                                          ) : (
-                                            <a
-                                              href={a.dataUrl}
-                                              target="_blank"
-                                              rel="noreferrer"
-                                              className="px-3 py-2 rounded-xl text-sm bg-white border border-slate-200 hover:border-slate-300"
-                                            >
-                                              Open
-                                            </a>
-                                          )}
-                                          <SmallButton tone="danger" onClick={() => deleteAttachment(i.id, a.id)}>
+                                          <AttachmentLink attachment={a}>
+                                            {String(a.type || "").startsWith("image/") ? "View" : "Open"}
+                                          </AttachmentLink>
+                                          <SmallButton
+                                            tone="danger"
+                                            onClick={() => deleteAttachment("incidents", i.id, a.id)}
+                                          >
                                             Remove
                                           </SmallButton>
                                         </div>
@@ -896,7 +1161,7 @@ export default function LandlordCaseFileApp() {
                   </Section>
                 )}
 
-                {(app.ui?.tab || "snapshot") === "defects" && (
+                {activeTab === "defects" && (
                   <Section
                     title="Defects"
                     right={
@@ -907,7 +1172,7 @@ export default function LandlordCaseFileApp() {
                       </div>
                     }
                   >
-                    {(activeCase.defects || []).length === 0 ? (
+                    {caseDefects.length === 0 ? (
                       <EmptyState
                         title="No defects yet"
                         subtitle="Defects are the ongoing issues that justify repairs and (potentially) rent reduction."
@@ -919,11 +1184,11 @@ export default function LandlordCaseFileApp() {
                       />
                     ) : (
                       <div className="space-y-3">
-                        {(activeCase.defects || []).map((d) => (
+                        {caseDefects.map((d) => (
                           <div key={d.id} className="rounded-2xl border border-slate-200 bg-white p-4">
                             <div className="flex items-start justify-between gap-3">
                               <div className="flex items-center gap-2">
-                                <Pill tone={d.status || "open"}>{d.status || "open"}</Pill>
+                                <Pill tone={isOpenDefect(d) ? "open" : "resolved"}>{d.status || "open"}</Pill>
                                 <div className="font-semibold text-slate-900">{d.title || "(no title)"}</div>
                               </div>
                               <SmallButton tone="danger" onClick={() => deleteDefect(d.id)}>
@@ -958,14 +1223,27 @@ export default function LandlordCaseFileApp() {
                               <Field label="Status">
                                 <select
                                   value={d.status || "open"}
-                                  onChange={(e) => updateDefect(d.id, { status: e.target.value })}
+                                  onChange={(e) => updateDefect(d.id, (x) => withDefectStatus(x, e.target.value))}
                                   className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
                                 >
                                   <option value="open">open</option>
+                                  <option value="in-progress">in progress</option>
                                   <option value="resolved">resolved</option>
                                 </select>
                               </Field>
-                              <Field label="Impact % (your proposal)" hint="Used only for draft letters. Set your own numbers.">
+                              <Field label="Resolved on" hint="Ends the rent reduction period. Set automatically when resolved.">
+                                <input
+                                  value={d.resolvedDate || ""}
+                                  onChange={(e) => updateDefect(d.id, { resolvedDate: e.target.value })}
+                                  disabled={isOpenDefect(d)}
+                                  className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white disabled:bg-slate-50"
+                                  placeholder={isOpenDefect(d) ? "still open" : "YYYY-MM-DD"}
+                                />
+                              </Field>
+                              <Field
+                                label="Impact % (your proposal)"
+                                hint="Reduction of the warm rent while the defect lasts. Set your own numbers."
+                              >
                                 <input
                                   value={d.impactPercent ?? 0}
                                   onChange={(e) => updateDefect(d.id, { impactPercent: Number(e.target.value || 0) })}
@@ -975,8 +1253,8 @@ export default function LandlordCaseFileApp() {
                               </Field>
                               <Field label="Notes">
                                 <input
-                                  value={d.notes || ""}
-                                  onChange={(e) => updateDefect(d.id, { notes: e.target.value })}
+                                  value={d.details || ""}
+                                  onChange={(e) => updateDefect(d.id, { details: e.target.value })}
                                   className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
                                 />
                               </Field>
@@ -988,12 +1266,23 @@ export default function LandlordCaseFileApp() {
                   </Section>
                 )}
 
-                {(app.ui?.tab || "snapshot") === "documents" && (
+                {activeTab === "defects" && caseDefects.length > 0 && (
+                  <Section
+                    title="Rent reduction (Mietminderung)"
+                    right={
+                      <SmallButton onClick={() => generateLetter("rent_reduction_notice")}>Generate letter</SmallButton>
+                    }
+                  >
+                    <RentReductionTable reduction={reduction} currency={data.settings.currency} />
+                  </Section>
+                )}
+
+                {activeTab === "documents" && (
                   <Section
                     title="Documents"
                     right={<SmallButton tone="primary" onClick={addDocument}>+ Add document</SmallButton>}
                   >
-                    {(activeCase.documents || []).length === 0 ? (
+                    {caseDocuments.length === 0 ? (
                       <EmptyState
                         title="No documents yet"
                         subtitle="Store references here: scans, letters, photos, contracts (best as links to Drive)."
@@ -1001,10 +1290,21 @@ export default function LandlordCaseFileApp() {
                       />
                     ) : (
                       <div className="space-y-3">
-                        {(activeCase.documents || []).map((d) => (
+                        {caseDocuments.map((d) => (
                           <div key={d.id} className="rounded-2xl border border-slate-200 bg-white p-4">
                             <div className="flex items-start justify-between gap-3">
-                              <div className="font-semibold text-slate-900">Document reference</div>
+                              <div>
+                                <div className="font-semibold text-slate-900">
+                                  {d.type === "Document" ? "Document reference" : `${d.type} • ${d.date || "no date"}`}
+                                </div>
+                                {caseLetters
+                                  .filter((l) => l.responseId === d.id)
+                                  .map((l) => (
+                                    <div key={l.id} className="text-xs text-slate-600 mt-1">
+                                      Answer to the letter "{l.title || l.subject}"
+                                    </div>
+                                  ))}
+                              </div>
                               <SmallButton tone="danger" onClick={() => deleteDocument(d.id)}>
                                 Delete
                               </SmallButton>
@@ -1012,16 +1312,16 @@ export default function LandlordCaseFileApp() {
                             <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-3">
                               <Field label="Name">
                                 <input
-                                  value={d.name || ""}
-                                  onChange={(e) => updateDocument(d.id, { name: e.target.value })}
+                                  value={d.ref || ""}
+                                  onChange={(e) => updateDocument(d.id, { ref: e.target.value })}
                                   className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
                                   placeholder="e.g., Mietvertrag PDF, Einschreiben receipt"
                                 />
                               </Field>
                               <Field label="URL">
                                 <input
-                                  value={d.url || ""}
-                                  onChange={(e) => updateDocument(d.id, { url: e.target.value })}
+                                  value={d.link || ""}
+                                  onChange={(e) => updateDocument(d.id, { link: e.target.value })}
                                   className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
                                   placeholder="Drive/Dropbox link"
                                 />
@@ -1029,16 +1329,16 @@ export default function LandlordCaseFileApp() {
                               <div className="md:col-span-2">
                                 <Field label="Notes">
                                   <input
-                                    value={d.notes || ""}
-                                    onChange={(e) => updateDocument(d.id, { notes: e.target.value })}
+                                    value={d.description || ""}
+                                    onChange={(e) => updateDocument(d.id, { description: e.target.value })}
                                     className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
                                   />
                                 </Field>
                               </div>
-                              {d.url ? (
+                              {d.link ? (
                                 <div className="md:col-span-2">
                                   <a
-                                    href={d.url}
+                                    href={d.link}
                                     target="_blank"
                                     rel="noreferrer"
                                     className="inline-flex items-center px-3 py-2 rounded-xl text-sm bg-white border border-slate-200 hover:border-slate-300"
@@ -1055,21 +1355,83 @@ export default function LandlordCaseFileApp() {
                   </Section>
                 )}
 
-                {(app.ui?.tab || "snapshot") === "letters" && (
+                {activeTab === "letters" && (
                   <Section
                     title="Letters"
                     right={
                       <div className="flex flex-wrap gap-2">
-                        <SmallButton onClick={() => generateLetter("repair_request")}>+ Repair request</SmallButton>
-                        <SmallButton onClick={() => generateLetter("rent_reduction_notice")}>+ Rent reduction</SmallButton>
+                        <select
+                          value={letterTemplateId}
+                          onChange={(e) => setLetterTemplateId(e.target.value)}
+                          className="rounded-xl border border-slate-200 px-3 py-2 bg-white text-sm"
+                        >
+                          {letterTemplates.map((t) => (
+                            <option key={t.id} value={t.id}>
+                              {t.name || "Untitled"}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={letterLanguage}
+                          onChange={(e) => updateSettings({ letterLanguage: e.target.value })}
+                          title="Language of new letters"
+                          className="rounded-xl border border-slate-200 px-3 py-2 bg-white text-sm"
+                        >
+                          {LETTER_LANGUAGES.map((lang) => (
+                            <option key={lang.id} value={lang.id}>
+                              {lang.label}
+                            </option>
+                          ))}
+                        </select>
+                        <SmallButton tone="primary" onClick={() => generateLetter(letterTemplateId)}>
+                          + Generate
+                        </SmallButton>
+                        <SmallButton onClick={() => setTemplatesOpen(!templatesOpen)}>
+                          {templatesOpen ? "Close templates" : "Edit templates"}
+                        </SmallButton>
                       </div>
                     }
                   >
                     <div className="text-sm text-slate-600">
                       These are rough drafts for your case file. You can edit them here, then copy/paste into email.
+                      The German text is the binding version; the English one is a translation.
+                    </div>
+                    <div className="mt-2 flex flex-wrap items-center gap-3 text-sm text-slate-700">
+                      <span>PDF layout:</span>
+                      <select
+                        value={letterPdfLayout.form}
+                        onChange={(e) => updateSettings({ letterPdf: { ...letterPdfLayout, form: e.target.value } })}
+                        className="rounded-xl border border-slate-200 px-3 py-1.5 bg-white text-sm"
+                      >
+                        {DIN_FORMS.map((f) => (
+                          <option key={f.id} value={f.id}>
+                            {f.label}
+                          </option>
+                        ))}
+                      </select>
+                      <label className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={letterPdfLayout.foldMarks}
+                          onChange={(e) => updateSettings({ letterPdf: { ...letterPdfLayout, foldMarks: e.target.checked } })}
+                        />
+                        Fold marks
+                      </label>
+                      <span className="text-xs text-slate-500">The signature image comes from the RentIt profile.</span>
                     </div>
 
-                    {(activeCase.letters || []).length === 0 ? (
+                    {templatesOpen ? (
+                      <div className="mt-4">
+                        <LetterTemplates
+                          templates={letterTemplates}
+                          settings={data.settings}
+                          sample={letterData}
+                          onUse={generateLetter}
+                        />
+                      </div>
+                    ) : null}
+
+                    {caseLetters.length === 0 ? (
                       <div className="mt-4">
                         <EmptyState
                           title="No letter drafts yet"
@@ -1084,19 +1446,37 @@ export default function LandlordCaseFileApp() {
                       </div>
                     ) : (
                       <div className="mt-4 space-y-3">
-                        {(activeCase.letters || []).map((l) => (
+                        {caseLetters.map((l) => (
                           <div key={l.id} className="rounded-2xl border border-slate-200 bg-white p-4">
                             <div className="flex items-start justify-between gap-3">
                               <div>
-                                <div className="font-semibold text-slate-900">{l.title}</div>
+                                <div className="flex flex-wrap items-center gap-2">
+                                  <div className="font-semibold text-slate-900">{l.title}</div>
+                                  <Pill tone={letterTone(l)}>
+                                    {LETTER_STATUSES.find((x) => x.id === l.status)?.label || "Draft"}
+                                  </Pill>
+                                  {daysLapsed(l) ? <Pill tone="urgent">Deadline lapsed</Pill> : null}
+                                </div>
                                 <div className="text-xs text-slate-600 mt-1">
-                                  {new Date(l.createdAt || Date.now()).toLocaleString()}
+                                  {l.createdAt ? new Date(l.createdAt).toLocaleString() : "-"}
                                 </div>
                               </div>
                               <div className="flex items-center gap-2">
+                                <select
+                                  value={l.language || "de"}
+                                  onChange={(e) => updateLetter(l.id, { language: e.target.value })}
+                                  title="Language"
+                                  className="rounded-xl border border-slate-200 px-3 py-2 bg-white text-sm"
+                                >
+                                  {LETTER_LANGUAGES.map((lang) => (
+                                    <option key={lang.id} value={lang.id} disabled={lang.id !== "de" && !l.en?.body}>
+                                      {lang.label}
+                                    </option>
+                                  ))}
+                                </select>
                                 <SmallButton
                                   onClick={() => {
-                                    navigator.clipboard?.writeText((l.subject ? `Subject: ${l.subject}\n\n` : "") + (l.body || ""));
+                                    navigator.clipboard?.writeText(letterText(l));
                                     notify("Copied to clipboard");
                                   }}
                                 >
@@ -1108,36 +1488,220 @@ export default function LandlordCaseFileApp() {
                               </div>
                             </div>
 
-                            <div className="mt-3 grid grid-cols-1 gap-3">
-                              <Field label="Subject">
-                                <input
-                                  value={l.subject || ""}
-                                  onChange={(e) => updateLetter(l.id, { subject: e.target.value })}
-                                  className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
-                                />
-                              </Field>
-                              <Field label="Body">
-                                <textarea
-                                  value={l.body || ""}
-                                  onChange={(e) => updateLetter(l.id, { body: e.target.value })}
-                                  className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white min-h-[220px]"
-                                />
-                              </Field>
+                            <div
+                              className={`mt-3 grid grid-cols-1 gap-3 ${
+                                letterVersions(l).length > 1 ? "md:grid-cols-2" : ""
+                              }`}
+                            >
+                              {letterVersions(l).map((v) => {
+                                const change = (patch) =>
+                                  updateLetter(l.id, v.language === "de" ? patch : { en: { ...l.en, ...patch } });
+                                return (
+                                  <div key={v.language} className="space-y-3">
+                                    {l.en?.body ? <div className="text-xs text-slate-600">{v.label}</div> : null}
+                                    <Field label="Subject">
+                                      <input
+                                        value={v.subject}
+                                        onChange={(e) => change({ subject: e.target.value })}
+                                        className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
+                                      />
+                                    </Field>
+                                    <Field label="Body">
+                                      <textarea
+                                        value={v.body}
+                                        onChange={(e) => change({ body: e.target.value })}
+                                        className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white min-h-[220px]"
+                                      />
+                                    </Field>
+                                  </div>
+                                );
+                              })}
+                            </div>
+
+                            <div className="mt-3 rounded-2xl border border-slate-200 p-3">
+                              <div className="font-semibold text-slate-900">Sending</div>
+                              <div className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-3">
+                                <Field label="Status">
+                                  <select
+                                    value={l.status || "draft"}
+                                    onChange={(e) => setLetterStatus(l, e.target.value)}
+                                    className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
+                                  >
+                                    {LETTER_STATUSES.map((x) => (
+                                      <option key={x.id} value={x.id}>
+                                        {x.label}
+                                      </option>
+                                    ))}
+                                  </select>
+                                </Field>
+                                <Field label="Sent on">
+                                  <input
+                                    type="date"
+                                    value={l.sentDate || ""}
+                                    onChange={(e) => updateLetter(l.id, { sentDate: e.target.value })}
+                                    className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
+                                  />
+                                </Field>
+                                <Field label="Deadline set in the letter" hint="Shown on the Snapshot once it lapses.">
+                                  <input
+                                    type="date"
+                                    value={l.deadline || ""}
+                                    onChange={(e) => updateLetter(l.id, { deadline: e.target.value })}
+                                    className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
+                                  />
+                                </Field>
+                                <Field label="Delivery method">
+                                  <select
+                                    value={l.deliveryMethod || ""}
+                                    onChange={(e) => updateLetter(l.id, { deliveryMethod: e.target.value })}
+                                    className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
+                                  >
+                                    <option value="">Not chosen</option>
+                                    {DELIVERY_METHODS.map((m) => (
+                                      <option key={m.id} value={m.id}>
+                                        {m.label}
+                                      </option>
+                                    ))}
+                                  </select>
+                                </Field>
+                                <Field
+                                  label={
+                                    DELIVERY_METHODS.find((m) => m.id === l.deliveryMethod)?.reference ||
+                                    "Tracking number / witness"
+                                  }
+                                >
+                                  <input
+                                    value={l.tracking || ""}
+                                    onChange={(e) => updateLetter(l.id, { tracking: e.target.value })}
+                                    className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
+                                  />
+                                </Field>
+                                <Field label="Delivered on">
+                                  <input
+                                    type="date"
+                                    value={l.deliveredDate || ""}
+                                    onChange={(e) => updateLetter(l.id, { deliveredDate: e.target.value })}
+                                    className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
+                                  />
+                                </Field>
+                              </div>
+
+                              <div className="mt-3 flex items-center justify-between gap-2">
+                                <div className="text-sm font-medium text-slate-700">Proof of sending / delivery</div>
+                                <label className="px-3 py-2 rounded-xl text-sm font-medium bg-slate-100 hover:bg-slate-200 text-slate-900 cursor-pointer">
+                                  + Add file
+                                  <input
+                                    type="file"
+                                    accept="image/*,application/pdf"
+                                    className="hidden"
+                                    onChange={(e) => addAttachment("letters", l.id, e.target.files?.[0] || null)}
+                                  />
+                                </label>
+                              </div>
+                              {(l.attachments || []).length === 0 ? (
+                                <div className="text-sm text-slate-600 mt-2">
+                                  No proof yet: a posting receipt, delivery confirmation, sent email or signed witness
+                                  note.
+                                </div>
+                              ) : (
+                                <div className="mt-2 space-y-2">
+                                  {l.attachments.map((a) => (
+                                    <div key={a.id} className="flex items-center justify-between gap-2 rounded-xl border border-slate-200 p-2">
+                                      <div className="min-w-0">
+                                        <div className="text-sm font-medium text-slate-900 truncate">{a.name}</div>
+                                        <div className="text-xs text-slate-600">{Math.round((a.size || 0) / 1024)} KB</div>
+                                      </div>
+                                      <div className="flex items-center gap-2">
+                                        <AttachmentLink attachment={a}>
+                                          {String(a.type || "").startsWith("image/") ? "View" : "Open"}
+                                        </AttachmentLink>
+                                        <SmallButton
+                                          tone="danger"
+                                          onClick={() => deleteAttachment("letters", l.id, a.id)}
+                                        >
+                                          Remove
+                                        </SmallButton>
+                                      </div>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+
+                              <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3">
+                                <Field label="Answered on">
+                                  <input
+                                    type="date"
+                                    value={l.responseDate || ""}
+                                    onChange={(e) => updateLetter(l.id, { responseDate: e.target.value })}
+                                    className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
+                                  />
+                                </Field>
+                                <Field
+                                  label="Landlord's answer (document)"
+                                  hint="Add the answer under Documents first."
+                                >
+                                  <select
+                                    value={l.responseId || ""}
+                                    onChange={(e) => updateLetter(l.id, { responseId: e.target.value })}
+                                    className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
+                                  >
+                                    <option value="">None</option>
+                                    {caseDocuments.map((d) => (
+                                      <option key={d.id} value={d.id}>
+                                        {[d.date, d.type, d.ref || d.description].filter(Boolean).join(" · ")}
+                                      </option>
+                                    ))}
+                                  </select>
+                                </Field>
+                                <Field label="What the answer says">
+                                  <input
+                                    value={l.response || ""}
+                                    onChange={(e) => updateLetter(l.id, { response: e.target.value })}
+                                    className="w-full rounded-xl border border-slate-200 px-3 py-2 bg-white"
+                                    placeholder="e.g., repair promised for next week"
+                                  />
+                                </Field>
+                              </div>
                             </div>
 
+                            {caseDocuments.length ? (
+                              <details className="mt-3 rounded-xl border border-slate-200 p-3 text-sm">
+                                <summary className="cursor-pointer font-medium text-slate-700">
+                                  Enclosures ({caseDocuments.filter((d) => l.enclosures?.includes(d.id)).length}) — listed
+                                  in the PDF
+                                </summary>
+                                <div className="mt-2 space-y-1">
+                                  {caseDocuments.map((d) => (
+                                    <label key={d.id} className="flex items-center gap-2">
+                                      <input
+                                        type="checkbox"
+                                        checked={!!l.enclosures?.includes(d.id)}
+                                        onChange={(e) => toggleEnclosure(l, d.id, e.target.checked)}
+                                      />
+                                      <span>{[d.date, d.type, d.ref || d.description].filter(Boolean).join(" · ")}</span>
+                                    </label>
+                                  ))}
+                                </div>
+                              </details>
+                            ) : null}
+
                             <div className="mt-3 flex flex-wrap gap-2">
+                              <SmallButton onClick={() => downloadLetterPdf(l)}>Download PDF</SmallButton>
                               <SmallButton onClick={() => window.print()}>Print this view</SmallButton>
                               <SmallButton
                                 onClick={() =>
                                   downloadText(
                                     `${(activeCase.title || "case").replaceAll(/[^a-z0-9\-_]+/gi, "-")}-letter.txt`,
-                                    (l.subject ? `Subject: ${l.subject}\n\n` : "") + (l.body || ""),
+                                    letterText(l),
                                     "text/plain"
                                   )
                                 }
                               >
                                 Download .txt
                               </SmallButton>
+                              {l.type ? (
+                                <SmallButton onClick={() => regenerateLetter(l)}>Regenerate</SmallButton>
+                              ) : null}
                             </div>
                           </div>
                         ))}
@@ -1146,7 +1710,7 @@ export default function LandlordCaseFileApp() {
                   </Section>
                 )}
 
-                {(app.ui?.tab || "snapshot") === "export" && (
+                {activeTab === "export" && (
                   <Section title="Export & Backup">
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                       <div className="rounded-2xl border border-slate-200 bg-white p-4">
@@ -1158,6 +1722,19 @@ export default function LandlordCaseFileApp() {
                           </SmallButton>
                         </div>
                       </div>
+                      <div className="rounded-2xl border border-slate-200 bg-white p-4 md:col-span-2">
+                        <div className="font-semibold text-slate-900">Case bundle (ZIP)</div>
+                        <div className="text-sm text-slate-600 mt-1">
+                          For a lawyer or tenants' association: attachments as files numbered as exhibits, letters as
+                          .txt with their proof of sending, a printable index (index.html) and a manifest with SHA-256
+                          hashes. Import accepts the same ZIP.
+                        </div>
+                        <div className="mt-3">
+                          <SmallButton tone="primary" onClick={downloadCaseBundle}>
+                            Download case bundle
+                          </SmallButton>
+                        </div>
+                      </div>
                       <div className="rounded-2xl border border-slate-200 bg-white p-4">
                         <div className="font-semibold text-slate-900">Export everything</div>
                         <div className="text-sm text-slate-600 mt-1">All cases + app settings.</div>
@@ -1171,6 +1748,7 @@ export default function LandlordCaseFileApp() {
                         <div className="font-semibold text-slate-900">Print to PDF</div>
                         <div className="text-sm text-slate-600 mt-1">
                           Open the view you want (Incidents / Defects / Letters), then click Print. Choose “Save as PDF”.
+                          Letters also have their own “Download PDF” in DIN 5008 layout.
                         </div>
                         <div className="mt-3">
                           <SmallButton onClick={() => window.print()}>Print current view</SmallButton>
@@ -1179,13 +1757,6 @@ export default function LandlordCaseFileApp() {
                     </div>
                   </Section>
                 )}
-
-                {/* Toast */}
-                {toast ? (
-                  <div className="fixed bottom-6 right-6 rounded-2xl bg-slate-900 text-white px-4 py-3 shadow-lg">
-                    <div className="text-sm">{toast}</div>
-                  </div>
-                ) : null}
               </div>
             )}
           </div>
@@ -1195,6 +1766,27 @@ export default function LandlordCaseFileApp() {
           Next upgrade path: add accounts + cloud storage + PDF exports + shared access (so your evidence is safe off-device).
         </div>
       </div>
+
+      {pendingImport ? (
+        <ImportPreview
+          pending={pendingImport}
+          current={data}
+          onConfirm={confirmImport}
+          onCancel={() => setPendingImport(null)}
+        />
+      ) : null}
+
+      {/* Toast */}
+      {toast ? (
+        <div className="fixed bottom-6 right-6 rounded-2xl bg-slate-900 text-white px-4 py-3 shadow-lg flex items-center gap-3">
+          <div className="text-sm">{toast.msg}</div>
+          {toast.entry && toast.entry === undoEntry ? (
+            <button className="text-sm font-semibold text-lime-300 hover:text-lime-200" onClick={undoFromToast}>
+              Undo
+            </button>
+          ) : null}
+        </div>
+      ) : null}
     </div>
   );
 }
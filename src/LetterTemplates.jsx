@@ -0,0 +1,286 @@
+// Case File letter template editor (Letters tab): create, duplicate and edit letter templates with a live preview
+// against the open case, and go back to earlier versions. Built-in templates can be edited too; "Reset to default"
+// drops the edited version. Each template has a German (binding) and an English text, edited one at a time.
+// Templates are stored in the shared settings (./lib/letterTemplates.js).
+
+import React, { useMemo, useState } from "react";
+import { makeLetterTemplate } from "./lib/schema.js";
+import { updateSettings } from "./lib/store.js";
+import {
+  FILTER_NAMES,
+  PLACEHOLDERS,
+  TemplateError,
+  duplicateTemplate,
+  renderLetter,
+  saveTemplateVersion,
+  withVariants,
+} from "./lib/letterTemplates.js";
+
+const inputCls = "w-full rounded-xl border border-slate-200 px-3 py-2 bg-white";
+
+const EDIT_LANGUAGES = [
+  { id: "de", label: "Deutsch (binding)" },
+  { id: "en", label: "English" },
+];
+
+const draftOf = (t) => ({ name: t.name, subject: t.subject, body: t.body, en: { ...t.en } });
+
+function Button({ children, onClick, tone = "default", disabled }) {
+  const cls =
+    tone === "danger"
+      ? "bg-rose-600 hover:bg-rose-700 text-white"
+      : tone === "primary"
+        ? "bg-slate-900 hover:bg-slate-800 text-white"
+        : "bg-slate-100 hover:bg-slate-200 text-slate-900";
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className={`px-3 py-2 rounded-xl text-sm font-medium transition disabled:opacity-50 disabled:cursor-not-allowed ${cls}`}
+    >
+      {children}
+    </button>
+  );
+}
+
+function preview(draft, sample) {
+  try {
+    return { letter: renderLetter(draft, sample), error: "" };
+  } catch (e) {
+    if (e instanceof TemplateError) return { letter: null, error: e.message };
+    throw e;
+  }
+}
+
+function TemplateEditor({ template, list, sample, onSelect, onUse }) {
+  const saved = () => draftOf(template);
+  const [draft, setDraft] = useState(saved);
+  const [language, setLanguage] = useState("de");
+  const { letter, error } = useMemo(() => preview(draft, sample), [draft, sample]);
+  const changed =
+    draft.name !== template.name ||
+    draft.subject !== template.subject ||
+    draft.body !== template.body ||
+    draft.en.subject !== template.en.subject ||
+    draft.en.body !== template.en.body;
+  // The subject/body being edited: the German ones or the English translation
+  const text = language === "de" ? draft : draft.en;
+  const setText = (patch) =>
+    setDraft(language === "de" ? { ...draft, ...patch } : { ...draft, en: { ...draft.en, ...patch } });
+  const shown = letter && (language === "de" ? letter : letter.en);
+
+  const save = () => updateSettings({ letterTemplates: saveTemplateVersion(list, template, draft) });
+
+  function duplicate() {
+    const copy = duplicateTemplate({ ...template, ...draft });
+    updateSettings({ letterTemplates: [...list, copy] });
+    onSelect(copy.id);
+  }
+
+  function remove() {
+    const question = template.builtIn
+      ? "Reset this template to the built-in default? Your versions of it are removed."
+      : "Delete this template with all its versions?";
+    if (!window.confirm(question)) return;
+    updateSettings({ letterTemplates: list.filter((t) => t.id !== template.id) });
+    if (!template.builtIn) onSelect(null);
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center gap-2 text-xs text-slate-600">
+          {template.builtIn ? <span className="px-2 py-0.5 rounded-full border border-slate-200">built-in</span> : null}
+          <span>
+            {template.version ? `Version ${template.version}` : "Default version"}
+            {template.updatedAt && template.version ? ` · saved ${new Date(template.updatedAt).toLocaleString()}` : ""}
+          </span>
+          {changed ? <span className="text-amber-700">Unsaved changes</span> : null}
+        </div>
+        <label className="block space-y-1">
+          <div className="text-sm font-medium text-slate-700">Name</div>
+          <input
+            className={inputCls}
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+        </label>
+        <div className="flex gap-2">
+          {EDIT_LANGUAGES.map((lang) => (
+            <button
+              key={lang.id}
+              onClick={() => setLanguage(lang.id)}
+              className={
+                "px-3 py-1.5 rounded-full text-xs border transition " +
+                (lang.id === language
+                  ? "bg-slate-900 text-white border-slate-900"
+                  : "bg-white border-slate-200 hover:border-slate-300")
+              }
+            >
+              {lang.label}
+            </button>
+          ))}
+        </div>
+        <label className="block space-y-1">
+          <div className="text-sm font-medium text-slate-700">Subject</div>
+          <input
+            className={`${inputCls} font-mono text-sm`}
+            value={text.subject}
+            onChange={(e) => setText({ subject: e.target.value })}
+          />
+        </label>
+        <label className="block space-y-1">
+          <div className="text-sm font-medium text-slate-700">Body</div>
+          <textarea
+            className={`${inputCls} font-mono text-xs min-h-[360px]`}
+            spellCheck={false}
+            value={text.body}
+            onChange={(e) => setText({ body: e.target.value })}
+          />
+          {language === "en" ? (
+            <div className="text-xs text-slate-500">Leave the body empty for a template without English text.</div>
+          ) : null}
+        </label>
+        {error ? <div className="text-sm text-rose-700">{error}</div> : null}
+        <div className="flex flex-wrap gap-2">
+          <Button tone="primary" disabled={!changed || !!error || !draft.name.trim()} onClick={save}>
+            Save as version {(template.version || 0) + 1}
+          </Button>
+          <Button disabled={!changed} onClick={() => setDraft(saved())}>
+            Discard changes
+          </Button>
+          <Button onClick={duplicate}>Duplicate</Button>
+          <Button disabled={changed || !!error} onClick={() => onUse(template.id)}>
+            Generate letter
+          </Button>
+          {!template.builtIn || template.edited ? (
+            <Button tone="danger" onClick={remove}>
+              {template.builtIn ? "Reset to default" : "Delete"}
+            </Button>
+          ) : null}
+        </div>
+
+        {template.versions?.length ? (
+          <div>
+            <div className="text-sm font-medium text-slate-700">Earlier versions</div>
+            <ul className="mt-1 divide-y divide-slate-100 rounded-xl border border-slate-200 text-sm">
+              {template.versions.map((v) => (
+                <li key={v.version} className="px-3 py-2 flex items-center justify-between gap-2">
+                  <span>
+                    {v.version ? `Version ${v.version}` : "Built-in default"}
+                    {v.savedAt ? (
+                      <span className="text-slate-500"> · {new Date(v.savedAt).toLocaleString()}</span>
+                    ) : null}
+                  </span>
+                  <button
+                    className="text-xs font-medium text-slate-700 hover:underline"
+                    onClick={() => setDraft(draftOf(withVariants(v)))}
+                  >
+                    Load into editor
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <div className="text-xs text-slate-500 mt-1">Loading a version and saving it makes it the newest one.</div>
+          </div>
+        ) : null}
+      </div>
+
+      <div className="space-y-3">
+        <div>
+          <div className="text-sm font-medium text-slate-700">Preview with this case</div>
+          {shown?.body ? (
+            <div className="mt-1 rounded-xl border border-slate-200 bg-slate-50 p-3 text-sm">
+              <div className="font-semibold">{shown.subject}</div>
+              <div className="mt-2 whitespace-pre-wrap">{shown.body}</div>
+            </div>
+          ) : letter ? (
+            <div className="mt-1 text-sm text-slate-500">No English text.</div>
+          ) : (
+            <div className="mt-1 text-sm text-slate-500">Fix the error to see the preview.</div>
+          )}
+        </div>
+        <details className="rounded-xl border border-slate-200 p-3 text-sm">
+          <summary className="cursor-pointer font-medium text-slate-700">Placeholders</summary>
+          <ul className="mt-2 space-y-1">
+            {PLACEHOLDERS.map((p) => (
+              <li key={p.name}>
+                <code className="text-xs">{p.name}</code> <span className="text-slate-500">– {p.hint}</span>
+              </li>
+            ))}
+          </ul>
+          <div className="mt-2 text-slate-600">
+            <code className="text-xs">{"{{case.address}}"}</code> inserts a value;{" "}
+            <code className="text-xs">{"{{#each defects.open}}…{{else}}…{{/each}}"}</code> repeats for each
+            item;{" "}
+            <code className="text-xs">{"{{#if room}}…{{/if}}"}</code> and{" "}
+            <code className="text-xs">{"{{#unless …}}"}</code> show text conditionally. Filters:{" "}
+            {FILTER_NAMES.map((f) => (
+              <code key={f} className="text-xs mr-1">
+                {f}
+              </code>
+            ))}
+            e.g. <code className="text-xs">{'{{case.address | default: "[address]"}}'}</code>.
+          </div>
+        </details>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Props: templates (templateList(settings)), settings (shared settings), sample (letterContext of the open case),
+ * onUse(templateId) generates a letter for the case.
+ */
+export default function LetterTemplates({ templates, settings, sample, onUse }) {
+  const [selectedId, setSelectedId] = useState(templates[0]?.id || null);
+  const selected = templates.find((t) => t.id === selectedId) || templates[0];
+  const list = settings.letterTemplates || [];
+
+  function addTemplate() {
+    const t = makeLetterTemplate({
+      name: "New template",
+      subject: '{{case.title | default: "[Betreff]"}}',
+      body: 'Sehr geehrte/r {{case.landlordName | default: "[Vermieter]"}},\n\n\n\nMit freundlichen Grüßen\n{{case.tenantName}}',
+      en: {
+        subject: '{{case.title | default: "[subject]"}}',
+        body: 'Dear {{case.landlordName | default: "[Landlord]"}},\n\n\n\nKind regards,\n{{case.tenantName}}',
+      },
+    });
+    updateSettings({ letterTemplates: [...list, t] });
+    setSelectedId(t.id);
+  }
+
+  return (
+    <div className="rounded-2xl border border-slate-200 bg-white p-4 space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        {templates.map((t) => (
+          <button
+            key={t.id}
+            onClick={() => setSelectedId(t.id)}
+            className={
+              "px-3 py-1.5 rounded-full text-sm border transition " +
+              (t.id === selected?.id
+                ? "bg-slate-900 text-white border-slate-900"
+                : "bg-white border-slate-200 hover:border-slate-300")
+            }
+          >
+            {t.name || "Untitled"}
+            {t.builtIn && t.edited ? " *" : ""}
+          </button>
+        ))}
+        <Button onClick={addTemplate}>+ New template</Button>
+      </div>
+      {selected ? (
+        <TemplateEditor
+          key={`${selected.id}:${selected.version}`}
+          template={selected}
+          list={list}
+          sample={sample}
+          onSelect={setSelectedId}
+          onUse={onUse}
+        />
+      ) : null}
+    </div>
+  );
+}
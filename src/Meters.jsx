@@ -0,0 +1,374 @@
+// RentIt "Meters" tab — electricity, gas, water and heat meters with their readings: consumption per month
+// (interpolated between readings), the projected bill for the billing year from the tariff, and a warning when
+// the monthly advance will not cover it (./lib/meters.js).
+
+import React, { useMemo, useState } from "react";
+import { addMonths, isoMonth, makeMeter, makeMeterReading, toNum } from "./lib/schema.js";
+import { moneyFmt } from "./lib/currency.js";
+import { addRecord, patchRecord, removeRecord } from "./lib/store.js";
+import { METER_KINDS, meterKind, meterStatus, monthlyConsumption } from "./lib/meters.js";
+
+const btnSecondary =
+  "px-3 py-2 rounded-xl bg-white border border-neutral-200 shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition";
+const btnPrimary =
+  "px-3 py-2 rounded-xl bg-neutral-900 text-white border border-neutral-900 shadow-sm hover:bg-neutral-800 active:translate-y-[1px] transition";
+const inputBase =
+  "w-full mt-1 px-3 py-2 rounded-xl border border-neutral-200 bg-white focus:outline-none focus:ring-2 focus:ring-lime-400/25 focus:border-neutral-300";
+const cellInput = "px-2 py-1 rounded-xl border border-neutral-200 bg-white";
+
+const FLAG_TONES = {
+  error: "border-red-200 bg-red-50 text-red-800",
+  warning: "border-amber-200 bg-amber-50 text-amber-900",
+  info: "border-neutral-200 bg-neutral-50 text-neutral-700",
+};
+
+// Months of consumption shown under the readings
+const HISTORY_MONTHS = 12;
+
+const amountFmt = (n, unit) => (n === null ? "-" : `${Number(n).toFixed(1)} ${unit}`);
+
+const meterName = (m) =>
+  [m.label || meterKind(m.kind).label, m.number ? `No. ${m.number}` : ""].filter(Boolean).join(" · ");
+
+/**
+ * Props: unit (active unit), meters (its meters), costs (its cost rows in the base currency), categories (cost
+ * categories), evidence (for photo refs), currency.
+ */
+export default function Meters({ unit, meters, costs, categories, evidence, currency }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [newKind, setNewKind] = useState("electricity");
+  const meter = meters.find((m) => m.id === selectedId) || meters[0] || null;
+  const status = useMemo(() => (meter ? meterStatus(meter, costs) : null), [meter, costs]);
+  const months = useMemo(() => {
+    if (!meter) return [];
+    const to = isoMonth();
+    return monthlyConsumption(meter, addMonths(`${to}-01`, 1 - HISTORY_MONTHS).slice(0, 7), to).reverse();
+  }, [meter]);
+  const photoRefs = useMemo(() => [...new Set(evidence.map((e) => e.ref).filter(Boolean))], [evidence]);
+
+  function addMeter() {
+    const kind = meterKind(newKind);
+    const m = makeMeter(unit.id, { kind: kind.id, costCategory: kind.category });
+    addRecord("meters", m);
+    setSelectedId(m.id);
+  }
+
+  function updateMeter(patch) {
+    patchRecord("meters", meter.id, patch);
+  }
+
+  function deleteMeter() {
+    if (!window.confirm("Delete this meter with all its readings?")) return;
+    removeRecord("meters", meter.id);
+    setSelectedId(null);
+  }
+
+  function updateReadings(fn) {
+    patchRecord("meters", meter.id, (m) => ({ ...m, readings: fn(m.readings || []) }));
+  }
+
+  const changeReading = (id, patch) =>
+    updateReadings((list) => list.map((r) => (r.id === id ? { ...r, ...patch } : r)));
+
+  const kind = meter ? meterKind(meter.kind) : null;
+  const converts = kind && kind.unit !== kind.billed;
+  const categoryName = categories.find((c) => c.id === meter?.costCategory)?.label || meter?.costCategory;
+  const readings = [...(meter?.readings || [])].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <div className="font-semibold">Meters</div>
+          <div className="text-sm text-neutral-600">
+            Log your meter readings to see the consumption per month and whether your advance covers the year.
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <select className={cellInput} value={newKind} onChange={(e) => setNewKind(e.target.value)}>
+            {METER_KINDS.map((k) => (
+              <option key={k.id} value={k.id}>
+                {k.label}
+              </option>
+            ))}
+          </select>
+          <button className={btnPrimary} onClick={addMeter}>
+            + Meter
+          </button>
+        </div>
+      </div>
+
+      {!meter ? (
+        <div className="mt-3 text-sm text-neutral-500">No meters yet.</div>
+      ) : (
+        <>
+          {meters.length > 1 ? (
+            <div className="mt-3 flex flex-wrap gap-2">
+              {meters.map((m) => (
+                <button
+                  key={m.id}
+                  className={
+                    "px-3 py-1 rounded-xl border text-sm " +
+                    (m.id === meter.id ? "bg-neutral-900 text-white border-neutral-900" : "bg-white border-neutral-200")
+                  }
+                  onClick={() => setSelectedId(m.id)}
+                >
+                  {meterName(m)}
+                </button>
+              ))}
+            </div>
+          ) : null}
+
+          <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-2">
+            <label className="text-sm">
+              <div className="text-neutral-600">Kind</div>
+              <select
+                className={inputBase}
+                value={meter.kind}
+                onChange={(e) =>
+                  updateMeter({ kind: e.target.value, costCategory: meterKind(e.target.value).category })
+                }
+              >
+                {METER_KINDS.map((k) => (
+                  <option key={k.id} value={k.id}>
+                    {k.label} ({k.unit})
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm">
+              <div className="text-neutral-600">Label</div>
+              <input
+                className={inputBase}
+                placeholder={kind.label}
+                value={meter.label}
+                onChange={(e) => updateMeter({ label: e.target.value })}
+              />
+            </label>
+            <label className="text-sm">
+              <div className="text-neutral-600">Meter number</div>
+              <input
+                className={inputBase}
+                value={meter.number}
+                onChange={(e) => updateMeter({ number: e.target.value })}
+              />
+            </label>
+            <label className="text-sm">
+              <div className="text-neutral-600">Price per {kind.billed} (gross)</div>
+              <input
+                type="number"
+                step="0.0001"
+                className={inputBase}
+                value={meter.price}
+                onChange={(e) => updateMeter({ price: toNum(e.target.value, 0) })}
+              />
+            </label>
+            <label className="text-sm">
+              <div className="text-neutral-600">Base fee per month</div>
+              <input
+                type="number"
+                step="0.01"
+                className={inputBase}
+                value={meter.baseFee}
+                onChange={(e) => updateMeter({ baseFee: toNum(e.target.value, 0) })}
+              />
+            </label>
+            {converts ? (
+              <label className="text-sm">
+                <div className="text-neutral-600">
+                  {kind.billed} per {kind.unit} (from the bill)
+                </div>
+                <input
+                  type="number"
+                  step="0.0001"
+                  className={inputBase}
+                  value={meter.factor}
+                  onChange={(e) => updateMeter({ factor: toNum(e.target.value, 1) })}
+                />
+              </label>
+            ) : null}
+            <label className="text-sm">
+              <div className="text-neutral-600">Billing year starts</div>
+              <input
+                type="date"
+                className={inputBase}
+                value={meter.periodStart}
+                onChange={(e) => updateMeter({ periodStart: e.target.value })}
+              />
+            </label>
+            <label className="text-sm">
+              <div className="text-neutral-600">Monthly advance</div>
+              <input
+                type="number"
+                step="0.01"
+                className={inputBase}
+                placeholder="Taken from your cost rows"
+                value={meter.advance}
+                onChange={(e) => updateMeter({ advance: e.target.value === "" ? "" : toNum(e.target.value, 0) })}
+              />
+            </label>
+            <label className="text-sm">
+              <div className="text-neutral-600">Cost category of the advance</div>
+              <select
+                className={inputBase}
+                value={meter.costCategory}
+                onChange={(e) => updateMeter({ costCategory: e.target.value })}
+              >
+                {categories
+                  .filter((c) => !c.archived || c.id === meter.costCategory)
+                  .map((c) => (
+                    <option key={c.id} value={c.id}>
+                      {c.label}
+                    </option>
+                  ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm font-semibold">Readings ({kind.unit})</div>
+                <button
+                  className={btnSecondary}
+                  onClick={() => updateReadings((list) => [...list, makeMeterReading()])}
+                >
+                  + Reading
+                </button>
+              </div>
+              {readings.length === 0 ? (
+                <div className="mt-2 text-sm text-neutral-500">
+                  Read the meter now and then (e.g. monthly) and note the photo you took of it.
+                </div>
+              ) : (
+                <table className="mt-2 w-full text-sm">
+                  <tbody>
+                    {readings.map((r) => (
+                      <tr key={r.id} className="border-b last:border-b-0">
+                        <td className="py-1 pr-2">
+                          <input
+                            type="date"
+                            className={cellInput}
+                            value={r.date}
+                            onChange={(e) => changeReading(r.id, { date: e.target.value })}
+                          />
+                        </td>
+                        <td className="py-1 pr-2">
+                          <input
+                            type="number"
+                            step="0.001"
+                            className={`${cellInput} w-28`}
+                            value={r.value}
+                            onChange={(e) =>
+                              changeReading(r.id, { value: e.target.value === "" ? "" : toNum(e.target.value, 0) })
+                            }
+                          />
+                        </td>
+                        <td className="py-1 pr-2">
+                          <input
+                            className={`${cellInput} w-full`}
+                            list="meter-photo-refs"
+                            placeholder="Photo ref"
+                            value={r.photoRef}
+                            onChange={(e) => changeReading(r.id, { photoRef: e.target.value })}
+                          />
+                        </td>
+                        <td className="py-1 text-right">
+                          <button
+                            className={btnSecondary}
+                            onClick={() => updateReadings((list) => list.filter((x) => x.id !== r.id))}
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <datalist id="meter-photo-refs">
+                {photoRefs.map((ref) => (
+                  <option key={ref} value={ref} />
+                ))}
+              </datalist>
+            </div>
+
+            <div className="rounded-2xl border border-neutral-200 bg-white p-3">
+              <div className="text-sm font-semibold">Consumption per month ({kind.billed})</div>
+              {status.readings.length < 2 ? (
+                <div className="mt-2 text-sm text-neutral-500">Needs at least two readings.</div>
+              ) : (
+                <table className="mt-2 w-full text-sm">
+                  <tbody>
+                    {months.map((m) => (
+                      <tr key={m.month} className="border-b last:border-b-0">
+                        <td className="py-1 pr-2">{m.month}</td>
+                        <td className="py-1 pr-2 text-right">{amountFmt(m.consumption, kind.billed)}</td>
+                        <td className="py-1 pr-2 text-right">
+                          {m.consumption === null || !toNum(meter.price)
+                            ? "-"
+                            : moneyFmt(m.consumption * toNum(meter.price), currency)}
+                        </td>
+                        <td className="py-1 text-xs text-neutral-500">{m.estimated ? "estimated" : ""}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm space-y-1">
+              <div className="font-semibold">
+                Billing year {status.period.start} – {status.period.end}
+              </div>
+              <div>
+                Projected consumption: {amountFmt(status.consumption, kind.billed)}{" "}
+                <span className="text-neutral-500">({Math.round(status.measured * 100)}% covered by readings)</span>
+              </div>
+              {status.dailyRate !== null ? (
+                <div>Average: {amountFmt(status.dailyRate, kind.billed)} per day</div>
+              ) : null}
+              <div>Projected bill: {moneyFmt(status.cost, currency)}</div>
+              <div>
+                Advances: {moneyFmt(status.advances, currency)}{" "}
+                <span className="text-neutral-500">
+                  (12 × {moneyFmt(status.advance.amount, currency)}
+                  {status.advance.source === "costs" ? `, ${categoryName} of your latest cost row` : ""})
+                </span>
+              </div>
+              {status.balance !== null ? (
+                <div className={"font-semibold " + (status.balance > 0 ? "text-red-700" : "text-emerald-700")}>
+                  {status.balance > 0
+                    ? `Expected back-payment: ${moneyFmt(status.balance, currency)}`
+                    : `Expected refund: ${moneyFmt(-status.balance, currency)}`}
+                </div>
+              ) : null}
+            </div>
+            <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm space-y-2">
+              <div className="font-semibold">Checks</div>
+              {status.flags.length ? (
+                <ul className="space-y-1">
+                  {status.flags.map((f, i) => (
+                    <li key={i} className={`rounded-lg border px-2 py-1 text-xs ${FLAG_TONES[f.level]}`}>
+                      {f.message}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="text-neutral-500">Nothing to flag.</div>
+              )}
+            </div>
+          </div>
+
+          <div className="mt-3 flex justify-end">
+            <button className={btnSecondary} onClick={deleteMeter}>
+              Delete meter
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,473 @@
+// RentIt "Rent" tab — the unit's rent history (cold rent and advances per effective date), which drives the
+// recurring cost rows and the unit's current rent, plus a checker for rent increase requests: waiting periods,
+// the cap and the index math against a locally imported price index table (./lib/rentHistory.js).
+
+import React, { useMemo, useRef, useState } from "react";
+import { forUnit, isoToday, makeRentChange, round2, toNum } from "./lib/schema.js";
+import { patchRecord, update, updateSettings } from "./lib/store.js";
+import {
+  CAP_CHOICES,
+  RENT_REASONS,
+  checkRentIncrease,
+  latestCpiMonth,
+  parseCpiTable,
+  rentAt,
+  sortChanges,
+  startOfMonthAfter,
+  syncUnitRent,
+} from "./lib/rentHistory.js";
+import { moneyFmt } from "./lib/currency.js";
+
+const btnSecondary =
+  "px-3 py-2 rounded-xl bg-white border border-neutral-200 shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition";
+const btnPrimary =
+  "px-3 py-2 rounded-xl bg-neutral-900 text-white border border-neutral-900 shadow-sm hover:bg-neutral-800 active:translate-y-[1px] transition";
+const inputBase =
+  "w-full mt-1 px-3 py-2 rounded-xl border border-neutral-200 bg-white focus:outline-none focus:ring-2 focus:ring-lime-400/25 focus:border-neutral-300";
+const cellInput = "px-2 py-1 rounded-xl border border-neutral-200 bg-white";
+
+const CHECK_TONES = {
+  ok: "border-emerald-200 bg-emerald-50 text-emerald-800",
+  error: "border-red-200 bg-red-50 text-red-800",
+  warning: "border-amber-200 bg-amber-50 text-amber-900",
+  info: "border-neutral-200 bg-neutral-50 text-neutral-700",
+};
+
+const REQUEST_TYPES = RENT_REASONS.filter((r) => ["comparable", "index", "step", "modernization"].includes(r.id));
+
+function changeLabel(diff, base) {
+  if (!diff) return "±0";
+  const pct = base ? ` (${diff > 0 ? "+" : ""}${round2((diff / base) * 100)} %)` : "";
+  return `${diff > 0 ? "+" : ""}${diff.toFixed(2)}${pct}`;
+}
+
+// Writes the unit's rent history and keeps unit.rentCold / rentWarm at the rent in effect today (one undo step)
+function updateHistory(unitId, fn, label) {
+  update((prev) => {
+    const next = fn(forUnit(prev.rentChanges, unitId));
+    return {
+      ...prev,
+      rentChanges: [...prev.rentChanges.filter((c) => c.unitId !== unitId), ...next],
+      units: prev.units.map((u) => (u.id === unitId ? syncUnitRent(u, next) : u)),
+    };
+  }, label);
+}
+
+function IndexTable({ cpi }) {
+  const fileRef = useRef(null);
+  const values = cpi?.values || {};
+  const latest = latestCpiMonth(values);
+
+  async function importFile(file) {
+    if (!file) return;
+    const parsed = parseCpiTable(await file.text());
+    if (!Object.keys(parsed).length) {
+      alert("No index values found. Expected lines like \"2024-01;117,6\" or \"Januar 2024;117,6\".");
+      return;
+    }
+    updateSettings({ cpi: { values: parsed, source: file.name, importedAt: new Date().toISOString() } });
+  }
+
+  return (
+    <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm space-y-2">
+      <div className="font-semibold">Consumer price index (VPI)</div>
+      {latest ? (
+        <div className="text-neutral-700">
+          {Object.keys(values).length} months up to {latest} ({values[latest]})
+          {cpi.source ? <span className="text-neutral-500"> · {cpi.source}</span> : null}
+        </div>
+      ) : (
+        <div className="text-neutral-600">
+          Import the index table (e.g. Destatis 61111-0002 as CSV) to check index rent increases. It stays on this
+          device.
+        </div>
+      )}
+      <div className="flex flex-wrap gap-2">
+        <button className={btnSecondary} onClick={() => fileRef.current?.click()}>
+          {latest ? "Replace index table" : "Import index table"}
+        </button>
+        {latest ? (
+          <button className={btnSecondary} onClick={() => updateSettings({ cpi: null })}>
+            Remove
+          </button>
+        ) : null}
+      </div>
+      <input
+        ref={fileRef}
+        type="file"
+        accept=".csv,.txt,text/csv,text/plain"
+        className="hidden"
+        onChange={(e) => {
+          importFile(e.target.files?.[0]);
+          e.target.value = "";
+        }}
+      />
+    </div>
+  );
+}
+
+/** Props: unit (active unit), changes (its rent history), cpi (settings.cpi), currency. */
+export default function RentHistory({ unit, changes, cpi, currency }) {
+  const today = isoToday();
+  const sorted = useMemo(() => sortChanges(changes), [changes]);
+  const current = useMemo(() => rentAt(unit, changes, today), [unit, changes, today]);
+  const indexMonths = useMemo(() => Object.keys(cpi?.values || {}).sort().reverse(), [cpi]);
+
+  const [request, setRequest] = useState(() => ({
+    type: "comparable",
+    receivedDate: today,
+    effectiveDate: "",
+    newRent: "",
+    cpiFrom: "",
+    cpiTo: "",
+    modernizationCost: "",
+  }));
+  // The index month of the last index change is the natural starting point of the next one
+  const lastIndexMonth = sorted.filter((c) => c.indexMonth).pop()?.indexMonth || "";
+  const effectiveRequest = {
+    ...request,
+    cpiFrom: request.cpiFrom || lastIndexMonth,
+    cpiTo: request.cpiTo || indexMonths[0] || "",
+  };
+  const capPercent = toNum(unit.capPercent, 20);
+  const result = checkRentIncrease(effectiveRequest, { unit, changes, cpi: cpi?.values, capPercent });
+
+  function setField(patch) {
+    setRequest((r) => ({ ...r, ...patch }));
+  }
+
+  function startFromUnit() {
+    const first = makeRentChange(unit.id, {
+      effectiveDate: unit.contractStart || today,
+      rentCold: current.rentCold,
+      advances: current.advances,
+      reason: "initial",
+    });
+    updateHistory(unit.id, (list) => [...list, first], "Start rent history");
+  }
+
+  function addChange() {
+    const next = makeRentChange(unit.id, {
+      effectiveDate: startOfMonthAfter(today, 1),
+      rentCold: current.rentCold,
+      advances: current.advances,
+    });
+    updateHistory(unit.id, (list) => [...list, next], "Add rent change");
+  }
+
+  function updateChange(id, patch) {
+    updateHistory(unit.id, (list) => list.map((c) => (c.id === id ? { ...c, ...patch } : c)), "Edit rent change");
+  }
+
+  function removeChange(id) {
+    updateHistory(unit.id, (list) => list.filter((c) => c.id !== id), "Delete rent change");
+  }
+
+  function addRequestToHistory() {
+    const change = makeRentChange(unit.id, {
+      effectiveDate: result.effective || today,
+      rentCold: toNum(request.newRent),
+      advances: result.current.advances,
+      reason: request.type,
+      indexMonth: request.type === "index" ? effectiveRequest.cpiTo : "",
+      note: `Request received ${request.receivedDate}`,
+    });
+    updateHistory(unit.id, (list) => [...list, change], "Add rent change");
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <div className="font-semibold">Rent</div>
+          <div className="text-sm text-neutral-600">
+            Rent history of this unit — new cost rows use the rent in effect in their month.
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {sorted.length === 0 ? (
+            <button className={btnSecondary} onClick={startFromUnit}>
+              Start from current rent
+            </button>
+          ) : null}
+          <button className={btnPrimary} onClick={addChange}>
+            + Rent change
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div className="rounded-2xl border border-neutral-200 bg-white p-3 text-sm">
+          <div className="text-neutral-600">Cold rent today</div>
+          <div className="text-lg font-semibold">{moneyFmt(current.rentCold, currency)}</div>
+        </div>
+        <div className="rounded-2xl border border-neutral-200 bg-white p-3 text-sm">
+          <div className="text-neutral-600">Advances today</div>
+          <div className="text-lg font-semibold">{moneyFmt(current.advances, currency)}</div>
+        </div>
+        <div className="rounded-2xl border border-neutral-200 bg-white p-3 text-sm">
+          <div className="text-neutral-600">Warm rent today</div>
+          <div className="text-lg font-semibold">{moneyFmt(current.rentWarm, currency)}</div>
+          <div className="text-xs text-neutral-500">
+            {current.change ? `since ${current.change.effectiveDate}` : "from the unit (no rent history yet)"}
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-4 overflow-auto">
+        <table className="w-full text-sm">
+          <thead className="text-left text-neutral-600">
+            <tr className="border-b">
+              <th className="py-2 pr-2">Effective from</th>
+              <th className="py-2 pr-2">Cold rent</th>
+              <th className="py-2 pr-2">Advances</th>
+              <th className="py-2 pr-2">Warm rent</th>
+              <th className="py-2 pr-2">Cold rent change</th>
+              <th className="py-2 pr-2">Reason</th>
+              <th className="py-2 pr-2">Note</th>
+              <th className="py-2 pr-2 text-right">Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.length === 0 ? (
+              <tr>
+                <td colSpan={8} className="py-3 text-neutral-500">
+                  No rent history yet — the unit's warm and cold rent apply to every month.
+                </td>
+              </tr>
+            ) : (
+              sorted.map((c, i) => {
+                const before = i > 0 ? toNum(sorted[i - 1].rentCold) : 0;
+                const upcoming = c.effectiveDate > today;
+                return (
+                  <tr key={c.id} className={"border-b last:border-b-0 align-top " + (upcoming ? "bg-lime-50" : "")}>
+                    <td className="py-2 pr-2">
+                      <input
+                        type="date"
+                        className={cellInput}
+                        value={c.effectiveDate}
+                        onChange={(e) => updateChange(c.id, { effectiveDate: e.target.value })}
+                      />
+                      {upcoming ? <div className="mt-1 text-xs text-neutral-500">upcoming</div> : null}
+                    </td>
+                    <td className="py-2 pr-2">
+                      <input
+                        type="number"
+                        step="0.01"
+                        className={`${cellInput} w-24`}
+                        value={c.rentCold}
+                        onChange={(e) => updateChange(c.id, { rentCold: toNum(e.target.value, 0) })}
+                      />
+                    </td>
+                    <td className="py-2 pr-2">
+                      <input
+                        type="number"
+                        step="0.01"
+                        className={`${cellInput} w-24`}
+                        value={c.advances}
+                        onChange={(e) => updateChange(c.id, { advances: toNum(e.target.value, 0) })}
+                      />
+                    </td>
+                    <td className="py-2 pr-2 font-semibold whitespace-nowrap">
+                      {moneyFmt(toNum(c.rentCold) + toNum(c.advances), currency)}
+                    </td>
+                    <td className="py-2 pr-2 whitespace-nowrap">
+                      {i > 0 ? changeLabel(round2(toNum(c.rentCold) - before), before) : "—"}
+                    </td>
+                    <td className="py-2 pr-2">
+                      <select
+                        className={cellInput}
+                        value={c.reason}
+                        onChange={(e) => updateChange(c.id, { reason: e.target.value })}
+                      >
+                        {RENT_REASONS.map((r) => (
+                          <option key={r.id} value={r.id}>
+                            {r.label}
+                          </option>
+                        ))}
+                      </select>
+                      {c.reason === "index" ? (
+                        <input
+                          type="month"
+                          className={`${cellInput} mt-1 block`}
+                          title="Index month the new rent is based on"
+                          value={c.indexMonth}
+                          onChange={(e) => updateChange(c.id, { indexMonth: e.target.value })}
+                        />
+                      ) : null}
+                    </td>
+                    <td className="py-2 pr-2">
+                      <input
+                        className={`${cellInput} w-full min-w-32`}
+                        value={c.note}
+                        onChange={(e) => updateChange(c.id, { note: e.target.value })}
+                      />
+                    </td>
+                    <td className="py-2 pr-2 text-right">
+                      <button className={btnSecondary} onClick={() => removeChange(c.id)}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-6 flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <div className="font-semibold">Check a rent increase</div>
+          <div className="text-sm text-neutral-600">
+            Enter the landlord's request to check the dates and the amount (§§ 557a–559 BGB).
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div className="md:col-span-2 grid grid-cols-1 md:grid-cols-2 gap-2 content-start">
+          <label className="text-sm">
+            <div className="text-neutral-600">Kind of increase</div>
+            <select className={inputBase} value={request.type} onChange={(e) => setField({ type: e.target.value })}>
+              {REQUEST_TYPES.map((r) => (
+                <option key={r.id} value={r.id}>
+                  {r.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm">
+            <div className="text-neutral-600">New cold rent</div>
+            <input
+              type="number"
+              step="0.01"
+              className={inputBase}
+              value={request.newRent}
+              onChange={(e) => setField({ newRent: e.target.value })}
+            />
+          </label>
+          <label className="text-sm">
+            <div className="text-neutral-600">Request received on</div>
+            <input
+              type="date"
+              className={inputBase}
+              value={request.receivedDate}
+              onChange={(e) => setField({ receivedDate: e.target.value })}
+            />
+          </label>
+          <label className="text-sm">
+            <div className="text-neutral-600">Should apply from</div>
+            <input
+              type="date"
+              className={inputBase}
+              value={request.effectiveDate}
+              onChange={(e) => setField({ effectiveDate: e.target.value })}
+            />
+            {result.earliestEffective ? (
+              <div className="mt-1 text-xs text-neutral-500">Earliest possible: {result.earliestEffective}</div>
+            ) : null}
+          </label>
+          {request.type === "comparable" ? (
+            <label className="text-sm">
+              <div className="text-neutral-600">Cap within 3 years</div>
+              <select
+                className={inputBase}
+                value={capPercent}
+                onChange={(e) => patchRecord("units", unit.id, { capPercent: toNum(e.target.value, 20) })}
+              >
+                {CAP_CHOICES.map((p) => (
+                  <option key={p} value={p}>
+                    {p} %{p === 15 ? " (tight housing market ordinance)" : ""}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : null}
+          {request.type === "index" ? (
+            <>
+              <label className="text-sm">
+                <div className="text-neutral-600">Index month of the current rent</div>
+                <select
+                  className={inputBase}
+                  value={effectiveRequest.cpiFrom}
+                  onChange={(e) => setField({ cpiFrom: e.target.value })}
+                >
+                  <option value="">Choose…</option>
+                  {indexMonths.map((m) => (
+                    <option key={m} value={m}>
+                      {m} ({cpi.values[m]})
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm">
+                <div className="text-neutral-600">Index month of the request</div>
+                <select
+                  className={inputBase}
+                  value={effectiveRequest.cpiTo}
+                  onChange={(e) => setField({ cpiTo: e.target.value })}
+                >
+                  <option value="">Choose…</option>
+                  {indexMonths.map((m) => (
+                    <option key={m} value={m}>
+                      {m} ({cpi.values[m]})
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </>
+          ) : null}
+          {request.type === "modernization" ? (
+            <label className="text-sm">
+              <div className="text-neutral-600">Modernization costs for this unit</div>
+              <input
+                type="number"
+                step="0.01"
+                className={inputBase}
+                value={request.modernizationCost}
+                onChange={(e) => setField({ modernizationCost: e.target.value })}
+              />
+            </label>
+          ) : null}
+        </div>
+        <IndexTable cpi={cpi} />
+      </div>
+
+      <div className="mt-3 rounded-2xl border border-neutral-200 bg-white p-3 text-sm space-y-2">
+        <div className="flex flex-wrap gap-x-6 gap-y-1">
+          <div>
+            Current cold rent: <span className="font-semibold">{moneyFmt(result.current.rentCold, currency)}</span>
+          </div>
+          {toNum(request.newRent) ? (
+            <div>
+              Increase:{" "}
+              <span className="font-semibold">
+                {changeLabel(result.increase, result.current.rentCold)} {currency}
+              </span>
+            </div>
+          ) : null}
+          {result.maxRent !== null ? (
+            <div>
+              Allowed at most: <span className="font-semibold">{moneyFmt(result.maxRent, currency)}</span>
+            </div>
+          ) : null}
+          {result.since ? <div className="text-neutral-500">Waiting periods from {result.since}</div> : null}
+        </div>
+        <ul className="space-y-1">
+          {result.checks.map((c, i) => (
+            <li key={i} className={`rounded-lg border px-2 py-1 text-xs ${CHECK_TONES[c.level]}`}>
+              {c.message}
+            </li>
+          ))}
+        </ul>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="text-xs text-neutral-500">A plausibility check, not legal advice.</div>
+          <button className={btnSecondary} disabled={!toNum(request.newRent)} onClick={addRequestToHistory}>
+            Add to rent history
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,242 @@
+// Restore points browser — lists the snapshots the store takes automatically (daily, before imports,
+// wipes and restores) plus manual ones, shows what changed since a snapshot and restores it
+// wholesale or record by record. Restores go through update(), so they can be undone too.
+
+import React, { useEffect, useMemo, useState } from "react";
+import { COLLECTION_LABELS } from "./lib/importer.js";
+import { COLLECTIONS } from "./lib/schema.js";
+import { recordChanges, recordTitle, restoreAll, restoreRecord } from "./lib/snapshots.js";
+import { createSnapshot, deleteSnapshot, listSnapshots, loadSnapshot, update, useStore } from "./lib/store.js";
+
+const btnSecondary =
+  "px-3 py-2 rounded-xl bg-white border border-neutral-200 shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition disabled:opacity-40";
+const btnPrimary =
+  "px-3 py-2 rounded-xl bg-neutral-900 text-white border border-neutral-900 shadow-sm hover:bg-neutral-800 active:translate-y-[1px] transition disabled:opacity-40";
+const btnSmall = "px-2 py-1 rounded-lg border border-neutral-200 bg-white text-xs hover:bg-neutral-50";
+
+const KIND_LABELS = {
+  daily: "Daily",
+  import: "Before import",
+  wipe: "Before wipe",
+  restore: "Before restore",
+  manual: "Manual",
+  migration: "Before upgrade",
+};
+
+// Long lists are cut; the counts above each list stay complete
+const MAX_ROWS = 50;
+
+const STATUS = {
+  deleted: { label: "Deleted since", action: "Bring back", tone: "text-red-700" },
+  changed: { label: "Changed since", action: "Revert", tone: "text-amber-700" },
+  added: { label: "Added since", action: "Remove", tone: "text-emerald-700" },
+};
+
+function formatTime(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? iso || "—" : d.toLocaleString();
+}
+
+function totalRecords(counts) {
+  return Object.values(counts || {}).reduce((sum, n) => sum + n, 0);
+}
+
+function ChangeList({ collection, changes, onRestore }) {
+  if (!changes.length) return null;
+  const shown = changes.slice(0, MAX_ROWS);
+  return (
+    <div className="rounded-xl border border-neutral-200 bg-white">
+      <div className="px-3 py-2 border-b text-sm font-semibold">
+        {COLLECTION_LABELS[collection]} <span className="text-neutral-500 font-normal">({changes.length})</span>
+      </div>
+      <ul className="divide-y">
+        {shown.map((c) => (
+          <li key={c.id} className="px-3 py-2 flex items-center justify-between gap-3 text-sm">
+            <div className="min-w-0">
+              <span className={`text-xs font-medium ${STATUS[c.status].tone}`}>{STATUS[c.status].label}</span>
+              <div className="truncate">{recordTitle(collection, c.before || c.after)}</div>
+              {c.fields.length ? (
+                <div className="text-xs text-neutral-500 truncate">Fields: {c.fields.join(", ")}</div>
+              ) : null}
+            </div>
+            <button className={btnSmall} onClick={() => onRestore(collection, c)}>
+              {STATUS[c.status].action}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {changes.length > shown.length ? (
+        <div className="px-3 py-2 border-t text-xs text-neutral-500">
+          {changes.length - shown.length} more not shown — restore everything to include them.
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default function RestorePoints({ snapshotId, onSelect }) {
+  const data = useStore();
+  const [snapshots, setSnapshots] = useState(null);
+  const [loaded, setLoaded] = useState(null);
+  const [message, setMessage] = useState("");
+  const [refresh, setRefresh] = useState(0);
+
+  useEffect(() => {
+    let alive = true;
+    listSnapshots().then(
+      (list) => alive && setSnapshots(list),
+      (e) => alive && setMessage(e?.message || "Restore points could not be listed")
+    );
+    return () => {
+      alive = false;
+    };
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!snapshotId) return;
+    let alive = true;
+    loadSnapshot(snapshotId).then(
+      (snapshot) => alive && setLoaded(snapshot),
+      (e) => alive && setLoaded({ id: snapshotId, error: e?.message || "Restore point could not be opened" })
+    );
+    return () => {
+      alive = false;
+    };
+  }, [snapshotId]);
+
+  const snapshot = loaded && loaded.id === snapshotId ? loaded : null;
+  const changes = useMemo(
+    () => (snapshot?.data ? recordChanges(snapshot.data, data) : null),
+    [snapshot, data]
+  );
+  const changeCount = changes ? COLLECTIONS.reduce((sum, key) => sum + changes[key].length, 0) : 0;
+  const settingsChanged = snapshot?.data ? JSON.stringify(snapshot.data.settings) !== JSON.stringify(data.settings) : false;
+
+  const reload = () => setRefresh((n) => n + 1);
+
+  const createNow = async () => {
+    await createSnapshot("Created manually", "manual");
+    setMessage("Restore point created");
+    reload();
+  };
+
+  const remove = async (id) => {
+    if (!window.confirm("Delete this restore point? This cannot be undone.")) return;
+    await deleteSnapshot(id);
+    if (id === snapshotId) onSelect(null);
+    reload();
+  };
+
+  const restoreEverything = async () => {
+    const ok = window.confirm(
+      `Replace all current data with the restore point from ${formatTime(snapshot.createdAt)}? ` +
+        "A restore point of the current data is taken first, and you can undo this afterwards."
+    );
+    if (!ok) return;
+    await createSnapshot(`Before restoring ${formatTime(snapshot.createdAt)}`, "restore");
+    update((prev) => restoreAll(prev, snapshot.data), "Restore snapshot");
+    setMessage("Restore point restored");
+    reload();
+  };
+
+  const restoreOne = (collection, change) => {
+    update((prev) => restoreRecord(prev, snapshot.data, collection, change.id), "Restore record");
+    setMessage(`${STATUS[change.status].action}: ${recordTitle(collection, change.before || change.after)}`);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto p-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="text-lg font-semibold text-neutral-900">Restore points</div>
+          <div className="text-sm text-neutral-600">
+            Taken automatically once a day, before imports, wipes and restores. Stored in this browser only.
+          </div>
+        </div>
+        <button className={btnPrimary} onClick={createNow}>
+          Create restore point now
+        </button>
+      </div>
+
+      {message ? (
+        <div className="mt-3 rounded-xl border border-neutral-200 bg-white px-3 py-2 text-sm text-neutral-700">
+          {message}
+        </div>
+      ) : null}
+
+      <div className="mt-4 grid grid-cols-1 lg:grid-cols-3 gap-4">
+        <div className="rounded-2xl border border-neutral-200 bg-white overflow-hidden">
+          {snapshots === null ? (
+            <div className="p-4 text-sm text-neutral-500">Loading…</div>
+          ) : !snapshots.length ? (
+            <div className="p-4 text-sm text-neutral-500">No restore points yet.</div>
+          ) : (
+            <ul className="divide-y">
+              {snapshots.map((s) => (
+                <li key={s.id} className={s.id === snapshotId ? "bg-neutral-50" : ""}>
+                  <div className="px-3 py-2 flex items-start justify-between gap-2">
+                    <button className="text-left min-w-0 flex-1" onClick={() => onSelect(s.id)}>
+                      <div className="text-sm font-medium">{formatTime(s.createdAt)}</div>
+                      <div className="text-xs text-neutral-600 truncate">
+                        {KIND_LABELS[s.kind || "migration"] || s.kind} · {s.reason}
+                      </div>
+                      <div className="text-xs text-neutral-500">{totalRecords(s.counts)} records</div>
+                    </button>
+                    <button className={btnSmall} onClick={() => remove(s.id)} title="Delete restore point">
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="lg:col-span-2 space-y-3">
+          {!snapshotId ? (
+            <div className="rounded-2xl border border-dashed border-neutral-300 bg-white p-6 text-sm text-neutral-600">
+              Select a restore point to see what changed since then.
+            </div>
+          ) : !snapshot ? (
+            <div className="rounded-2xl border border-neutral-200 bg-white p-6 text-sm text-neutral-500">Loading…</div>
+          ) : snapshot.error ? (
+            <div className="rounded-2xl border border-red-200 bg-red-50 p-4 text-sm text-red-800">{snapshot.error}</div>
+          ) : (
+            <>
+              <div className="rounded-2xl border border-neutral-200 bg-white p-4 flex flex-wrap items-start justify-between gap-3">
+                <div>
+                  <div className="font-semibold">{formatTime(snapshot.createdAt)}</div>
+                  <div className="text-sm text-neutral-600">{snapshot.reason}</div>
+                  <div className="mt-2 text-xs text-neutral-500">
+                    {COLLECTIONS.filter((key) => snapshot.counts?.[key])
+                      .map((key) => `${snapshot.counts[key]} ${COLLECTION_LABELS[key].toLowerCase()}`)
+                      .join(" · ") || "No records"}
+                  </div>
+                </div>
+                <button className={btnSecondary} disabled={!changeCount && !settingsChanged} onClick={restoreEverything}>
+                  Restore everything
+                </button>
+              </div>
+
+              {!changeCount && !settingsChanged ? (
+                <div className="rounded-2xl border border-neutral-200 bg-white p-4 text-sm text-neutral-600">
+                  The current data matches this restore point.
+                </div>
+              ) : (
+                <>
+                  <div className="text-sm text-neutral-600">
+                    {changeCount} record{changeCount === 1 ? "" : "s"} differ from this restore point
+                    {settingsChanged ? ", and the settings changed" : ""}.
+                  </div>
+                  {COLLECTIONS.map((key) => (
+                    <ChangeList key={key} collection={key} changes={changes[key]} onRestore={restoreOne} />
+                  ))}
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+// Security settings — optional passphrase encryption of everything stored in this browser and of
+// exported files, plus the auto-lock timeout. There is no recovery: a forgotten passphrase means
+// the stored data cannot be opened again.
+
+import React, { useState } from "react";
+import { isCryptoAvailable } from "./lib/crypto.js";
+import {
+  AUTO_LOCK_CHOICES,
+  changePassphrase,
+  disableEncryption,
+  enableEncryption,
+  lock,
+  setAutoLockMinutes,
+  storageInfo,
+  useEncryptionState,
+} from "./lib/store.js";
+
+const MIN_PASSPHRASE = 8;
+
+const btnSecondary =
+  "px-3 py-2 rounded-xl bg-white border border-neutral-200 shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition disabled:opacity-40";
+const btnPrimary =
+  "px-3 py-2 rounded-xl bg-neutral-900 text-white border border-neutral-900 shadow-sm hover:bg-neutral-800 active:translate-y-[1px] transition disabled:opacity-40";
+const inputBase =
+  "w-full mt-1 px-3 py-2 rounded-xl border border-neutral-200 bg-white focus:outline-none focus:ring-2 focus:ring-lime-400/25 focus:border-neutral-300";
+
+function PassphraseField({ label, value, onChange, autoComplete = "new-password" }) {
+  return (
+    <label className="block text-sm">
+      <span className="text-neutral-700">{label}</span>
+      <input
+        type="password"
+        className={inputBase}
+        value={value}
+        autoComplete={autoComplete}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    </label>
+  );
+}
+
+// Returns an error message, or "" when the new passphrase can be used
+function checkNew(passphrase, repeat) {
+  if (passphrase.length < MIN_PASSPHRASE) return `Use at least ${MIN_PASSPHRASE} characters.`;
+  if (passphrase !== repeat) return "The passphrases do not match.";
+  return "";
+}
+
+export default function SecuritySettings() {
+  const { enabled, autoLockMinutes } = useEncryptionState();
+  const [current, setCurrent] = useState("");
+  const [passphrase, setPassphrase] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const run = async (task, done) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await task();
+      setCurrent("");
+      setPassphrase("");
+      setRepeat("");
+      setMessage({ ok: true, text: done });
+    } catch (e) {
+      setMessage({ ok: false, text: e?.message || "Something went wrong" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const problem = checkNew(passphrase, repeat);
+
+  if (!isCryptoAvailable()) {
+    return (
+      <div className="max-w-3xl mx-auto p-4">
+        <div className="rounded-2xl border border-amber-200 bg-amber-50 p-4 text-sm text-amber-900">
+          Encryption needs the browser's Web Crypto API, which is only available on https:// or localhost.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto p-4 space-y-4">
+      <div>
+        <div className="text-lg font-semibold text-neutral-900">Security</div>
+        <div className="text-sm text-neutral-600">
+          Encryption is {enabled ? "on" : "off"} · {storageInfo().location}
+        </div>
+      </div>
+
+      {message ? (
+        <div
+          className={`rounded-xl border px-3 py-2 text-sm ${
+            message.ok ? "border-emerald-200 bg-emerald-50 text-emerald-900" : "border-red-200 bg-red-50 text-red-800"
+          }`}
+        >
+          {message.text}
+        </div>
+      ) : null}
+
+      {!enabled ? (
+        <div className="rounded-2xl border border-neutral-200 bg-white p-4 space-y-3">
+          <div className="font-semibold">Encrypt with a passphrase</div>
+          <div className="text-sm text-neutral-600">
+            Cases, units, letters, attachments, undo history and restore points are stored encrypted (AES-GCM,
+            key derived with PBKDF2). The app asks for the passphrase on start and locks itself after a period of
+            inactivity. Exported files are encrypted with the same passphrase. Unencrypted copies kept from the
+            first start are deleted.
+          </div>
+          <div className="text-sm font-medium text-red-800">
+            There is no way to recover a forgotten passphrase — keep an unencrypted export somewhere safe if you
+            need one.
+          </div>
+          <PassphraseField label="Passphrase" value={passphrase} onChange={setPassphrase} />
+          <PassphraseField label="Repeat passphrase" value={repeat} onChange={setRepeat} />
+          {passphrase && problem ? <div className="text-xs text-red-700">{problem}</div> : null}
+          <button
+            className={btnPrimary}
+            disabled={busy || !!problem}
+            onClick={() => run(() => enableEncryption(passphrase), "Encryption is on.")}
+          >
+            {busy ? "Encrypting…" : "Turn on encryption"}
+          </button>
+        </div>
+      ) : (
+        <>
+          <div className="rounded-2xl border border-neutral-200 bg-white p-4 flex flex-wrap items-end justify-between gap-3">
+            <label className="block text-sm">
+              <span className="text-neutral-700">Lock after inactivity</span>
+              <select
+                className={inputBase}
+                value={autoLockMinutes}
+                onChange={(e) => setAutoLockMinutes(Number(e.target.value))}
+              >
+                {AUTO_LOCK_CHOICES.map((m) => (
+                  <option key={m} value={m}>
+                    {m ? `${m} minutes` : "Never"}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button className={btnSecondary} onClick={() => lock()}>
+              Lock now
+            </button>
+          </div>
+
+          <div className="rounded-2xl border border-neutral-200 bg-white p-4 space-y-3">
+            <div className="font-semibold">Change passphrase</div>
+            <PassphraseField
+              label="Current passphrase"
+              value={current}
+              onChange={setCurrent}
+              autoComplete="current-password"
+            />
+            <PassphraseField label="New passphrase" value={passphrase} onChange={setPassphrase} />
+            <PassphraseField label="Repeat new passphrase" value={repeat} onChange={setRepeat} />
+            {passphrase && problem ? <div className="text-xs text-red-700">{problem}</div> : null}
+            <div className="flex flex-wrap gap-2">
+              <button
+                className={btnPrimary}
+                disabled={busy || !current || !!problem}
+                onClick={() => run(() => changePassphrase(current, passphrase), "Passphrase changed.")}
+              >
+                Change passphrase
+              </button>
+              <button
+                className={btnSecondary}
+                disabled={busy || !current}
+                onClick={() => {
+                  if (!window.confirm("Store all data unencrypted again? Exports will no longer be encrypted.")) return;
+                  run(() => disableEncryption(current), "Encryption is off.");
+                }}
+              >
+                Turn off encryption
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
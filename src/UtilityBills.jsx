@@ -0,0 +1,321 @@
+// RentIt "Utility bills" tab — enter the landlord's yearly utility statement (Nebenkostenabrechnung)
+// line by line and check it: the unit's share per allocation key, the advances from the cost rows,
+// refund or back-payment, the § 556 BGB deadlines and costs that may not be passed on (./lib/utilityBill.js).
+
+import React, { useMemo, useState } from "react";
+import { makeBillItem, makeUtilityBill, toNum } from "./lib/schema.js";
+import { addRecord, patchRecord, removeRecord } from "./lib/store.js";
+import { ALLOCATION_KEYS, UTILITY_CATEGORIES, checkUtilityBill } from "./lib/utilityBill.js";
+import { moneyFmt } from "./lib/currency.js";
+
+const btnSecondary =
+  "px-3 py-2 rounded-xl bg-white border border-neutral-200 shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition";
+const btnPrimary =
+  "px-3 py-2 rounded-xl bg-neutral-900 text-white border border-neutral-900 shadow-sm hover:bg-neutral-800 active:translate-y-[1px] transition";
+const inputBase =
+  "w-full mt-1 px-3 py-2 rounded-xl border border-neutral-200 bg-white focus:outline-none focus:ring-2 focus:ring-lime-400/25 focus:border-neutral-300";
+const cellInput = "px-2 py-1 rounded-xl border border-neutral-200 bg-white";
+
+const FLAG_TONES = {
+  error: "border-red-200 bg-red-50 text-red-800",
+  warning: "border-amber-200 bg-amber-50 text-amber-900",
+  info: "border-neutral-200 bg-neutral-50 text-neutral-700",
+};
+
+function resultLabel(amount, currency) {
+  if (!amount) return "Settled";
+  return amount > 0 ? `Back-payment ${moneyFmt(amount, currency)}` : `Refund ${moneyFmt(-amount, currency)}`;
+}
+
+function Flags({ flags }) {
+  if (!flags.length) return null;
+  return (
+    <ul className="space-y-1">
+      {flags.map((f, i) => (
+        <li key={i} className={`rounded-lg border px-2 py-1 text-xs ${FLAG_TONES[f.level]}`}>
+          {f.message}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function ItemRow({ check, onChange, onRemove }) {
+  const { item, share, flags } = check;
+  const direct = item.allocation === "direct";
+  return (
+    <>
+      <tr className={"align-top " + (flags.length ? "" : "border-b")}>
+        <td className="py-2 pr-2">
+          <select className={cellInput} value={item.category} onChange={(e) => onChange({ category: e.target.value })}>
+            {UTILITY_CATEGORIES.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.allowed === false ? "✕ " : ""}
+                {c.label}
+              </option>
+            ))}
+          </select>
+          <input
+            className={`${cellInput} mt-1 w-full`}
+            placeholder="Wording on the bill"
+            value={item.label}
+            onChange={(e) => onChange({ label: e.target.value })}
+          />
+        </td>
+        <td className="py-2 pr-2">
+          <input
+            type="number"
+            step="0.01"
+            className={`${cellInput} w-28`}
+            value={item.totalCost}
+            onChange={(e) => onChange({ totalCost: toNum(e.target.value, 0) })}
+          />
+        </td>
+        <td className="py-2 pr-2">
+          <select className={cellInput} value={item.allocation} onChange={(e) => onChange({ allocation: e.target.value })}>
+            {ALLOCATION_KEYS.map((k) => (
+              <option key={k.id} value={k.id}>
+                {k.label}
+              </option>
+            ))}
+          </select>
+        </td>
+        <td className="py-2 pr-2">
+          {direct ? (
+            <span className="text-neutral-400">—</span>
+          ) : (
+            <input
+              type="number"
+              step="any"
+              className={`${cellInput} w-24`}
+              value={item.totalBasis}
+              onChange={(e) => onChange({ totalBasis: toNum(e.target.value, 0) })}
+            />
+          )}
+        </td>
+        <td className="py-2 pr-2">
+          <input
+            type="number"
+            step="any"
+            className={`${cellInput} w-24`}
+            title={direct ? "Amount billed to this unit" : "This unit's part of the allocation key"}
+            value={item.unitBasis}
+            onChange={(e) => onChange({ unitBasis: toNum(e.target.value, 0) })}
+          />
+        </td>
+        <td className="py-2 pr-2 font-semibold whitespace-nowrap">{share.toFixed(2)}</td>
+        <td className="py-2 pr-2 text-right">
+          <button className={btnSecondary} onClick={onRemove}>
+            Remove
+          </button>
+        </td>
+      </tr>
+      {flags.length ? (
+        <tr className="border-b">
+          <td colSpan={7} className="pb-2 pr-2">
+            <Flags flags={flags} />
+          </td>
+        </tr>
+      ) : null}
+    </>
+  );
+}
+
+/** Props: unit (active unit), bills (its utility bills), costs (all cost rows), currency. */
+export default function UtilityBills({ unit, bills, costs, currency }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const sorted = useMemo(
+    () => [...bills].sort((a, b) => String(b.periodEnd).localeCompare(String(a.periodEnd))),
+    [bills]
+  );
+  const bill = sorted.find((b) => b.id === selectedId) || sorted[0] || null;
+  const check = useMemo(() => (bill ? checkUtilityBill(bill, costs) : null), [bill, costs]);
+
+  function addBill() {
+    const b = makeUtilityBill(unit.id);
+    addRecord("utilityBills", b);
+    setSelectedId(b.id);
+  }
+
+  function updateBill(patch) {
+    patchRecord("utilityBills", bill.id, patch);
+  }
+
+  function deleteBill() {
+    if (!window.confirm("Delete this utility bill?")) return;
+    removeRecord("utilityBills", bill.id);
+    setSelectedId(null);
+  }
+
+  function updateItems(fn) {
+    patchRecord("utilityBills", bill.id, (b) => ({ ...b, items: fn(b.items || []) }));
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <div className="font-semibold">Utility bills</div>
+          <div className="text-sm text-neutral-600">
+            Check the landlord's yearly statement (Nebenkostenabrechnung) against your advances and the rules.
+          </div>
+        </div>
+        <button className={btnPrimary} onClick={addBill}>
+          + Utility bill
+        </button>
+      </div>
+
+      {!bill ? (
+        <div className="mt-3 text-sm text-neutral-500">No utility bills yet.</div>
+      ) : (
+        <>
+          {sorted.length > 1 ? (
+            <div className="mt-3 flex flex-wrap gap-2">
+              {sorted.map((b) => (
+                <button
+                  key={b.id}
+                  className={
+                    "px-3 py-1 rounded-xl border text-sm " +
+                    (b.id === bill.id ? "bg-neutral-900 text-white border-neutral-900" : "bg-white border-neutral-200")
+                  }
+                  onClick={() => setSelectedId(b.id)}
+                >
+                  {b.periodStart} – {b.periodEnd}
+                </button>
+              ))}
+            </div>
+          ) : null}
+
+          <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-2">
+            <label className="text-sm">
+              <div className="text-neutral-600">Period from</div>
+              <input
+                type="date"
+                className={inputBase}
+                value={bill.periodStart}
+                onChange={(e) => updateBill({ periodStart: e.target.value })}
+              />
+            </label>
+            <label className="text-sm">
+              <div className="text-neutral-600">Period until</div>
+              <input
+                type="date"
+                className={inputBase}
+                value={bill.periodEnd}
+                onChange={(e) => updateBill({ periodEnd: e.target.value })}
+              />
+            </label>
+            <label className="text-sm">
+              <div className="text-neutral-600">Received on</div>
+              <input
+                type="date"
+                className={inputBase}
+                value={bill.receivedDate}
+                onChange={(e) => updateBill({ receivedDate: e.target.value })}
+              />
+            </label>
+            <label className="text-sm">
+              <div className="text-neutral-600">Advances according to the bill</div>
+              <input
+                type="number"
+                step="0.01"
+                className={inputBase}
+                placeholder="Optional"
+                value={bill.statedAdvances}
+                onChange={(e) => updateBill({ statedAdvances: e.target.value === "" ? "" : toNum(e.target.value, 0) })}
+              />
+            </label>
+            <label className="text-sm">
+              <div className="text-neutral-600">Result according to the bill</div>
+              <input
+                type="number"
+                step="0.01"
+                className={inputBase}
+                placeholder="Back-payment +, refund −"
+                value={bill.statedBalance}
+                onChange={(e) => updateBill({ statedBalance: e.target.value === "" ? "" : toNum(e.target.value, 0) })}
+              />
+            </label>
+            <label className="text-sm">
+              <div className="text-neutral-600">Notes</div>
+              <input className={inputBase} value={bill.notes} onChange={(e) => updateBill({ notes: e.target.value })} />
+            </label>
+          </div>
+
+          <div className="mt-4 overflow-auto">
+            <table className="w-full text-sm">
+              <thead className="text-left text-neutral-600">
+                <tr className="border-b">
+                  <th className="py-2 pr-2">Cost item</th>
+                  <th className="py-2 pr-2">Building total</th>
+                  <th className="py-2 pr-2">Allocation key</th>
+                  <th className="py-2 pr-2">Building basis</th>
+                  <th className="py-2 pr-2">Your basis</th>
+                  <th className="py-2 pr-2">Your share</th>
+                  <th className="py-2 pr-2 text-right">Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {check.items.length === 0 ? (
+                  <tr>
+                    <td colSpan={7} className="py-3 text-neutral-500">
+                      Add the cost items as they appear on the bill.
+                    </td>
+                  </tr>
+                ) : (
+                  check.items.map((x) => (
+                    <ItemRow
+                      key={x.item.id}
+                      check={x}
+                      onChange={(patch) =>
+                        updateItems((list) => list.map((i) => (i.id === x.item.id ? { ...i, ...patch } : i)))
+                      }
+                      onRemove={() => updateItems((list) => list.filter((i) => i.id !== x.item.id))}
+                    />
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-2 flex flex-wrap justify-between gap-2">
+            <button className={btnSecondary} onClick={() => updateItems((list) => [...list, makeBillItem()])}>
+              + Cost item
+            </button>
+            <button className={btnSecondary} onClick={deleteBill}>
+              Delete bill
+            </button>
+          </div>
+
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm space-y-1">
+              <div className="font-semibold">Result</div>
+              <div>Building costs: {moneyFmt(check.totalCost, currency)}</div>
+              <div>Your share: {moneyFmt(check.share, currency)}</div>
+              <div>
+                Your advances: {moneyFmt(check.advances.total, currency)}{" "}
+                <span className="text-neutral-500">
+                  ({check.advances.months.length} month{check.advances.months.length === 1 ? "" : "s"} of cost rows)
+                </span>
+              </div>
+              <div className="font-semibold">Recalculated: {resultLabel(check.balance, currency)}</div>
+              {check.deductions ? (
+                <div className="text-amber-900">Disputable: {moneyFmt(check.deductions, currency)}</div>
+              ) : null}
+              <div className={"font-semibold " + (check.position > 0 ? "text-red-700" : "text-emerald-700")}>
+                Your position: {resultLabel(check.position, currency)}
+              </div>
+            </div>
+            <div className="rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm space-y-2">
+              <div className="font-semibold">Deadlines &amp; checks</div>
+              <div className="text-neutral-700">
+                Bill due by {check.deadlines.billDue || "-"}
+                {check.deadlines.objectionUntil ? ` · objections until ${check.deadlines.objectionUntil}` : ""}
+              </div>
+              <Flags flags={check.flags} />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,404 @@
+// Bank statement import: reads bank exports locally and matches their transactions to open cost rows.
+// - Formats: CSV (columns mapped by the user, guessed from the header), CAMT.053 XML and MT940.
+// - Every transaction gets a stable id (hash of its fields), stored on the payment it became (payment.importId),
+//   so importing the same or an overlapping statement again does not record payments twice.
+// - Matching scores each open cost row by the user's rules (IBAN / reference text → unit), the amount against
+//   what is outstanding, the month named in the reference and the booking date. Nothing is recorded until the
+//   user confirms the matches on the review screen.
+// Only outgoing transactions (money the tenant paid) are matched.
+
+import { round2, toNum } from "./schema.js";
+import { rowCurrency } from "./currency.js";
+
+// Fields a CSV column can be mapped to; amount is the signed amount (negative = outgoing)
+export const CSV_FIELDS = [
+  { id: "date", label: "Booking date", pattern: /buchungstag|buchungsdatum|^datum|date|valuta|wertstellung/i },
+  { id: "amount", label: "Amount", pattern: /betrag|amount|umsatz/i },
+  {
+    id: "name",
+    label: "Counterparty",
+    pattern: /empfänger|begünstigter|zahlungspflichtiger|zahlungsbeteiligter|auftraggeber|payee|counterparty|name/i,
+  },
+  { id: "iban", label: "Counterparty IBAN", pattern: /iban|kontonummer/i },
+  {
+    id: "reference",
+    label: "Reference",
+    pattern: /verwendungszweck|reference|purpose|buchungstext|beschreibung|memo/i,
+  },
+  { id: "currency", label: "Currency", pattern: /währung|waehrung|currency/i },
+];
+
+// A suggestion needs at least this score; from STRONG_SCORE on it is preselected on the review screen
+const MIN_SCORE = 3;
+const STRONG_SCORE = 5;
+// Payments made this many days before the month starts still count as "on time" for it
+const EARLY_DAYS = 10;
+
+const DAY_MS = 86400000;
+
+const MONTH_WORDS = {
+  jan: 1, januar: 1, january: 1, feb: 2, februar: 2, february: 2, mär: 3, märz: 3, maerz: 3, mar: 3, march: 3,
+  apr: 4, april: 4, mai: 5, may: 5, jun: 6, juni: 6, june: 6, jul: 7, juli: 7, july: 7, aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9, okt: 10, oktober: 10, oct: 10, october: 10, nov: 11, november: 11,
+  dez: 12, dezember: 12, dec: 12, december: 12,
+};
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+export const normalizeIban = (iban) => String(iban || "").replace(/\s+/g, "").toUpperCase();
+
+// ===== Values =====
+
+/**
+ * "-1.234,56", "1,234.56", "1.234", "1234.56 EUR", "12,00 S" → number, or null. The last mark is the decimal one,
+ * unless all marks are the same and group the digits in threes ("1.234" is 1234, as German exports write it).
+ */
+export function parseAmount(text) {
+  let s = String(text ?? "").trim();
+  if (!s) return null;
+  let sign = 1;
+  if (/(^-|-$|\sS$|^\()/.test(s)) sign = -1;
+  s = s.replace(/[^\d.,]/g, "");
+  const marks = s.replace(/\d/g, "");
+  const grouped = /^(.)\1*$/.test(marks) && /^[1-9]\d{0,2}([.,]\d{3})+$/.test(s);
+  const at = grouped || !marks ? -1 : s.lastIndexOf(marks.slice(-1));
+  const digits = (part) => part.replace(/[.,]/g, "");
+  const n = at < 0 ? Number(digits(s)) : Number(`${digits(s.slice(0, at))}.${s.slice(at + 1)}`);
+  return /\d/.test(s) && Number.isFinite(n) ? round2(sign * n) : null;
+}
+
+/** "19.10.2026", "19.10.26", "2026-10-19", "19/10/2026" → "2026-10-19", or "". */
+export function parseDate(text) {
+  const s = String(text || "").trim();
+  let m;
+  if ((m = /^(\d{4})-(\d{2})-(\d{2})/.exec(s))) return `${m[1]}-${m[2]}-${m[3]}`;
+  if ((m = /^(\d{1,2})[./](\d{1,2})[./](\d{2}|\d{4})\b/.exec(s))) {
+    const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+    return `${year}-${pad2(m[2])}-${pad2(m[1])}`;
+  }
+  return "";
+}
+
+// FNV-1a, enough to recognise a transaction again
+function hashText(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+/** Adds ids; identical transactions in one statement are told apart by their position. */
+function withIds(transactions) {
+  const seen = new Map();
+  return transactions
+    .filter((t) => t.date && t.amount !== null)
+    .map((t) => {
+      const key = [t.date, t.amount, t.currency, normalizeIban(t.iban), t.reference, t.bankRef].join("|");
+      const n = (seen.get(key) || 0) + 1;
+      seen.set(key, n);
+      return { ...t, iban: normalizeIban(t.iban), id: `bank-${hashText(key)}${n > 1 ? `-${n}` : ""}` };
+    });
+}
+
+// ===== Formats =====
+
+/** "camt" | "mt940" | "csv" */
+export function detectFormat(text) {
+  const s = String(text || "").trimStart();
+  if (s.startsWith("<") && /BkToCstmrStmt/.test(s)) return "camt";
+  if (/^:20:/m.test(s) && /^:61:/m.test(s)) return "mt940";
+  return "csv";
+}
+
+/** Splits CSV text into rows of cells (quoted cells may contain separators, quotes and line breaks). */
+function csvRows(text, separator) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += c;
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === separator) {
+      row.push(cell.trim());
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell.trim());
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+}
+
+/**
+ * { headers, rows } of a CSV export. The separator is the most frequent of ; , tab in the first lines; the header
+ * is the first row with the most cells (banks often put account details above the table).
+ */
+export function parseCsv(text) {
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  const sample = s.split(/\r?\n/).slice(0, 20).join("\n");
+  const count = (ch) => sample.split(ch).length - 1;
+  const separator = [";", "\t", ","].sort((a, b) => count(b) - count(a))[0];
+  const rows = csvRows(s, separator);
+  const width = Math.max(0, ...rows.slice(0, 20).map((r) => r.length));
+  const headerIndex = rows.findIndex((r) => r.length === width);
+  if (headerIndex < 0) return { headers: [], rows: [] };
+  return { headers: rows[headerIndex], rows: rows.slice(headerIndex + 1).filter((r) => r.length >= width - 1) };
+}
+
+/** { [field]: column index or -1 } from the header names. */
+export function guessCsvMapping(headers) {
+  const used = new Set();
+  const mapping = {};
+  for (const field of CSV_FIELDS) {
+    // The own account's IBAN ("IBAN Auftragskonto") is not the counterparty's
+    const index = headers.findIndex(
+      (h, i) => !used.has(i) && field.pattern.test(h) && !(field.id === "iban" && /auftragskonto|own/i.test(h))
+    );
+    mapping[field.id] = index;
+    if (index >= 0) used.add(index);
+  }
+  return mapping;
+}
+
+/** Key under which a mapping is remembered (settings.bankCsvMappings): the header row. */
+export const csvSignature = (headers) => headers.join("|").toLowerCase();
+
+export function csvTransactions({ rows }, mapping) {
+  const cell = (row, field) => (mapping[field] >= 0 ? row[mapping[field]] || "" : "");
+  return withIds(
+    rows.map((row) => ({
+      date: parseDate(cell(row, "date")),
+      amount: parseAmount(cell(row, "amount")),
+      currency: cell(row, "currency").toUpperCase(),
+      name: cell(row, "name"),
+      iban: cell(row, "iban"),
+      reference: cell(row, "reference"),
+      bankRef: "",
+    }))
+  );
+}
+
+// Child elements by local name, whatever namespace (camt.053.001.02 … .08)
+const children = (el, name) => [...(el?.children || [])].filter((c) => c.localName === name);
+function path(el, ...names) {
+  let node = el;
+  for (const name of names) node = children(node, name)[0];
+  return node || null;
+}
+const textAt = (el, ...names) => path(el, ...names)?.textContent.trim() || "";
+
+/** Transactions of a CAMT.053 statement (one per entry; batch entries use their first transaction's details). */
+export function camtTransactions(xml) {
+  const doc = new DOMParser().parseFromString(xml, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("The XML file could not be read.");
+  const entries = [...doc.getElementsByTagNameNS("*", "Ntry")];
+  return withIds(
+    entries.map((entry) => {
+      const debit = textAt(entry, "CdtDbtInd") === "DBIT";
+      const amountEl = path(entry, "Amt");
+      const tx = path(entry, "NtryDtls", "TxDtls");
+      // For outgoing payments the counterparty is the creditor, for incoming ones the debtor
+      const party = debit ? "Cdtr" : "Dbtr";
+      const name = textAt(tx, "RltdPties", party, "Nm") || textAt(tx, "RltdPties", party, "Pty", "Nm");
+      const reference =
+        children(path(tx, "RmtInf"), "Ustrd")
+          .map((u) => u.textContent.trim())
+          .join(" ") || textAt(entry, "AddtlNtryInf");
+      const date = textAt(entry, "BookgDt", "Dt") || textAt(entry, "BookgDt", "DtTm") || textAt(entry, "ValDt", "Dt");
+      return {
+        date: parseDate(date),
+        amount: amountEl ? round2((debit ? -1 : 1) * toNum(amountEl.textContent)) : null,
+        currency: amountEl?.getAttribute("Ccy") || "",
+        name,
+        iban: textAt(tx, "RltdPties", `${party}Acct`, "Id", "IBAN"),
+        reference,
+        bankRef: textAt(entry, "AcctSvcrRef") || textAt(tx, "Refs", "EndToEndId"),
+      };
+    })
+  );
+}
+
+/** Reference, name and IBAN from an MT940 :86: field (German "?20…?29" subfields or free text). */
+function mt940Details(text) {
+  const flat = text.replace(/\r?\n/g, "");
+  if (!/\?\d{2}/.test(flat)) return { name: "", iban: "", reference: flat.trim() };
+  const fields = {};
+  for (const m of flat.matchAll(/\?(\d{2})([^?]*)/g)) fields[m[1]] = (fields[m[1]] || "") + m[2];
+  const pick = (codes) => codes.map((c) => fields[c] || "").join("");
+  let reference = pick(["20", "21", "22", "23", "24", "25", "26", "27", "28", "29", "60", "61", "62", "63"]);
+  // SEPA references: keep the remittance text (SVWZ+), drop end-to-end / mandate ids
+  const svwz = /SVWZ\+(.*?)(?:[A-Z]{4}\+|$)/.exec(reference);
+  if (svwz) reference = svwz[1];
+  return { name: pick(["32", "33"]).trim(), iban: (fields["31"] || "").trim(), reference: reference.trim() };
+}
+
+/** Transactions of an MT940 statement (:61: with the :86: that follows it). */
+export function mt940Transactions(text) {
+  // Tags start a line; everything up to the next tag belongs to it
+  const tags = [];
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const m = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+    if (m) tags.push({ tag: m[1], value: m[2] });
+    else if (tags.length && line.trim() && line.trim() !== "-") tags[tags.length - 1].value += "\n" + line;
+  }
+  const transactions = [];
+  let currency = "";
+  for (const { tag, value } of tags) {
+    if (tag === "60F" || tag === "60M") currency = value.slice(7, 10);
+    if (tag === "61") {
+      const m = /^(\d{2})(\d{2})(\d{2})(?:\d{4})?(R?[DC])[A-Z]?(\d+,\d*)N?[A-Z0-9]{0,3}([^\n/]*)/.exec(value);
+      if (!m) continue;
+      const debit = m[4] === "D" || m[4] === "RC";
+      transactions.push({
+        date: `20${m[1]}-${m[2]}-${m[3]}`,
+        amount: round2((debit ? -1 : 1) * toNum(m[5].replace(",", "."))),
+        currency,
+        name: "",
+        iban: "",
+        reference: "",
+        bankRef: m[6].trim() === "NONREF" ? "" : m[6].trim(),
+      });
+    }
+    if (tag === "86" && transactions.length) Object.assign(transactions[transactions.length - 1], mt940Details(value));
+  }
+  return withIds(transactions);
+}
+
+// ===== Matching =====
+
+/** Months (YYYY-MM) named in a reference: 2026-10, 10/2026, 10.26, "Oktober 2026", "Miete Okt 26". */
+export function monthsInText(text) {
+  const s = String(text || "").toLowerCase();
+  const months = new Set();
+  const add = (year, month) => {
+    const y = year.length === 2 ? `20${year}` : year;
+    if (month >= 1 && month <= 12) months.add(`${y}-${pad2(month)}`);
+  };
+  for (const m of s.matchAll(/\b(\d{4})-(\d{1,2})\b/g)) add(m[1], Number(m[2]));
+  for (const m of s.matchAll(/\b(\d{1,2})[./](\d{4}|\d{2})\b(?![./]\d)/g)) add(m[2], Number(m[1]));
+  for (const m of s.matchAll(/([a-zäöü]+)\.?\s*'?(\d{4}|\d{2})\b/g)) {
+    if (MONTH_WORDS[m[1]]) add(m[2], MONTH_WORDS[m[1]]);
+  }
+  return [...months];
+}
+
+/** Does the rule apply to the transaction? Every condition it has must hold. */
+export function ruleMatches(rule, tx) {
+  const iban = normalizeIban(rule.iban);
+  const text = String(rule.text || "").trim().toLowerCase();
+  if (!iban && !text) return false;
+  if (iban && iban !== tx.iban) return false;
+  if (text && !`${tx.name} ${tx.reference}`.toLowerCase().includes(text)) return false;
+  return true;
+}
+
+/**
+ * Scores a cost row as the target of an outgoing transaction: { score, reasons }, or null when it cannot be
+ * (other unit than the matching rule says, other currency, nothing outstanding).
+ */
+function scoreRow(tx, row, { rule, unitIds, settings }) {
+  if (!(toNum(row.outstanding) > 0)) return null;
+  if (rule && unitIds.has(rule.unitId) && row.unitId !== rule.unitId) return null;
+  if (tx.currency && tx.currency !== rowCurrency(row, settings)) return null;
+  const paid = -tx.amount;
+  const tolerance = toNum(rule?.tolerance);
+  const reasons = [];
+  let score = 0;
+  if (rule) {
+    score += 3;
+    reasons.push(`rule "${rule.label || rule.iban || rule.text}"`);
+  }
+  if (Math.abs(paid - toNum(row.outstanding)) <= tolerance + 0.005) {
+    score += 3;
+    reasons.push("amount = outstanding");
+  } else if (Math.abs(paid - toNum(row.total)) <= tolerance + 0.005) {
+    score += 2;
+    reasons.push("amount = total");
+  } else if (paid < toNum(row.outstanding)) {
+    score += 1;
+    reasons.push("part payment");
+  } else {
+    return null;
+  }
+  if (monthsInText(tx.reference).includes(row.month)) {
+    score += 2;
+    reasons.push(`reference names ${row.month}`);
+  } else {
+    const start = Date.parse(`${row.month}-01`);
+    const days = (Date.parse(tx.date) - start) / DAY_MS;
+    if (days >= -EARLY_DAYS && days < 31) {
+      score += 1;
+      reasons.push(`booked around ${row.month}`);
+    }
+  }
+  return { score, reasons };
+}
+
+/**
+ * Review list for parsed transactions: [{ tx, status, rowId, score, reasons, confirmed }] in statement order.
+ * status: "imported" (a payment already carries its id), "incoming" (not a payment by the tenant),
+ * "matched" or "unmatched". Each cost row is suggested for at most one transaction, best score first.
+ */
+export function matchTransactions(transactions, { costs, rules, settings, units }) {
+  const imported = new Set((costs || []).flatMap((r) => (r.payments || []).map((p) => p.importId).filter(Boolean)));
+  const unitIds = new Set((units || []).map((u) => u.id));
+  const candidates = [];
+  const review = transactions.map((tx) => {
+    if (imported.has(tx.id)) return { tx, status: "imported" };
+    if (!(tx.amount < 0)) return { tx, status: "incoming" };
+    const rule = (rules || []).find((r) => ruleMatches(r, tx)) || null;
+    for (const row of costs || []) {
+      const scored = scoreRow(tx, row, { rule, unitIds, settings });
+      if (scored && scored.score >= MIN_SCORE) candidates.push({ tx, row, ...scored });
+    }
+    return { tx, status: "unmatched" };
+  });
+
+  const taken = new Set();
+  const byTx = new Map();
+  candidates
+    .sort((a, b) => b.score - a.score || String(a.row.month).localeCompare(String(b.row.month)))
+    .forEach((c) => {
+      if (taken.has(c.row.id) || byTx.has(c.tx.id)) return;
+      taken.add(c.row.id);
+      byTx.set(c.tx.id, c);
+    });
+
+  return review.map((item) => {
+    const best = item.status === "unmatched" ? byTx.get(item.tx.id) : null;
+    if (!best) return item;
+    return {
+      ...item,
+      status: "matched",
+      rowId: best.row.id,
+      score: best.score,
+      reasons: best.reasons,
+      confirmed: best.score >= STRONG_SCORE,
+    };
+  });
+}
+
+/** Payment recorded for a confirmed transaction (see schema.makePayment). */
+export function paymentFromTransaction(tx) {
+  return {
+    date: tx.date,
+    amount: round2(-tx.amount),
+    method: "transfer",
+    reference: [tx.name, tx.reference].filter(Boolean).join(" · ").slice(0, 140),
+    importId: tx.id,
+  };
+}
@@ -0,0 +1,269 @@
+// @vitest-environment jsdom
+// (CAMT.053 is read with the browser's DOMParser)
+import { describe, expect, it } from "vitest";
+import {
+  camtTransactions,
+  csvTransactions,
+  detectFormat,
+  guessCsvMapping,
+  matchTransactions,
+  monthsInText,
+  mt940Transactions,
+  parseAmount,
+  parseCsv,
+  parseDate,
+  paymentFromTransaction,
+  ruleMatches,
+} from "./bankImport.js";
+
+const LANDLORD_IBAN = "DE89370400440532013000";
+
+describe("parseAmount", () => {
+  it("reads German and English number formats", () => {
+    expect(parseAmount("-1.234,56")).toBe(-1234.56);
+    expect(parseAmount("1,234.56")).toBe(1234.56);
+    expect(parseAmount("1234.56 EUR")).toBe(1234.56);
+    expect(parseAmount("12,5")).toBe(12.5);
+    expect(parseAmount("700")).toBe(700);
+  });
+
+  it("reads a lone mark before three digits as a thousands separator", () => {
+    expect(parseAmount("1.234")).toBe(1234);
+    expect(parseAmount("-1.234")).toBe(-1234);
+    expect(parseAmount("1,234")).toBe(1234);
+    expect(parseAmount("1.234.567")).toBe(1234567);
+    expect(parseAmount("0,125")).toBe(0.13);
+  });
+
+  it("takes the sign from a minus, brackets or a trailing S (Soll)", () => {
+    expect(parseAmount("700,00-")).toBe(-700);
+    expect(parseAmount("(45,00)")).toBe(-45);
+    expect(parseAmount("12,00 S")).toBe(-12);
+  });
+
+  it("is null without digits", () => {
+    expect(parseAmount("")).toBeNull();
+    expect(parseAmount("n/a")).toBeNull();
+    expect(parseAmount(null)).toBeNull();
+  });
+});
+
+describe("parseDate", () => {
+  it("reads ISO, German and slashed dates", () => {
+    expect(parseDate("2026-10-19")).toBe("2026-10-19");
+    expect(parseDate("2026-10-19T08:00:00")).toBe("2026-10-19");
+    expect(parseDate("19.10.2026")).toBe("2026-10-19");
+    expect(parseDate("1.2.26")).toBe("2026-02-01");
+    expect(parseDate("19/10/2026")).toBe("2026-10-19");
+    expect(parseDate("Oct 19")).toBe("");
+  });
+});
+
+describe("CSV", () => {
+  const csv = [
+    '"Kontonummer:";"DE00 1234 5678";',
+    "",
+    "Buchungstag;Wertstellung;Empfänger;IBAN;Verwendungszweck;Betrag;Währung",
+    "19.10.2026;19.10.2026;Hausverwaltung Müller;DE89 3704 0044 0532 0130 00;" +
+      '"Miete Oktober 2026; Whg 3";-1.234,56;EUR',
+    "01.10.2026;01.10.2026;Arbeitgeber GmbH;DE02120300000000202051;Gehalt;2.500,00;EUR",
+  ].join("\r\n");
+
+  it("finds the header below the account details and guesses the columns from it", () => {
+    const table = parseCsv(csv);
+    expect(table.headers[0]).toBe("Buchungstag");
+    expect(table.rows).toHaveLength(2);
+    expect(guessCsvMapping(table.headers)).toEqual({
+      date: 0,
+      amount: 5,
+      name: 2,
+      iban: 3,
+      reference: 4,
+      currency: 6,
+    });
+  });
+
+  it("turns the rows into transactions with stable ids", () => {
+    const table = parseCsv(csv);
+    const transactions = csvTransactions(table, guessCsvMapping(table.headers));
+    expect(transactions[0]).toMatchObject({
+      date: "2026-10-19",
+      amount: -1234.56,
+      currency: "EUR",
+      name: "Hausverwaltung Müller",
+      iban: LANDLORD_IBAN,
+      reference: "Miete Oktober 2026; Whg 3",
+    });
+    expect(transactions[1].amount).toBe(2500);
+    expect(csvTransactions(parseCsv(csv), guessCsvMapping(table.headers)).map((t) => t.id)).toEqual(
+      transactions.map((t) => t.id)
+    );
+  });
+
+  it("tells identical transactions in one statement apart", () => {
+    const table = parseCsv(csv);
+    const twice = { ...table, rows: [table.rows[0], table.rows[0]] };
+    const [a, b] = csvTransactions(twice, guessCsvMapping(table.headers));
+    expect(b.id).toBe(`${a.id}-2`);
+  });
+
+  it("does not take the own account's IBAN for the counterparty", () => {
+    expect(guessCsvMapping(["Datum", "IBAN Auftragskonto", "Betrag", "IBAN"]).iban).toBe(3);
+  });
+});
+
+describe("MT940", () => {
+  const mt940 = [
+    ":20:STARTUMS",
+    ":25:37040044/0532013000",
+    ":28C:00001/001",
+    ":60F:C261001EUR1000,00",
+    ":61:2610191019D1234,56NTRFNONREF",
+    ":86:177?00SEPA-UEBERWEISUNG?20EREF+ABC123?21SVWZ+Miete Oktober 2026?22 Whg 3",
+    "?31DE89370400440532013000?32Hausverwaltung Mueller",
+    ":61:2610011001C2500,00NTRFNONREF",
+    ":86:Gehalt Oktober",
+    ":62F:C261019EUR2265,44",
+    "-",
+  ].join("\n");
+
+  it("reads each :61: line with the :86: details after it", () => {
+    expect(detectFormat(mt940)).toBe("mt940");
+    const [rent, salary] = mt940Transactions(mt940);
+    expect(rent).toMatchObject({
+      date: "2026-10-19",
+      amount: -1234.56,
+      currency: "EUR",
+      name: "Hausverwaltung Mueller",
+      iban: LANDLORD_IBAN,
+      reference: "Miete Oktober 2026 Whg 3",
+      bankRef: "",
+    });
+    expect(salary).toMatchObject({ date: "2026-10-01", amount: 2500, reference: "Gehalt Oktober" });
+  });
+});
+
+describe("CAMT.053", () => {
+  const camt = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt><Stmt>
+    <Ntry>
+      <Amt Ccy="EUR">1234.56</Amt>
+      <CdtDbtInd>DBIT</CdtDbtInd>
+      <BookgDt><Dt>2026-10-19</Dt></BookgDt>
+      <AcctSvcrRef>2026101912345</AcctSvcrRef>
+      <NtryDtls><TxDtls>
+        <RltdPties>
+          <Cdtr><Nm>Hausverwaltung Müller</Nm></Cdtr>
+          <CdtrAcct><Id><IBAN>${LANDLORD_IBAN}</IBAN></Id></CdtrAcct>
+        </RltdPties>
+        <RmtInf><Ustrd>Miete Oktober 2026</Ustrd><Ustrd>Whg 3</Ustrd></RmtInf>
+      </TxDtls></NtryDtls>
+    </Ntry>
+    <Ntry>
+      <Amt Ccy="EUR">2500.00</Amt>
+      <CdtDbtInd>CRDT</CdtDbtInd>
+      <BookgDt><Dt>2026-10-01</Dt></BookgDt>
+      <NtryDtls><TxDtls><RltdPties><Dbtr><Nm>Arbeitgeber GmbH</Nm></Dbtr></RltdPties></TxDtls></NtryDtls>
+      <AddtlNtryInf>Gehalt</AddtlNtryInf>
+    </Ntry>
+  </Stmt></BkToCstmrStmt>
+</Document>`;
+
+  it("reads entries with the counterparty of their direction", () => {
+    expect(detectFormat(camt)).toBe("camt");
+    const [rent, salary] = camtTransactions(camt);
+    expect(rent).toMatchObject({
+      date: "2026-10-19",
+      amount: -1234.56,
+      currency: "EUR",
+      name: "Hausverwaltung Müller",
+      iban: LANDLORD_IBAN,
+      reference: "Miete Oktober 2026 Whg 3",
+      bankRef: "2026101912345",
+    });
+    expect(salary).toMatchObject({ amount: 2500, name: "Arbeitgeber GmbH", reference: "Gehalt" });
+  });
+
+  it("refuses XML it cannot read", () => {
+    expect(() => camtTransactions("<Document><BkToCstmrStmt>")).toThrow("could not be read");
+  });
+});
+
+describe("matching", () => {
+  const settings = { currency: "EUR" };
+  const units = [{ id: "u1" }, { id: "u2" }];
+  const row = (id, unitId, month, patch) => ({
+    id,
+    unitId,
+    month,
+    total: 1234.56,
+    outstanding: 1234.56,
+    payments: [],
+    ...patch,
+  });
+  const costs = [
+    row("c1", "u1", "2026-10"),
+    row("c2", "u1", "2026-11"),
+    row("c3", "u2", "2026-10"),
+    row("c4", "u1", "2026-09", { outstanding: 0, payments: [{ importId: "bank-seen" }] }),
+  ];
+  const rules = [{ id: "r1", label: "Landlord", iban: LANDLORD_IBAN, text: "", unitId: "u1", tolerance: 0 }];
+  const tx = (patch) => ({
+    id: "bank-1",
+    date: "2026-10-02",
+    amount: -1234.56,
+    currency: "EUR",
+    name: "Hausverwaltung Müller",
+    iban: LANDLORD_IBAN,
+    reference: "Miete Oktober 2026",
+    ...patch,
+  });
+
+  it("needs every condition of a rule to hold", () => {
+    expect(ruleMatches(rules[0], tx())).toBe(true);
+    expect(ruleMatches({ ...rules[0], text: "miete" }, tx())).toBe(true);
+    expect(ruleMatches({ ...rules[0], text: "kaution" }, tx())).toBe(false);
+    expect(ruleMatches({ iban: "", text: "" }, tx())).toBe(false);
+  });
+
+  it("finds the months a reference names", () => {
+    expect(monthsInText("Miete Okt 26")).toEqual(["2026-10"]);
+    expect(monthsInText("Rent 2026-10 and 11/2026")).toEqual(["2026-10", "2026-11"]);
+    expect(monthsInText("Whg 3")).toEqual([]);
+  });
+
+  it("preselects the row of the rule's unit whose amount and month match", () => {
+    const [item] = matchTransactions([tx()], { costs, rules, settings, units });
+    expect(item).toMatchObject({ status: "matched", rowId: "c1", score: 8, confirmed: true });
+    expect(item.reasons).toEqual(['rule "Landlord"', "amount = outstanding", "reference names 2026-10"]);
+  });
+
+  it("suggests each cost row for one transaction only", () => {
+    const review = matchTransactions([tx(), tx({ id: "bank-2" })], { costs, rules, settings, units });
+    expect(review.map((r) => r.rowId)).toEqual(["c1", "c2"]);
+  });
+
+  it("skips incoming and already imported transactions, other currencies and weak matches", () => {
+    const review = matchTransactions(
+      [
+        tx({ id: "bank-in", amount: 2500 }),
+        tx({ id: "bank-seen" }),
+        tx({ id: "bank-chf", currency: "CHF" }),
+        tx({ id: "bank-small", amount: -20, iban: "", reference: "", date: "2026-07-01" }),
+      ],
+      { costs, rules, settings, units }
+    );
+    expect(review.map((r) => r.status)).toEqual(["incoming", "imported", "unmatched", "unmatched"]);
+  });
+
+  it("records a confirmed transaction as a transfer carrying its id", () => {
+    expect(paymentFromTransaction(tx())).toEqual({
+      date: "2026-10-02",
+      amount: 1234.56,
+      method: "transfer",
+      reference: "Hausverwaltung Müller · Miete Oktober 2026",
+      importId: "bank-1",
+    });
+  });
+});
@@ -0,0 +1,24 @@
+// Blob <-> data URL helpers (exports inline attachments as data URLs; storage keeps Blobs).
+
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(String(r.result));
+    r.onerror = () => reject(r.error);
+    r.readAsDataURL(blob);
+  });
+}
+
+export function dataUrlToBlob(dataUrl) {
+  const s = String(dataUrl || "");
+  const comma = s.indexOf(",");
+  if (!s.startsWith("data:") || comma < 0) throw new Error("Not a data URL");
+  const header = s.slice(5, comma);
+  const body = s.slice(comma + 1);
+  const type = header.split(";")[0] || "application/octet-stream";
+  if (!header.includes(";base64")) return new Blob([decodeURIComponent(body)], { type });
+  const bin = atob(body);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type });
+}
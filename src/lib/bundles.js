@@ -0,0 +1,57 @@
+// Export/import slices of the shared data:
+// - unit bundle: one unit with its costs, recurring costs, utility bills, defects, incidents, evidence (RentIt export)
+// - units bundle: every unit with its records, without cases/letters (RentIt "export all")
+// - case bundle: one case with its unit, the unit's records and the case letters (Case File export)
+// Reading them back (validation, preview, replace/merge/copy) lives in ./importer.js.
+
+import { APP_ID, SCHEMA_VERSION, forUnit } from "./schema.js";
+
+export const UNIT_BUNDLE = `${APP_ID}.unit`;
+export const UNITS_BUNDLE = `${APP_ID}.units`;
+export const CASE_BUNDLE = `${APP_ID}.case`;
+
+export function unitBundle(data, unitId) {
+  return {
+    kind: UNIT_BUNDLE,
+    version: SCHEMA_VERSION,
+    settings: data.settings,
+    unit: data.units.find((u) => u.id === unitId) || null,
+    costs: forUnit(data.costs, unitId),
+    recurring: forUnit(data.recurring, unitId),
+    utilityBills: forUnit(data.utilityBills, unitId),
+    rentChanges: forUnit(data.rentChanges, unitId),
+    deposits: forUnit(data.deposits, unitId),
+    meters: forUnit(data.meters, unitId),
+    defects: forUnit(data.defects, unitId),
+    incidents: forUnit(data.incidents, unitId),
+    evidence: forUnit(data.evidence, unitId),
+  };
+}
+
+export function unitsBundle(data) {
+  return {
+    kind: UNITS_BUNDLE,
+    version: SCHEMA_VERSION,
+    settings: data.settings,
+    units: data.units,
+    costs: data.costs,
+    recurring: data.recurring,
+    utilityBills: data.utilityBills,
+    rentChanges: data.rentChanges,
+    deposits: data.deposits,
+    meters: data.meters,
+    defects: data.defects,
+    incidents: data.incidents,
+    evidence: data.evidence,
+  };
+}
+
+export function caseBundle(data, caseId) {
+  const c = data.cases.find((x) => x.id === caseId) || null;
+  return {
+    ...unitBundle(data, c?.unitId),
+    kind: CASE_BUNDLE,
+    case: c,
+    letters: (data.letters || []).filter((l) => l.caseId === caseId),
+  };
+}
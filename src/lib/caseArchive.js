@@ -0,0 +1,280 @@
+// Case bundle ZIP ("Download case bundle") — a self-contained folder for a lawyer or tenants' association:
+//   case.json       the case export (as "Export case"); attachments point to their file instead of a dataUrl
+//   attachments/    every incident attachment as its original file, named by exhibit number (A01-…)
+//   letters/        each letter as plain text, in its language, and its proof of sending (L01-proof-1-…)
+//   index.html      printable index of incidents, defects, evidence and exhibits
+//   manifest.json   size and SHA-256 of every other file
+// readCaseArchive() turns the same ZIP back into case JSON for the normal import preview.
+
+import { APP_ID } from "./schema.js";
+import { caseBundle } from "./bundles.js";
+import { blobToDataUrl } from "./blobs.js";
+import { sha256Hex } from "./crypto.js";
+import { createZip, readZip } from "./zip.js";
+import { letterText } from "./letterTemplates.js";
+import { LETTER_STATUSES } from "./letterTracking.js";
+
+export const CASE_ARCHIVE_FORMAT = `${APP_ID}.case-archive`;
+
+const CASE_FILE = "case.json";
+const INDEX_FILE = "index.html";
+const MANIFEST_FILE = "manifest.json";
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function slug(s, fallback) {
+  const out = String(s || "")
+    .replaceAll(/[^\p{L}\p{N}\-_.]+/gu, "-")
+    .replaceAll(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return out || fallback;
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+const byDate = (a, b) => `${a.date || ""} ${a.time || ""}`.localeCompare(`${b.date || ""} ${b.time || ""}`);
+
+function table(headers, rows) {
+  if (!rows.length) return `<p class="muted">None.</p>`;
+  const head = headers.map((h) => `<th>${escapeHtml(h)}</th>`).join("");
+  const body = rows.map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join("")}</tr>`).join("\n");
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function indexHtml({ bundle, incidents, defects, evidence, exhibits, letters, createdAt }) {
+  const c = bundle.case || {};
+  const u = bundle.unit || {};
+  const exhibitLinks = (incidentId) =>
+    exhibits
+      .filter((x) => x.incidentId === incidentId)
+      .map((x) => `<a href="${escapeHtml(x.path)}">${x.no}</a>`)
+      .join(", ");
+
+  const incidentTable = table(
+    ["No.", "Date", "Type", "Summary", "Status", "Exhibits"],
+    incidents.map((i, n) => [
+      `I${pad2(n + 1)}`,
+      escapeHtml([i.date, i.time].filter(Boolean).join(" ")),
+      escapeHtml(i.type),
+      `<strong>${escapeHtml(i.summary)}</strong>${i.details ? `<br>${escapeHtml(i.details)}` : ""}`,
+      escapeHtml(i.urgency),
+      exhibitLinks(i.id),
+    ])
+  );
+  const defectTable = table(
+    ["No.", "Defect", "Room", "Severity", "Status", "Since", "Reduction"],
+    defects.map((d, n) => [
+      `D${pad2(n + 1)}`,
+      `<strong>${escapeHtml(d.title)}</strong>${d.details ? `<br>${escapeHtml(d.details)}` : ""}`,
+      escapeHtml(d.room),
+      escapeHtml(d.severity),
+      escapeHtml(d.status),
+      escapeHtml(d.startDate),
+      d.impactPercent ? `${escapeHtml(d.impactPercent)} %` : "",
+    ])
+  );
+  const evidenceTable = table(
+    ["No.", "Date", "Type", "Reference", "Description"],
+    evidence.map((e, n) => [
+      `E${pad2(n + 1)}`,
+      escapeHtml(e.date),
+      escapeHtml(e.type),
+      e.link ? `<a href="${escapeHtml(e.link)}">${escapeHtml(e.ref || e.link)}</a>` : escapeHtml(e.ref),
+      escapeHtml(e.description),
+    ])
+  );
+  const exhibitTable = table(
+    ["No.", "File", "Incident", "Size", "SHA-256"],
+    exhibits.map((x) => [
+      x.no,
+      `<a href="${escapeHtml(x.path)}">${escapeHtml(x.name)}</a>`,
+      x.incidentNo,
+      `${Math.max(1, Math.round(x.size / 1024))} KB`,
+      `<code>${x.sha256}</code>`,
+    ])
+  );
+  const statusLabel = (id) => LETTER_STATUSES.find((s) => s.id === id)?.label || id || "";
+  const letterTable = table(
+    ["No.", "Title", "Subject", "Status", "Deadline", "Proof"],
+    letters.map((l) => [
+      `<a href="${escapeHtml(l.path)}">L${pad2(l.n)}</a>`,
+      escapeHtml(l.title),
+      escapeHtml(l.subject),
+      escapeHtml([statusLabel(l.status), l.sentDate].filter(Boolean).join(" · ")),
+      escapeHtml(l.deadline || ""),
+      l.attachments
+        .map((a) => (a.file ? `<a href="${escapeHtml(a.file)}">${escapeHtml(a.name)}</a>` : escapeHtml(a.name)))
+        .join("<br>"),
+    ])
+  );
+  const sections = [
+    ["Incidents", incidentTable],
+    ["Defects", defectTable],
+    ["Evidence", evidenceTable],
+    ["Exhibits", exhibitTable],
+    ["Letters", letterTable],
+  ];
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(c.title || "Case")} — index</title>
+<style>
+  body { font: 13px/1.45 system-ui, sans-serif; color: #0f172a; margin: 2rem; }
+  h1 { font-size: 20px; margin: 0 0 .25rem; }
+  h2 { font-size: 15px; margin: 1.75rem 0 .5rem; break-after: avoid; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #cbd5e1; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; }
+  tr { break-inside: avoid; }
+  code { font-size: 10px; word-break: break-all; }
+  .muted { color: #64748b; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(c.title || "Untitled case")}</h1>
+<div>${escapeHtml([u.label, u.address].filter(Boolean).join(" · "))}</div>
+<div class="muted">Tenant: ${escapeHtml(u.tenantName || "—")} · Landlord: ${escapeHtml(u.landlordName || "—")}</div>
+<div class="muted">Bundle created ${escapeHtml(createdAt)} · file hashes in ${MANIFEST_FILE}</div>
+${sections.map(([title, html]) => `<h2>${title}</h2>\n${html}`).join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds the case bundle ZIP. `getBlob(id)` returns an attachment's stored file (or null when missing;
+ * the attachment is then listed without a file).
+ */
+export async function buildCaseArchive(data, caseId, getBlob) {
+  const createdAt = new Date().toISOString();
+  const bundle = caseBundle(data, caseId);
+  const incidents = [...bundle.incidents].sort(byDate);
+  const defects = bundle.defects;
+  const evidence = [...bundle.evidence].sort(byDate);
+  const files = [];
+  const exhibits = [];
+
+  const incidentsOut = new Map();
+  for (const [n, i] of incidents.entries()) {
+    const attachments = [];
+    for (const a of i.attachments || []) {
+      const blob = await getBlob(a.id);
+      if (!blob) {
+        attachments.push(a);
+        continue;
+      }
+      const no = `A${pad2(exhibits.length + 1)}`;
+      const path = `attachments/${no}-${slug(a.name, "file")}`;
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      files.push({ name: path, data: bytes });
+      exhibits.push({ no, path, name: a.name, size: bytes.length, incidentId: i.id, incidentNo: `I${pad2(n + 1)}` });
+      attachments.push({ ...a, exhibit: no, file: path });
+    }
+    incidentsOut.set(i.id, { ...i, attachments });
+  }
+
+  const letters = [];
+  const lettersOut = new Map();
+  for (const [n, l] of bundle.letters.entries()) {
+    const no = `L${pad2(n + 1)}`;
+    const path = `letters/${no}-${slug(l.title || l.subject, "letter")}.txt`;
+    files.push({ name: path, data: letterText(l) });
+    const attachments = [];
+    for (const [k, a] of (l.attachments || []).entries()) {
+      const blob = await getBlob(a.id);
+      if (!blob) {
+        attachments.push(a);
+        continue;
+      }
+      const file = `letters/${no}-proof-${k + 1}-${slug(a.name, "file")}`;
+      files.push({ name: file, data: new Uint8Array(await blob.arrayBuffer()) });
+      attachments.push({ ...a, file });
+    }
+    lettersOut.set(l.id, { ...l, attachments });
+    letters.push({ ...l, attachments, n: n + 1, path });
+  }
+
+  const caseJson = {
+    ...bundle,
+    incidents: bundle.incidents.map((i) => incidentsOut.get(i.id) || i),
+    letters: bundle.letters.map((l) => lettersOut.get(l.id) || l),
+  };
+  files.unshift({ name: CASE_FILE, data: JSON.stringify(caseJson, null, 2) });
+
+  const hashes = new Map();
+  for (const f of files) {
+    const bytes = typeof f.data === "string" ? encoder.encode(f.data) : f.data;
+    hashes.set(f.name, { size: bytes.length, sha256: await sha256Hex(bytes) });
+  }
+  exhibits.forEach((x) => (x.sha256 = hashes.get(x.path).sha256));
+
+  const index = indexHtml({ bundle, incidents, defects, evidence, exhibits, letters, createdAt });
+  const indexBytes = encoder.encode(index);
+  files.push({ name: INDEX_FILE, data: indexBytes });
+  hashes.set(INDEX_FILE, { size: indexBytes.length, sha256: await sha256Hex(indexBytes) });
+
+  const manifest = {
+    format: CASE_ARCHIVE_FORMAT,
+    version: 1,
+    createdAt,
+    caseId,
+    files: files.map((f) => ({ path: f.name, ...hashes.get(f.name) })),
+  };
+  files.push({ name: MANIFEST_FILE, data: JSON.stringify(manifest, null, 2) });
+
+  return createZip(files);
+}
+
+/**
+ * Reads a case bundle ZIP back into case JSON text (attachments inlined as dataUrls, as in a JSON export).
+ * Every file listed in the manifest must be present and match its SHA-256; throws otherwise.
+ */
+export async function readCaseArchive(bytes) {
+  const entries = await readZip(bytes);
+  // Bundles re-zipped by hand may sit in a folder; paths are taken relative to case.json
+  const caseEntry = entries.find((e) => e.name === CASE_FILE || e.name.endsWith(`/${CASE_FILE}`));
+  if (!caseEntry) throw new Error(`This ZIP is not a case bundle (no ${CASE_FILE}).`);
+  const root = caseEntry.name.slice(0, -CASE_FILE.length);
+  const byPath = new Map(entries.filter((e) => e.name.startsWith(root)).map((e) => [e.name.slice(root.length), e.data]));
+
+  const manifestBytes = byPath.get(MANIFEST_FILE);
+  if (manifestBytes) {
+    const manifest = JSON.parse(decoder.decode(manifestBytes));
+    const problems = [];
+    for (const f of manifest.files || []) {
+      const data = byPath.get(f.path);
+      if (!data) problems.push(`${f.path} is missing`);
+      else if ((await sha256Hex(data)) !== f.sha256) problems.push(`${f.path} was changed`);
+    }
+    if (problems.length) throw new Error(`The case bundle does not match its manifest: ${problems.join("; ")}.`);
+  }
+
+  const bundle = JSON.parse(decoder.decode(caseEntry.data));
+  // `file` and `exhibit` only exist inside the bundle
+  const inline = async (att) => {
+    const a = Object.fromEntries(Object.entries(att).filter(([k]) => k !== "file" && k !== "exhibit"));
+    const data = att.file ? byPath.get(att.file) : null;
+    if (!data) return a;
+    return { ...a, dataUrl: await blobToDataUrl(new Blob([data], { type: a.type || "application/octet-stream" })) };
+  };
+  const inlineAll = (list) =>
+    Promise.all(
+      (list || []).map(async (r) =>
+        r.attachments?.length ? { ...r, attachments: await Promise.all(r.attachments.map(inline)) } : r
+      )
+    );
+  const incidents = await inlineAll(bundle.incidents);
+  const letters = await inlineAll(bundle.letters);
+  return JSON.stringify({ ...bundle, incidents, letters });
+}
@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { buildCaseArchive, readCaseArchive } from "./caseArchive.js";
+import { createZip, readZip } from "./zip.js";
+import { defaultData, makeCase, makeIncident, makeLetter } from "./schema.js";
+
+// Node has no FileReader; readCaseArchive only needs readAsDataURL
+class DataUrlReader {
+  readAsDataURL(blob) {
+    blob.arrayBuffer().then((buf) => {
+      this.result = `data:${blob.type};base64,${btoa(String.fromCharCode(...new Uint8Array(buf)))}`;
+      this.onload();
+    }, this.onerror);
+  }
+}
+
+// SHA-256 of "abc" (FIPS 180-2 test vector)
+const ABC_SHA256 = "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad";
+
+function caseData() {
+  const data = defaultData();
+  const unitId = data.units[0].id;
+  const c = makeCase(unitId, { id: "k1", title: "Heating" });
+  const photo = { id: "att1", name: "boiler photo.jpg", type: "image/jpeg", size: 3 };
+  data.cases = [c];
+  data.incidents = [makeIncident(unitId, { id: "i1", date: "2024-01-10", title: "No heating", attachments: [photo] })];
+  data.letters = [makeLetter("k1", { id: "l1", title: "Repair request", subject: "Heating", body: "Please repair." })];
+  return data;
+}
+
+const blobs = { att1: new Blob(["abc"], { type: "image/jpeg" }) };
+const getBlob = async (id) => blobs[id] || null;
+
+const zipBytes = async (blob) => new Uint8Array(await blob.arrayBuffer());
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+describe("buildCaseArchive", () => {
+  it("lists every other file in the manifest with its size and SHA-256", async () => {
+    const entries = await readZip(await zipBytes(await buildCaseArchive(caseData(), "k1", getBlob)));
+    const byName = new Map(entries.map((e) => [e.name, e.data]));
+    const manifest = JSON.parse(text(byName.get("manifest.json")));
+
+    expect(manifest.files.map((f) => f.path).sort()).toEqual(
+      [...byName.keys()].filter((name) => name !== "manifest.json").sort()
+    );
+    expect(manifest.files.find((f) => f.path === "attachments/A01-boiler-photo.jpg")).toEqual({
+      path: "attachments/A01-boiler-photo.jpg",
+      size: 3,
+      sha256: ABC_SHA256,
+    });
+    expect(text(byName.get("letters/L01-Repair-request.txt"))).toBe("Betreff: Heating\n\nPlease repair.");
+  });
+});
+
+describe("readCaseArchive", () => {
+  beforeEach(() => vi.stubGlobal("FileReader", DataUrlReader));
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("reads a bundle back with its attachments inlined as data URLs", async () => {
+    const json = JSON.parse(await readCaseArchive(await zipBytes(await buildCaseArchive(caseData(), "k1", getBlob))));
+    expect(json.case.id).toBe("k1");
+    expect(json.incidents[0].attachments).toEqual([
+      { id: "att1", name: "boiler photo.jpg", type: "image/jpeg", size: 3, dataUrl: "data:image/jpeg;base64,YWJj" },
+    ]);
+  });
+
+  it("refuses a bundle whose files do not match the manifest", async () => {
+    const entries = await readZip(await zipBytes(await buildCaseArchive(caseData(), "k1", getBlob)));
+    const tampered = entries.map((e) =>
+      e.name.startsWith("attachments/") ? { ...e, data: new TextEncoder().encode("abd") } : e
+    );
+    await expect(readCaseArchive(await zipBytes(createZip(tampered)))).rejects.toThrow(
+      "attachments/A01-boiler-photo.jpg was changed"
+    );
+  });
+
+  it("refuses a ZIP without case.json", async () => {
+    const zip = createZip([{ name: "notes.txt", data: "hello" }]);
+    await expect(readCaseArchive(await zipBytes(zip))).rejects.toThrow("not a case bundle");
+  });
+});
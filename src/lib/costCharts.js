@@ -0,0 +1,82 @@
+// Cost analytics for RentIt's Overview charts and report: monthly series over a selectable month range.
+// - Months without a cost row count as zero, so gaps stay visible in the charts.
+// - Range presets count calendar months back from the current month (or the newest row, if later).
+// - Rows are expected in the base currency (./currency.js inBaseCurrency).
+
+import { COST_KEYS, categoryAmount, isoMonth, round2, toNum } from "./schema.js";
+import { monthRange } from "./recurringCosts.js";
+
+export const RANGE_PRESETS = [
+  { id: "12m", label: "Last 12 months", months: 12 },
+  { id: "24m", label: "Last 24 months", months: 24 },
+  { id: "ytd", label: "This year" },
+  { id: "all", label: "All months" },
+  { id: "custom", label: "Custom" },
+];
+
+function shiftMonth(month, n) {
+  const [y, m] = month.split("-").map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + n, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+/** { from, to } months for a range ({ preset, from, to }); custom ranges keep their own months. */
+export function resolveRange(range, rows, today = isoMonth()) {
+  const months = (rows || []).map((r) => r.month).filter(Boolean).sort();
+  const latest = months.length && months[months.length - 1] > today ? months[months.length - 1] : today;
+  const preset = RANGE_PRESETS.find((p) => p.id === range?.preset) || RANGE_PRESETS[0];
+  if (preset.id === "custom" && range.from && range.to) {
+    return range.from <= range.to ? { from: range.from, to: range.to } : { from: range.to, to: range.from };
+  }
+  if (preset.id === "ytd") return { from: `${today.slice(0, 4)}-01`, to: latest };
+  if (preset.id === "all") return { from: months[0] || today, to: latest };
+  return { from: shiftMonth(latest, -((preset.months || 12) - 1)), to: latest };
+}
+
+export function rowsInRange(rows, { from, to }) {
+  return (rows || []).filter((r) => r.month >= from && r.month <= to);
+}
+
+/** Sum per category id (built-in and custom) plus total, paid and outstanding for `rows`. */
+export function costTotals(rows) {
+  const list = rows || [];
+  const sum = (k) => round2(list.reduce((s, r) => s + toNum(r[k]), 0));
+  const ids = new Set([...COST_KEYS, ...list.flatMap((r) => Object.keys(r.custom || {}))]);
+  return {
+    ...Object.fromEntries([...ids].map((id) => [id, round2(list.reduce((s, r) => s + categoryAmount(r, id), 0))])),
+    total: sum("total"),
+    paid: sum("paidAmount"),
+    outstanding: sum("outstanding"),
+  };
+}
+
+/** One entry per month of the range: { month, rent, …, total, paid, outstanding }. */
+export function monthlySeries(rows, { from, to }) {
+  const byMonth = new Map();
+  for (const r of rowsInRange(rows, { from, to })) {
+    byMonth.set(r.month, [...(byMonth.get(r.month) || []), r]);
+  }
+  return monthRange(from, to).map((month) => ({ month, ...costTotals(byMonth.get(month) || []) }));
+}
+
+/** Monthly totals per calendar year for the years touched by the range: [{ year, totals: [12 × number|null] }]. */
+export function yearOverYear(rows, { from, to }) {
+  const years = [];
+  for (let y = Number(from.slice(0, 4)); y <= Number(to.slice(0, 4)); y++) years.push(String(y));
+  return years.map((year) => {
+    const totals = Array.from({ length: 12 }, (_, i) => {
+      const month = `${year}-${String(i + 1).padStart(2, "0")}`;
+      const monthRows = (rows || []).filter((r) => r.month === month);
+      return monthRows.length ? costTotals(monthRows).total : null;
+    });
+    return { year, totals };
+  });
+}
+
+/** Round a chart maximum up to 1, 2 or 5 × 10^n. */
+export function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find((s) => s * magnitude >= value);
+  return step * magnitude;
+}
@@ -0,0 +1,154 @@
+// Passphrase encryption with WebCrypto: PBKDF2-SHA-256 derives an AES-GCM 256-bit key from the
+// passphrase and a random salt; every sealed value gets its own random 96-bit IV.
+// The key is non-extractable and only lives in memory while the app is unlocked.
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// OWASP's current recommendation for PBKDF2-HMAC-SHA256
+export const KDF_ITERATIONS = 600000;
+
+export const ENCRYPTED_EXPORT_FORMAT = "toolstack.encrypted";
+
+// Sealed blobs keep this type; the original type is encrypted with the content
+export const SEALED_BLOB_TYPE = "application/x-toolstack-sealed";
+
+// Encrypted with the key so a wrong passphrase is recognised before any data is read
+const KEY_CHECK = "toolstack-mietakte";
+
+export class WrongPassphraseError extends Error {
+  constructor() {
+    super("Wrong passphrase (or the data is damaged).");
+    this.name = "WrongPassphraseError";
+  }
+}
+
+export function isCryptoAvailable() {
+  return typeof crypto !== "undefined" && !!crypto.subtle;
+}
+
+export function toBase64(bytes) {
+  let bin = "";
+  // Chunked: String.fromCharCode(...bytes) overflows the stack on large attachments
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+export function fromBase64(str) {
+  const bin = atob(str);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+/** kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt (base64) } */
+export async function deriveKey(passphrase, kdf) {
+  const material = await crypto.subtle.importKey("raw", encoder.encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: kdf.hash, salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encryptBytes(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, bytes));
+  return { iv, ct };
+}
+
+async function decryptBytes(key, iv, ct) {
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv }, key, ct));
+  } catch {
+    // AES-GCM fails authentication for a wrong key and for tampered data alike
+    throw new WrongPassphraseError();
+  }
+}
+
+/** Encrypts any JSON value to { iv, ct } (base64). */
+export async function sealJson(key, value) {
+  const { iv, ct } = await encryptBytes(key, encoder.encode(JSON.stringify(value)));
+  return { iv: toBase64(iv), ct: toBase64(ct) };
+}
+
+export async function openJson(key, sealed) {
+  return JSON.parse(await openText(key, sealed));
+}
+
+async function openText(key, sealed) {
+  return decoder.decode(await decryptBytes(key, fromBase64(sealed.iv), fromBase64(sealed.ct)));
+}
+
+/** Encrypts a Blob; the result is iv + ciphertext of "type\n" + content. */
+export async function sealBlob(key, blob) {
+  const type = encoder.encode(`${blob.type}\n`);
+  const content = new Uint8Array(await blob.arrayBuffer());
+  const plain = new Uint8Array(type.length + content.length);
+  plain.set(type);
+  plain.set(content, type.length);
+  const { iv, ct } = await encryptBytes(key, plain);
+  return new Blob([iv, ct], { type: SEALED_BLOB_TYPE });
+}
+
+export async function openBlob(key, blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const plain = await decryptBytes(key, bytes.subarray(0, 12), bytes.subarray(12));
+  const nl = plain.indexOf(10);
+  return new Blob([plain.subarray(nl + 1)], { type: decoder.decode(plain.subarray(0, nl)) });
+}
+
+/** New key settings for `passphrase`: { key, kdf, check } (kdf and check are safe to store). */
+export async function createKey(passphrase) {
+  const kdf = {
+    name: "PBKDF2",
+    hash: "SHA-256",
+    iterations: KDF_ITERATIONS,
+    salt: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+  };
+  const key = await deriveKey(passphrase, kdf);
+  return { key, kdf, check: await sealJson(key, KEY_CHECK) };
+}
+
+/** Derives the key for stored settings and verifies it; throws WrongPassphraseError. */
+export async function unlockKey(passphrase, { kdf, check }) {
+  const key = await deriveKey(passphrase, kdf);
+  if ((await openJson(key, check)) !== KEY_CHECK) throw new WrongPassphraseError();
+  return key;
+}
+
+// ===== Encrypted export files =====
+
+export function isEncryptedExport(obj) {
+  return !!obj && typeof obj === "object" && obj.format === ENCRYPTED_EXPORT_FORMAT;
+}
+
+/** Wraps an export in a self-describing file: anyone with the passphrase can derive the key from `kdf`. */
+export async function encryptExport(key, kdf, value) {
+  const { iv, ct } = await sealJson(key, value);
+  return {
+    format: ENCRYPTED_EXPORT_FORMAT,
+    version: 1,
+    encryptedAt: new Date().toISOString(),
+    kdf,
+    cipher: "AES-GCM",
+    iv,
+    ct,
+  };
+}
+
+/** Returns the export's JSON text. `key` may be a CryptoKey already derived for `file.kdf`. */
+export async function decryptExport(file, { key, passphrase }) {
+  if (file.version !== 1 || file.cipher !== "AES-GCM" || file.kdf?.name !== "PBKDF2") {
+    throw new Error("This encrypted file uses an unsupported format.");
+  }
+  return openText(key || (await deriveKey(passphrase, file.kdf)), file);
+}
+
+/** Hex SHA-256 of bytes (file hashes in case bundle manifests). */
+export async function sha256Hex(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return [...digest].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
@@ -0,0 +1,83 @@
+// Currencies: ISO 4217 codes, locale-aware money formatting and conversion into the base currency
+// (settings.currency) with the manually maintained rate table (settings.exchangeRates).
+// Cost rows carry their own currency ("" = base); totals, charts and the report add up rows in the base
+// currency, so a row without a known rate is left out of them and flagged instead of being added unconverted.
+
+import { COST_KEYS, round2, toNum } from "./schema.js";
+
+// Codes the browser knows (Intl.supportedValuesOf); older browsers fall back to the format check only
+export const CURRENCY_CODES = (() => {
+  try {
+    return Intl.supportedValuesOf("currency");
+  } catch {
+    return [];
+  }
+})();
+
+/** Three upper-case letters that the browser accepts as an ISO 4217 currency. */
+export function isCurrencyCode(code) {
+  if (!/^[A-Z]{3}$/.test(String(code || ""))) return false;
+  return CURRENCY_CODES.length ? CURRENCY_CODES.includes(code) : true;
+}
+
+const formats = new Map();
+
+function formatFor(currency) {
+  if (!formats.has(currency)) {
+    let format = null;
+    try {
+      format = new Intl.NumberFormat(undefined, { style: "currency", currency });
+    } catch {
+      // Not a currency Intl knows: plain number + code
+    }
+    formats.set(currency, format);
+  }
+  return formats.get(currency);
+}
+
+/** "1.234,56 €" / "€1,234.56" in the browser's locale; "-" for non-numbers. */
+export function moneyFmt(n, currency) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return "-";
+  const format = isCurrencyCode(currency) ? formatFor(currency) : null;
+  return format ? format.format(x) : `${x.toFixed(2)} ${currency || ""}`.trim();
+}
+
+/** The row's currency: its own code or the base currency. */
+export function rowCurrency(row, settings) {
+  return row?.currency || settings?.currency || "";
+}
+
+/** Units of the base currency per unit of `currency`; 1 for the base itself, null without a rate. */
+export function rateFor(currency, settings) {
+  if (!currency || currency === settings?.currency) return 1;
+  const entry = (settings?.exchangeRates || []).find((r) => r.currency === currency && toNum(r.rate) > 0);
+  return entry ? toNum(entry.rate) : null;
+}
+
+/**
+ * The row with every amount (categories, total, payments, paid and outstanding) converted into the base
+ * currency, plus `rate` (null = no rate known; amounts are then 0 so they do not distort the sums).
+ */
+export function inBaseCurrency(row, settings) {
+  const currency = rowCurrency(row, settings);
+  const rate = rateFor(currency, settings);
+  if (rate === 1) return { ...row, rate };
+  const conv = (v) => (rate === null ? 0 : round2(toNum(v) * rate));
+  return {
+    ...row,
+    ...Object.fromEntries(COST_KEYS.map((k) => [k, conv(row[k])])),
+    custom: Object.fromEntries(Object.entries(row.custom || {}).map(([k, v]) => [k, conv(v)])),
+    payments: (row.payments || []).map((p) => ({ ...p, amount: conv(p.amount) })),
+    total: conv(row.total),
+    paidAmount: conv(row.paidAmount),
+    outstanding: conv(row.outstanding),
+    rate,
+  };
+}
+
+/** Currencies rows can be kept in: the base currency and every currency of the rate table. */
+export function knownCurrencies(settings) {
+  const codes = [settings?.currency, ...(settings?.exchangeRates || []).map((r) => r.currency)];
+  return [...new Set(codes.filter(isCurrencyCode))];
+}
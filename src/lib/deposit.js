@@ -0,0 +1,190 @@
+// Rent deposit (Mietkaution) ledger: how it was paid, the interest it earned and its return after move-out.
+// - The agreed amount is unit.deposit; at most three monthly cold rents, payable in three equal monthly
+//   instalments, the first at the start of the tenancy (§ 551 Abs. 1, 2 BGB).
+// - A cash deposit earns the usual savings rate; interest is added to the deposit at the end of each year
+//   (§ 551 Abs. 3 BGB). Guarantees and deposit insurance earn nothing.
+// - After the flat is handed back the landlord may retain the deposit for a reasonable time to check claims;
+//   courts usually accept 3–6 months, and for a pending utility bill only a reasonable part beyond that.
+// A plausibility check for a letter to the landlord, not legal advice.
+
+import { addMonths, isoToday, round2, toNum } from "./schema.js";
+import { builtInTemplate, letterContext, renderLetter } from "./letterTemplates.js";
+
+export const DEPOSIT_FORMS = [
+  { id: "cash", label: "Cash / transfer (Barkaution)", interest: true },
+  { id: "account", label: "Pledged savings account (Kautionskonto)", interest: true },
+  { id: "guarantee", label: "Bank guarantee (Bürgschaft)", interest: false },
+  { id: "insurance", label: "Deposit insurance (Kautionsversicherung)", interest: false },
+];
+
+export const DEDUCTION_KINDS = [
+  { id: "damage", label: "Damage / repairs" },
+  { id: "rent", label: "Unpaid rent" },
+  { id: "utilities", label: "Pending utility bill" },
+  { id: "other", label: "Other" },
+];
+
+// Months after the handover the landlord is usually allowed to take (upper end of the usual 3–6 months)
+export const DEFAULT_RETENTION_MONTHS = 6;
+
+// § 551 Abs. 1 BGB
+const MAX_RENTS = 3;
+
+const DAY_MS = 86400000;
+
+const sum = (list, key = "amount") => round2((list || []).reduce((s, x) => s + toNum(x[key]), 0));
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+/** Savings rate (percent per year) in effect on `day`: the latest rate entry from on or before it, else 0. */
+export function rateOn(rates, day) {
+  const entry = [...(rates || [])]
+    .filter((r) => r.from && r.from <= day)
+    .sort((a, b) => a.from.localeCompare(b.from))
+    .pop();
+  return entry ? toNum(entry.rate) : 0;
+}
+
+/**
+ * Interest on the instalments from each payment date until `until`, day by day (act/365), added to the
+ * deposit at the end of every calendar year. Returns { interest, years: [{ year, balance, interest }] }.
+ */
+export function accrueInterest(instalments, rates, until = isoToday()) {
+  const paid = (instalments || []).filter((p) => p.date && toNum(p.amount) > 0 && p.date < until);
+  if (!paid.length) return { interest: 0, years: [] };
+  const start = paid.map((p) => p.date).sort()[0];
+
+  // Segments between payments, rate changes and year ends have a constant balance and rate
+  const bounds = new Set([start, until]);
+  paid.forEach((p) => bounds.add(p.date));
+  (rates || []).forEach((r) => r.from > start && r.from < until && bounds.add(r.from));
+  for (let y = Number(start.slice(0, 4)) + 1; y <= Number(until.slice(0, 4)); y++) bounds.add(`${y}-01-01`);
+  const points = [...bounds].filter((d) => d >= start && d <= until).sort();
+
+  const years = [];
+  let balance = 0;
+  let yearInterest = 0;
+  let total = 0;
+  const closeYear = (year) => {
+    const interest = round2(yearInterest);
+    years.push({ year, balance: round2(balance), interest });
+    balance += interest;
+    total += interest;
+    yearInterest = 0;
+  };
+  for (let i = 0; i < points.length - 1; i++) {
+    const from = points[i];
+    const to = points[i + 1];
+    balance += paid.filter((p) => p.date === from).reduce((s, p) => s + toNum(p.amount), 0);
+    yearInterest += (balance * rateOn(rates, from) * daysBetween(from, to)) / 100 / 365;
+    if (to.endsWith("-01-01") && to.slice(0, 4) !== from.slice(0, 4)) closeYear(from.slice(0, 4));
+  }
+  if (yearInterest) closeYear(until.slice(0, 4));
+  return { interest: round2(total), years };
+}
+
+/** The three instalments of § 551 Abs. 2 BGB: due at the start of the tenancy and in the two months after. */
+export function instalmentPlan(unit) {
+  const agreed = toNum(unit?.deposit);
+  if (!agreed || !unit?.contractStart) return [];
+  const part = round2(agreed / 3);
+  return [0, 1, 2].map((n) => ({
+    due: addMonths(unit.contractStart, n),
+    amount: n === 2 ? round2(agreed - 2 * part) : part,
+  }));
+}
+
+/**
+ * Where the deposit stands on `today`. Returns {
+ *   agreed, paid, interest, years, credit (paid + interest), accepted / disputed deductions, returned,
+ *   claim (what the tenant can still demand), retentionMonths, deadline (return due), overdue, flags
+ * }
+ */
+export function depositStatus(deposit, unit, { today = isoToday() } = {}) {
+  const flags = [];
+  const form = DEPOSIT_FORMS.find((f) => f.id === deposit.form) || DEPOSIT_FORMS[0];
+  const agreed = toNum(unit?.deposit);
+  const paid = sum(deposit.instalments);
+  const until = [deposit.handoverDate, today].filter(Boolean).sort()[0];
+  const { interest, years } = form.interest
+    ? accrueInterest(deposit.instalments, deposit.rates, until)
+    : { interest: 0, years: [] };
+  const credit = round2(paid + interest);
+  const deductions = deposit.deductions || [];
+  const accepted = sum(deductions.filter((d) => d.accepted));
+  const disputed = sum(deductions.filter((d) => !d.accepted));
+  const returned = sum(deposit.returns);
+  const claim = Math.max(0, round2(credit - accepted - returned));
+
+  const claimedMonths = deposit.retentionMonths === "" ? null : toNum(deposit.retentionMonths, null);
+  const retentionMonths = claimedMonths ?? DEFAULT_RETENTION_MONTHS;
+  const deadline = deposit.handoverDate ? addMonths(deposit.handoverDate, retentionMonths) : "";
+  const overdue = !!deadline && today > deadline && claim > 0;
+
+  const maxDeposit = round2(toNum(unit?.rentCold) * MAX_RENTS);
+  if (maxDeposit && agreed > maxDeposit) {
+    flags.push({
+      level: "error",
+      message:
+        `The deposit may be at most three monthly cold rents (${maxDeposit.toFixed(2)}, § 551 Abs. 1 BGB); ` +
+        "the excess can be reclaimed.",
+    });
+  }
+  if (agreed && paid > agreed) {
+    flags.push({ level: "warning", message: `More paid (${paid.toFixed(2)}) than agreed (${agreed.toFixed(2)}).` });
+  }
+  if (form.interest && paid && !(deposit.rates || []).length) {
+    flags.push({ level: "info", message: "Add the savings rates to calculate the interest the deposit earned." });
+  }
+  if (claimedMonths !== null && claimedMonths > DEFAULT_RETENTION_MONTHS) {
+    flags.push({
+      level: "warning",
+      message:
+        `The landlord claims ${claimedMonths} months; courts usually allow 3–6 months. Beyond that only a ` +
+        "reasonable amount for a pending utility bill may be kept.",
+    });
+  }
+  if (deductions.some((d) => d.kind === "utilities")) {
+    flags.push({
+      level: "info",
+      message: "For a pending utility bill only the expected back-payment may be kept, not the whole deposit.",
+    });
+  }
+  if (deposit.handoverDate && !overdue && claim > 0) {
+    flags.push({ level: "info", message: `The deposit is due back by ${deadline}.` });
+  }
+  if (overdue) {
+    flags.push({
+      level: "error",
+      message: `The retention period ended on ${deadline}; ${claim.toFixed(2)} is still outstanding.`,
+    });
+  }
+  return {
+    form,
+    agreed,
+    paid,
+    interest,
+    years,
+    credit,
+    accepted,
+    disputed,
+    returned,
+    claim,
+    retentionMonths,
+    deadline,
+    overdue,
+    flags,
+  };
+}
+
+export const DEPOSIT_LETTER_NAME = builtInTemplate("deposit_demand").name;
+
+/**
+ * Demand for the deposit's return (German, with the English translation) once the retention period has passed,
+ * rendered from the deposit_demand letter template (the user's edited version when given as `template`).
+ * `c` carries the address and names, `status` comes from depositStatus().
+ */
+export function depositDemandLetter({ c, deposit, status, today = isoToday(), template }) {
+  const data = letterContext({ c, deposit: { record: deposit, status }, today });
+  return renderLetter(template || builtInTemplate("deposit_demand"), data);
+}
@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import { accrueInterest, depositStatus, instalmentPlan, rateOn } from "./deposit.js";
+import { round2 } from "./schema.js";
+
+describe("accrueInterest", () => {
+  it("adds each year's interest to the deposit at the end of the year", () => {
+    const rates = [{ from: "2022-01-01", rate: 1 }];
+    const result = accrueInterest([{ date: "2022-01-01", amount: 3000 }], rates, "2024-01-01");
+    expect(result.years).toEqual([
+      { year: "2022", balance: 3000, interest: 30 },
+      { year: "2023", balance: 3030, interest: 30.3 },
+    ]);
+    expect(result.interest).toBe(60.3);
+  });
+
+  it("changes the rate from the day a new one applies", () => {
+    const rates = [
+      { from: "2022-07-02", rate: 2 },
+      { from: "2022-01-01", rate: 1 },
+    ];
+    expect(rateOn(rates, "2022-07-01")).toBe(1);
+    expect(rateOn(rates, "2022-07-02")).toBe(2);
+    // 182 days at 1 %, 183 days at 2 %
+    expect(accrueInterest([{ date: "2022-01-01", amount: 3650 }], rates, "2023-01-01").interest).toBe(54.8);
+  });
+
+  it("counts every instalment from its own payment date, up to a day within the year", () => {
+    const instalments = [
+      { date: "2022-02-01", amount: 1000 },
+      { date: "2022-01-01", amount: 1000 },
+      { date: "2022-05-01", amount: 1000 },
+    ];
+    // 1000 for 31 days, 2000 for 28 days; the third instalment is paid after `until`
+    const result = accrueInterest(instalments, [{ from: "2020-01-01", rate: 3.65 }], "2022-03-01");
+    expect(result).toEqual({ interest: 8.7, years: [{ year: "2022", balance: 2000, interest: 8.7 }] });
+  });
+
+  it("earns nothing without payments or rates", () => {
+    expect(accrueInterest([], [{ from: "2022-01-01", rate: 1 }], "2024-01-01")).toEqual({ interest: 0, years: [] });
+    expect(accrueInterest([{ date: "2022-01-01", amount: 3000 }], [], "2024-01-01").interest).toBe(0);
+  });
+});
+
+describe("instalmentPlan", () => {
+  it("splits the deposit into three monthly instalments from the start of the tenancy", () => {
+    expect(instalmentPlan({ deposit: 2000, contractStart: "2024-01-31" })).toEqual([
+      { due: "2024-01-31", amount: 666.67 },
+      { due: "2024-02-29", amount: 666.67 },
+      { due: "2024-03-31", amount: 666.66 },
+    ]);
+    expect(instalmentPlan({ deposit: 2000, contractStart: "" })).toEqual([]);
+  });
+});
+
+describe("depositStatus", () => {
+  const unit = { deposit: 2400, rentCold: 700 };
+  const deposit = {
+    form: "cash",
+    instalments: [{ date: "2020-01-01", amount: 2400 }],
+    rates: [],
+    handoverDate: "2024-01-31",
+    retentionMonths: "",
+    deductions: [
+      { kind: "damage", label: "Scratched floor", amount: 300, accepted: true },
+      { kind: "utilities", label: "Utility bill 2023", amount: 500, accepted: false },
+    ],
+    returns: [{ date: "2024-03-01", amount: 1000 }],
+  };
+
+  it("is owed back after the retention period, less accepted deductions and what was returned", () => {
+    const status = depositStatus(deposit, unit, { today: "2024-09-01" });
+    expect(status).toMatchObject({
+      agreed: 2400,
+      paid: 2400,
+      interest: 0,
+      credit: 2400,
+      accepted: 300,
+      disputed: 500,
+      returned: 1000,
+      claim: 1100,
+      retentionMonths: 6,
+      deadline: "2024-07-31",
+      overdue: true,
+    });
+    expect(status.flags.map((f) => f.level)).toEqual(["error", "info", "info", "error"]);
+    expect(status.flags[0].message).toContain("at most three monthly cold rents (2100.00");
+    expect(status.flags[3].message).toBe("The retention period ended on 2024-07-31; 1100.00 is still outstanding.");
+  });
+
+  it("accrues interest until the handover on cash deposits only", () => {
+    const withRates = { ...deposit, rates: [{ from: "2020-01-01", rate: 1 }] };
+    const cash = depositStatus(withRates, unit, { today: "2024-09-01" });
+    expect(cash.years.map((y) => y.year)).toEqual(["2020", "2021", "2022", "2023", "2024"]);
+    expect(cash.credit).toBe(round2(2400 + cash.interest));
+    expect(depositStatus({ ...withRates, form: "guarantee" }, unit, { today: "2024-09-01" }).interest).toBe(0);
+  });
+
+  it("warns about retention periods beyond six months and keeps a deposit not yet due as not overdue", () => {
+    const status = depositStatus({ ...deposit, retentionMonths: 9 }, unit, { today: "2024-09-01" });
+    expect([status.deadline, status.overdue]).toEqual(["2024-10-31", false]);
+    expect(status.flags.map((f) => f.level)).toEqual(["error", "info", "warning", "info", "info"]);
+    expect(status.flags.at(-1).message).toBe("The deposit is due back by 2024-10-31.");
+  });
+});
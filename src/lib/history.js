@@ -0,0 +1,82 @@
+// Undo/redo entries for the shared store.
+// An entry records only what an update changed: per collection the id order before/after plus
+// the changed records on each side (null = the record did not exist), and settings if they changed.
+// UI state (active unit/case/tab) is not part of history.
+
+import { ATTACHMENT_COLLECTIONS, COLLECTIONS } from "./schema.js";
+
+export const HISTORY_LIMIT = 100;
+
+// Consecutive edits of the same records within this window become one undo step (typing into a field)
+const COALESCE_MS = 1500;
+
+function sideOf(list, ids, byId) {
+  return { order: list.map((x) => x.id), records: Object.fromEntries(ids.map((id) => [id, byId.get(id) || null])) };
+}
+
+/** Builds an entry for prev -> next, or null when nothing undoable changed. */
+export function makeEntry(prev, next, label, at) {
+  const before = { collections: {} };
+  const after = { collections: {} };
+  const keys = [];
+  for (const key of COLLECTIONS) {
+    const a = prev[key] || [];
+    const b = next[key] || [];
+    if (a === b) continue;
+    const aById = new Map(a.map((x) => [x.id, x]));
+    const bById = new Map(b.map((x) => [x.id, x]));
+    const ids = [...new Set([...aById.keys(), ...bById.keys()])].filter((id) => aById.get(id) !== bById.get(id));
+    const reordered = a.length !== b.length || a.some((x, i) => x.id !== b[i].id);
+    if (!ids.length && !reordered) continue;
+    before.collections[key] = sideOf(a, ids, aById);
+    after.collections[key] = sideOf(b, ids, bById);
+    keys.push(...ids.map((id) => `${key}:${id}`));
+  }
+  if (prev.settings !== next.settings) {
+    before.settings = prev.settings;
+    after.settings = next.settings;
+    keys.push("settings");
+  }
+  if (!keys.length) return null;
+  return { label, at, keys: keys.sort(), before, after };
+}
+
+/** Applies one side of an entry (entry.before = undo, entry.after = redo) to `data`. */
+export function applySide(data, side) {
+  const next = { ...data };
+  for (const [key, { order, records }] of Object.entries(side.collections)) {
+    const byId = new Map((data[key] || []).map((x) => [x.id, x]));
+    for (const [id, record] of Object.entries(records)) {
+      if (record) byId.set(id, record);
+      else byId.delete(id);
+    }
+    const listed = order.map((id) => byId.get(id)).filter(Boolean);
+    const inOrder = new Set(order);
+    // Records the entry does not know about (should not happen) are kept rather than dropped
+    next[key] = [...listed, ...[...byId.values()].filter((x) => !inOrder.has(x.id))];
+  }
+  if (side.settings) next.settings = side.settings;
+  return next;
+}
+
+/** Folds `entry` into `last` when both touch the same records in quick succession. */
+export function coalesce(last, entry) {
+  if (!last || last.label !== entry.label || entry.at - last.at > COALESCE_MS) return null;
+  if (last.keys.join("|") !== entry.keys.join("|")) return null;
+  return { ...last, at: entry.at, after: entry.after };
+}
+
+/** Attachment ids referenced by records kept in history entries (so their blobs are not collected). */
+export function historyAttachmentIds(entries) {
+  const ids = new Set();
+  for (const entry of entries) {
+    for (const side of [entry.before, entry.after]) {
+      for (const key of ATTACHMENT_COLLECTIONS) {
+        for (const record of Object.values(side.collections[key]?.records || {})) {
+          (record?.attachments || []).forEach((a) => ids.add(a.id));
+        }
+      }
+    }
+  }
+  return ids;
+}
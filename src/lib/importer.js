@@ -0,0 +1,483 @@
+// Import pipeline shared by RentIt and the Case File:
+//   prepareImport(text, current)        parse, detect the format, upgrade + convert it, detach attachments, validate
+//   planImport(current, incoming, mode) the resulting data plus added/changed/removed counts per collection
+// Nothing is written until the caller applies plan.next (after the user confirmed the preview); inline
+// attachments wait in incoming.blobs until then (storeImportedBlobs in ./store.js).
+
+import { CASE_BUNDLE, UNITS_BUNDLE, UNIT_BUNDLE } from "./bundles.js";
+import {
+  fromLegacyCase,
+  fromRentit,
+  isLegacyCase,
+  isLegacyCaseFile,
+  isLegacyRentit,
+  mergeLegacyCaseFile,
+} from "./legacy.js";
+import { migrateBundle, migrateData } from "./migrations.js";
+import { DEPOSIT_FORMS } from "./deposit.js";
+import { LETTER_STATUSES } from "./letterTracking.js";
+import { METER_KINDS } from "./meters.js";
+import { RECURRING_SOURCES } from "./recurringCosts.js";
+import { RENT_REASONS } from "./rentHistory.js";
+import { COLLECTIONS, COST_KEYS, normalizeCollection, uid } from "./schema.js";
+import { detachAttachments } from "./store.js";
+
+export const IMPORT_MODES = [
+  {
+    id: "replace",
+    label: "Replace",
+    hint: (full) =>
+      full
+        ? "Your data is replaced by the file."
+        : "The units and cases in the file replace your copies, including records the file no longer has.",
+  },
+  {
+    id: "merge",
+    label: "Merge by id",
+    hint: () => "Adds new records and updates existing ones where the file's copy is newer. Nothing is removed.",
+  },
+  {
+    id: "copy",
+    label: "Import as copy",
+    hint: () => "Adds everything with new ids next to your data (e.g. to compare two versions).",
+  },
+];
+
+export const COLLECTION_LABELS = {
+  units: "Units",
+  cases: "Cases",
+  costs: "Costs",
+  recurring: "Recurring costs",
+  utilityBills: "Utility bills",
+  rentChanges: "Rent history",
+  deposits: "Deposit",
+  meters: "Meters",
+  defects: "Issues / defects",
+  incidents: "Incidents",
+  evidence: "Evidence",
+  letters: "Letters",
+};
+
+const isObject = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+
+function emptyCollections() {
+  return Object.fromEntries(COLLECTIONS.map((key) => [key, []]));
+}
+
+function pickCollections(src) {
+  return Object.fromEntries(COLLECTIONS.map((key) => [key, normalizeCollection(key, src[key])]));
+}
+
+// ===== Reading =====
+
+/** Structural errors normalizing would hide (a collection that is not a list, records that are not objects). */
+function shapeErrors(src) {
+  const errors = [];
+  for (const key of COLLECTIONS) {
+    if (src[key] === undefined) continue;
+    if (!Array.isArray(src[key])) {
+      errors.push({ path: key, message: "expected a list" });
+      continue;
+    }
+    src[key].forEach((r, i) => {
+      if (!isObject(r)) errors.push({ path: `${key}[${i}]`, message: "expected an object" });
+    });
+  }
+  return errors;
+}
+
+function partial(source, src, extra = {}) {
+  return { source, full: false, data: pickCollections(src), settings: null, ui: null, profile: null, errors: [], ...extra };
+}
+
+/**
+ * Detects the file format and converts it to { source, full, data: { collections }, settings, ui, profile, errors }.
+ * Throws for unknown formats and for files from a newer schema version (SchemaVersionError).
+ */
+export function readImport(raw, current) {
+  // RentIt exports wrap their bundle: { exportedAt, profile, data }
+  const wrapped = isObject(raw) && isObject(raw.data) && ("profile" in raw || "exportedAt" in raw);
+  const src = wrapped ? raw.data : raw;
+  const profile = wrapped && isObject(raw.profile) ? raw.profile : null;
+  if (!isObject(src)) throw new Error("This file is not a Mietakte export.");
+
+  if (src.kind === UNITS_BUNDLE) {
+    const b = migrateBundle(src);
+    return partial("RentIt export (all units)", b, { settings: b.settings, profile, errors: shapeErrors(src) });
+  }
+  if (src.kind === UNIT_BUNDLE && isObject(src.unit)) {
+    const b = migrateBundle(src);
+    return partial("RentIt export (one unit)", { ...b, units: [b.unit] }, {
+      settings: b.settings,
+      profile,
+      errors: shapeErrors(src),
+    });
+  }
+  if (src.kind === CASE_BUNDLE && isObject(src.case) && isObject(src.unit)) {
+    const b = migrateBundle(src);
+    return partial("Case export", { ...b, units: [b.unit], cases: [b.case] }, { errors: shapeErrors(src) });
+  }
+  if (src.units !== undefined && Array.isArray(src.cases)) {
+    const errors = shapeErrors(src);
+    const { data } = migrateData(src);
+    if (Array.isArray(src.units) && !src.units.length) errors.push({ path: "units", message: "a full backup needs at least one unit" });
+    return {
+      source: "Full backup",
+      full: true,
+      data: pickCollections(data),
+      settings: data.settings,
+      ui: data.ui,
+      profile,
+      errors,
+    };
+  }
+  if (isLegacyRentit(src)) {
+    const part = fromRentit(src);
+    return partial("RentIt v1 file", { ...part, units: [part.unit] }, { settings: part.settings, profile });
+  }
+  if (isLegacyCaseFile(src)) {
+    const merged = mergeLegacyCaseFile({ ...emptyCollections(), units: current.units, ui: current.ui }, src);
+    const used = new Set(merged.cases.map((c) => c.unitId));
+    return partial("Case File v1 backup", { ...merged, units: merged.units.filter((u) => used.has(u.id)) });
+  }
+  if (isLegacyCase(src)) {
+    const part = fromLegacyCase(src, current.units);
+    return partial("Case File v1 case", { ...part, units: [part.unit], cases: [part.case] });
+  }
+  throw new Error("JSON recognized, but format not supported.");
+}
+
+// ===== Validation =====
+
+const DEFECT_SEVERITIES = ["low", "medium", "high"];
+const DEFECT_STATUSES = ["open", "in-progress", "resolved"];
+const INCIDENT_URGENCIES = ["open", "urgent", "resolved"];
+
+// Field rules per collection. Missing fields are fine (defaults are filled in); present ones must fit.
+const RULES = {
+  units: {
+    label: "text",
+    address: "text",
+    tenantName: "text",
+    landlordName: "text",
+    contractStart: "date",
+    rentWarm: "number",
+    rentCold: "number",
+    deposit: "number",
+  },
+  cases: { unitId: "unit", title: "text", notes: "text" },
+  costs: {
+    unitId: "unit",
+    month: "month",
+    ...Object.fromEntries(COST_KEYS.map((k) => [k, "number"])),
+    total: "number",
+    dueDate: "date",
+    payments: "list",
+    currency: "currency",
+  },
+  recurring: {
+    unitId: "unit",
+    label: "text",
+    category: "text",
+    amount: "number",
+    source: RECURRING_SOURCES.map((x) => x.id),
+    startMonth: "month",
+    endMonth: "optionalMonth",
+    dueDay: "day",
+  },
+  utilityBills: {
+    unitId: "unit",
+    periodStart: "date",
+    periodEnd: "date",
+    receivedDate: "date",
+    items: "list",
+    notes: "text",
+  },
+  rentChanges: {
+    unitId: "unit",
+    effectiveDate: "date",
+    rentCold: "number",
+    advances: "number",
+    reason: RENT_REASONS.map((x) => x.id),
+  },
+  deposits: {
+    unitId: "unit",
+    form: DEPOSIT_FORMS.map((x) => x.id),
+    instalments: "list",
+    rates: "list",
+    handoverDate: "date",
+    deductions: "list",
+    returns: "list",
+  },
+  meters: {
+    unitId: "unit",
+    kind: METER_KINDS.map((x) => x.id),
+    label: "text",
+    number: "text",
+    factor: "number",
+    price: "number",
+    baseFee: "number",
+    periodStart: "date",
+    costCategory: "text",
+    readings: "list",
+  },
+  defects: {
+    unitId: "unit",
+    title: "text",
+    severity: DEFECT_SEVERITIES,
+    status: DEFECT_STATUSES,
+    startDate: "date",
+    resolvedDate: "date",
+    impactPercent: "percent",
+  },
+  incidents: {
+    unitId: "unit",
+    date: "date",
+    summary: "text",
+    details: "text",
+    urgency: INCIDENT_URGENCIES,
+    tags: "list",
+    evidence: "list",
+    attachments: "list",
+  },
+  evidence: { unitId: "unit", date: "date", ref: "text", link: "text" },
+  letters: {
+    caseId: "case",
+    subject: "text",
+    body: "text",
+    status: LETTER_STATUSES.map((x) => x.id),
+    sentDate: "date",
+    deliveredDate: "date",
+    deadline: "date",
+    responseDate: "date",
+    attachments: "list",
+  },
+};
+
+const MAX_ERRORS = 100;
+
+function checkField(rule, value, refs) {
+  if (Array.isArray(rule)) return rule.includes(value) ? null : `expected one of ${rule.join(", ")}`;
+  switch (rule) {
+    case "text":
+      return typeof value === "string" ? null : "expected text";
+    case "number":
+      return value !== "" && Number.isFinite(Number(value)) ? null : "expected a number";
+    case "percent": {
+      const n = Number(value);
+      return value !== "" && Number.isFinite(n) && n >= 0 && n <= 100 ? null : "expected a percentage (0–100)";
+    }
+    case "boolean":
+      return typeof value === "boolean" ? null : "expected true or false";
+    case "date":
+      return value === "" || /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? null : "expected a date (YYYY-MM-DD)";
+    case "month":
+      return /^\d{4}-\d{2}$/.test(String(value)) ? null : "expected a month (YYYY-MM)";
+    case "optionalMonth":
+      return value === "" || /^\d{4}-\d{2}$/.test(String(value)) ? null : "expected a month (YYYY-MM)";
+    case "day": {
+      const n = Number(value);
+      return Number.isInteger(n) && n >= 1 && n <= 31 ? null : "expected a day of the month (1–31)";
+    }
+    case "list":
+      return Array.isArray(value) ? null : "expected a list";
+    case "currency":
+      return value === "" || /^[A-Z]{3}$/.test(String(value)) ? null : "expected a currency code (e.g. EUR)";
+    case "unit":
+      return refs.units.has(value) ? null : `unknown unit "${value}"`;
+    case "case":
+      return refs.cases.has(value) ? null : `unknown case "${value}"`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Field-level checks on converted import data: ids, types, enum values and owner references.
+ * Partial imports may point at units/cases that already exist in `current`.
+ */
+export function validateImport(incoming, current) {
+  const errors = [...(incoming.errors || [])];
+  const own = incoming.data;
+  const refs = {
+    units: new Set([...idSet(own.units), ...(incoming.full ? [] : idSet(current.units))]),
+    cases: new Set([...idSet(own.cases), ...(incoming.full ? [] : idSet(current.cases))]),
+  };
+
+  for (const key of COLLECTIONS) {
+    const seen = new Set();
+    (own[key] || []).forEach((record, i) => {
+      const at = (field) => `${key}[${i}]${field ? `.${field}` : ""}`;
+      if (!record.id || typeof record.id !== "string") errors.push({ path: at("id"), message: "missing id" });
+      else if (seen.has(record.id)) errors.push({ path: at("id"), message: `duplicate id "${record.id}"` });
+      seen.add(record.id);
+      for (const [field, rule] of Object.entries(RULES[key])) {
+        if (record[field] === undefined || record[field] === null) {
+          if (rule === "unit" || rule === "case") errors.push({ path: at(field), message: "missing owner reference" });
+          continue;
+        }
+        const message = checkField(rule, record[field], refs);
+        if (message) errors.push({ path: at(field), message });
+      }
+    });
+  }
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Parses + converts a file's text. Returns { incoming, errors }; incoming.blobs holds the file's inline
+ * attachments (Map id → Blob), not yet stored.
+ */
+export async function prepareImport(text, current) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("Invalid JSON");
+  }
+  const read = readImport(raw, current);
+  const { data, blobs } = await detachAttachments(read.data);
+  const incoming = { ...read, data, blobs };
+  return { incoming, errors: validateImport(incoming, current) };
+}
+
+// ===== Planning =====
+
+/** Upserts `items` into `list` by id; existing records keep their position, `prefer(old, new)` picks the winner. */
+function upsertList(list, items, { append = false, prefer = () => true } = {}) {
+  const byId = new Map(items.map((x) => [x.id, x]));
+  const kept = (list || []).map((x) => (byId.has(x.id) && prefer(x, byId.get(x.id)) ? byId.get(x.id) : x));
+  const existing = new Set((list || []).map((x) => x.id));
+  const fresh = items.filter((x) => !existing.has(x.id));
+  return append ? [...kept, ...fresh] : [...fresh, ...kept];
+}
+
+function idSet(list) {
+  return new Set((list || []).map((x) => x.id));
+}
+
+/**
+ * Settings after a partial import: the file's values win, but cost categories, exchange rates, bank import rules
+ * and letter templates are combined (the file's entries first), so nothing used elsewhere is dropped.
+ */
+function combineSettings(current, incoming, { theirs = true } = {}) {
+  if (!incoming) return current;
+  const union = (mine, other, key) => {
+    const first = theirs ? other : mine;
+    const second = theirs ? mine : other;
+    const have = new Set((first || []).map((x) => x[key]));
+    return [...(first || []), ...(second || []).filter((x) => !have.has(x[key]))];
+  };
+  return {
+    ...current,
+    ...(theirs ? incoming : {}),
+    categories: union(current.categories, incoming.categories, "id"),
+    exchangeRates: union(current.exchangeRates, incoming.exchangeRates, "currency"),
+    bankRules: union(current.bankRules, incoming.bankRules, "id"),
+    letterTemplates: union(current.letterTemplates, incoming.letterTemplates, "id"),
+  };
+}
+
+function replaceScope(current, incoming) {
+  if (incoming.full) {
+    return { ...current, ...incoming.data, settings: incoming.settings, ui: incoming.ui };
+  }
+  const units = idSet(incoming.data.units);
+  const cases = idSet(incoming.data.cases);
+  const next = { ...current, settings: combineSettings(current.settings, incoming.settings) };
+  for (const key of COLLECTIONS) {
+    const items = incoming.data[key];
+    if (key === "units" || key === "cases") {
+      next[key] = upsertList(current[key], items, { append: key === "units" });
+    } else {
+      const inScope = (x) => (key === "letters" ? cases.has(x.caseId) : units.has(x.unitId));
+      next[key] = upsertList((current[key] || []).filter((x) => !inScope(x)), items);
+    }
+  }
+  return next;
+}
+
+function mergeById(current, incoming) {
+  let skipped = 0;
+  // The file wins unless the local record was edited more recently
+  const prefer = (local, theirs) => {
+    const keep = String(local.updatedAt || "") > String(theirs.updatedAt || "");
+    if (keep) skipped++;
+    return !keep;
+  };
+  const next = { ...current, settings: combineSettings(current.settings, incoming.settings, { theirs: false }) };
+  for (const key of COLLECTIONS) {
+    next[key] = upsertList(current[key], incoming.data[key], { append: key === "units", prefer });
+  }
+  return { next, skipped };
+}
+
+function importAsCopy(current, incoming) {
+  const idMaps = Object.fromEntries(COLLECTIONS.map((key) => [key, new Map()]));
+  for (const key of COLLECTIONS) {
+    for (const r of incoming.data[key]) idMaps[key].set(r.id, uid());
+  }
+  const remap = (map, id) => map.get(id) || id;
+  const copyOf = (key, r) => {
+    const out = { ...r, id: idMaps[key].get(r.id) };
+    if ("unitId" in r) out.unitId = remap(idMaps.units, r.unitId);
+    if ("caseId" in r) out.caseId = remap(idMaps.cases, r.caseId);
+    // Letters list documents as enclosures and link the landlord's answer (evidence ids)
+    if (Array.isArray(r.enclosures)) out.enclosures = r.enclosures.map((id) => remap(idMaps.evidence, id));
+    if (r.responseId) out.responseId = remap(idMaps.evidence, r.responseId);
+    if (key === "units") out.label = `${r.label || r.address || "Unit"} (copy)`;
+    if (key === "cases") out.title = `${r.title || "Case"} (copy)`;
+    return out;
+  };
+  const next = { ...current, settings: combineSettings(current.settings, incoming.settings, { theirs: false }) };
+  for (const key of COLLECTIONS) {
+    const items = incoming.data[key].map((r) => copyOf(key, r));
+    next[key] = key === "units" ? [...current[key], ...items] : [...items, ...current[key]];
+  }
+  return { next, idMaps };
+}
+
+/** Per collection: how many records `next` adds, changes and removes compared to `prev`. */
+export function diffCollections(prev, next) {
+  const out = {};
+  for (const key of COLLECTIONS) {
+    const before = new Map((prev[key] || []).map((x) => [x.id, x]));
+    const after = new Map((next[key] || []).map((x) => [x.id, x]));
+    let added = 0;
+    let changed = 0;
+    let removed = 0;
+    for (const [id, x] of after) {
+      if (!before.has(id)) added++;
+      else if (before.get(id) !== x && JSON.stringify(before.get(id)) !== JSON.stringify(x)) changed++;
+    }
+    for (const id of before.keys()) if (!after.has(id)) removed++;
+    out[key] = { added, changed, removed };
+  }
+  return out;
+}
+
+/**
+ * Computes what an import would do without writing anything.
+ * mode: "replace" | "merge" | "copy". Returns { next, summary, skipped, focus: { unitId, caseId } }.
+ */
+export function planImport(current, incoming, mode) {
+  let next;
+  let skipped = 0;
+  let focus = { unitId: incoming.data.units[0]?.id || null, caseId: incoming.data.cases[0]?.id || null };
+  if (mode === "copy") {
+    const result = importAsCopy(current, incoming);
+    next = result.next;
+    focus = {
+      unitId: result.idMaps.units.get(focus.unitId) || null,
+      caseId: result.idMaps.cases.get(focus.caseId) || null,
+    };
+  } else if (mode === "merge") {
+    ({ next, skipped } = mergeById(current, incoming));
+  } else {
+    next = replaceScope(current, incoming);
+    if (incoming.full) {
+      focus = { unitId: next.ui.activeUnitId || focus.unitId, caseId: next.ui.activeCaseId || focus.caseId };
+    }
+  }
+  return { next, summary: diffCollections(current, next), skipped, focus };
+}
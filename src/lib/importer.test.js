@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { planImport, readImport } from "./importer.js";
+import { caseBundle } from "./bundles.js";
+import { defaultData, makeCase, makeEvidence, makeLetter } from "./schema.js";
+
+// Shared data with one case whose letter encloses a document and links another as the landlord's answer
+function caseData() {
+  const data = defaultData();
+  const unitId = data.units[0].id;
+  const c = makeCase(unitId, { title: "Heating" });
+  const contract = makeEvidence(unitId, { type: "Document", ref: "Mietvertrag" });
+  const answer = makeEvidence(unitId, { type: "Letter", ref: "Antwort Vermieter" });
+  const letter = makeLetter(c.id, { title: "Repair request", enclosures: [contract.id], responseId: answer.id });
+  return { ...data, cases: [c], evidence: [contract, answer], letters: [letter] };
+}
+
+describe("planImport copy", () => {
+  it("points copied letters at the copied documents", () => {
+    const current = caseData();
+    const incoming = readImport(JSON.parse(JSON.stringify(caseBundle(current, current.cases[0].id))), current);
+    const { next } = planImport(current, incoming, "copy");
+
+    const copy = next.letters.find((l) => l.id !== current.letters[0].id);
+    const copiedDocs = next.evidence.filter((e) => !current.evidence.some((x) => x.id === e.id));
+    const byRef = (ref) => copiedDocs.find((e) => e.ref === ref).id;
+    expect(copy.caseId).toBe(next.cases.find((c) => c.title === "Heating (copy)").id);
+    expect(copy.enclosures).toEqual([byRef("Mietvertrag")]);
+    expect(copy.responseId).toBe(byRef("Antwort Vermieter"));
+    expect(next.letters.find((l) => l.id === current.letters[0].id)).toEqual(current.letters[0]);
+  });
+});
@@ -0,0 +1,194 @@
+// Converters from the pre-Mietakte storage formats into the shared schema.
+// - RentIt:            toolstack.rentit.v1        { unit, costs, issues, incidents, evidence }
+// - Landlord Case File: landlord_case_file_app_v1 { cases: [{ defects, incidents, documents, letters }] }
+
+import {
+  defaultData,
+  makeCase,
+  makeCostRow,
+  makeDefect,
+  makeEvidence,
+  makeIncident,
+  makeLetter,
+  makePayment,
+  makeUnit,
+  normalizeData,
+  toNum,
+  uid,
+} from "./schema.js";
+import { splitCombined } from "./letterTemplates.js";
+import { paymentsFromPaid } from "./payments.js";
+
+export const LEGACY_RENTIT_KEY = "toolstack.rentit.v1";
+export const LEGACY_CASEFILE_KEY = "landlord_case_file_app_v1";
+
+function normAddress(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9äöüß]+/g, "");
+}
+
+export function isLegacyRentit(x) {
+  return !!(x && typeof x === "object" && x.unit && !Array.isArray(x.units) && Array.isArray(x.costs));
+}
+
+export function isLegacyCaseFile(x) {
+  return !!(x && typeof x === "object" && Array.isArray(x.cases) && !Array.isArray(x.units));
+}
+
+export function isLegacyCase(x) {
+  return !!(x && typeof x === "object" && x.id && Array.isArray(x.defects) && Array.isArray(x.incidents) && !x.unitId);
+}
+
+// v1 cost rows only had a `paid` checkbox; a ticked row becomes one payment of its total (as when migrating)
+function costRowFromRentit(r, unitId) {
+  const row = { ...r, id: r.id || uid("c"), unitId };
+  return makeCostRow(unitId, { ...row, payments: paymentsFromPaid(row).map((p) => makePayment(p)) });
+}
+
+/** Converts a RentIt v1 state into { unit, costs, defects, incidents, evidence } for one unit. */
+export function fromRentit(legacy) {
+  const src = legacy || {};
+  const unit = makeUnit({
+    ...(src.unit || {}),
+    rentWarm: toNum(src.unit?.rentWarm),
+    rentCold: toNum(src.unit?.rentCold),
+    deposit: toNum(src.unit?.deposit),
+  });
+  const unitId = unit.id;
+  return {
+    settings: { ...(src.settings || {}) },
+    unit,
+    costs: (src.costs || []).map((r) => costRowFromRentit(r, unitId)),
+    defects: (src.issues || []).map(({ date, ...x }) =>
+      makeDefect(unitId, { ...x, unitId, startDate: date || "" })
+    ),
+    incidents: (src.incidents || []).map(({ what, ...x }) =>
+      makeIncident(unitId, { ...x, unitId, details: what || "" })
+    ),
+    evidence: (src.evidence || []).map((x) => makeEvidence(unitId, { ...x, unitId })),
+  };
+}
+
+function splitDateTime(dateTime) {
+  const [date = "", time = ""] = String(dateTime || "").split("T");
+  return { date, time: time.slice(0, 5) };
+}
+
+/**
+ * Converts one legacy case. Cases whose address matches an existing unit are attached to it
+ * (landlord details only fill gaps there); otherwise a new unit is created from the case fields.
+ */
+export function fromLegacyCase(legacyCase, units = []) {
+  const c = legacyCase || {};
+  const match = c.address ? units.find((u) => normAddress(u.address) === normAddress(c.address)) : null;
+  const unit = match
+    ? {
+        ...match,
+        landlordName: match.landlordName || c.landlordName || "",
+        tenantName: match.tenantName || c.tenantName || "",
+        rentWarm: toNum(match.rentWarm) || toNum(c.rentWarm),
+      }
+    : makeUnit({
+        label: c.title || "",
+        address: c.address || "",
+        landlordName: c.landlordName || "",
+        tenantName: c.tenantName || "",
+        rentWarm: toNum(c.rentWarm),
+      });
+  const unitId = unit.id;
+  const caseRecord = makeCase(unitId, {
+    id: c.id,
+    title: c.title || "",
+    notes: c.notes || "",
+    createdAt: c.createdAt || new Date().toISOString(),
+  });
+
+  return {
+    unit,
+    unitIsNew: !match,
+    case: caseRecord,
+    defects: (c.defects || []).map(({ notes, ...d }) => makeDefect(unitId, { ...d, unitId, details: notes || "" })),
+    incidents: (c.incidents || []).map(({ dateTime, ...i }) =>
+      makeIncident(unitId, { ...i, unitId, ...splitDateTime(dateTime) })
+    ),
+    evidence: (c.documents || []).map((d) =>
+      makeEvidence(unitId, {
+        id: d.id,
+        unitId,
+        type: "Document",
+        ref: d.name || "",
+        link: d.url || "",
+        description: d.notes || "",
+        date: String(d.createdAt || "").slice(0, 10),
+        createdAt: d.createdAt,
+      })
+    ),
+    // legacy letters hold both languages in one body ("English — — — German"), as before the v12 -> v13 step
+    letters: (c.letters || []).map((l) => makeLetter(caseRecord.id, splitCombined({ ...l, caseId: caseRecord.id }))),
+  };
+}
+
+function upsertAll(list, items) {
+  const ids = new Set(items.map((x) => x.id));
+  return [...items, ...(list || []).filter((x) => !ids.has(x.id))];
+}
+
+/** Merges converted legacy case-file data into `data` (records are upserted by id). */
+export function mergeLegacyCaseFile(data, legacyApp) {
+  let next = { ...data };
+  const existing = next.units.length;
+  // Walk backwards: upserts prepend, so the first legacy case ends up first again
+  for (const c of [...(legacyApp?.cases || [])].reverse()) {
+    const part = fromLegacyCase(c, next.units);
+    next = {
+      ...next,
+      units: part.unitIsNew
+        ? [...next.units.slice(0, existing), part.unit, ...next.units.slice(existing)]
+        : next.units.map((u) => (u.id === part.unit.id ? part.unit : u)),
+      cases: upsertAll(next.cases, [part.case]),
+      defects: upsertAll(next.defects, part.defects),
+      incidents: upsertAll(next.incidents, part.incidents),
+      evidence: upsertAll(next.evidence, part.evidence),
+      letters: upsertAll(next.letters, part.letters),
+    };
+  }
+  const activeCaseId = legacyApp?.activeCaseId;
+  if (activeCaseId && next.cases.some((c) => c.id === activeCaseId)) {
+    next.ui = { ...next.ui, activeCaseId, caseTab: legacyApp.ui?.tab || next.ui.caseTab };
+  }
+  return next;
+}
+
+/** Builds shared data from whichever legacy saves exist (either may be null). */
+export function migrateLegacy(rentit, caseFile) {
+  let data = defaultData();
+  if (rentit) {
+    const part = fromRentit(rentit);
+    data = {
+      ...data,
+      settings: { ...data.settings, ...part.settings },
+      ui: { ...data.ui, activeUnitId: part.unit.id },
+      units: [part.unit],
+      costs: part.costs,
+      defects: part.defects,
+      incidents: part.incidents,
+      evidence: part.evidence,
+    };
+  }
+  if (caseFile) {
+    data = mergeLegacyCaseFile(data, caseFile);
+    // A fresh default unit that no case uses is just noise when only case-file data existed
+    if (!rentit && data.units.length > 1) {
+      const used = new Set(data.cases.map((c) => c.unitId));
+      const units = data.units.filter((u) => used.has(u.id));
+      data = {
+        ...data,
+        units,
+        costs: data.costs.filter((r) => used.has(r.unitId)),
+        ui: { ...data.ui, activeUnitId: units[0].id },
+      };
+    }
+  }
+  return normalizeData(data);
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { fromLegacyCase, fromRentit } from "./legacy.js";
+import { migrateData } from "./migrations.js";
+
+const paidRow = { id: "c1", month: "2024-02", rent: 700, utilities: 200, total: 900, paid: true };
+
+describe("fromRentit", () => {
+  it("turns a ticked paid checkbox into the same payment as the v4 → v5 migration", () => {
+    const imported = fromRentit({ unit: { label: "Flat" }, costs: [paidRow] }).costs[0];
+    const migrated = migrateData({
+      meta: { version: 4 },
+      units: [{ id: "u1" }],
+      costs: [{ ...paidRow, unitId: "u1" }],
+    }).data.costs[0];
+
+    expect(imported.payments).toEqual([
+      { id: "c1-paid", date: "2024-02-01", amount: 900, method: "other", reference: "Marked as paid", importId: "" },
+    ]);
+    expect(imported.payments).toEqual(migrated.payments);
+    expect([imported.paid, imported.outstanding]).toEqual([true, 0]);
+  });
+
+  it("gives rows without an id one before deriving the payment id from it", () => {
+    const imported = fromRentit({ unit: {}, costs: [{ ...paidRow, id: undefined }] }).costs[0];
+    expect(imported.id).toBeTruthy();
+    expect(imported.payments[0].id).toBe(`${imported.id}-paid`);
+  });
+});
+
+describe("fromLegacyCase", () => {
+  it("splits letters holding both languages in one body into German and English", () => {
+    const body = "Dear landlord\n\n— — —\n\nSehr geehrte Vermieterin";
+    const letters = [
+      { id: "l1", subject: "Repair request", body },
+      { id: "l2", subject: "Mängel", body: "Nur Deutsch" },
+    ];
+    const part = fromLegacyCase({ id: "k1", defects: [], incidents: [], letters });
+    expect(part.letters[0]).toMatchObject({
+      caseId: "k1",
+      subject: "Repair request",
+      body: "Sehr geehrte Vermieterin",
+      en: { subject: "Repair request", body: "Dear landlord" },
+    });
+    expect(part.letters[1]).toMatchObject({ subject: "Mängel", body: "Nur Deutsch", en: { subject: "", body: "" } });
+  });
+});
@@ -0,0 +1,200 @@
+// Case File letters as PDF in the DIN 5008 layout (A4, positions in mm from the top-left corner):
+// - sender in the header, the address field at 20 mm from the left (form A: 27 mm from the top, form B: 45 mm)
+//   with the return address line above the recipient, the date in the information block at 125 mm
+// - subject in bold, body from 25 mm to 20 mm from the right edge, continuation pages numbered
+// - signature area (the profile's signature image, if any) above the sender's name, then the enclosures
+// - optional fold marks (form A: 87 / 192 mm, form B: 105 / 210 mm) and the punch mark at 148.5 mm
+// A letter in both languages becomes the German letter followed by the English one.
+
+import { isoToday } from "./schema.js";
+import { letterVersions } from "./letterTemplates.js";
+import { PAGE_WIDTH, createPdf, jpegInfo, wrapText } from "./pdf.js";
+
+export const DIN_FORMS = [
+  { id: "B", label: "DIN 5008 form B" },
+  { id: "A", label: "DIN 5008 form A (less room for a letterhead)" },
+];
+
+const FORMS = {
+  A: { addressTop: 27, infoTop: 32, subjectY: 98.5, foldMarks: [87, 192] },
+  B: { addressTop: 45, infoTop: 50, subjectY: 103.5, foldMarks: [105, 210] },
+};
+
+const LEFT = 25;
+const RIGHT = PAGE_WIDTH - 20;
+const TEXT_WIDTH = RIGHT - LEFT;
+const ADDRESS_WIDTH = 75; // the 85 mm field less the 5 mm margin on either side
+const INFO_LEFT = 125;
+const PUNCH_MARK = 148.5;
+
+const SIZE = 11;
+const SMALL = 8;
+const LINE = 4.5; // line pitch of the body text
+const RETURN_ZONE = 17.7; // height of the return address / endorsement zone on top of the address field
+const BOTTOM = 272; // no body line below this baseline
+const CONTINUATION_TOP = 25;
+const SIGNATURE_HEIGHT = 15;
+const SIGNATURE_MAX_WIDTH = 60;
+
+const LABELS = {
+  de: { date: "Datum", enclosures: "Anlagen", page: (n, total) => `Seite ${n} von ${total}` },
+  en: { date: "Date", enclosures: "Enclosures", page: (n, total) => `Page ${n} of ${total}` },
+};
+
+/** "Hauptstr. 1, 10115 Berlin" or one part per line → ["Hauptstr. 1", "10115 Berlin"]. */
+export function addressLines(address) {
+  return String(address || "")
+    .split(/\n|,\s*/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function formatDate(iso, language) {
+  const date = new Date(`${iso}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return iso;
+  return language === "de"
+    ? date.toLocaleDateString("de-DE", { day: "2-digit", month: "2-digit", year: "numeric", timeZone: "UTC" })
+    : date.toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "UTC" });
+}
+
+function dataUrlBytes(dataUrl) {
+  const s = String(dataUrl || "");
+  const comma = s.indexOf(",");
+  if (!s.startsWith("data:") || !s.slice(0, comma).includes(";base64")) return null;
+  const bin = atob(s.slice(comma + 1));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+const text = (x, y, value, extra = {}) => ({ type: "text", x, y, text: value, size: SIZE, ...extra });
+
+function enclosureText(e) {
+  const what = [e.ref, e.description].filter(Boolean).join(" – ") || e.link || "";
+  return [e.date, e.type].filter(Boolean).join(" · ") + (what ? `: ${what}` : "");
+}
+
+// First page: header, address field, information block, subject; returns the operations and where the body starts
+function firstPage({ version, sender, recipient, date, form, foldMarks }) {
+  const f = FORMS[form] || FORMS.B;
+  const ops = [];
+  const labels = LABELS[version.language];
+
+  const from = addressLines(sender.address);
+  if (sender.name) ops.push(text(RIGHT, 15, sender.name, { bold: true, align: "right" }));
+  from.forEach((l, i) => ops.push(text(RIGHT, 19.5 + i * 4, l, { size: 9, align: "right" })));
+
+  const returnLine = [sender.name, ...from].filter(Boolean).join(", ");
+  if (returnLine) {
+    const y = f.addressTop + RETURN_ZONE - 2;
+    ops.push(text(LEFT, y, wrapText(returnLine, ADDRESS_WIDTH, SMALL)[0], { size: SMALL }));
+    ops.push({ type: "line", x1: LEFT, y1: y + 0.8, x2: LEFT + ADDRESS_WIDTH, y2: y + 0.8, width: 0.3 });
+  }
+  const to = [recipient.name, ...addressLines(recipient.address)].filter(Boolean).slice(0, 6);
+  to.forEach((l, i) => ops.push(text(LEFT, f.addressTop + RETURN_ZONE + 4.5 + i * 4.23, l)));
+
+  ops.push(text(INFO_LEFT, f.infoTop + 4, `${labels.date}: ${formatDate(date, version.language)}`, { size: 10 }));
+
+  if (foldMarks) {
+    for (const y of f.foldMarks) ops.push({ type: "line", x1: 4, y1: y, x2: 9, y2: y, width: 0.3 });
+    ops.push({ type: "line", x1: 4, y1: PUNCH_MARK, x2: 11, y2: PUNCH_MARK, width: 0.3 });
+  }
+
+  let y = f.subjectY;
+  if (version.label) ops.push(text(LEFT, y - 7, version.label, { size: SMALL }));
+  for (const l of wrapText(version.subject, TEXT_WIDTH, SIZE, true)) {
+    ops.push(text(LEFT, y, l, { bold: true }));
+    y += LINE;
+  }
+  return { ops, y: y + 2 * LINE };
+}
+
+// The body as blocks ({ height, draw(y) → operations }) kept on one page each
+function bodyBlocks({ version, sender, enclosures, signature }) {
+  const lines = version.body.replace(/\s+$/, "").split("\n");
+  const blocks = [];
+  const line = (l) => ({ height: LINE, draw: (y) => (l.trim() ? [text(LEFT, y, l)] : []) });
+
+  // A closing that ends with the sender's name gets the signature between the greeting and the name
+  let closing = null;
+  if (sender.name && lines.length && lines.at(-1).trim() === sender.name.trim()) {
+    const name = lines.pop();
+    const greeting = lines.length && lines.at(-1).trim() ? lines.pop() : "";
+    closing = { greeting, name };
+  }
+  for (const paragraph of lines) {
+    for (const l of paragraph.trim() ? wrapText(paragraph, TEXT_WIDTH, SIZE) : [""]) blocks.push(line(l));
+  }
+
+  const image = signature && jpegInfo(signature) ? signature : null;
+  const imageOp = (y) => {
+    const info = jpegInfo(image);
+    const w = Math.min(SIGNATURE_MAX_WIDTH, (SIGNATURE_HEIGHT * info.width) / info.height);
+    return { type: "image", jpeg: image, x: LEFT, y: y - LINE + 1.5, w, h: (w * info.height) / info.width };
+  };
+  if (closing) {
+    const top = closing.greeting ? LINE : 0;
+    blocks.push({
+      height: top + SIGNATURE_HEIGHT + LINE,
+      draw: (y) => [
+        ...(closing.greeting ? [text(LEFT, y, closing.greeting)] : []),
+        ...(image ? [imageOp(y + top)] : []),
+        text(LEFT, y + top + SIGNATURE_HEIGHT, closing.name),
+      ],
+    });
+  } else if (image) {
+    blocks.push({ height: SIGNATURE_HEIGHT + LINE, draw: (y) => [imageOp(y + LINE)] });
+  }
+
+  if (enclosures.length) {
+    blocks.push(line(""));
+    blocks.push({ height: LINE, draw: (y) => [text(LEFT, y, LABELS[version.language].enclosures, { bold: true })] });
+    for (const e of enclosures) {
+      wrapText(enclosureText(e), TEXT_WIDTH - 4, SIZE).forEach((l, i) =>
+        blocks.push({ height: LINE, draw: (y) => [text(LEFT + (i ? 4 : 0), y, i ? l : `– ${l}`)] })
+      );
+    }
+  }
+  return blocks;
+}
+
+function versionPages(options, version) {
+  const first = firstPage({ ...options, version });
+  const pages = [first.ops];
+  let y = first.y;
+  for (const block of bodyBlocks({ ...options, version })) {
+    if (y + block.height - LINE > BOTTOM) {
+      pages.push([]);
+      y = CONTINUATION_TOP;
+    }
+    pages.at(-1).push(...block.draw(y));
+    y += block.height;
+  }
+  if (pages.length > 1) {
+    const label = LABELS[version.language].page;
+    pages.forEach((ops, i) => ops.push(text(RIGHT, 287, label(i + 1, pages.length), { size: SMALL, align: "right" })));
+  }
+  return pages;
+}
+
+/**
+ * The letter as a PDF Blob in its language (letterVersions).
+ * sender / recipient: { name, address } (the tenant and the landlord); enclosures: evidence records listed as
+ * enclosures; signature: JPEG data URL from the profile or ""; form: "A" | "B"; foldMarks: draw fold marks.
+ */
+export function letterPdf({ letter, sender = {}, recipient = {}, enclosures = [], signature = "", ...layout }) {
+  const options = {
+    sender,
+    recipient,
+    enclosures,
+    signature: dataUrlBytes(signature),
+    date: String(letter.createdAt || "").slice(0, 10) || isoToday(),
+    form: layout.form || "B",
+    foldMarks: layout.foldMarks !== false,
+  };
+  // "Deutsche Fassung (verbindlich)" / "English translation …" only label letters in both languages
+  const versions = letterVersions(letter);
+  const labelled = versions.length > 1 ? versions : versions.map((v) => ({ ...v, label: "" }));
+  const pages = labelled.flatMap((version) => versionPages(options, version));
+  return createPdf(pages, { title: letter.subject || letter.title, author: options.sender.name });
+}
@@ -0,0 +1,941 @@
+// Letter templates: a small template language for the Case File letters, the built-in templates written in it,
+// and the data the placeholders can reference.
+// - {{case.address}} inserts a value; filters follow a pipe: {{case.address | default: "[address]"}},
+//   {{m.rent | fixed}}, {{today | addDays: 14}}.
+// - {{#each defects.open}} … {{else}} … {{/each}} repeats for every item (its fields by name, {{@number}} counts
+//   from 1); {{#if …}} / {{#unless …}} with an optional {{else}}. Empty lists, "" and 0 count as false.
+// - {{! comment }} is dropped. A line holding only a block tag or comment leaves no empty line behind.
+// Every template has a German text (subject/body, the binding version) and an optional English translation
+// (en: { subject, body }); a letter keeps both and its language picks what is shown, printed and exported.
+// User templates live in settings.letterTemplates; a stored template with a built-in's id replaces that default.
+
+import { addMonths, isOpenDefect, isoToday, makeLetterTemplate, round2, toNum } from "./schema.js";
+import { overdueRows } from "./payments.js";
+import { rentAt } from "./rentHistory.js";
+import { checkUtilityBill } from "./utilityBill.js";
+
+export class TemplateError extends Error {
+  constructor(message, line) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = "TemplateError";
+    this.line = line || null;
+  }
+}
+
+// Older versions kept per template (the history list in the editor)
+const MAX_VERSIONS = 20;
+
+const DAY_MS = 86400000;
+
+const FILTERS = {
+  default: (v, arg = "") => (v === undefined || v === null || v === "" ? arg : v),
+  fixed: (v, digits = 2) => toNum(v).toFixed(toNum(digits, 2)),
+  upper: (v) => String(v ?? "").toUpperCase(),
+  lower: (v) => String(v ?? "").toLowerCase(),
+  count: (v) => (Array.isArray(v) ? v.length : 0),
+  addDays: (v, days = 0) =>
+    /^\d{4}-\d{2}-\d{2}/.test(String(v || ""))
+      ? new Date(Date.parse(String(v).slice(0, 10)) + toNum(days) * DAY_MS).toISOString().slice(0, 10)
+      : "",
+  addMonths: (v, months = 0) => (/^\d{4}-\d{2}-\d{2}/.test(String(v || "")) ? addMonths(v, toNum(months)) : ""),
+};
+
+export const FILTER_NAMES = Object.keys(FILTERS);
+
+const BLOCKS = ["each", "if", "unless"];
+
+const lineAt = (source, pos) => source.slice(0, pos).split("\n").length;
+
+function parseArg(raw) {
+  const s = raw.trim();
+  if (/^"(?:[^"\\]|\\.)*"$/.test(s)) return s.slice(1, -1).replace(/\\(.)/g, "$1");
+  return s;
+}
+
+/** "case.address | default: \"[x]\" | upper" → { path, filters: [{ name, arg }] } */
+function parseExpression(expr, line) {
+  const parts = [];
+  let current = "";
+  let quoted = false;
+  for (const ch of expr) {
+    if (ch === '"' && !current.endsWith("\\")) quoted = !quoted;
+    if (ch === "|" && !quoted) {
+      parts.push(current);
+      current = "";
+    } else current += ch;
+  }
+  parts.push(current);
+  const path = parts[0].trim();
+  if (!/^(@?[\w]+)(\.[\w]+)*$/.test(path)) throw new TemplateError(`"${path}" is not a placeholder name`, line);
+  const filters = parts.slice(1).map((part) => {
+    const m = /^\s*(\w+)\s*(?::([\s\S]*))?$/.exec(part);
+    if (!m || !FILTERS[m[1]]) throw new TemplateError(`Unknown filter "${part.trim()}"`, line);
+    return { name: m[1], arg: m[2] === undefined ? undefined : parseArg(m[2]) };
+  });
+  return { path, filters };
+}
+
+/** Syntax tree of a template source; throws TemplateError with the line of the first problem. */
+export function parseTemplate(source) {
+  const src = String(source ?? "");
+  const tags = [...src.matchAll(/\{\{([\s\S]*?)\}\}/g)].map((m) => {
+    const inner = m[1].trim();
+    const start = m.index;
+    const end = start + m[0].length;
+    const block = /^[#/!]/.test(inner) || inner === "else";
+    // A block tag alone on its line takes the whole line with it
+    const lineStart = src.lastIndexOf("\n", start - 1) + 1;
+    const nl = src.indexOf("\n", end);
+    const lineEnd = nl < 0 ? src.length : nl + 1;
+    const standalone =
+      block && !src.slice(lineStart, start).trim() && !src.slice(end, nl < 0 ? src.length : nl).trim();
+    return { inner, start, from: standalone ? lineStart : start, to: standalone ? lineEnd : end };
+  });
+
+  const root = { type: "root", body: [] };
+  const stack = [root];
+  const target = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.alt : node.body;
+  };
+  let pos = 0;
+  for (const tag of tags) {
+    if (tag.from > pos) target().push({ type: "text", value: src.slice(pos, tag.from) });
+    pos = Math.max(pos, tag.to);
+    const line = lineAt(src, tag.start);
+    const { inner } = tag;
+    if (inner.startsWith("!")) continue;
+    if (inner.startsWith("#")) {
+      const m = /^#(\w+)\s+([\s\S]+)$/.exec(inner);
+      if (!m || !BLOCKS.includes(m[1])) throw new TemplateError(`Unknown block "{{${inner}}}"`, line);
+      const node = { type: m[1], path: parseExpression(m[2], line).path, body: [], alt: [], line };
+      target().push(node);
+      stack.push(node);
+    } else if (inner === "else") {
+      const node = stack[stack.length - 1];
+      if (node === root || node.inElse) throw new TemplateError("{{else}} outside a block", line);
+      node.inElse = true;
+    } else if (inner.startsWith("/")) {
+      const name = inner.slice(1).trim();
+      if (stack.length === 1) throw new TemplateError(`{{/${name}}} without an opening {{#${name}}}`, line);
+      const node = stack.pop();
+      if (node.type !== name) {
+        throw new TemplateError(`{{/${name}}} closes {{#${node.type}}} from line ${node.line}`, line);
+      }
+      delete node.inElse;
+    } else {
+      target().push({ type: "var", ...parseExpression(inner, line) });
+    }
+  }
+  if (pos < src.length) target().push({ type: "text", value: src.slice(pos) });
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateError(`{{#${open.type}}} is never closed`, open.line);
+  }
+  return root;
+}
+
+// Scopes: innermost first; each is { value, meta }
+function lookup(scopes, path) {
+  const [head, ...rest] = path.split(".");
+  let value;
+  if (head.startsWith("@")) {
+    value = scopes.find((s) => s.meta)?.meta[head.slice(1)];
+  } else if (head === "this") {
+    value = scopes[0].value;
+  } else {
+    const scope = scopes.find((s) => s.value && typeof s.value === "object" && head in s.value);
+    value = scope ? scope.value[head] : undefined;
+  }
+  for (const key of rest) value = value === null || value === undefined ? undefined : value[key];
+  return value;
+}
+
+const truthy = (v) => (Array.isArray(v) ? v.length > 0 : !!v);
+
+function show(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.map(show).join(", ");
+  if (typeof value === "object") return "";
+  return String(value);
+}
+
+function renderNodes(nodes, scopes) {
+  let out = "";
+  for (const node of nodes) {
+    if (node.type === "text") out += node.value;
+    else if (node.type === "var") {
+      const value = node.filters.reduce((v, f) => FILTERS[f.name](v, f.arg), lookup(scopes, node.path));
+      out += show(value);
+    } else if (node.type === "each") {
+      const list = lookup(scopes, node.path);
+      if (!Array.isArray(list) || !list.length) out += renderNodes(node.alt, scopes);
+      else {
+        list.forEach((item, index) => {
+          const meta = { index, number: index + 1, first: index === 0, last: index === list.length - 1 };
+          out += renderNodes(node.body, [{ value: item, meta }, ...scopes]);
+        });
+      }
+    } else {
+      const value = truthy(lookup(scopes, node.path));
+      const pass = node.type === "unless" ? !value : value;
+      out += renderNodes(pass ? node.body : node.alt, scopes);
+    }
+  }
+  return out;
+}
+
+/** Fills a template source with `data`; throws TemplateError for syntax errors. */
+export function renderTemplate(source, data) {
+  return renderNodes(parseTemplate(source).body, [{ value: data || {} }]);
+}
+
+/** { subject, body, en: { subject, body } } of a template for the given data (see letterContext). */
+export function renderLetter(template, data) {
+  const t = withVariants(template);
+  const letter = { subject: renderTemplate(t.subject, data).trim(), body: renderTemplate(t.body, data) };
+  try {
+    letter.en = t.en.body
+      ? { subject: renderTemplate(t.en.subject, data).trim(), body: renderTemplate(t.en.body, data) }
+      : { subject: "", body: "" };
+  } catch (e) {
+    if (e instanceof TemplateError) throw new TemplateError(`English version – ${e.message}`);
+    throw e;
+  }
+  return letter;
+}
+
+/** The newest utility bill with its check (./utilityBill.js), flattened for templates; null without bills. */
+function billData(bills, costs, today) {
+  const bill = [...(bills || [])].sort((a, b) =>
+    String(b.receivedDate || b.periodEnd).localeCompare(String(a.receivedDate || a.periodEnd))
+  )[0];
+  if (!bill) return null;
+  const check = checkUtilityBill(bill, costs, { today });
+  return {
+    ...bill,
+    totalCost: check.totalCost,
+    share: check.share,
+    advances: check.advances.total,
+    balance: check.balance,
+    deductions: check.deductions,
+    position: check.position,
+    ...check.deadlines,
+    disputedItems: check.items
+      .filter((x) => x.flags.some((f) => f.level !== "info"))
+      .map((x) => ({
+        label: x.item.label || x.category.label,
+        share: x.share,
+        reason: x.flags.map((f) => f.message).join(" "),
+      })),
+  };
+}
+
+/**
+ * The data placeholders see, from the Case File's letter context:
+ * c (case merged with its unit's tenancy and landlord details), unit, defects / incidents / costs / utilityBills /
+ * rentChanges (the unit's), reduction (calcRentReduction), deposit ({ record, status } from ./deposit.js), today.
+ */
+export function letterContext({
+  c = {},
+  unit = null,
+  defects = [],
+  incidents = [],
+  costs = [],
+  utilityBills = [],
+  rentChanges = [],
+  reduction,
+  deposit,
+  today = isoToday(),
+}) {
+  const periods = reduction?.periods || [];
+  const counted = new Set(periods.map((p) => p.defect.id));
+  const reductionDefects = defects
+    .filter((d) => counted.has(d.id) || isOpenDefect(d))
+    .map((d) => {
+      const p = periods.find((x) => x.defect.id === d.id);
+      return {
+        ...d,
+        counted: !!p,
+        from: p?.from || "",
+        to: p?.to || "",
+        percent: p?.percent ?? "",
+        ongoing: isOpenDefect(d),
+      };
+    });
+  const record = deposit?.record || {};
+  const rows = [...costs].sort((a, b) => String(b.month).localeCompare(String(a.month)));
+  const overdue = overdueRows(rows, today).map(({ row, days }) => ({ ...row, days }));
+  const rent = rentAt(unit, rentChanges, today);
+  return {
+    today,
+    case: c,
+    defects: {
+      all: defects,
+      open: defects.filter(isOpenDefect),
+      resolved: defects.filter((d) => !isOpenDefect(d)),
+    },
+    incidents: {
+      all: incidents,
+      open: incidents.filter((i) => i.urgency !== "resolved"),
+      urgent: incidents.filter((i) => i.urgency === "urgent"),
+    },
+    reduction: {
+      months: reduction?.months || [],
+      total: reduction?.total || {},
+      defects: reductionDefects,
+    },
+    costs: {
+      rows,
+      current: rows.find((r) => r.month === today.slice(0, 7)) || rows[0] || {},
+      overdue,
+      overdueTotal: round2(overdue.reduce((sum, r) => sum + toNum(r.outstanding), 0)),
+    },
+    bill: billData(utilityBills, costs, today) || {},
+    rent: {
+      rentCold: rent.rentCold,
+      advances: rent.advances,
+      rentWarm: rent.rentWarm,
+      since: rent.change?.effectiveDate || unit?.contractStart || "",
+      capPercent: toNum(unit?.capPercent, 20),
+    },
+    deposit: {
+      ...record,
+      ...(deposit?.status || {}),
+      disputedDeductions: (record.deductions || [])
+        .filter((d) => !d.accepted)
+        .map((d) => ({ ...d, label: d.label || d.kind })),
+    },
+  };
+}
+
+/** Placeholder reference shown next to the template editor. */
+export const PLACEHOLDERS = [
+  { name: "today", hint: "today's date (YYYY-MM-DD); try | addDays: 14" },
+  { name: "case.title / case.notes", hint: "the case" },
+  { name: "case.address / case.tenantName / case.landlordName / case.landlordAddress", hint: "from the unit" },
+  { name: "case.rentWarm / case.rentCold / case.contractStart", hint: "tenancy" },
+  { name: "defects.open / defects.resolved / defects.all", hint: "lists: title, room, startDate, severity, details" },
+  { name: "incidents.open / incidents.urgent / incidents.all", hint: "lists: date, time, type, summary, impact" },
+  { name: "reduction.defects", hint: "list: title, room, counted, from, to, ongoing, percent" },
+  { name: "reduction.months", hint: "list: month, days, daysInMonth, percent, rent, reduction, owed" },
+  { name: "reduction.total.reduction", hint: "rent reduction to date" },
+  { name: "costs.current", hint: "this month's cost row: month, total, paidAmount, outstanding, dueDate" },
+  { name: "costs.overdue / costs.overdueTotal", hint: "overdue rows (with days overdue) and their sum" },
+  { name: "bill.periodStart / periodEnd / receivedDate", hint: "newest utility bill" },
+  { name: "bill.share / advances / balance / deductions / position", hint: "its check (balance: + back-payment)" },
+  { name: "bill.objectionUntil / bill.disputedItems", hint: "objection deadline; list: label, share, reason" },
+  { name: "rent.rentCold / advances / rentWarm / since / capPercent", hint: "rent in effect today, last change" },
+  { name: "deposit.paid / interest / accepted / returned / claim", hint: "deposit ledger" },
+  { name: "deposit.handoverDate / deadline / refundAccount", hint: "deposit return" },
+  { name: "deposit.disputedDeductions", hint: "list: label, amount" },
+  { name: "@number / @index / @first / @last", hint: "inside {{#each}}" },
+];
+
+// ===== Languages =====
+
+/** A letter's language: the German text, the English one, or both next to each other (German binding). */
+export const LETTER_LANGUAGES = [
+  { id: "de", label: "Deutsch" },
+  { id: "en", label: "English" },
+  { id: "both", label: "DE + EN side by side" },
+];
+
+// Between the English and German text of templates and letters saved before the languages were separate
+const SEPARATOR = "\n\n— — —\n\n";
+
+const BINDING_NOTE = {
+  de: "Deutsche Fassung (verbindlich)",
+  en: "English translation (for information only; the German version is binding)",
+};
+
+/**
+ * A template or letter saved before the languages were separate ("English — — — German" in one body, the
+ * English subject) with the German text in body and the English one in en; others are returned as they are.
+ */
+export function splitCombined(record) {
+  if (record.en?.body) return record;
+  const body = record.body || "";
+  const at = body.indexOf(SEPARATOR);
+  if (at < 0) return record;
+  return {
+    ...record,
+    body: body.slice(at + SEPARATOR.length),
+    en: { subject: record.subject || "", body: body.slice(0, at) },
+  };
+}
+
+/** The template with its German text in subject/body and the English one in en (see splitCombined). */
+export function withVariants(template) {
+  if (template.en) return template;
+  const split = splitCombined(template);
+  return split.en ? split : { ...template, en: { subject: "", body: "" } };
+}
+
+/**
+ * The texts a letter shows in its language, as [{ language, label, subject, body }]: one for "de" / "en", the
+ * German and the English one for "both". Without an English text the German one stands in.
+ */
+export function letterVersions(letter) {
+  const de = { language: "de", label: BINDING_NOTE.de, subject: letter.subject || "", body: letter.body || "" };
+  const en = { language: "en", label: BINDING_NOTE.en, subject: letter.en?.subject || "", body: letter.en?.body || "" };
+  if (!en.body || letter.language === "de" || !letter.language) return [de];
+  return letter.language === "both" ? [de, en] : [en];
+}
+
+/** A letter as plain text (copy, .txt download, case bundle) in its language. */
+export function letterText(letter) {
+  const versions = letterVersions(letter);
+  const text = (v) => (v.subject ? `${v.language === "de" ? "Betreff" : "Subject"}: ${v.subject}\n\n` : "") + v.body;
+  if (versions.length === 1) return text(versions[0]);
+  return versions.map((v) => `${v.label}\n\n${text(v)}`).join(SEPARATOR);
+}
+
+// ===== Built-in templates =====
+
+const REPAIR_REQUEST_EN = `Dear {{case.landlordName | default: "[Landlord/Representative]"}},
+
+I am requesting that the following defects in my rented accommodation be remedied without delay:
+
+{{#each defects.open}}
+{{@number}}. {{title}}{{#if room}} (Room: {{room}}){{/if}} — since {{startDate | default: "[date]"}}
+{{else}}
+[List defects here]
+{{/each}}
+
+Please confirm a repair appointment date and the responsible company/technician.
+
+Kind regards,
+{{case.tenantName | default: "[Your name]"}}`;
+
+const REPAIR_REQUEST_DE = `Sehr geehrte/r {{case.landlordName | default: "[Vermieter/Bevollmächtigte/r]"}},
+
+hiermit fordere ich Sie auf, die folgenden Mängel in meinem Mietobjekt unverzüglich zu beseitigen:
+
+{{#each defects.open}}
+{{@number}}. {{title}}{{#if room}} (Raum: {{room}}){{/if}} — seit {{startDate | default: "[Datum]"}}
+{{else}}
+[Mängel hier auflisten]
+{{/each}}
+
+Bitte bestätigen Sie mir einen Reparaturtermin sowie die zuständige Firma/den Techniker.
+
+Mit freundlichen Grüßen
+{{case.tenantName | default: "[Ihr Name]"}}`;
+
+// Amounts come from the day-accurate calculation (./rentReduction.js), up to today
+const RENT_REDUCTION_EN = `Dear {{case.landlordName | default: "[Landlord/Representative]"}},
+
+Due to the defects listed below, I am exercising my right to a rent reduction (§ 536 BGB) for the period in which \
+the defects persist.
+
+Defects:
+{{#each reduction.defects}}
+{{@number}}. {{title}}{{#if room}} (Room: {{room}}){{/if}} — {{#if counted}}{{from}} – {{#if ongoing}}ongoing\
+{{else}}{{to}}{{/if}} — reduction: {{percent}}%{{else}}since [date] — reduction: [%]{{/if}}
+{{else}}
+[List defects here]
+{{/each}}
+
+Calculation (prorated by day, on the warm rent):
+{{#each reduction.months}}
+{{month}}: {{days}}/{{daysInMonth}} days, {{percent}}% of €{{rent | fixed}} → reduction €{{reduction | fixed}}, \
+payable €{{owed | fixed}}
+{{else}}
+[Month – days – reduction]
+{{/each}}
+
+Total reduction to date: {{#if reduction.months}}€{{reduction.total.reduction | fixed}}{{else}}[amount]{{/if}}
+
+I request immediate remedy of the defects. Please confirm next steps and a repair timeline in writing.
+
+Kind regards,
+{{case.tenantName | default: "[Your name]"}}`;
+
+const RENT_REDUCTION_DE = `Sehr geehrte/r {{case.landlordName | default: "[Vermieter/Bevollmächtigte/r]"}},
+
+aufgrund der nachfolgend aufgeführten Mängel mache ich eine Mietminderung (§ 536 BGB) für den Zeitraum geltend, in \
+dem die Mängel bestehen.
+
+Mängel:
+{{#each reduction.defects}}
+{{@number}}. {{title}}{{#if room}} (Raum: {{room}}){{/if}} — {{#if counted}}{{from}} – {{#if ongoing}}andauernd\
+{{else}}{{to}}{{/if}} — Minderung: {{percent}}%{{else}}seit [Datum] — Minderung: [%]{{/if}}
+{{else}}
+[Mängel hier auflisten]
+{{/each}}
+
+Berechnung (tagesgenau, auf die Bruttowarmmiete):
+{{#each reduction.months}}
+{{month}}: {{days}}/{{daysInMonth}} Tage, {{percent}} % von {{rent | fixed}} € → \
+Minderung {{reduction | fixed}} €, zu zahlen {{owed | fixed}} €
+{{else}}
+[Monat – Tage – Minderung]
+{{/each}}
+
+Minderung bisher insgesamt: {{#if reduction.months}}{{reduction.total.reduction | fixed}} €{{else}}[Betrag]{{/if}}
+
+Ich bitte um umgehende Mängelbeseitigung. Bitte bestätigen Sie das weitere Vorgehen sowie einen Reparaturzeitplan \
+schriftlich.
+
+Mit freundlichen Grüßen
+{{case.tenantName | default: "[Ihr Name]"}}`;
+
+// Figures come from the unit's deposit ledger (RentIt → Deposit, ./deposit.js)
+const DEPOSIT_DEMAND_EN = `Dear {{case.landlordName | default: "[Landlord/Representative]"}},
+
+I handed back the flat on {{deposit.handoverDate | default: "[date]"}}. The period for checking your claims ended on \
+{{deposit.deadline | default: "[date]"}}, but the deposit has not been returned in full.
+
+Deposit paid: {{deposit.paid | fixed}} €
+Interest: {{deposit.interest | fixed}} €
+{{#if deposit.accepted}}
+Accepted deductions: −{{deposit.accepted | fixed}} €
+{{/if}}
+{{#if deposit.returned}}
+Already returned: −{{deposit.returned | fixed}} €
+{{/if}}
+Amount due: {{deposit.claim | fixed}} €
+{{#if deposit.disputedDeductions}}
+
+I do not accept these deductions:
+{{#each deposit.disputedDeductions}}
+- {{label}}: {{amount | fixed}} €
+{{/each}}
+{{/if}}
+
+Please transfer {{deposit.claim | fixed}} € to the account {{deposit.refundAccount | default: "[IBAN]"}} by \
+{{today | addDays: 14}}. If the amount is not received by then, I will take legal action without further notice and \
+claim default interest (§§ 286, 288 BGB).
+
+Kind regards,
+{{case.tenantName | default: "[Your name]"}}`;
+
+const DEPOSIT_DEMAND_DE = `Sehr geehrte/r {{case.landlordName | default: "[Vermieter/Bevollmächtigte/r]"}},
+
+die Wohnung habe ich am {{deposit.handoverDate | default: "[Datum]"}} zurückgegeben. Die Frist zur Prüfung Ihrer \
+Ansprüche ist am {{deposit.deadline | default: "[Datum]"}} abgelaufen, die Kaution wurde jedoch nicht vollständig \
+zurückgezahlt.
+
+Geleistete Kaution: {{deposit.paid | fixed}} €
+Zinsen: {{deposit.interest | fixed}} €
+{{#if deposit.accepted}}
+Anerkannte Abzüge: −{{deposit.accepted | fixed}} €
+{{/if}}
+{{#if deposit.returned}}
+Bereits erstattet: −{{deposit.returned | fixed}} €
+{{/if}}
+Offener Betrag: {{deposit.claim | fixed}} €
+{{#if deposit.disputedDeductions}}
+
+Diese Abzüge erkenne ich nicht an:
+{{#each deposit.disputedDeductions}}
+- {{label}}: {{amount | fixed}} €
+{{/each}}
+{{/if}}
+
+Bitte überweisen Sie {{deposit.claim | fixed}} € bis zum {{today | addDays: 14}} auf das Konto \
+{{deposit.refundAccount | default: "[IBAN]"}}. Geht der Betrag bis dahin nicht ein, werde ich ohne weitere \
+Ankündigung gerichtliche Schritte einleiten und Verzugszinsen geltend machen (§§ 286, 288 BGB).
+
+Mit freundlichen Grüßen
+{{case.tenantName | default: "[Ihr Name]"}}`;
+
+const DEADLINE_EN = `Dear {{case.landlordName | default: "[Landlord/Representative]"}},
+
+despite my notice, the following defects in my rented accommodation have still not been remedied:
+
+{{#each defects.open}}
+{{@number}}. {{title}}{{#if room}} (Room: {{room}}){{/if}} — since {{startDate | default: "[date]"}}
+{{else}}
+[List defects here]
+{{/each}}
+
+I hereby set you a final deadline to remedy these defects by {{today | addDays: 14}}.
+
+If the defects have not been remedied by then, I will have them remedied myself and claim reimbursement of the \
+necessary costs from you (§ 536a Abs. 2 Nr. 1 BGB). I reserve the right to demand an advance on the expected costs.
+
+My right to reduce the rent (§ 536 BGB) and any claims for damages remain unaffected.
+
+Kind regards,
+{{case.tenantName | default: "[Your name]"}}`;
+
+const DEADLINE_DE = `Sehr geehrte/r {{case.landlordName | default: "[Vermieter/Bevollmächtigte/r]"}},
+
+trotz meiner Mängelanzeige sind die folgenden Mängel in meinem Mietobjekt bis heute nicht beseitigt:
+
+{{#each defects.open}}
+{{@number}}. {{title}}{{#if room}} (Raum: {{room}}){{/if}} — seit {{startDate | default: "[Datum]"}}
+{{else}}
+[Mängel hier auflisten]
+{{/each}}
+
+Zur Beseitigung dieser Mängel setze ich Ihnen hiermit eine letzte Frist bis zum {{today | addDays: 14}}.
+
+Sind die Mängel bis dahin nicht beseitigt, werde ich sie selbst beseitigen lassen und von Ihnen Ersatz der \
+erforderlichen Aufwendungen verlangen (§ 536a Abs. 2 Nr. 1 BGB). Einen Vorschuss auf die voraussichtlichen Kosten \
+behalte ich mir vor.
+
+Mein Recht zur Mietminderung (§ 536 BGB) und etwaige Schadensersatzansprüche bleiben unberührt.
+
+Mit freundlichen Grüßen
+{{case.tenantName | default: "[Ihr Name]"}}`;
+
+// Disputed items and amounts come from the check of the newest utility bill (RentIt → Utilities, ./utilityBill.js)
+const BILL_OBJECTION_EN = `Dear {{case.landlordName | default: "[Landlord/Representative]"}},
+
+I object to your utility bill for the period {{bill.periodStart | default: "[start]"}} to \
+{{bill.periodEnd | default: "[end]"}}{{#if bill.receivedDate}}, received on {{bill.receivedDate}}{{/if}}.
+
+I dispute the following items (my share):
+{{#each bill.disputedItems}}
+- {{label}}: €{{share | fixed}} — {{reason}}
+{{else}}
+[Items and reasons]
+{{/each}}
+{{#if bill.deductions}}
+
+By my calculation, €{{bill.deductions | fixed}} of my share cannot be charged to me.
+{{/if}}
+
+Please send me a corrected bill. Until then I will not pay the disputed amount.
+
+This objection is made within the period of § 556 Abs. 3 S. 5 BGB\
+{{#if bill.objectionUntil}} (until {{bill.objectionUntil}}){{/if}}.
+
+Kind regards,
+{{case.tenantName | default: "[Your name]"}}`;
+
+const BILL_OBJECTION_DE = `Sehr geehrte/r {{case.landlordName | default: "[Vermieter/Bevollmächtigte/r]"}},
+
+hiermit widerspreche ich Ihrer Betriebskostenabrechnung für den Zeitraum {{bill.periodStart | default: "[Beginn]"}} \
+bis {{bill.periodEnd | default: "[Ende]"}}{{#if bill.receivedDate}}, zugegangen am {{bill.receivedDate}}{{/if}}.
+
+Folgende Positionen beanstande ich (mein Anteil):
+{{#each bill.disputedItems}}
+- {{label}}: {{share | fixed}} €
+{{else}}
+[Positionen und Begründung]
+{{/each}}
+{{#if bill.deductions}}
+
+Nach meiner Berechnung sind davon {{bill.deductions | fixed}} € nicht auf mich umlegbar.
+{{/if}}
+
+Bitte übersenden Sie mir eine korrigierte Abrechnung. Bis dahin zahle ich den beanstandeten Betrag nicht.
+
+Der Widerspruch erfolgt innerhalb der Einwendungsfrist des § 556 Abs. 3 S. 5 BGB\
+{{#if bill.objectionUntil}} (bis {{bill.objectionUntil}}){{/if}}.
+
+Mit freundlichen Grüßen
+{{case.tenantName | default: "[Ihr Name]"}}`;
+
+// Current rent and the last change come from the rent history (RentIt → Rent, ./rentHistory.js)
+const RENT_INCREASE_EN = `Dear {{case.landlordName | default: "[Landlord/Representative]"}},
+
+in your letter of [date] you asked me to consent to an increase of the net cold rent from \
+€{{rent.rentCold | fixed}} to €[new rent] from [effective date].
+
+I do not consent to this increase, for the following reasons:
+- [The rent must remain unchanged for 15 months; it last changed on {{rent.since | default: "[date]"}} \
+(§ 558 Abs. 1 BGB).]
+- [The increase exceeds the cap of {{rent.capPercent}} % within three years (§ 558 Abs. 3 BGB).]
+- [The request is not properly justified by the local comparative rent (Mietspiegel) (§ 558a BGB).]
+
+Until the rent has been effectively increased, I will continue to pay the current rent of €{{rent.rentWarm | fixed}} \
+including advances.
+
+Kind regards,
+{{case.tenantName | default: "[Your name]"}}`;
+
+const RENT_INCREASE_DE = `Sehr geehrte/r {{case.landlordName | default: "[Vermieter/Bevollmächtigte/r]"}},
+
+mit Schreiben vom [Datum] haben Sie mich um Zustimmung zur Erhöhung der Nettokaltmiete von \
+{{rent.rentCold | fixed}} € auf [neue Miete] € ab dem [Datum] gebeten.
+
+Dieser Mieterhöhung stimme ich nicht zu. Begründung:
+- [Die Miete muss 15 Monate unverändert bleiben; sie wurde zuletzt am {{rent.since | default: "[Datum]"}} geändert \
+(§ 558 Abs. 1 BGB).]
+- [Die Erhöhung überschreitet die Kappungsgrenze von {{rent.capPercent}} % in drei Jahren (§ 558 Abs. 3 BGB).]
+- [Das Verlangen ist mit der ortsüblichen Vergleichsmiete (Mietspiegel) nicht ausreichend begründet (§ 558a BGB).]
+
+Bis zu einer wirksamen Mieterhöhung zahle ich die bisherige Miete von {{rent.rentWarm | fixed}} € einschließlich \
+Vorauszahlungen weiter.
+
+Mit freundlichen Grüßen
+{{case.tenantName | default: "[Ihr Name]"}}`;
+
+const RECEIPTS_EN = `Dear {{case.landlordName | default: "[Landlord/Representative]"}},
+
+regarding your utility bill for the period {{bill.periodStart | default: "[start]"}} to \
+{{bill.periodEnd | default: "[end]"}}, I request inspection of the original receipts it is based on (§ 259 BGB), in \
+particular the invoices, the contracts with service providers, the calculation of the allocation keys and the meter \
+readings for heating and hot water.
+
+Please propose dates for the inspection by {{today | addDays: 14}}, or send me copies of the receipts.
+
+Until I have been able to inspect the receipts, I am exercising my right of retention regarding the back-payment \
+claimed (§ 273 BGB).{{#if bill.objectionUntil}} I reserve the right to raise further objections until \
+{{bill.objectionUntil}}.{{/if}}
+
+Kind regards,
+{{case.tenantName | default: "[Your name]"}}`;
+
+const RECEIPTS_DE = `Sehr geehrte/r {{case.landlordName | default: "[Vermieter/Bevollmächtigte/r]"}},
+
+zu Ihrer Betriebskostenabrechnung für den Zeitraum {{bill.periodStart | default: "[Beginn]"}} bis \
+{{bill.periodEnd | default: "[Ende]"}} bitte ich um Einsicht in die Originalbelege (§ 259 BGB), insbesondere in die \
+Rechnungen, die Verträge mit Dienstleistern, die Ermittlung der Umlageschlüssel und die Ablesewerte für Heizung und \
+Warmwasser.
+
+Bitte nennen Sie mir bis zum {{today | addDays: 14}} Termine für die Belegeinsicht oder übersenden Sie mir \
+Kopien der Belege.
+
+Bis zur Belegeinsicht mache ich hinsichtlich der geforderten Nachzahlung von meinem Zurückbehaltungsrecht Gebrauch \
+(§ 273 BGB).{{#if bill.objectionUntil}} Weitere Einwendungen bis zum {{bill.objectionUntil}} behalte ich mir \
+vor.{{/if}}
+
+Mit freundlichen Grüßen
+{{case.tenantName | default: "[Ihr Name]"}}`;
+
+const HANDOVER_EN = `Dear {{case.landlordName | default: "[Landlord/Representative]"}},
+
+my tenancy of the flat at {{case.address | default: "[address]"}} ends on [end of tenancy]. I would like to agree \
+on a date for the handover{{#if deposit.handoverDate}}, ideally {{deposit.handoverDate}}{{/if}}. Please propose an \
+appointment by {{today | addDays: 14}}.
+
+At the handover I ask for a joint inspection and a written handover report signed by both of us, including the meter \
+readings and the number of keys returned.
+{{#if defects.open}}
+
+The following defects existed during the tenancy and are not my responsibility:
+{{#each defects.open}}
+- {{title}}{{#if room}} (Room: {{room}}){{/if}}{{#if startDate}}, since {{startDate}}{{/if}}
+{{/each}}
+{{/if}}
+
+Please also let me know when you will account for the rent deposit{{#if deposit.paid}} of \
+€{{deposit.paid | fixed}}{{/if}}.
+
+Kind regards,
+{{case.tenantName | default: "[Your name]"}}`;
+
+const HANDOVER_DE = `Sehr geehrte/r {{case.landlordName | default: "[Vermieter/Bevollmächtigte/r]"}},
+
+mein Mietverhältnis über die Wohnung {{case.address | default: "[Adresse]"}} endet am [Mietende]. Ich möchte mit \
+Ihnen einen Termin für die Übergabe vereinbaren{{#if deposit.handoverDate}}, möglichst am \
+{{deposit.handoverDate}}{{/if}}. Bitte schlagen Sie mir bis zum {{today | addDays: 14}} einen Termin vor.
+
+Bei der Übergabe bitte ich um eine gemeinsame Besichtigung und ein von uns beiden unterschriebenes \
+Übergabeprotokoll einschließlich der Zählerstände und der Anzahl der zurückgegebenen Schlüssel.
+{{#if defects.open}}
+
+Folgende Mängel bestanden während der Mietzeit und sind nicht von mir zu vertreten:
+{{#each defects.open}}
+- {{title}}{{#if room}} (Raum: {{room}}){{/if}}{{#if startDate}}, seit {{startDate}}{{/if}}
+{{/each}}
+{{/if}}
+
+Bitte teilen Sie mir außerdem mit, wann Sie über die Mietkaution{{#if deposit.paid}} in Höhe von \
+{{deposit.paid | fixed}} €{{/if}} abrechnen.
+
+Mit freundlichen Grüßen
+{{case.tenantName | default: "[Ihr Name]"}}`;
+
+// The month and amount come from the unit's cost row for the current month (RentIt → Costs)
+const RESERVATION_EN = `Dear {{case.landlordName | default: "[Landlord/Representative]"}},
+
+I am paying the rent for {{costs.current.month | default: "[month]"}}{{#if costs.current.total}} of \
+€{{costs.current.total | fixed}}{{/if}} and all further payments only under reservation and without acknowledging \
+any legal obligation.
+
+{{#if defects.open}}
+The reason is the following defects, which entitle me to reduce the rent (§ 536 BGB) and have still not been \
+remedied:
+{{#each defects.open}}
+- {{title}}{{#if room}} (Room: {{room}}){{/if}}{{#if startDate}}, since {{startDate}}{{/if}}
+{{/each}}
+{{else}}
+The reason is: [defects / disputed utility bill / disputed rent increase]
+{{/if}}
+
+I expressly reserve the right to reclaim any amounts overpaid (§ 812 BGB). The payments are not made in the \
+knowledge that they are not owed (§ 814 BGB).
+
+Kind regards,
+{{case.tenantName | default: "[Your name]"}}`;
+
+const RESERVATION_DE = `Sehr geehrte/r {{case.landlordName | default: "[Vermieter/Bevollmächtigte/r]"}},
+
+die Miete für {{costs.current.month | default: "[Monat]"}}{{#if costs.current.total}} in Höhe von \
+{{costs.current.total | fixed}} €{{/if}} sowie alle weiteren Zahlungen leiste ich nur unter Vorbehalt und ohne \
+Anerkennung einer Rechtspflicht.
+
+{{#if defects.open}}
+Grund sind die folgenden Mängel, die mich zur Minderung der Miete berechtigen (§ 536 BGB) und bis heute nicht \
+beseitigt sind:
+{{#each defects.open}}
+- {{title}}{{#if room}} (Raum: {{room}}){{/if}}{{#if startDate}}, seit {{startDate}}{{/if}}
+{{/each}}
+{{else}}
+Grund: [Mängel / beanstandete Betriebskostenabrechnung / bestrittene Mieterhöhung]
+{{/if}}
+
+Die Rückforderung zu viel gezahlter Beträge (§ 812 BGB) behalte ich mir ausdrücklich vor. Die Zahlungen erfolgen \
+nicht in Kenntnis einer Nichtschuld (§ 814 BGB).
+
+Mit freundlichen Grüßen
+{{case.tenantName | default: "[Ihr Name]"}}`;
+
+const BILL_PERIOD_EN = '{{bill.periodStart | default: "[start]"}} – {{bill.periodEnd | default: "[end]"}}';
+const BILL_PERIOD_DE = '{{bill.periodStart | default: "[Beginn]"}} – {{bill.periodEnd | default: "[Ende]"}}';
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: "repair_request",
+    name: "Repair Request (rough draft)",
+    subject: 'Aufforderung zur Mängelbeseitigung – {{case.address | default: "[Adresse]"}}',
+    body: REPAIR_REQUEST_DE,
+    en: { subject: 'Request to remedy defects – {{case.address | default: "[address]"}}', body: REPAIR_REQUEST_EN },
+  },
+  {
+    id: "rent_reduction_notice",
+    name: "Rent Reduction Notice (rough draft)",
+    subject: 'Anzeige der Mietminderung wegen Mängeln – {{case.address | default: "[Adresse]"}}',
+    body: RENT_REDUCTION_DE,
+    en: {
+      subject: 'Notice of rent reduction due to defects – {{case.address | default: "[address]"}}',
+      body: RENT_REDUCTION_EN,
+    },
+  },
+  {
+    id: "deposit_demand",
+    name: "Deposit Return Demand (rough draft)",
+    subject: 'Aufforderung zur Rückzahlung der Mietkaution – {{case.address | default: "[Adresse]"}}',
+    body: DEPOSIT_DEMAND_DE,
+    en: {
+      subject: 'Demand for return of the rent deposit – {{case.address | default: "[address]"}}',
+      body: DEPOSIT_DEMAND_EN,
+    },
+  },
+  {
+    id: "deadline_self_remedy",
+    name: "Deadline Notice with Self-Remedy (rough draft)",
+    subject: 'Fristsetzung zur Mängelbeseitigung – {{case.address | default: "[Adresse]"}}',
+    body: DEADLINE_DE,
+    en: { subject: 'Final deadline to remedy defects – {{case.address | default: "[address]"}}', body: DEADLINE_EN },
+  },
+  {
+    id: "utility_bill_objection",
+    name: "Objection to Utility Bill (rough draft)",
+    subject: `Widerspruch gegen die Betriebskostenabrechnung ${BILL_PERIOD_DE}`,
+    body: BILL_OBJECTION_DE,
+    en: {
+      subject: `Objection to the utility bill ${BILL_PERIOD_EN}`,
+      body: BILL_OBJECTION_EN,
+    },
+  },
+  {
+    id: "rent_increase_objection",
+    name: "Objection to Rent Increase (rough draft)",
+    subject: 'Ihr Mieterhöhungsverlangen – {{case.address | default: "[Adresse]"}}',
+    body: RENT_INCREASE_DE,
+    en: {
+      subject: 'Your request for consent to a rent increase – {{case.address | default: "[address]"}}',
+      body: RENT_INCREASE_EN,
+    },
+  },
+  {
+    id: "receipts_inspection",
+    name: "Request for Receipt Inspection (rough draft)",
+    subject: `Belegeinsicht zur Betriebskostenabrechnung ${BILL_PERIOD_DE}`,
+    body: RECEIPTS_DE,
+    en: {
+      subject: `Inspection of the receipts for the utility bill ${BILL_PERIOD_EN}`,
+      body: RECEIPTS_EN,
+    },
+  },
+  {
+    id: "handover_request",
+    name: "Move-out Handover Request (rough draft)",
+    subject: 'Wohnungsübergabe – Bitte um einen Termin – {{case.address | default: "[Adresse]"}}',
+    body: HANDOVER_DE,
+    en: { subject: 'Handover of the flat – {{case.address | default: "[address]"}}', body: HANDOVER_EN },
+  },
+  {
+    id: "payment_reservation",
+    name: "Payment under Reservation of Rights (rough draft)",
+    subject: 'Mietzahlung unter Vorbehalt – {{case.address | default: "[Adresse]"}}',
+    body: RESERVATION_DE,
+    en: { subject: 'Rent paid under reservation – {{case.address | default: "[address]"}}', body: RESERVATION_EN },
+  },
+];
+
+const BUILT_IN_IDS = new Set(BUILT_IN_TEMPLATES.map((t) => t.id));
+
+/**
+ * Every template in display order: the built-ins (replaced by the user's edited version where there is one) and
+ * then the user's own. Adds builtIn (the template is or replaces a default) and edited (differs from it).
+ */
+export function templateList(settings) {
+  const stored = settings?.letterTemplates || [];
+  const builtIns = BUILT_IN_TEMPLATES.map((t) => {
+    const own = stored.find((s) => s.id === t.id);
+    if (!own) return { ...t, version: 0, versions: [], builtIn: true };
+    return { ...withVariants(own), builtIn: true, edited: true };
+  });
+  const own = stored.filter((s) => !BUILT_IN_IDS.has(s.id)).map((t) => ({ ...withVariants(t), builtIn: false }));
+  return [...builtIns, ...own];
+}
+
+export const findTemplate = (settings, id) => templateList(settings).find((t) => t.id === id) || null;
+
+/** The built-in default behind an id, or null. */
+export const builtInTemplate = (id) => BUILT_IN_TEMPLATES.find((t) => t.id === id) || null;
+
+// Stored without the derived flags (templateList adds them back)
+const stored = ({ id, name, subject, body, en, version, versions, updatedAt }) => ({
+  id,
+  name,
+  subject,
+  body,
+  en,
+  version,
+  versions,
+  updatedAt,
+});
+
+/**
+ * settings.letterTemplates after saving `draft` ({ name, subject, body, en }) as the next version of `template`.
+ * The version replaced goes to the history (a built-in default as version 0).
+ */
+export function saveTemplateVersion(list, template, draft) {
+  const previous = {
+    version: template.version || 0,
+    savedAt: template.builtIn && !template.edited ? "" : template.updatedAt || "",
+    name: template.name,
+    subject: template.subject,
+    body: template.body,
+    en: template.en,
+  };
+  const next = stored({
+    ...template,
+    ...draft,
+    version: (template.version || 0) + 1,
+    versions: [previous, ...(template.versions || [])].slice(0, MAX_VERSIONS),
+    updatedAt: new Date().toISOString(),
+  });
+  const rest = (list || []).filter((t) => t.id !== template.id);
+  return [...rest, next];
+}
+
+/** A new user template copied from `template` (without its history). */
+export function duplicateTemplate(template) {
+  return makeLetterTemplate({
+    name: `${template.name || "Template"} (copy)`,
+    subject: template.subject,
+    body: template.body,
+    en: { ...template.en },
+  });
+}
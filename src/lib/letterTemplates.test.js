@@ -0,0 +1,134 @@
+import { describe, expect, it } from "vitest";
+import {
+  BUILT_IN_TEMPLATES,
+  TemplateError,
+  duplicateTemplate,
+  findTemplate,
+  renderLetter,
+  renderTemplate,
+  saveTemplateVersion,
+  templateList,
+} from "./letterTemplates.js";
+
+const data = {
+  today: "2026-10-19",
+  case: { address: "Hauptstr. 1", landlordName: "", rent: 700 },
+  defects: {
+    open: [
+      { title: "Heating", startDate: "2026-09-01", photos: ["a.jpg"] },
+      { title: "Mould", startDate: "2026-10-01", photos: [] },
+    ],
+    resolved: [],
+  },
+};
+
+describe("renderTemplate", () => {
+  it("inserts values through filters", () => {
+    expect(renderTemplate('Dear {{case.landlordName | default: "[Landlord]"}},', data)).toBe("Dear [Landlord],");
+    expect(renderTemplate("{{case.rent | fixed}} / {{case.address | upper}}", data)).toBe("700.00 / HAUPTSTR. 1");
+    expect(renderTemplate("{{today | addDays: 14}}, {{today | addMonths: 1}}", data)).toBe("2026-11-02, 2026-11-19");
+    expect(renderTemplate("{{defects.open | count}} open", data)).toBe("2 open");
+    expect(renderTemplate("[{{case.missing}}{{case}}]", data)).toBe("[]");
+  });
+
+  it("repeats {{#each}} per item with @number, and falls back to {{else}} for empty lists", () => {
+    const source = "{{#each defects.open}}{{@number}}. {{title}} ({{case.address}}){{else}}none{{/each}}";
+    expect(renderTemplate(source, data)).toBe("1. Heating (Hauptstr. 1)2. Mould (Hauptstr. 1)");
+    expect(renderTemplate("{{#each defects.resolved}}x{{else}}none{{/each}}", data)).toBe("none");
+  });
+
+  it("nests loops over lists of the item", () => {
+    const source = "{{#each defects.open}}{{title}}: {{#each photos}}{{this}}{{else}}no photo{{/each}}; {{/each}}";
+    expect(renderTemplate(source, data)).toBe("Heating: a.jpg; Mould: no photo; ");
+  });
+
+  it("counts empty lists, empty text and 0 as false in {{#if}} / {{#unless}}", () => {
+    const source = "{{#if defects.resolved}}some{{else}}none{{/if}} {{#unless case.landlordName}}unnamed{{/unless}}";
+    expect(renderTemplate(source, data)).toBe("none unnamed");
+    expect(renderTemplate("{{#if n}}yes{{else}}no{{/if}}", { n: 0 })).toBe("no");
+    expect(renderTemplate("{{#if defects.open}}yes{{/if}}", data)).toBe("yes");
+  });
+
+  it("drops block tags and comments alone on their line together with the line", () => {
+    const source = "A\n{{! only for open defects }}\n{{#if defects.open}}\nB\n{{/if}}\nC";
+    expect(renderTemplate(source, data)).toBe("A\nB\nC");
+    expect(renderTemplate(source, { defects: { open: [] } })).toBe("A\nC");
+  });
+
+  it("reports syntax errors with their line", () => {
+    const error = (source) => {
+      try {
+        renderTemplate(source, data);
+      } catch (e) {
+        expect(e).toBeInstanceOf(TemplateError);
+        return e.message;
+      }
+      return null;
+    };
+    expect(error("{{#each defects.open}}\n{{/if}}")).toBe("Line 2: {{/if}} closes {{#each}} from line 1");
+    expect(error("A\n\n{{#if x}}")).toBe("Line 3: {{#if}} is never closed");
+    expect(error("{{case.address | shout}}")).toBe('Line 1: Unknown filter "shout"');
+    expect(error("{{else}}")).toBe("Line 1: {{else}} outside a block");
+    expect(error("{{#with case}}{{/with}}")).toBe('Line 1: Unknown block "{{#with case}}"');
+    expect(error("{{case address}}")).toBe('Line 1: "case address" is not a placeholder name');
+  });
+});
+
+describe("renderLetter", () => {
+  it("fills both language versions of every built-in template", () => {
+    for (const template of BUILT_IN_TEMPLATES) {
+      const letter = renderLetter(template, data);
+      expect(letter.subject).not.toBe("");
+      expect(letter.en.subject).not.toBe("");
+      expect(`${letter.body}${letter.en.body}`).not.toContain("{{");
+    }
+  });
+});
+
+describe("template versions", () => {
+  const builtIn = () => findTemplate({ letterTemplates: [] }, "repair_request");
+
+  it("lists the built-ins first, replaced by the user's edited version, then the user's own", () => {
+    const own = { id: "tpl1", name: "Mine", subject: "", body: "", version: 1, versions: [] };
+    const edited = { ...builtIn(), name: "Edited repair request", version: 1 };
+    const list = templateList({ letterTemplates: [own, edited] });
+    expect(list.map((t) => t.id)).toEqual([...BUILT_IN_TEMPLATES.map((t) => t.id), "tpl1"]);
+    expect(list[0]).toMatchObject({ name: "Edited repair request", builtIn: true, edited: true });
+    expect(list[1]).toMatchObject({ version: 0, builtIn: true });
+    expect(list.at(-1)).toMatchObject({ name: "Mine", builtIn: false });
+  });
+
+  it("keeps the replaced version in the history, a built-in default as version 0", () => {
+    const first = saveTemplateVersion([], builtIn(), { name: "Repair v1", body: "First" });
+    expect(first).toHaveLength(1);
+    expect(first[0]).toMatchObject({ id: "repair_request", name: "Repair v1", body: "First", version: 1 });
+    expect(first[0].versions).toHaveLength(1);
+    expect(first[0].versions[0]).toMatchObject({ version: 0, savedAt: "", body: builtIn().body });
+    expect(first[0]).not.toHaveProperty("builtIn");
+
+    const current = findTemplate({ letterTemplates: first }, "repair_request");
+    const second = saveTemplateVersion(first, current, { name: "Repair v2", body: "Second" });
+    expect(second[0].version).toBe(2);
+    expect(second[0].versions.map((v) => [v.version, v.body])).toEqual([
+      [1, "First"],
+      [0, builtIn().body],
+    ]);
+    expect(second[0].versions[0].savedAt).toBe(first[0].updatedAt);
+  });
+
+  it("keeps at most 20 older versions", () => {
+    let list = [];
+    for (let n = 1; n <= 25; n++) {
+      list = saveTemplateVersion(list, findTemplate({ letterTemplates: list }, "repair_request"), { body: `${n}` });
+    }
+    expect(list[0].version).toBe(25);
+    expect(list[0].versions).toHaveLength(20);
+    expect(list[0].versions[0].version).toBe(24);
+  });
+
+  it("copies a template as a new one without its history", () => {
+    const copy = duplicateTemplate({ ...builtIn(), versions: [{ version: 0 }] });
+    expect(copy.id).not.toBe("repair_request");
+    expect(copy).toMatchObject({ name: `${builtIn().name} (copy)`, version: 1, versions: [] });
+  });
+});
@@ -0,0 +1,51 @@
+// Sending letters (Case File → Letters): status, delivery method with tracking number and proof, the deadline
+// the letter sets and the landlord's response (see schema.makeLetter).
+// - draft → sent → delivered → answered; each step records its date the first time it is reached.
+// - A deadline has lapsed once it has passed for a letter that was sent but not answered.
+
+import { isoToday } from "./schema.js";
+
+export const LETTER_STATUSES = [
+  { id: "draft", label: "Draft" },
+  { id: "sent", label: "Sent" },
+  { id: "delivered", label: "Delivered" },
+  { id: "answered", label: "Answered" },
+];
+
+export const DELIVERY_METHODS = [
+  { id: "email", label: "Email", reference: "Message ID / sent-folder note" },
+  { id: "registered", label: "Registered mail (Einschreiben)", reference: "Tracking number" },
+  { id: "hand", label: "Hand delivery with witness", reference: "Witness (name, address)" },
+  { id: "mailbox", label: "Dropped in the mailbox (Einwurf)", reference: "Witness / time" },
+];
+
+// Date field stamped when a letter first reaches each status
+const STATUS_DATES = { sent: "sentDate", delivered: "deliveredDate", answered: "responseDate" };
+
+const DAY_MS = 86400000;
+
+/** Patch for moving a letter to `status`; the dates of this and the skipped earlier steps default to today. */
+export function letterStatusPatch(letter, status, today = isoToday()) {
+  const patch = { status };
+  const steps = LETTER_STATUSES.map((s) => s.id);
+  for (const step of steps.slice(1, steps.indexOf(status) + 1)) {
+    const field = STATUS_DATES[step];
+    if (!letter[field]) patch[field] = today;
+  }
+  return patch;
+}
+
+/** Days since the letter's deadline passed without an answer; 0 when it has not lapsed. */
+export function daysLapsed(letter, today = isoToday()) {
+  if (!letter?.deadline || letter.deadline >= today) return 0;
+  if (letter.status !== "sent" && letter.status !== "delivered") return 0;
+  return Math.round((Date.parse(today) - Date.parse(letter.deadline)) / DAY_MS);
+}
+
+/** Letters whose deadline has lapsed, oldest deadline first, each with `days` since. */
+export function lapsedLetters(letters, today = isoToday()) {
+  return (letters || [])
+    .map((letter) => ({ letter, days: daysLapsed(letter, today) }))
+    .filter((x) => x.days > 0)
+    .sort((a, b) => a.letter.deadline.localeCompare(b.letter.deadline));
+}
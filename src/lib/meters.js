@@ -0,0 +1,216 @@
+// Meter readings: consumption per month and a projection of the billing year from the tariff.
+// - Between two readings the meter is assumed to run evenly (linear interpolation); before the first and after
+//   the last reading the average daily consumption over all readings is carried on (extrapolation).
+// - The year-end bill is consumption × price + base fee for the supplier's billing year, compared with the
+//   monthly advances to warn before a back-payment builds up.
+// An estimate for planning, not a replacement for the supplier's bill.
+
+import { addMonths, categoryAmount, isoToday, round2, toNum } from "./schema.js";
+import { monthRange } from "./recurringCosts.js";
+
+export const METER_KINDS = [
+  { id: "electricity", label: "Electricity", unit: "kWh", billed: "kWh", category: "electricity" },
+  { id: "gas", label: "Gas", unit: "m³", billed: "kWh", category: "utilities" },
+  { id: "water", label: "Water", unit: "m³", billed: "m³", category: "utilities" },
+  { id: "heat", label: "Heat", unit: "kWh", billed: "kWh", category: "utilities" },
+];
+
+export const meterKind = (id) => METER_KINDS.find((k) => k.id === id) || METER_KINDS[0];
+
+const DAY_MS = 86400000;
+
+// A reading older than this (days) makes the projection mostly guesswork
+const STALE_DAYS = 90;
+// Tolerated shortfall / surplus of the advances before a warning (share of the projected bill)
+const SHORTFALL_TOLERANCE = 0.05;
+const SURPLUS_TOLERANCE = 0.2;
+
+const daysBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / DAY_MS;
+
+const firstOfNextMonth = (month) => addMonths(`${month}-01`, 1);
+
+/** Readings with a date and a value, oldest first (one per day: the later entry wins). */
+export function sortReadings(readings) {
+  const byDate = new Map();
+  for (const r of readings || []) {
+    const value = r.value === "" ? NaN : Number(r.value);
+    if (r.date && Number.isFinite(value)) byDate.set(r.date, { ...r, value });
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** Average consumption per day between the first and the last reading (meter units), null with < 2 readings. */
+export function dailyRate(sorted) {
+  if (sorted.length < 2) return null;
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const days = daysBetween(first.date, last.date);
+  return days > 0 ? (last.value - first.value) / days : null;
+}
+
+/**
+ * Meter value on `date` (00:00): { value, source: "read" | "interpolated" | "extrapolated" }, or null when
+ * there are too few readings to tell.
+ */
+export function valueAt(sorted, date) {
+  if (!sorted.length) return null;
+  const exact = sorted.find((r) => r.date === date);
+  if (exact) return { value: exact.value, source: "read" };
+  const after = sorted.findIndex((r) => r.date > date);
+  if (after > 0) {
+    const a = sorted[after - 1];
+    const b = sorted[after];
+    const share = daysBetween(a.date, date) / daysBetween(a.date, b.date);
+    return { value: a.value + (b.value - a.value) * share, source: "interpolated" };
+  }
+  const rate = dailyRate(sorted);
+  if (rate === null) return null;
+  const anchor = after === 0 ? sorted[0] : sorted[sorted.length - 1];
+  return { value: anchor.value + rate * daysBetween(anchor.date, date), source: "extrapolated" };
+}
+
+/** Consumption in billed units (meter units × factor) between two dates; null without enough readings. */
+function consumptionBetween(meter, sorted, from, to) {
+  const start = valueAt(sorted, from);
+  const end = valueAt(sorted, to);
+  if (!start || !end) return null;
+  return {
+    amount: round2((end.value - start.value) * (toNum(meter.factor, 1) || 1)),
+    estimated: start.source === "extrapolated" || end.source === "extrapolated",
+  };
+}
+
+/** [{ month, consumption, estimated }] for the months from..to (YYYY-MM); consumption null without readings. */
+export function monthlyConsumption(meter, from, to) {
+  const sorted = sortReadings(meter.readings);
+  return monthRange(from, to).map((month) => {
+    const c = consumptionBetween(meter, sorted, `${month}-01`, firstOfNextMonth(month));
+    return { month, consumption: c ? c.amount : null, estimated: c ? c.estimated : false };
+  });
+}
+
+/**
+ * The billing year containing `today`, counted in whole years from meter.periodStart:
+ * { start, end (last day), next (start of the following year) }.
+ */
+export function billingPeriod(meter, today = isoToday()) {
+  const valid = /^\d{4}-\d{2}-\d{2}$/.test(meter.periodStart || "");
+  let start = valid ? meter.periodStart : `${today.slice(0, 4)}-01-01`;
+  while (addMonths(start, 12) <= today) start = addMonths(start, 12);
+  while (start > today) start = addMonths(start, -12);
+  const next = addMonths(start, 12);
+  return { start, end: new Date(Date.parse(next) - DAY_MS).toISOString().slice(0, 10), next };
+}
+
+/**
+ * Monthly advance for the meter: its own advance if set, otherwise the costCategory amount of the newest
+ * cost row up to `month`. Returns { amount, source: "meter" | "costs" | "" }.
+ */
+export function meterAdvance(meter, costs, month) {
+  if (meter.advance !== "" && meter.advance !== undefined && meter.advance !== null) {
+    return { amount: toNum(meter.advance), source: "meter" };
+  }
+  const key = meter.costCategory || meterKind(meter.kind).category;
+  const row = [...(costs || [])]
+    .filter((r) => r.month && r.month <= month)
+    .sort((a, b) => b.month.localeCompare(a.month))[0];
+  return row ? { amount: categoryAmount(row, key), source: "costs" } : { amount: 0, source: "" };
+}
+
+/**
+ * Where the meter stands on `today`. Returns {
+ *   kind, readings (sorted), dailyRate (billed units per day), period, consumption (projected
+ *   for the billing year), measured (share covered by readings, 0–1), cost, advance { amount, source },
+ *   advances (12 × advance), balance (cost − advances: + back-payment, − refund), suggestedAdvance, flags
+ * }
+ */
+export function meterStatus(meter, costs, { today = isoToday() } = {}) {
+  const flags = [];
+  const kind = meterKind(meter.kind);
+  const readings = sortReadings(meter.readings);
+  const factor = toNum(meter.factor, 1) || 1;
+  const rate = dailyRate(readings);
+  const period = billingPeriod(meter, today);
+  const advance = meterAdvance(meter, costs, today.slice(0, 7));
+  const advances = round2(advance.amount * 12);
+
+  readings.forEach((r, i) => {
+    if (i && r.value < readings[i - 1].value) {
+      flags.push({
+        level: "error",
+        message: `The reading on ${r.date} is lower than the one before – typo, or was the meter replaced?`,
+      });
+    }
+  });
+
+  const year = consumptionBetween(meter, readings, period.start, period.next);
+  const last = readings[readings.length - 1];
+  // Share of the billing year between the first and the last reading
+  let measured = 0;
+  if (readings.length >= 2) {
+    const from = readings[0].date > period.start ? readings[0].date : period.start;
+    const to = last.date < period.next ? last.date : period.next;
+    measured = Math.max(0, daysBetween(from, to)) / daysBetween(period.start, period.next);
+  }
+  const price = toNum(meter.price);
+  const cost = year && price ? round2(year.amount * price + toNum(meter.baseFee) * 12) : null;
+  const balance = cost === null ? null : round2(cost - advances);
+  const suggestedAdvance = cost === null ? null : Math.ceil(cost / 12);
+
+  if (readings.length < 2) {
+    flags.push({ level: "info", message: "Add at least two readings to estimate the consumption." });
+  } else if (daysBetween(last.date, today) > STALE_DAYS) {
+    flags.push({
+      level: "info",
+      message: `The last reading is from ${last.date}; read the meter again for a better estimate.`,
+    });
+  }
+  if (!price) {
+    flags.push({ level: "info", message: `Add the price per ${kind.billed} from the tariff to project the bill.` });
+  }
+  if (cost !== null) {
+    if (!advance.amount) {
+      flags.push({
+        level: "warning",
+        message: `No monthly advance found; the projected bill of ${cost.toFixed(2)} would be due in full.`,
+      });
+    } else if (balance > cost * SHORTFALL_TOLERANCE) {
+      flags.push({
+        level: "warning",
+        message:
+          `The advance of ${advance.amount.toFixed(2)} a month is too low: about ${balance.toFixed(2)} ` +
+          `back-payment expected for ${period.start} – ${period.end}. ` +
+          `An advance of ${suggestedAdvance.toFixed(2)} would cover it.`,
+      });
+    } else if (-balance > cost * SURPLUS_TOLERANCE) {
+      flags.push({
+        level: "info",
+        message:
+          `About ${(-balance).toFixed(2)} refund expected; ` +
+          `the advance could be lowered to ${suggestedAdvance.toFixed(2)}.`,
+      });
+    }
+  }
+  if (advance.source === "costs" && (meter.costCategory || kind.category) === "utilities") {
+    flags.push({
+      level: "info",
+      message:
+        "The utilities advance in your costs covers more than this meter; enter the meter's share as its advance.",
+    });
+  }
+
+  return {
+    kind,
+    readings,
+    dailyRate: rate === null ? null : round2(rate * factor),
+    period,
+    consumption: year ? year.amount : null,
+    measured: Math.min(1, round2(measured)),
+    cost,
+    advance,
+    advances,
+    balance,
+    suggestedAdvance,
+    flags,
+  };
+}
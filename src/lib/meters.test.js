@@ -0,0 +1,117 @@
+import { describe, expect, it } from "vitest";
+import { billingPeriod, meterStatus, monthlyConsumption, sortReadings, valueAt } from "./meters.js";
+
+// 2024-01-01 → 2024-03-01 is 60 days: 10 kWh a day
+const meter = (patch) => ({
+  kind: "electricity",
+  factor: 1,
+  readings: [
+    { id: "m2", date: "2024-03-01", value: 1600 },
+    { id: "m1", date: "2024-01-01", value: 1000 },
+  ],
+  periodStart: "2024-01-01",
+  price: 0.3,
+  baseFee: 10,
+  advance: "",
+  ...patch,
+});
+
+describe("valueAt", () => {
+  const sorted = sortReadings(meter().readings);
+
+  it("reads, interpolates between readings and extrapolates beyond them at the average rate", () => {
+    expect(valueAt(sorted, "2024-03-01")).toEqual({ value: 1600, source: "read" });
+    expect(valueAt(sorted, "2024-02-01")).toEqual({ value: 1310, source: "interpolated" });
+    expect(valueAt(sorted, "2024-04-01")).toEqual({ value: 1910, source: "extrapolated" });
+    expect(valueAt(sorted, "2023-12-31")).toEqual({ value: 990, source: "extrapolated" });
+  });
+
+  it("cannot tell anything from a single reading", () => {
+    expect(valueAt(sorted.slice(0, 1), "2024-02-01")).toBeNull();
+  });
+});
+
+describe("sortReadings", () => {
+  it("drops readings without a date or number and keeps the later entry for a day", () => {
+    const sorted = sortReadings([
+      { date: "2024-02-01", value: "5" },
+      { date: "", value: 7 },
+      { date: "2024-01-01", value: "" },
+      { date: "2024-02-01", value: 6 },
+    ]);
+    expect(sorted).toEqual([{ date: "2024-02-01", value: 6 }]);
+  });
+});
+
+describe("monthlyConsumption", () => {
+  it("spreads the consumption over the months and marks extrapolated months as estimated", () => {
+    expect(monthlyConsumption(meter(), "2024-01", "2024-03")).toEqual([
+      { month: "2024-01", consumption: 310, estimated: false },
+      { month: "2024-02", consumption: 290, estimated: false },
+      { month: "2024-03", consumption: 310, estimated: true },
+    ]);
+  });
+
+  it("converts meter units into billed units with the factor (gas m³ → kWh)", () => {
+    const gas = meter({ kind: "gas", factor: 10.5 });
+    expect(monthlyConsumption(gas, "2024-02", "2024-02")[0].consumption).toBe(3045);
+  });
+});
+
+describe("billingPeriod", () => {
+  it("is the billing year containing the day, counted from the period start", () => {
+    expect(billingPeriod({ periodStart: "2023-07-01" }, "2025-02-10")).toEqual({
+      start: "2024-07-01",
+      end: "2025-06-30",
+      next: "2025-07-01",
+    });
+    expect(billingPeriod({ periodStart: "" }, "2025-02-10").start).toBe("2025-01-01");
+  });
+});
+
+describe("meterStatus", () => {
+  const costs = [
+    { month: "2024-02", electricity: 80 },
+    { month: "2024-05", electricity: 200 },
+  ];
+
+  it("projects the billing year and warns when the advances will not cover it", () => {
+    const status = meterStatus(meter(), costs, { today: "2024-03-15" });
+    // 366 days at 10 kWh × 0.30 + 12 × 10 base fee
+    expect(status).toMatchObject({
+      dailyRate: 10,
+      consumption: 3660,
+      measured: 0.16,
+      cost: 1218,
+      advance: { amount: 80, source: "costs" },
+      advances: 960,
+      balance: 258,
+      suggestedAdvance: 102,
+    });
+    expect(status.flags).toHaveLength(1);
+    expect(status.flags[0]).toMatchObject({ level: "warning" });
+    expect(status.flags[0].message).toContain("An advance of 102.00 would cover it.");
+  });
+
+  it("prefers the meter's own advance and suggests lowering one that is far too high", () => {
+    const status = meterStatus(meter({ advance: 150 }), costs, { today: "2024-03-15" });
+    expect([status.advance.source, status.balance]).toEqual(["meter", -582]);
+    expect(status.flags.map((f) => f.level)).toEqual(["info"]);
+  });
+
+  it("flags a reading lower than the one before and stale readings", () => {
+    const readings = [...meter().readings, { date: "2024-04-01", value: 1500 }];
+    const status = meterStatus(meter({ readings }), costs, { today: "2024-09-01" });
+    expect(status.flags[0]).toEqual({
+      level: "error",
+      message: "The reading on 2024-04-01 is lower than the one before – typo, or was the meter replaced?",
+    });
+    expect(status.flags[1].message).toContain("The last reading is from 2024-04-01");
+  });
+
+  it("asks for readings and a price before projecting", () => {
+    const status = meterStatus(meter({ readings: [], price: "" }), [], { today: "2024-03-15" });
+    expect([status.consumption, status.cost]).toEqual([null, null]);
+    expect(status.flags.map((f) => f.level)).toEqual(["info", "info"]);
+  });
+});
@@ -0,0 +1,157 @@
+// Schema migrations for the shared Mietakte data (meta.version).
+// - MIGRATIONS[n] upgrades version n to n + 1; steps run in order and must be pure
+// - Data without meta.version is version 0 (shared data saved before versioning)
+// - Data from a newer app version is refused, never downgraded
+// - Bundles (unit/case exports) carry `version` at the top level and go through the same steps
+
+import { COLLECTIONS, SCHEMA_VERSION, normalizeData } from "./schema.js";
+import { splitCombined } from "./letterTemplates.js";
+import { paymentsFromPaid } from "./payments.js";
+
+export class SchemaVersionError extends Error {
+  constructor(version) {
+    super(
+      `This data was saved by a newer version of Mietakte (schema v${version}; this app reads up to v${SCHEMA_VERSION}). ` +
+        "Update the app before opening it."
+    );
+    this.name = "SchemaVersionError";
+    this.version = version;
+  }
+}
+
+const mapRecords = (data, fn) => {
+  const next = { ...data };
+  for (const key of COLLECTIONS) {
+    if (Array.isArray(data[key])) next[key] = data[key].map((r) => (r && typeof r === "object" ? fn(r, key) : r));
+  }
+  return next;
+};
+
+export const MIGRATIONS = {
+  // v0 -> v1: unversioned shared data already has the v1 shape
+  0: (data) => data,
+
+  // v1 -> v2: every record carries updatedAt (used to merge imports and compare restore points)
+  1: (data) => {
+    const fallback = data.meta?.updatedAt || new Date().toISOString();
+    return mapRecords(data, (r) => ({ ...r, updatedAt: r.updatedAt || r.createdAt || fallback }));
+  },
+
+  // v2 -> v3: resolved defects get a resolvedDate (rent reduction periods end there); the last edit is
+  // the best guess for when that happened
+  2: (data) =>
+    mapRecords(data, (r, key) =>
+      key === "defects" && r.status === "resolved" && !r.resolvedDate
+        ? { ...r, resolvedDate: String(r.updatedAt || r.createdAt || "").slice(0, 10) }
+        : r
+    ),
+
+  // v3 -> v4: new `recurring` collection (cost templates); it and the new cost row/unit fields start
+  // out empty, which normalizing fills in
+  3: (data) => data,
+
+  // v4 -> v5: the `paid` checkbox becomes a list of payments; a row marked paid gets one payment of its
+  // total (dated on the due date, as the real date is unknown)
+  4: (data) =>
+    mapRecords(data, (r, key) => {
+      if (key !== "costs" || Array.isArray(r.payments)) return r;
+      return { ...r, payments: paymentsFromPaid(r) };
+    }),
+
+  // v5 -> v6: new `utilityBills` collection (yearly utility statements), empty by default
+  5: (data) => data,
+
+  // v6 -> v7: new `rentChanges` collection (rent history) and unit.capPercent; without history the unit's
+  // rent figures keep applying
+  6: (data) => data,
+
+  // v7 -> v8: new `deposits` collection (deposit ledger); unit.deposit stays the agreed amount
+  7: (data) => data,
+
+  // v8 -> v9: new `meters` collection (meter readings), empty by default
+  8: (data) => data,
+
+  // v9 -> v10: cost categories and exchange rates move into settings (defaults: the seven built-in
+  // categories, no rates); cost rows gain `custom` amounts and a `currency` ("" = the base currency)
+  9: (data) => data,
+
+  // v10 -> v11: bank statement import; settings gain bankRules and bankCsvMappings (empty by default) and
+  // payments the bank transaction they were imported from (importId, "" for payments entered by hand)
+  10: (data) =>
+    mapRecords(data, (r, key) =>
+      key === "costs" && Array.isArray(r.payments)
+        ? { ...r, payments: r.payments.map((p) => ({ ...p, importId: p.importId || "" })) }
+        : r
+    ),
+
+  // v11 -> v12: letter templates; settings gain letterTemplates (user templates and edited built-ins, empty by
+  // default) and letters the template version they were generated from (templateVersion, 0 = built-in default)
+  11: (data) => data,
+
+  // v12 -> v13: letters and templates keep their German and English text apart (subject/body and en); those
+  // saved with "English — — — German" in one body are split, the English subject staying in both. Letters gain
+  // a `language` and settings the letterLanguage of new letters (both "de" by default)
+  12: (data) => {
+    const next = mapRecords(data, (r, key) => (key === "letters" ? splitCombined(r) : r));
+    const templates = data.settings?.letterTemplates;
+    if (!Array.isArray(templates)) return next;
+    const letterTemplates = templates.map((t) => {
+      const split = splitCombined(t);
+      return Array.isArray(t.versions) ? { ...split, versions: t.versions.map(splitCombined) } : split;
+    });
+    return { ...next, settings: { ...data.settings, letterTemplates } };
+  },
+
+  // v13 -> v14: letter PDF export; letters gain the evidence they list as enclosures (none by default) and
+  // settings the letterPdf layout (DIN 5008 form B with fold marks)
+  13: (data) => data,
+
+  // v14 -> v15: letters gain send tracking (status, delivery method, deadline, response) and proof
+  // `attachments` in the blob store, which older versions would not keep
+  14: (data) => data,
+};
+
+export function dataVersion(raw) {
+  const v = Number(raw?.meta?.version ?? raw?.version ?? 0);
+  return Number.isInteger(v) && v >= 0 ? v : 0;
+}
+
+/** Runs the steps from `from` up to SCHEMA_VERSION on collection-shaped data. */
+function runSteps(data, from) {
+  if (from > SCHEMA_VERSION) throw new SchemaVersionError(from);
+  let next = data;
+  for (let v = from; v < SCHEMA_VERSION; v++) {
+    const step = MIGRATIONS[v];
+    if (!step) throw new Error(`No migration from schema v${v} to v${v + 1}`);
+    next = step(next);
+  }
+  return next;
+}
+
+/**
+ * Upgrades full shared data to the current schema.
+ * Returns { data, from, migrated }; throws SchemaVersionError for newer data.
+ */
+export function migrateData(raw) {
+  const from = dataVersion(raw);
+  const stepped = runSteps(raw || {}, from);
+  const data = normalizeData(stepped);
+  data.meta = { ...data.meta, version: SCHEMA_VERSION };
+  return { data, from, migrated: from !== SCHEMA_VERSION };
+}
+
+/** Upgrades a unit/units/case bundle; singular `unit` and `case` are migrated as one-record lists. */
+export function migrateBundle(bundle) {
+  const from = dataVersion(bundle);
+  const { unit, case: c, ...rest } = bundle;
+  const shaped = { ...rest };
+  if (unit) shaped.units = [unit];
+  if (c) shaped.cases = [c];
+  const { units, cases, ...stepped } = runSteps(shaped, from);
+  const out = { ...stepped, version: SCHEMA_VERSION };
+  if (unit) out.unit = units[0];
+  else if (units) out.units = units;
+  if (c) out.case = cases[0];
+  else if (cases) out.cases = cases;
+  return out;
+}
@@ -0,0 +1,202 @@
+import { describe, expect, it } from "vitest";
+import { MIGRATIONS, SchemaVersionError, dataVersion, migrateBundle, migrateData } from "./migrations.js";
+import { letterVersions } from "./letterTemplates.js";
+import { DEFAULT_CATEGORIES, SCHEMA_VERSION } from "./schema.js";
+
+// Shared data as an app at `version` saved it: only the fields that version knew about
+const saved = (version, collections = {}) => ({
+  meta: { appId: "mietakte", version, updatedAt: "2024-03-01T10:00:00.000Z" },
+  settings: { currency: "EUR" },
+  ui: { activeUnitId: "u1", activeCaseId: null, caseTab: "snapshot" },
+  units: [{ id: "u1", label: "Flat", address: "Hauptstr. 1, 10115 Berlin", rentWarm: 900, rentCold: 700 }],
+  ...collections,
+});
+
+const upgradeFrom = (version, collections) => migrateData(saved(version, collections)).data;
+
+describe("MIGRATIONS", () => {
+  it("has one step for every version below SCHEMA_VERSION", () => {
+    for (let v = 0; v < SCHEMA_VERSION; v++) expect(typeof MIGRATIONS[v]).toBe("function");
+    expect(MIGRATIONS[SCHEMA_VERSION]).toBeUndefined();
+  });
+
+  it("v0 → v1: reads unversioned data as version 0 and keeps its records", () => {
+    const raw = saved(0);
+    delete raw.meta.version;
+    expect(dataVersion(raw)).toBe(0);
+    const { data, from, migrated } = migrateData(raw);
+    expect([from, migrated, data.meta.version]).toEqual([0, true, SCHEMA_VERSION]);
+    expect(data.units.map((u) => u.label)).toEqual(["Flat"]);
+  });
+
+  it("v1 → v2: every record gets updatedAt, from createdAt or else the data's last save", () => {
+    const step = MIGRATIONS[1](
+      saved(1, {
+        defects: [
+          { id: "d1", unitId: "u1", createdAt: "2023-05-01T00:00:00.000Z" },
+          { id: "d2", unitId: "u1" },
+        ],
+      })
+    );
+    expect(step.defects.map((d) => d.updatedAt)).toEqual(["2023-05-01T00:00:00.000Z", "2024-03-01T10:00:00.000Z"]);
+    expect(step.units[0].updatedAt).toBe("2024-03-01T10:00:00.000Z");
+  });
+
+  it("v2 → v3: resolved defects get a resolvedDate from their last edit", () => {
+    const data = upgradeFrom(2, {
+      defects: [
+        { id: "d1", unitId: "u1", status: "resolved", updatedAt: "2023-06-15T08:00:00.000Z" },
+        { id: "d2", unitId: "u1", status: "open", updatedAt: "2023-06-15T08:00:00.000Z" },
+      ],
+    });
+    expect(data.defects.map((d) => d.resolvedDate)).toEqual(["2023-06-15", ""]);
+  });
+
+  it("v3 → v4: adds the recurring collection and unit.recurringThrough", () => {
+    const data = upgradeFrom(3, { costs: [{ id: "c1", unitId: "u1", month: "2024-02", rent: 700 }] });
+    expect(data.recurring).toEqual([]);
+    expect(data.units[0].recurringThrough).toBe("");
+    expect(data.costs[0].rent).toBe(700);
+  });
+
+  it("v4 → v5: the paid checkbox becomes one payment of the row's total, on its due date", () => {
+    const data = upgradeFrom(4, {
+      costs: [
+        { id: "c1", unitId: "u1", month: "2024-02", rent: 700, total: 700, dueDate: "2024-02-05", paid: true },
+        { id: "c2", unitId: "u1", month: "2024-03", rent: 700, total: 700, dueDate: "", paid: false },
+      ],
+    });
+    const [paid, open] = data.costs;
+    expect(paid.payments).toEqual([
+      expect.objectContaining({ id: "c1-paid", date: "2024-02-05", amount: 700, method: "other" }),
+    ]);
+    expect([paid.paid, paid.outstanding]).toEqual([true, 0]);
+    expect([open.payments, open.paid, open.outstanding]).toEqual([[], false, 700]);
+  });
+
+  it("v5 → v6: adds the empty utilityBills collection", () => {
+    expect(upgradeFrom(5).utilityBills).toEqual([]);
+  });
+
+  it("v6 → v7: adds the empty rentChanges collection and unit.capPercent", () => {
+    const data = upgradeFrom(6);
+    expect(data.rentChanges).toEqual([]);
+    expect(data.units[0].capPercent).toBe(20);
+  });
+
+  it("v7 → v8: adds the empty deposits collection; unit.deposit stays the agreed amount", () => {
+    const raw = saved(7);
+    raw.units[0].deposit = 2100;
+    const { data } = migrateData(raw);
+    expect(data.deposits).toEqual([]);
+    expect(data.units[0].deposit).toBe(2100);
+  });
+
+  it("v8 → v9: adds the empty meters collection", () => {
+    expect(upgradeFrom(8).meters).toEqual([]);
+  });
+
+  it("v9 → v10: settings gain the cost categories and rates, cost rows custom amounts and a currency", () => {
+    const data = upgradeFrom(9, { costs: [{ id: "c1", unitId: "u1", month: "2024-02", rent: 700, payments: [] }] });
+    expect(data.settings.categories).toEqual(DEFAULT_CATEGORIES);
+    expect(data.settings.exchangeRates).toEqual([]);
+    expect(data.costs[0]).toMatchObject({ custom: {}, currency: "", total: 700 });
+  });
+
+  it("v10 → v11: settings gain bank import rules and CSV mappings, payments an importId", () => {
+    const payment = { id: "p1", date: "2024-02-03", amount: 700, method: "transfer", reference: "" };
+    const data = upgradeFrom(10, {
+      costs: [{ id: "c1", unitId: "u1", month: "2024-02", rent: 700, payments: [payment] }],
+    });
+    expect(data.settings.bankRules).toEqual([]);
+    expect(data.settings.bankCsvMappings).toEqual({});
+    expect(data.costs[0].payments).toEqual([{ ...payment, importId: "" }]);
+  });
+
+  it("v11 → v12: settings gain letter templates, letters the template version they came from", () => {
+    const data = upgradeFrom(11, {
+      letters: [{ id: "l1", type: "repair_request", subject: "Repair", body: "Dear …" }],
+    });
+    expect(data.settings.letterTemplates).toEqual([]);
+    expect(data.letters[0]).toMatchObject({ type: "repair_request", templateVersion: 0 });
+  });
+
+  it("v12 → v13: letters and templates with both languages in one body are split into German and English", () => {
+    const combined = { subject: "Repair request", body: "Dear landlord\n\n— — —\n\nSehr geehrte Vermieterin" };
+    const raw = saved(12, {
+      cases: [{ id: "k1", unitId: "u1" }],
+      letters: [
+        { id: "l1", caseId: "k1", language: "both", ...combined },
+        { id: "l2", caseId: "k1", subject: "Mängel", body: "Text", en: { subject: "Defects", body: "Text EN" } },
+      ],
+    });
+    raw.settings.letterTemplates = [{ id: "tpl1", name: "Mine", ...combined, versions: [{ version: 1, ...combined }] }];
+    const data = migrateData(raw).data;
+
+    const split = {
+      subject: "Repair request",
+      body: "Sehr geehrte Vermieterin",
+      en: { subject: "Repair request", body: "Dear landlord" },
+    };
+    expect(data.letters[0]).toMatchObject(split);
+    expect(data.letters[1]).toMatchObject({ ...raw.letters[1], language: "de" });
+    expect(data.settings.letterLanguage).toBe("de");
+    expect(letterVersions(data.letters[0]).map((v) => [v.language, v.body])).toEqual([
+      ["de", "Sehr geehrte Vermieterin"],
+      ["en", "Dear landlord"],
+    ]);
+    expect(data.settings.letterTemplates[0]).toMatchObject(split);
+    expect(data.settings.letterTemplates[0].versions[0]).toMatchObject(split);
+  });
+
+  it("v13 → v14: letters gain enclosures, settings the letter PDF layout", () => {
+    const data = upgradeFrom(13, {
+      cases: [{ id: "k1", unitId: "u1" }],
+      letters: [{ id: "l1", caseId: "k1", subject: "Mängel", body: "Text" }],
+    });
+    expect(data.letters[0].enclosures).toEqual([]);
+    expect(data.settings.letterPdf).toEqual({ form: "B", foldMarks: true });
+  });
+
+  it("v14 → v15: letters gain send tracking and proof attachments", () => {
+    const data = upgradeFrom(14, {
+      cases: [{ id: "k1", unitId: "u1", title: "Heating" }],
+      letters: [{ id: "l1", caseId: "k1", title: "Repair request", subject: "Mängel", body: "Text" }],
+    });
+    expect(data.letters[0]).toMatchObject({
+      status: "draft",
+      deliveryMethod: "",
+      deadline: "",
+      responseId: "",
+      attachments: [],
+      body: "Text",
+    });
+  });
+});
+
+describe("newer data", () => {
+  it("is refused instead of being downgraded", () => {
+    expect(() => migrateData(saved(SCHEMA_VERSION + 1))).toThrow(SchemaVersionError);
+    expect(() => migrateBundle({ version: SCHEMA_VERSION + 1, unit: { id: "u1" } })).toThrow(SchemaVersionError);
+  });
+
+  it("at the current version is left as it is", () => {
+    const { from, migrated } = migrateData(saved(SCHEMA_VERSION));
+    expect([from, migrated]).toEqual([SCHEMA_VERSION, false]);
+  });
+});
+
+describe("migrateBundle", () => {
+  it("upgrades singular unit and case bundles through the same steps", () => {
+    const out = migrateBundle({
+      version: 1,
+      unit: { id: "u1", label: "Flat", createdAt: "2023-05-01T00:00:00.000Z" },
+      case: { id: "k1", unitId: "u1" },
+      defects: [{ id: "d1", unitId: "u1" }],
+    });
+    expect(out.version).toBe(SCHEMA_VERSION);
+    expect(out.unit.updatedAt).toBe("2023-05-01T00:00:00.000Z");
+    expect(out.case.id).toBe("k1");
+    expect(out.defects[0].updatedAt).toBeTruthy();
+  });
+});
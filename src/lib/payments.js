@@ -0,0 +1,56 @@
+// Payments against RentIt's monthly cost rows (row.payments, see schema.makePayment).
+// - A row is overdue once its due date has passed and something is still outstanding.
+// - The account statement runs oldest month first; the running balance is paid minus due so far:
+//   positive = paid in advance / overpaid, negative = arrears.
+
+import { isoToday, round2, toNum } from "./schema.js";
+
+export const PAYMENT_METHODS = [
+  { id: "transfer", label: "Bank transfer" },
+  { id: "standing-order", label: "Standing order" },
+  { id: "direct-debit", label: "Direct debit" },
+  { id: "cash", label: "Cash" },
+  { id: "other", label: "Other" },
+];
+
+const DAY_MS = 86400000;
+
+/**
+ * Payments of a cost row saved before payments existed, when only its `paid` checkbox was ticked: one payment
+ * of its total, dated on the due date as the real date is unknown. The v4 → v5 migration and the RentIt v1
+ * import both use it, so the same row always becomes the same payment.
+ */
+export function paymentsFromPaid(row) {
+  if (!row.paid || !(toNum(row.total) > 0)) return [];
+  const date = row.dueDate || `${row.month}-01`;
+  return [{ id: `${row.id}-paid`, date, amount: toNum(row.total), method: "other", reference: "Marked as paid" }];
+}
+
+/** Days past the due date with money outstanding; 0 when the row is not overdue. */
+export function daysOverdue(row, today = isoToday()) {
+  if (!row?.dueDate || !(toNum(row.outstanding) > 0) || row.dueDate >= today) return 0;
+  return Math.round((Date.parse(today) - Date.parse(row.dueDate)) / DAY_MS);
+}
+
+/** Overdue rows, oldest due date first, each with `days` overdue. */
+export function overdueRows(rows, today = isoToday()) {
+  return (rows || [])
+    .map((row) => ({ row, days: daysOverdue(row, today) }))
+    .filter((x) => x.days > 0)
+    .sort((a, b) => a.row.dueDate.localeCompare(b.row.dueDate));
+}
+
+/** [{ row, month, dueDate, due, paid, difference, balance }] oldest first, plus the final balance. */
+export function accountStatement(rows) {
+  let balance = 0;
+  const lines = [...(rows || [])]
+    .sort((a, b) => String(a.month).localeCompare(String(b.month)))
+    .map((row) => {
+      const due = toNum(row.total);
+      const paid = toNum(row.paidAmount);
+      const difference = round2(paid - due);
+      balance = round2(balance + difference);
+      return { row, month: row.month, dueDate: row.dueDate, due, paid, difference, balance };
+    });
+  return { lines, balance };
+}
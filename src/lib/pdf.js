@@ -0,0 +1,205 @@
+// Minimal PDF writer for letters (no dependencies).
+// Pages are lists of drawing operations in millimetres from the top-left corner of an A4 page:
+//   { type: "text", x, y (baseline), text, size (pt), bold, align: "left" | "right" }
+//   { type: "line", x1, y1, x2, y2, width (pt) }
+//   { type: "image", x, y, w, h, jpeg: Uint8Array }
+// Text uses the standard Helvetica fonts with WinAnsi encoding (German umlauts, ß, €, dashes and quotes);
+// characters outside it print as "?". Images must be baseline or progressive JPEGs.
+
+export const PAGE_WIDTH = 210;
+export const PAGE_HEIGHT = 297;
+
+const PT_PER_MM = 72 / 25.4;
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for the printable ASCII range, space (32) to ~ (126)
+const ASCII_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+  556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+  260, 334, 584,
+];
+const ASCII_WIDTHS_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611,
+  556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389,
+  280, 389, 584,
+];
+
+// Widths of the other characters letters use; accented letters take the width of their base letter
+const EXTRA_WIDTHS = {
+  "ß": 611, "§": 556, "°": 400, "€": 556, "–": 556, "—": 1000, "„": 333, "“": 333, "”": 333, "‚": 222, "‘": 222,
+  "’": 222, "•": 350, "·": 278, "…": 1000, "²": 333, "³": 333, "×": 584, "«": 556, "»": 556, "©": 737, "®": 737,
+  "±": 584, "µ": 556, "½": 834, "¼": 834, "¾": 834, "Æ": 1000, "æ": 889, "Ø": 778, "ø": 611, " ": 278,
+};
+
+// Unicode → WinAnsi for the code points 0x80–0x9F (0xA0–0xFF are the same as Latin-1)
+const WIN_ANSI = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86, "‡": 0x87, "ˆ": 0x88, "‰": 0x89, "Š": 0x8a,
+  "‹": 0x8b, "Œ": 0x8c, "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "–": 0x96, "—": 0x97,
+  "˜": 0x98, "™": 0x99, "š": 0x9a, "›": 0x9b, "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+};
+
+function charWidth(ch, bold) {
+  const code = ch.charCodeAt(0);
+  if (code >= 32 && code <= 126) return (bold ? ASCII_WIDTHS_BOLD : ASCII_WIDTHS)[code - 32];
+  if (EXTRA_WIDTHS[ch]) return EXTRA_WIDTHS[ch];
+  const base = ch.normalize("NFD")[0];
+  return base !== ch && base.charCodeAt(0) <= 126 ? charWidth(base, bold) : 556;
+}
+
+/** Width of `text` in millimetres at `size` pt. */
+export function textWidth(text, size, bold = false) {
+  let units = 0;
+  for (const ch of String(text)) units += charWidth(ch, bold);
+  return ((units / 1000) * size) / PT_PER_MM;
+}
+
+/** Splits one paragraph into lines no wider than `width` mm (words longer than a line are cut). */
+export function wrapText(text, width, size, bold = false) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/ +/)) {
+    const next = line ? `${line} ${word}` : word;
+    if (textWidth(next, size, bold) <= width) {
+      line = next;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word;
+    while (textWidth(line, size, bold) > width && line.length > 1) {
+      let cut = line.length - 1;
+      while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > width) cut--;
+      lines.push(line.slice(0, cut));
+      line = line.slice(cut);
+    }
+  }
+  lines.push(line);
+  return lines;
+}
+
+// A PDF string literal in WinAnsi bytes (as a binary string)
+function pdfString(text) {
+  let out = "";
+  for (const ch of String(text)) {
+    const code = ch.charCodeAt(0);
+    let byte = code < 0x80 || (code >= 0xa0 && code <= 0xff) ? code : WIN_ANSI[ch];
+    if (byte === undefined || ch.length > 1 || code < 32) byte = 0x3f;
+    const c = String.fromCharCode(byte);
+    out += c === "(" || c === ")" || c === "\\" ? `\\${c}` : c;
+  }
+  return `(${out})`;
+}
+
+const bytesToBinary = (bytes) => {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) out += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return out;
+};
+
+/** { width, height, components } from a JPEG's frame header, or null when it is not a JPEG. */
+export function jpegInfo(bytes) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+  let i = 2;
+  while (i + 9 < bytes.length) {
+    if (bytes[i] !== 0xff) return null;
+    const marker = bytes[i + 1];
+    const length = (bytes[i + 2] << 8) | bytes[i + 3];
+    // SOF0–SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return {
+        height: (bytes[i + 5] << 8) | bytes[i + 6],
+        width: (bytes[i + 7] << 8) | bytes[i + 8],
+        components: bytes[i + 9],
+      };
+    }
+    i += 2 + length;
+  }
+  return null;
+}
+
+// JPEG colour components → PDF colour space (CMYK JPEGs from Adobe tools store inverted values)
+const COLOR_SPACES = { 1: "/DeviceGray", 3: "/DeviceRGB", 4: "/DeviceCMYK /Decode [1 0 1 0 1 0 1 0]" };
+
+const num = (n) => String(Math.round(n * 100) / 100);
+const ptX = (mm) => num(mm * PT_PER_MM);
+const ptY = (mm) => num((PAGE_HEIGHT - mm) * PT_PER_MM);
+
+/**
+ * pages: [[operation]] as described above; info: { title, author }.
+ * Returns a Blob of type application/pdf.
+ */
+export function createPdf(pages, info = {}) {
+  const objects = []; // binary strings, object n at index n - 1
+  const add = (body) => objects.push(body); // → the new object's number
+  const reserve = () => add("");
+
+  const catalogId = reserve();
+  const pagesId = reserve();
+  const fontId = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  const boldId = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  const images = new Map(); // jpeg bytes → { name, id }
+
+  const pageIds = pages.map((ops) => {
+    const content = [];
+    for (const op of ops) {
+      if (op.type === "text") {
+        const size = op.size || 11;
+        const x = op.align === "right" ? op.x - textWidth(op.text, size, op.bold) : op.x;
+        content.push(`BT /${op.bold ? "F2" : "F1"} ${size} Tf ${ptX(x)} ${ptY(op.y)} Td ${pdfString(op.text)} Tj ET`);
+      } else if (op.type === "line") {
+        content.push(`${num(op.width || 0.5)} w ${ptX(op.x1)} ${ptY(op.y1)} m ${ptX(op.x2)} ${ptY(op.y2)} l S`);
+      } else if (op.type === "image") {
+        const jpeg = jpegInfo(op.jpeg);
+        if (!jpeg) continue;
+        if (!images.has(op.jpeg)) {
+          const colors = COLOR_SPACES[jpeg.components] || "/DeviceRGB";
+          const id = add(
+            `<< /Type /XObject /Subtype /Image /Width ${jpeg.width} /Height ${jpeg.height} /ColorSpace ${colors} ` +
+              `/BitsPerComponent 8 /Filter /DCTDecode /Length ${op.jpeg.length} >>\nstream\n` +
+              `${bytesToBinary(op.jpeg)}\nendstream`
+          );
+          images.set(op.jpeg, { name: `Im${images.size + 1}`, id });
+        }
+        const { name } = images.get(op.jpeg);
+        const size = `${num(op.w * PT_PER_MM)} 0 0 ${num(op.h * PT_PER_MM)}`;
+        content.push(`q ${size} ${ptX(op.x)} ${ptY(op.y + op.h)} cm /${name} Do Q`);
+      }
+    }
+    const stream = content.join("\n");
+    const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${ptX(PAGE_WIDTH)} ${ptX(PAGE_HEIGHT)}] ` +
+        `/Contents ${contentId} 0 R /Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldId} 0 R >> ` +
+        "/XObject << {images} >> >> >>"
+    );
+  });
+
+  // Every page may use every image (the list is only complete after all pages are laid out)
+  const xobjects = [...images.values()].map((img) => `/${img.name} ${img.id} 0 R`).join(" ");
+  for (const id of pageIds) objects[id - 1] = objects[id - 1].replace("{images}", xobjects);
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  const kids = pageIds.map((id) => `${id} 0 R`).join(" ");
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids}] /Count ${pageIds.length} >>`;
+  const infoId = add(
+    `<< /Producer (Mietakte)${info.title ? ` /Title ${pdfString(info.title)}` : ""}` +
+      `${info.author ? ` /Author ${pdfString(info.author)}` : ""} >>`
+  );
+
+  let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  out += `startxref\n${xref}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(out.length);
+  for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i);
+  return new Blob([bytes], { type: "application/pdf" });
+}
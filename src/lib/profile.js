@@ -0,0 +1,57 @@
+// Shared ToolStack profile (organization, user, language, logo, signature), kept in localStorage next to the
+// Mietakte store. RentIt edits it; the Case File takes the signature image from it for letter PDFs.
+// While passphrase encryption is on the store keeps it sealed instead (getProfile / saveProfile in ./store.js).
+
+export const PROFILE_KEY = "toolstack.profile.v1";
+
+// Largest signature image kept (pixels); it prints about 60 × 20 mm
+const SIGNATURE_MAX = { width: 600, height: 200 };
+
+function safeParse(raw, fallback) {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/** The plaintext profile from localStorage, or the defaults. */
+export function loadProfile() {
+  return (
+    safeParse(localStorage.getItem(PROFILE_KEY), null) || {
+      org: "ToolStack",
+      user: "",
+      language: "EN",
+      logo: "",
+      signature: "", // JPEG data URL (signatureFromFile)
+    }
+  );
+}
+
+/**
+ * An image file scaled down into a JPEG data URL on white (PDF letters embed JPEGs only; transparent areas
+ * of a PNG scan would otherwise turn black).
+ */
+export function signatureFromFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      const scale = Math.min(1, SIGNATURE_MAX.width / img.width, SIGNATURE_MAX.height / img.height);
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(img.width * scale));
+      canvas.height = Math.max(1, Math.round(img.height * scale));
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL("image/jpeg", 0.9));
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("This file is not an image the browser can read."));
+    };
+    img.src = url;
+  });
+}
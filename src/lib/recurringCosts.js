@@ -0,0 +1,123 @@
+// Recurring costs: templates (schema.makeRecurringCost) that fill RentIt's monthly cost rows.
+// - A month's breakdown is the sum of the templates active in it, per category. Rent and utilities
+//   fall back to the rent in effect that month while no template covers them: the rent history
+//   (./rentHistory.js) or, without one, the unit's cold rent and warm − cold rent.
+// - The due date of a row is the earliest due day of its templates (clamped to the month's length).
+// - Months from the first template (or the contract start) up to this month without a row are "missing".
+
+import { rentAt } from "./rentHistory.js";
+import { COST_KEYS, dayInMonth, forUnit, isoMonth, makeCostRow, round2, toNum } from "./schema.js";
+
+// Months shown as missing at most (a contract start years back should not list every month)
+const MAX_MISSING = 36;
+
+export const RECURRING_SOURCES = [
+  { id: "", label: "Fixed amount" },
+  { id: "rentCold", label: "Cold rent (rent history)" },
+  { id: "utilities", label: "Utilities advance (rent history)" },
+];
+
+const isMonth = (m) => /^\d{4}-\d{2}$/.test(String(m || ""));
+
+export function nextMonth(month) {
+  const [y, m] = month.split("-").map(Number);
+  return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, "0")}`;
+}
+
+/** Months from `from` to `to`, both inclusive ("YYYY-MM"). */
+export function monthRange(from, to) {
+  const out = [];
+  if (!isMonth(from) || !isMonth(to)) return out;
+  for (let m = from; m <= to; m = nextMonth(m)) out.push(m);
+  return out;
+}
+
+/** Amount a template contributes in `month` (linked templates follow the rent in effect then). */
+export function recurringAmount(t, unit, month = isoMonth(), changes = []) {
+  if (t.source === "rentCold") return rentAt(unit, changes, month).rentCold;
+  if (t.source === "utilities") return rentAt(unit, changes, month).advances;
+  return toNum(t.amount);
+}
+
+export function isActiveIn(t, month) {
+  return isMonth(t.startMonth) && t.startMonth <= month && (!t.endMonth || month <= t.endMonth);
+}
+
+/**
+ * { rent, utilities, …, custom, dueDate } for a new row in `month`; `changes` is the unit's rent history.
+ * Templates of user-defined categories fill `custom`.
+ */
+export function costsForMonth(unit, templates, month, changes = []) {
+  const active = (templates || []).filter((t) => isActiveIn(t, month));
+  const breakdown = Object.fromEntries(COST_KEYS.map((k) => [k, 0]));
+  const custom = {};
+  for (const t of active) {
+    if (!t.category) continue;
+    const amount = recurringAmount(t, unit, month, changes);
+    if (COST_KEYS.includes(t.category)) breakdown[t.category] = round2(breakdown[t.category] + amount);
+    else custom[t.category] = round2((custom[t.category] || 0) + amount);
+  }
+  const rent = rentAt(unit, changes, month);
+  if (!active.some((t) => t.category === "rent")) breakdown.rent = rent.rentCold;
+  if (!active.some((t) => t.category === "utilities")) breakdown.utilities = rent.advances;
+  return { ...breakdown, custom, dueDate: dueDateFor(active, month) };
+}
+
+// "" lets makeCostRow fall back to the default due day
+function dueDateFor(active, month) {
+  const days = active.map((t) => toNum(t.dueDay)).filter((d) => d >= 1);
+  return days.length ? dayInMonth(month, Math.min(...days)) : "";
+}
+
+/** Months up to `until` (default this month) that have no cost row yet, oldest first. */
+export function missingMonths(unit, templates, costs, until = isoMonth()) {
+  const starts = (templates || []).map((t) => t.startMonth).filter(isMonth);
+  const contractMonth = String(unit?.contractStart || "").slice(0, 7);
+  if (isMonth(contractMonth)) starts.push(contractMonth);
+  if (!starts.length) return [];
+  const have = new Set((costs || []).map((r) => r.month));
+  return monthRange(starts.sort()[0], until)
+    .filter((m) => !have.has(m))
+    .slice(-MAX_MISSING);
+}
+
+/** Months recurring costs should be generated for automatically: after unit.recurringThrough, up to `until`. */
+export function pendingMonths(unit, templates, costs, until = isoMonth()) {
+  if (!(templates || []).length) return [];
+  const through = unit?.recurringThrough || "";
+  return missingMonths(unit, templates, costs, until).filter(
+    (m) => m > through && templates.some((t) => isActiveIn(t, m))
+  );
+}
+
+/** New cost rows for `months`, filled from the templates and the rent history. */
+export function generateCostRows(unit, templates, months, changes = []) {
+  return months.map((month) => makeCostRow(unit.id, { month, ...costsForMonth(unit, templates, month, changes) }));
+}
+
+/**
+ * Shared data with generated rows for those of `months` the unit has no row for yet, and its automatic
+ * generation marker (recurringThrough) moved forward so rows deleted later are flagged as missing instead of
+ * coming back. Works on the data it is given, so applying it twice adds nothing the second time.
+ */
+export function withCostRows(data, unitId, months) {
+  const unit = data.units.find((u) => u.id === unitId);
+  if (!unit) return data;
+  const have = new Set(forUnit(data.costs, unitId).map((r) => r.month));
+  const todo = months.filter((m) => !have.has(m));
+  const through = months.reduce((max, m) => (m > max ? m : max), unit.recurringThrough || "");
+  if (!todo.length && through === (unit.recurringThrough || "")) return data;
+  const rows = generateCostRows(unit, forUnit(data.recurring, unitId), todo, forUnit(data.rentChanges, unitId));
+  return {
+    ...data,
+    costs: [...rows, ...data.costs],
+    units: data.units.map((u) => (u.id === unitId ? { ...u, recurringThrough: through } : u)),
+  };
+}
+
+/** withCostRows for the unit's pendingMonths (months after recurringThrough, up to `until`). */
+export function withPendingCostRows(data, unitId, until = isoMonth()) {
+  const unit = data.units.find((u) => u.id === unitId);
+  const months = pendingMonths(unit, forUnit(data.recurring, unitId), forUnit(data.costs, unitId), until);
+  return months.length ? withCostRows(data, unitId, months) : data;
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { withCostRows, withPendingCostRows } from "./recurringCosts.js";
+import { defaultData, makeCostRow, makeRecurringCost } from "./schema.js";
+
+// One unit with a rent template from January, rows up to February and generation marked through February
+function unitData() {
+  const data = defaultData();
+  const unit = { ...data.units[0], rentCold: 700, rentWarm: 900, recurringThrough: "2024-02" };
+  const rent = makeRecurringCost(unit.id, { category: "rent", amount: 700, startMonth: "2024-01" });
+  const costs = ["2024-01", "2024-02"].map((month) => makeCostRow(unit.id, { month, rent: 700 }));
+  return { ...data, units: [unit], recurring: [rent], costs };
+}
+
+const months = (data) => data.costs.map((r) => r.month).sort();
+
+describe("withPendingCostRows", () => {
+  it("adds the months after recurringThrough and moves the marker", () => {
+    const data = unitData();
+    const next = withPendingCostRows(data, data.units[0].id, "2024-04");
+    expect(months(next)).toEqual(["2024-01", "2024-02", "2024-03", "2024-04"]);
+    expect(next.units[0].recurringThrough).toBe("2024-04");
+  });
+
+  it("adds nothing when applied again (e.g. an effect that runs twice)", () => {
+    const data = unitData();
+    const once = withPendingCostRows(data, data.units[0].id, "2024-04");
+    expect(withPendingCostRows(once, data.units[0].id, "2024-04")).toBe(once);
+  });
+
+  it("does not bring back rows of months the marker already passed", () => {
+    const data = unitData();
+    const deleted = { ...data, costs: data.costs.filter((r) => r.month !== "2024-02") };
+    expect(withPendingCostRows(deleted, data.units[0].id, "2024-02")).toBe(deleted);
+  });
+});
+
+describe("withCostRows", () => {
+  it("skips months that already have a row", () => {
+    const data = unitData();
+    const next = withCostRows(data, data.units[0].id, ["2024-02", "2024-03"]);
+    expect(months(next)).toEqual(["2024-01", "2024-02", "2024-03"]);
+    expect(next.units[0].recurringThrough).toBe("2024-03");
+  });
+});
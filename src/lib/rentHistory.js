@@ -0,0 +1,255 @@
+// Rent history (schema.makeRentChange) and the increase checker.
+// - The rent in effect for a month is the latest change effective on or before the month's first day;
+//   without history it is the unit's rentCold / rentWarm − rentCold.
+// - Comparable-rent increase (§ 558 BGB): the request may come at the earliest 12 months after the last
+//   increase took effect, the new rent applies from the start of the third month after receipt, and it
+//   must have been unchanged for 15 months by then. Within 3 years the rent may rise by at most 20 %
+//   (15 % where a state ordinance says so); modernization (§ 559) and utilities advances do not count.
+// - Index rent (§ 557b BGB): the rent follows the consumer price index (VPI) and applies from the start
+//   of the second month after receipt; it must have been unchanged for a year.
+// - Step rent (§ 557a BGB): steps are set in the lease and at least a year apart.
+// - Modernization (§ 559 BGB): at most 8 % of the costs per year; applies from the start of the third month.
+// A plausibility check for answering a request, not legal advice.
+
+import { addMonths, isoToday, round2, toNum } from "./schema.js";
+
+export const RENT_REASONS = [
+  { id: "initial", label: "Start of lease" },
+  { id: "comparable", label: "Comparable rent (§ 558)" },
+  { id: "index", label: "Index rent (§ 557b)" },
+  { id: "step", label: "Step rent (§ 557a)" },
+  { id: "modernization", label: "Modernization (§ 559)" },
+  { id: "advances", label: "Utilities advances (§ 560)" },
+  { id: "agreement", label: "Agreement" },
+];
+
+export const CAP_CHOICES = [20, 15];
+
+// § 559 Abs. 1 BGB
+const MODERNIZATION_RATE = 0.08;
+
+// Reasons that do not restart the § 558 waiting periods and stay outside the cap
+const OUTSIDE_558 = new Set(["modernization", "advances"]);
+
+/** First day of the n-th month after the month of `iso` ("start of the third month after receipt" = 3). */
+export function startOfMonthAfter(iso, n) {
+  return iso ? addMonths(`${iso.slice(0, 7)}-01`, n) : "";
+}
+
+export function sortChanges(changes) {
+  return [...(changes || [])].sort((a, b) => String(a.effectiveDate).localeCompare(String(b.effectiveDate)));
+}
+
+/** { rentCold, advances, rentWarm, change } in effect on `date` (ISO date or "YYYY-MM"). */
+export function rentAt(unit, changes, date = isoToday()) {
+  const day = date.length === 7 ? `${date}-01` : date;
+  const change = sortChanges(changes)
+    .filter((c) => c.effectiveDate && c.effectiveDate <= day)
+    .pop();
+  if (!change) {
+    const rentCold = toNum(unit?.rentCold);
+    const advances = Math.max(0, round2(toNum(unit?.rentWarm) - rentCold));
+    return { rentCold, advances, rentWarm: round2(rentCold + advances), change: null };
+  }
+  const rentCold = toNum(change.rentCold);
+  const advances = toNum(change.advances);
+  return { rentCold, advances, rentWarm: round2(rentCold + advances), change };
+}
+
+/** The unit with rentCold / rentWarm set to the rent in effect on `date` (unchanged while no change applies). */
+export function syncUnitRent(unit, changes, date = isoToday()) {
+  const { rentCold, rentWarm, change } = rentAt(unit, changes, date);
+  return change ? { ...unit, rentCold, rentWarm } : unit;
+}
+
+/** The last change that counts for § 558 (any cold rent change except modernization/advances), or null. */
+function lastIncrease(changes, before) {
+  return (
+    sortChanges(changes)
+      .filter((c) => c.effectiveDate && c.effectiveDate < before && !OUTSIDE_558.has(c.reason))
+      .pop() || null
+  );
+}
+
+// ===== Consumer price index =====
+
+const MONTH_NAMES = Object.fromEntries(
+  [
+    ["jan januar january", 1],
+    ["feb februar february", 2],
+    ["mär märz maerz mar march", 3],
+    ["apr april", 4],
+    ["mai may", 5],
+    ["jun juni june", 6],
+    ["jul juli july", 7],
+    ["aug august", 8],
+    ["sep sept september", 9],
+    ["okt oktober oct october", 10],
+    ["nov november", 11],
+    ["dez dezember dec december", 12],
+  ].flatMap(([names, n]) => names.split(" ").map((name) => [name, n]))
+);
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function parseIndexValue(s) {
+  const n = Number(String(s).trim().replace(/\s/g, "").replace(",", "."));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Reads a price index table (e.g. a Destatis 61111-0002 CSV export) into { "YYYY-MM": value }.
+ * Understands lines like "2024-01;117,6", "01/2024,117.6", "2024;Januar;117,6" and "Januar 2024;117,6";
+ * everything else (headers, notes) is skipped.
+ */
+export function parseCpiTable(text) {
+  const values = {};
+  for (const line of String(text || "").split(/\r?\n/)) {
+    // Semicolon/tab separated files use the decimal comma; otherwise the comma separates the cells
+    const separator = /[;\t]/.test(line) ? /[;\t]/ : /,|\s{2,}/;
+    const cells = line.split(separator).map((c) => c.trim().replace(/^"|"$/g, "")).filter(Boolean);
+    if (cells.length < 2) continue;
+    let month = null;
+    let rest = cells;
+    let m;
+    if ((m = /^(\d{4})-(\d{1,2})$/.exec(cells[0]))) month = `${m[1]}-${pad2(m[2])}`;
+    else if ((m = /^(\d{1,2})[/.](\d{4})$/.exec(cells[0]))) month = `${m[2]}-${pad2(m[1])}`;
+    else if ((m = /^(\d{4})$/.exec(cells[0])) && MONTH_NAMES[cells[1]?.toLowerCase()]) {
+      month = `${m[1]}-${pad2(MONTH_NAMES[cells[1].toLowerCase()])}`;
+      rest = cells.slice(1);
+    } else if ((m = /^([\p{L}]+)\.?\s+(\d{4})$/u.exec(cells[0])) && MONTH_NAMES[m[1].toLowerCase()]) {
+      month = `${m[2]}-${pad2(MONTH_NAMES[m[1].toLowerCase()])}`;
+    }
+    if (!month) continue;
+    const value = rest.slice(1).map(parseIndexValue).find((v) => v !== null);
+    const monthNo = Number(month.slice(5));
+    if (value && monthNo >= 1 && monthNo <= 12) values[month] = value;
+  }
+  return values;
+}
+
+/** Latest month in an index table, or "". */
+export function latestCpiMonth(values) {
+  return Object.keys(values || {}).sort().pop() || "";
+}
+
+// ===== Increase checker =====
+
+/**
+ * request: { type: comparable | index | step | modernization, receivedDate, effectiveDate, newRent,
+ *            cpiFrom, cpiTo (months), modernizationCost (the unit's share) }
+ * Returns { current, earliestEffective, maxRent (null when there is no limit to compute), increase,
+ *           percent, checks: [{ level: ok | warning | error | info, message }] }
+ */
+export function checkRentIncrease(request, { unit, changes, cpi, capPercent = 20 }) {
+  const checks = [];
+  const received = request.receivedDate || isoToday();
+  const current = rentAt(unit, changes, received);
+  const newRent = toNum(request.newRent);
+  const increase = round2(newRent - current.rentCold);
+  const percent = current.rentCold ? round2((increase / current.rentCold) * 100) : 0;
+  const firstMonth = { comparable: 3, modernization: 3, index: 2, step: 0 }[request.type] ?? 3;
+  const earliestEffective = firstMonth ? startOfMonthAfter(received, firstMonth) : "";
+  const effective = request.effectiveDate || earliestEffective || received;
+  const previous = lastIncrease(changes, effective);
+  const since = previous?.effectiveDate || unit?.contractStart || "";
+  let maxRent = null;
+
+  const ok = (message) => checks.push({ level: "ok", message });
+  const fail = (message) => checks.push({ level: "error", message });
+  const warn = (message) => checks.push({ level: "warning", message });
+  const info = (message) => checks.push({ level: "info", message });
+
+  if (!current.rentCold) warn("No current cold rent — add the rent history or the unit's cold rent first.");
+  if (earliestEffective && effective < earliestEffective) {
+    fail(`The new rent can apply from ${earliestEffective} at the earliest (requested: ${effective}).`);
+  } else if (earliestEffective) {
+    ok(`Takes effect ${effective} (earliest possible: ${earliestEffective}).`);
+  }
+
+  if (request.type === "comparable") {
+    if (since) {
+      const requestFrom = addMonths(since, 12);
+      const unchangedUntil = addMonths(since, 15);
+      if (received < requestFrom) {
+        fail(`A request is only allowed from ${requestFrom}, 12 months after the last increase (§ 558 Abs. 1 S. 2).`);
+      } else {
+        ok(`Request at least 12 months after the last increase (${since}).`);
+      }
+      if (effective < unchangedUntil) {
+        fail(`The rent must stay unchanged for 15 months: not before ${unchangedUntil} (§ 558 Abs. 1 S. 1).`);
+      } else {
+        ok(`Rent unchanged for 15 months when the increase applies (since ${since}).`);
+      }
+    } else {
+      warn("Enter the contract start or the rent history to check the waiting periods.");
+    }
+    // Kappungsgrenze: base is the rent three years before the increase, modernization increases come on top
+    const windowStart = addMonths(effective, -36);
+    const base = rentAt(unit, changes, windowStart).rentCold;
+    const sorted = sortChanges(changes);
+    const modernization = sorted
+      .filter((c) => c.reason === "modernization" && c.effectiveDate > windowStart && c.effectiveDate < effective)
+      .reduce((sum, c) => {
+        const before = rentAt(unit, sorted.filter((x) => x.effectiveDate < c.effectiveDate), c.effectiveDate);
+        return sum + Math.max(0, toNum(c.rentCold) - before.rentCold);
+      }, 0);
+    if (base) {
+      maxRent = round2(base * (1 + capPercent / 100) + modernization);
+      if (newRent > maxRent) {
+        fail(
+          `Above the ${capPercent} % cap: at most ${maxRent.toFixed(2)} ` +
+            `(3 years earlier: ${base.toFixed(2)}, § 558 Abs. 3).`
+        );
+      } else {
+        ok(`Within the ${capPercent} % cap (at most ${maxRent.toFixed(2)}).`);
+      }
+    }
+    info("The new rent must also not exceed the local comparative rent (Mietspiegel) — check it separately.");
+  }
+
+  if (request.type === "index") {
+    if (since && effective < addMonths(since, 12)) {
+      fail(`Index rent must stay unchanged for a year: not before ${addMonths(since, 12)} (§ 557b Abs. 2).`);
+    } else if (since) {
+      ok(`Rent unchanged for at least a year (since ${since}).`);
+    }
+    const from = toNum(cpi?.[request.cpiFrom]);
+    const to = toNum(cpi?.[request.cpiTo]);
+    if (from && to) {
+      maxRent = round2((current.rentCold * to) / from);
+      const change = round2((to / from - 1) * 100);
+      info(`Index ${request.cpiFrom}: ${from} → ${request.cpiTo}: ${to} (${change > 0 ? "+" : ""}${change} %).`);
+      if (newRent > maxRent + 0.005) fail(`The index allows at most ${maxRent.toFixed(2)}.`);
+      else ok(`Matches the index change (at most ${maxRent.toFixed(2)}).`);
+    } else {
+      warn("Import the price index table and choose both index months to check the amount.");
+    }
+  }
+
+  if (request.type === "step") {
+    if (since && effective < addMonths(since, 12)) {
+      fail(`Steps must be at least a year apart: not before ${addMonths(since, 12)} (§ 557a Abs. 2).`);
+    } else if (since) {
+      ok(`At least a year since the last change (${since}).`);
+    }
+    info("The amount or the increase of each step must be stated in the lease — compare it there.");
+  }
+
+  if (request.type === "modernization") {
+    const cost = toNum(request.modernizationCost);
+    if (cost) {
+      maxRent = round2(current.rentCold + (cost * MODERNIZATION_RATE) / 12);
+      if (newRent > maxRent) {
+        fail(`8 % of the costs per year allow at most ${maxRent.toFixed(2)} per month (§ 559 Abs. 1).`);
+      } else {
+        ok(`Within 8 % of the costs per year (at most ${maxRent.toFixed(2)}).`);
+      }
+    } else {
+      warn("Enter your share of the modernization costs to check the amount.");
+    }
+    info("Deduct saved maintenance costs; within 6 years the increase is capped at 3 €/m² (2 €/m² below 7 €/m²).");
+  }
+
+  return { current, earliestEffective, effective, maxRent, increase, percent, since, checks };
+}
@@ -0,0 +1,115 @@
+import { describe, expect, it } from "vitest";
+import { checkRentIncrease, latestCpiMonth, parseCpiTable, rentAt, startOfMonthAfter } from "./rentHistory.js";
+
+const unit = { rentCold: 700, rentWarm: 900, contractStart: "2020-01-01" };
+const changes = [
+  { id: "r2", effectiveDate: "2022-05-01", rentCold: 750, advances: 200, reason: "comparable" },
+  { id: "r1", effectiveDate: "2020-01-01", rentCold: 700, advances: 200, reason: "initial" },
+];
+
+const levels = (result) => result.checks.map((c) => c.level);
+const check = (request, context = {}) => checkRentIncrease(request, { unit, changes, ...context });
+
+describe("rentAt", () => {
+  it("takes the unit's rent while there is no history", () => {
+    expect(rentAt(unit, [], "2024-01")).toEqual({ rentCold: 700, advances: 200, rentWarm: 900, change: null });
+  });
+
+  it("takes the latest change effective on the day (months count from their first day)", () => {
+    expect(rentAt(unit, changes, "2022-04").rentCold).toBe(700);
+    expect(rentAt(unit, changes, "2022-05").rentCold).toBe(750);
+    expect(rentAt(unit, changes, "2022-04-30").change.id).toBe("r1");
+  });
+});
+
+describe("startOfMonthAfter", () => {
+  it("is the first day of the n-th month after the month of the date", () => {
+    expect(startOfMonthAfter("2023-11-30", 3)).toBe("2024-02-01");
+    expect(startOfMonthAfter("", 3)).toBe("");
+  });
+});
+
+describe("checkRentIncrease — comparable rent (§ 558)", () => {
+  it("refuses a request within 12 months and a rent change within 15 months of the last increase", () => {
+    const result = check({ type: "comparable", receivedDate: "2023-03-10", newRent: 800 });
+    expect(result.earliestEffective).toBe("2023-06-01");
+    expect(result.since).toBe("2022-05-01");
+    expect(levels(result)).toEqual(["ok", "error", "error", "ok", "info"]);
+    expect(result.checks[1].message).toContain("only allowed from 2023-05-01");
+    expect(result.checks[2].message).toContain("not before 2023-08-01");
+  });
+
+  it("caps the rise at 20 % (or 15 %) of the rent three years before", () => {
+    const request = { type: "comparable", receivedDate: "2023-06-10", newRent: 850 };
+    const result = check(request);
+    expect(result.effective).toBe("2023-09-01");
+    expect([result.maxRent, result.increase, result.percent]).toEqual([840, 100, 13.33]);
+    expect(levels(result)).toEqual(["ok", "ok", "ok", "error", "info"]);
+    expect(check(request, { capPercent: 15 }).maxRent).toBe(805);
+    expect(levels(check({ ...request, newRent: 840 }))).not.toContain("error");
+  });
+
+  it("adds modernization increases on top of the cap and does not restart the waiting periods with them", () => {
+    const modernized = [
+      { effectiveDate: "2020-01-01", rentCold: 700, reason: "initial" },
+      { effectiveDate: "2021-03-01", rentCold: 760, reason: "modernization" },
+    ];
+    const result = check({ type: "comparable", receivedDate: "2023-06-10", newRent: 900 }, { changes: modernized });
+    expect(result.since).toBe("2020-01-01");
+    expect(result.maxRent).toBe(900);
+    expect(levels(result)).not.toContain("error");
+  });
+
+  it("refuses a new rent before the start of the third month after receipt", () => {
+    const result = check({ type: "comparable", receivedDate: "2023-06-10", effectiveDate: "2023-08-01", newRent: 800 });
+    expect(result.checks[0]).toEqual({
+      level: "error",
+      message: "The new rent can apply from 2023-09-01 at the earliest (requested: 2023-08-01).",
+    });
+  });
+});
+
+describe("checkRentIncrease — index, modernization", () => {
+  const cpi = { "2022-01": 100, "2023-01": 110 };
+
+  it("follows the price index change from the start of the second month", () => {
+    const result = check(
+      { type: "index", receivedDate: "2023-06-10", newRent: 830, cpiFrom: "2022-01", cpiTo: "2023-01" },
+      { cpi }
+    );
+    expect(result.earliestEffective).toBe("2023-08-01");
+    expect(result.maxRent).toBe(825);
+    expect(result.checks.at(-1)).toEqual({ level: "error", message: "The index allows at most 825.00." });
+  });
+
+  it("asks for the index table when the months are missing", () => {
+    const result = check({ type: "index", receivedDate: "2023-06-10", newRent: 800 });
+    expect(result.maxRent).toBeNull();
+    expect(levels(result)).toContain("warning");
+  });
+
+  it("allows 8 % of the modernization costs per year", () => {
+    const result = check({ type: "modernization", receivedDate: "2023-06-10", newRent: 850, modernizationCost: 15000 });
+    expect(result.maxRent).toBe(850);
+    expect(levels(result)).toEqual(["ok", "ok", "info"]);
+  });
+});
+
+describe("parseCpiTable", () => {
+  it("reads the month formats of common index exports and skips everything else", () => {
+    const values = parseCpiTable(
+      [
+        "Verbraucherpreisindex: Deutschland, Monate",
+        "Jahr;Monat;Wert",
+        "2024-01;117,6",
+        "02/2024,117.8",
+        "2024;März;118,1",
+        "Mai 2024;118,7",
+        "2024-13;120,0",
+        "2024-06;",
+      ].join("\n")
+    );
+    expect(values).toEqual({ "2024-01": 117.6, "2024-02": 117.8, "2024-03": 118.1, "2024-05": 118.7 });
+    expect(latestCpiMonth(values)).toBe("2024-05");
+  });
+});
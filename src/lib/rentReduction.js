@@ -0,0 +1,102 @@
+// Rent reduction (Mietminderung, § 536 BGB) calculator.
+// - A defect counts from its startDate to its resolvedDate, both inclusive; a defect that is still open
+//   counts up to `until` (default today). Defects without a start date or percentage are ignored.
+// - The rent is reduced per day: a month with 31 days loses 1/31 of the reduction for every affected day.
+// - Overlapping defects combine as 1 − (1 − a)(1 − b)…: each further defect reduces what is left of the
+//   usability, so the total stays below 100 % instead of simply adding up.
+// - The base is the warm rent (Bruttomiete) of the month, see warmRentForMonth().
+
+import { rentAt } from "./rentHistory.js";
+import { forUnit, isOpenDefect, isoToday, round2, toNum } from "./schema.js";
+
+const DAY_MS = 86400000;
+
+function parseDay(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(iso || ""));
+  return m ? Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+const dayIso = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+function daysInMonth(ms) {
+  const d = new Date(ms);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+/** { from, to } (ISO dates) during which the defect reduces the rent, or null. */
+export function defectPeriod(d, until = isoToday()) {
+  const from = parseDay(d?.startDate);
+  const percent = Math.min(100, Math.max(0, toNum(d?.impactPercent)));
+  if (from === null || !percent) return null;
+  const end = isOpenDefect(d) ? parseDay(until) : (parseDay(d.resolvedDate) ?? parseDay(until));
+  if (end === null || end < from) return null;
+  return { from: dayIso(from), to: dayIso(end), percent };
+}
+
+/**
+ * Warm rent for a month ("YYYY-MM"): rent + utilities of that month's cost row if there is one,
+ * otherwise the warm rent in effect then (rent history `changes`, or the unit's warm rent).
+ */
+export function warmRentForMonth(unit, costs, changes = []) {
+  const byMonth = new Map();
+  for (const r of forUnit(costs, unit?.id)) {
+    const warm = toNum(r.rent) + toNum(r.utilities);
+    if (warm > 0) byMonth.set(r.month, warm);
+  }
+  return (month) => byMonth.get(month) ?? rentAt(unit, changes, month).rentWarm;
+}
+
+/**
+ * Month-by-month reduction for `defects`. rentForMonth(month) gives the base rent.
+ * Returns {
+ *   periods: [{ defect, from, to, percent, days }],
+ *   months:  [{ month, days, daysInMonth, percent, rent, reduction, owed, defectIds }],
+ *   total:   { rent, reduction, owed }
+ * } — months only where at least one day is affected; percent is the month's effective rate.
+ */
+export function calcRentReduction(defects, { rentForMonth, until = isoToday() } = {}) {
+  const periods = [];
+  for (const defect of defects || []) {
+    const p = defectPeriod(defect, until);
+    if (p) periods.push({ defect, ...p, days: Math.round((parseDay(p.to) - parseDay(p.from)) / DAY_MS) + 1 });
+  }
+  if (!periods.length) return { periods, months: [], total: { rent: 0, reduction: 0, owed: 0 } };
+
+  const ranges = periods.map((p) => ({ id: p.defect.id, from: parseDay(p.from), to: parseDay(p.to), rate: p.percent / 100 }));
+  const first = Math.min(...ranges.map((r) => r.from));
+  const last = Math.max(...ranges.map((r) => r.to));
+
+  const byMonth = new Map();
+  for (let day = first; day <= last; day += DAY_MS) {
+    const active = ranges.filter((r) => r.from <= day && day <= r.to);
+    if (!active.length) continue;
+    const rate = 1 - active.reduce((left, r) => left * (1 - r.rate), 1);
+    const month = dayIso(day).slice(0, 7);
+    if (!byMonth.has(month)) byMonth.set(month, { month, days: 0, daysInMonth: daysInMonth(day), rateSum: 0, ids: new Set() });
+    const m = byMonth.get(month);
+    m.days += 1;
+    m.rateSum += rate;
+    active.forEach((r) => m.ids.add(r.id));
+  }
+
+  const months = [...byMonth.values()].map(({ month, days, daysInMonth: dim, rateSum, ids }) => {
+    const rent = toNum(rentForMonth ? rentForMonth(month) : 0);
+    const share = rateSum / dim;
+    const reduction = round2(rent * share);
+    return {
+      month,
+      days,
+      daysInMonth: dim,
+      percent: round2(share * 100),
+      rent,
+      reduction,
+      owed: round2(rent - reduction),
+      defectIds: [...ids],
+    };
+  });
+  const total = months.reduce(
+    (t, m) => ({ rent: round2(t.rent + m.rent), reduction: round2(t.reduction + m.reduction), owed: round2(t.owed + m.owed) }),
+    { rent: 0, reduction: 0, owed: 0 }
+  );
+  return { periods, months, total };
+}
@@ -0,0 +1,79 @@
+// Minimal client-side router (History API) shared by the ToolStack shell.
+// - usePath() re-renders on navigate() and on browser back/forward
+// - matchPath() supports ":param" and optional ":param?" segments
+// - hrefFor() turns an app path into a link URL under the base the app is served from
+
+import { useSyncExternalStore } from "react";
+
+const BASE = String(import.meta.env?.BASE_URL || "/").replace(/\/+$/, "");
+
+const listeners = new Set();
+
+function emit() {
+  listeners.forEach((fn) => fn());
+}
+
+function subscribe(fn) {
+  listeners.add(fn);
+  window.addEventListener("popstate", fn);
+  return () => {
+    listeners.delete(fn);
+    window.removeEventListener("popstate", fn);
+  };
+}
+
+function currentPath() {
+  const path = window.location.pathname;
+  const local = BASE && path.startsWith(BASE) ? path.slice(BASE.length) : path;
+  return local || "/";
+}
+
+export function usePath() {
+  return useSyncExternalStore(subscribe, currentPath, () => "/");
+}
+
+/** Link URL of an app path ("/casefile" → "/tools/mietakte/casefile" when served from a sub-path). */
+export function hrefFor(path) {
+  return `${BASE}${path.startsWith("/") ? path : `/${path}`}`;
+}
+
+export function navigate(path, { replace = false } = {}) {
+  const target = hrefFor(path);
+  if (target === window.location.pathname) return;
+  if (replace) window.history.replaceState({}, "", target);
+  else window.history.pushState({}, "", target);
+  emit();
+}
+
+/**
+ * Returns the decoded params for `pattern` (e.g. "/casefile/:caseId?/:tab?") or null. A segment that is not
+ * valid percent-encoding (a hand-typed "/casefile/%E0") does not match either.
+ */
+export function matchPath(pattern, path) {
+  const want = pattern.split("/").filter(Boolean);
+  const got = String(path || "").split("/").filter(Boolean);
+  if (got.length > want.length) return null;
+
+  const params = {};
+  for (let i = 0; i < want.length; i++) {
+    const seg = want[i];
+    const value = got[i];
+    if (seg.startsWith(":")) {
+      const optional = seg.endsWith("?");
+      const name = seg.slice(1, optional ? -1 : undefined);
+      if (value === undefined) {
+        if (!optional) return null;
+        params[name] = null;
+        continue;
+      }
+      try {
+        params[name] = decodeURIComponent(value);
+      } catch {
+        return null;
+      }
+    } else if (seg !== value) {
+      return null;
+    }
+  }
+  return params;
+}
@@ -0,0 +1,22 @@
+import { describe, expect, it } from "vitest";
+import { hrefFor, matchPath } from "./router.js";
+
+describe("matchPath", () => {
+  it("decodes params and fills missing optional ones with null", () => {
+    expect(matchPath("/casefile/:caseId?/:tab?", "/casefile/case%201")).toEqual({ caseId: "case 1", tab: null });
+    expect(matchPath("/rentit/:tab?", "/casefile")).toBeNull();
+  });
+
+  it("treats a segment with a broken escape as not matching", () => {
+    expect(matchPath("/casefile/:caseId?/:tab?", "/casefile/%E0")).toBeNull();
+    expect(matchPath("/restore/:snapshotId?", "/restore/%")).toBeNull();
+  });
+});
+
+describe("hrefFor", () => {
+  it("prefixes app paths with the base URL", () => {
+    const base = import.meta.env.BASE_URL.replace(/\/+$/, "");
+    expect(hrefFor("/casefile")).toBe(`${base}/casefile`);
+    expect(hrefFor("rentit")).toBe(`${base}/rentit`);
+  });
+});
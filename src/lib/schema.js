@@ -0,0 +1,568 @@
+// Mietakte shared schema — one data model for RentIt and the Landlord Case File.
+//
+// Top-level collections are flat arrays; records point at their owner by id:
+//   units[]      tenancy: address, landlord contact, tenant, baseline rent figures
+//   cases[]      case file on a unit            (unitId)
+//   costs[]      monthly cost rows              (unitId)
+//   recurring[]  recurring cost templates       (unitId)
+//   utilityBills[] yearly utility statements    (unitId)
+//   rentChanges[] rent history                  (unitId)
+//   deposits[]   deposit ledger, one per unit   (unitId)
+//   meters[]     meters with their readings     (unitId)
+//   defects[]    RentIt "issues" / case defects (unitId)
+//   incidents[]  timeline entries               (unitId)
+//   evidence[]   evidence refs + documents      (unitId)
+//   letters[]    letters and their sending      (caseId)
+
+export const APP_ID = "mietakte";
+// Bump together with a new step in ./migrations.js
+export const SCHEMA_VERSION = 15;
+
+// Collections whose records carry `attachments` (files in the blob store)
+export const ATTACHMENT_COLLECTIONS = ["incidents", "letters"];
+
+export const COLLECTIONS = [
+  "units",
+  "cases",
+  "costs",
+  "recurring",
+  "utilityBills",
+  "rentChanges",
+  "deposits",
+  "meters",
+  "defects",
+  "incidents",
+  "evidence",
+  "letters",
+];
+
+/** Singular record names for messages ("Delete cost row"). */
+export const RECORD_NAMES = {
+  units: "unit",
+  cases: "case",
+  costs: "cost row",
+  recurring: "recurring cost",
+  utilityBills: "utility bill",
+  rentChanges: "rent change",
+  deposits: "deposit",
+  meters: "meter",
+  defects: "issue",
+  incidents: "incident",
+  evidence: "evidence",
+  letters: "letter",
+};
+
+export function uid(prefix = "id") {
+  return (
+    globalThis.crypto?.randomUUID?.() ||
+    `${prefix}-${Date.now()}-${Math.random().toString(16).slice(2)}`
+  );
+}
+
+export function toNum(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function round2(n) {
+  return Math.round(toNum(n, 0) * 100) / 100;
+}
+
+export function isoToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export function isoMonth() {
+  return isoToday().slice(0, 7);
+}
+
+/** ISO date `n` months after `iso` (end-of-month safe: Jan 31 + 1 month = Feb 28/29); "" for invalid dates. */
+export function addMonths(iso, n) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(iso || ""));
+  if (!m) return "";
+  const target = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1 + n, 1));
+  const last = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(Number(m[3]), last));
+  return target.toISOString().slice(0, 10);
+}
+
+/** Records carry createdAt + updatedAt; updatedAt falls back to createdAt for new records. */
+function withTimestamps(record) {
+  const createdAt = record.createdAt || new Date().toISOString();
+  return { ...record, createdAt, updatedAt: record.updatedAt || createdAt };
+}
+
+// Rent is due by the third working day (§ 556b BGB); the 3rd is the default due day of a month
+export const DEFAULT_DUE_DAY = 3;
+
+/** "YYYY-MM-DD" for `day` of `month`, clamped to the month's last day. */
+export function dayInMonth(month, day) {
+  const [y, m] = String(month).split("-").map(Number);
+  if (!y || !m) return "";
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return `${month}-${String(Math.min(Math.max(1, toNum(day, 1)), last)).padStart(2, "0")}`;
+}
+
+// Built-in cost categories: top-level fields of a cost row. Other modules rely on their ids (rent and utilities
+// follow the rent history, meters read electricity), so they can be renamed and archived but not removed.
+export const COST_KEYS = ["rent", "utilities", "electricity", "internet", "parking", "furniture", "other"];
+
+export const DEFAULT_CATEGORIES = [
+  { id: "rent", label: "Rent", color: "#10b981" },
+  { id: "utilities", label: "Utilities", color: "#84cc16" },
+  { id: "electricity", label: "Electricity", color: "#f59e0b" },
+  { id: "internet", label: "Internet", color: "#3b82f6" },
+  { id: "parking", label: "Parking", color: "#8b5cf6" },
+  { id: "furniture", label: "Furniture", color: "#ec4899" },
+  { id: "other", label: "Other", color: "#737373" },
+].map((c) => ({ ...c, archived: false }));
+
+/** A user-defined cost category; its amounts live in costRow.custom[id]. */
+export function makeCategory(patch = {}) {
+  return { id: uid("cat"), label: "", color: "#0ea5e9", archived: false, ...patch };
+}
+
+/** settings.categories in their order; built-in categories missing from the list are appended. */
+export function costCategories(settings) {
+  const list = (Array.isArray(settings?.categories) ? settings.categories : []).filter((c) => c?.id);
+  const missing = DEFAULT_CATEGORIES.filter((d) => !list.some((c) => c.id === d.id));
+  return [...list, ...missing].map((c) => {
+    const builtIn = DEFAULT_CATEGORIES.find((d) => d.id === c.id);
+    const label = c.label || builtIn?.label || "Unnamed";
+    return { ...(builtIn || {}), archived: false, ...c, label, builtIn: !!builtIn };
+  });
+}
+
+/** Amount of category `id` in a cost row (built-in field or row.custom). */
+export function categoryAmount(row, id) {
+  return toNum(COST_KEYS.includes(id) ? row?.[id] : row?.custom?.[id]);
+}
+
+/** Patch that sets category `id` of `row` to `value`. */
+export function categoryPatch(row, id, value) {
+  return COST_KEYS.includes(id) ? { [id]: value } : { custom: { ...(row.custom || {}), [id]: value } };
+}
+
+/** Exchange rate: 1 unit of `currency` = `rate` units of settings.currency, as of `date`. */
+export function makeExchangeRate(patch = {}) {
+  return { id: uid("fx"), currency: "", rate: 1, date: isoToday(), ...patch };
+}
+
+/** A bank import rule: transactions from `iban` and/or mentioning `text` belong to `unitId` (./bankImport.js). */
+export function makeBankRule(patch = {}) {
+  return { id: uid("rule"), label: "", iban: "", text: "", unitId: "", tolerance: 0, ...patch };
+}
+
+/** A user letter template (settings.letterTemplates, ./letterTemplates.js); `versions` holds earlier saves. */
+export function makeLetterTemplate(patch = {}) {
+  return {
+    id: uid("tpl"),
+    name: "",
+    subject: "", // German text (binding)
+    body: "",
+    en: { subject: "", body: "" }, // English translation ("" = none)
+    version: 1,
+    versions: [], // [{ version, savedAt, name, subject, body, en }], newest first
+    updatedAt: new Date().toISOString(),
+    ...patch,
+  };
+}
+
+export function makeUnit(patch = {}) {
+  return withTimestamps({
+    id: uid("u"),
+    label: "",
+    address: "",
+    tenantName: "",
+    landlordName: "",
+    landlordEmail: "",
+    landlordAddress: "",
+    landlordPhone1: "",
+    landlordPhone2: "",
+    agentName: "",
+    contractStart: "",
+    contractType: "",
+    rentWarm: 0,
+    rentCold: 0,
+    deposit: 0,
+    notes: "",
+    recurringThrough: "", // last month recurring costs were generated for automatically (YYYY-MM)
+    capPercent: 20, // § 558 Abs. 3 BGB cap on comparable-rent increases within 3 years (15 in some cities)
+    createdAt: new Date().toISOString(),
+    ...patch,
+  });
+}
+
+/**
+ * Derived fields: total (built-in and custom categories, archived ones included), paidAmount (sum of payments),
+ * outstanding and paid (something was due and nothing is left to pay; rows without amounts are not paid).
+ * All in the row's currency.
+ */
+export function recalcCostRow(row) {
+  const custom = Object.values(row.custom || {}).reduce((s, v) => s + toNum(v), 0);
+  const total = round2(COST_KEYS.reduce((s, k) => s + toNum(row[k]), 0) + custom);
+  const paidAmount = round2((row.payments || []).reduce((s, p) => s + toNum(p.amount), 0));
+  const outstanding = round2(total - paidAmount);
+  return { ...row, total, paidAmount, outstanding, paid: total > 0 && outstanding <= 0 };
+}
+
+/** One payment towards a cost row. method: see PAYMENT_METHODS in ./payments.js */
+export function makePayment(patch = {}) {
+  return {
+    id: uid("pay"),
+    date: isoToday(),
+    amount: 0,
+    method: "transfer",
+    reference: "",
+    importId: "", // bank transaction the payment was imported from (see ./bankImport.js)
+    ...patch,
+  };
+}
+
+export function makeCostRow(unitId, patch = {}) {
+  const row = {
+    id: uid("c"),
+    unitId,
+    month: isoMonth(),
+    ...Object.fromEntries(COST_KEYS.map((k) => [k, 0])),
+    custom: {}, // amounts of user-defined categories by category id
+    currency: "", // "" = settings.currency
+    total: 0,
+    dueDate: "",
+    payments: [],
+    note: "",
+    ...patch,
+  };
+  return withTimestamps(recalcCostRow({ ...row, dueDate: row.dueDate || dayInMonth(row.month, DEFAULT_DUE_DAY) }));
+}
+
+/**
+ * Recurring cost template: fills `category` of every monthly row from startMonth to endMonth ("" = open-ended).
+ * source: "" (fixed amount) | "rentCold" | "utilities" (the unit's warm minus cold rent) — linked amounts
+ * follow the unit's rent figures.
+ */
+export function makeRecurringCost(unitId, patch = {}) {
+  return withTimestamps({
+    id: uid("rc"),
+    unitId,
+    label: "",
+    category: "rent",
+    amount: 0,
+    source: "",
+    startMonth: isoMonth(),
+    endMonth: "",
+    dueDay: 3,
+    createdAt: new Date().toISOString(),
+    ...patch,
+  });
+}
+
+/**
+ * Yearly utility statement (Nebenkostenabrechnung) as the landlord sent it. Items are the bill's cost lines:
+ * category (see UTILITY_CATEGORIES in ./utilityBill.js), building total, allocation key and the basis figures.
+ */
+export function makeUtilityBill(unitId, patch = {}) {
+  const year = Number(isoToday().slice(0, 4)) - 1;
+  return withTimestamps({
+    id: uid("ub"),
+    unitId,
+    periodStart: `${year}-01-01`,
+    periodEnd: `${year}-12-31`,
+    receivedDate: "",
+    statedAdvances: "", // advances according to the bill ("" = not stated)
+    statedBalance: "", // back-payment (+) or refund (−) according to the bill
+    items: [],
+    notes: "",
+    createdAt: new Date().toISOString(),
+    ...patch,
+  });
+}
+
+/**
+ * One entry of the rent history: the cold rent and utilities advances from effectiveDate on.
+ * reason: see RENT_REASONS in ./rentHistory.js; indexMonth is the price index month an index rent is based on.
+ */
+export function makeRentChange(unitId, patch = {}) {
+  return withTimestamps({
+    id: uid("rh"),
+    unitId,
+    effectiveDate: isoToday(),
+    rentCold: 0,
+    advances: 0,
+    reason: "agreement",
+    indexMonth: "",
+    note: "",
+    createdAt: new Date().toISOString(),
+    ...patch,
+  });
+}
+
+/**
+ * Deposit ledger of a unit (the agreed amount stays unit.deposit). form: see DEPOSIT_FORMS in ./deposit.js.
+ * instalments and returns are payments ({ date, amount, note }), rates the savings rates ({ from, rate }),
+ * retentionMonths the period the landlord claims for checking ("" = not stated).
+ */
+export function makeDeposit(unitId, patch = {}) {
+  return withTimestamps({
+    id: uid("dep"),
+    unitId,
+    form: "cash",
+    bank: "",
+    accountRef: "",
+    instalments: [],
+    rates: [],
+    handoverDate: "",
+    retentionMonths: "",
+    deductions: [],
+    returns: [],
+    refundAccount: "",
+    notes: "",
+    createdAt: new Date().toISOString(),
+    ...patch,
+  });
+}
+
+export function makeDepositPayment(patch = {}) {
+  return { id: uid("dp"), date: isoToday(), amount: 0, note: "", ...patch };
+}
+
+export function makeSavingsRate(patch = {}) {
+  return { id: uid("sr"), from: isoToday(), rate: 0, ...patch };
+}
+
+/** kind: see DEDUCTION_KINDS in ./deposit.js; accepted = the tenant agrees with it */
+export function makeDeduction(patch = {}) {
+  return { id: uid("dd"), kind: "damage", label: "", amount: 0, accepted: false, ...patch };
+}
+
+/**
+ * A meter of the unit. kind: see METER_KINDS in ./meters.js; factor converts the meter's unit into the billed
+ * one (gas: kWh per m³ from the bill), price is per billed unit and baseFee per month. periodStart opens the
+ * supplier's billing year; advance is the monthly advance for this meter ("" = the costCategory amount of the
+ * latest cost row).
+ */
+export function makeMeter(unitId, patch = {}) {
+  return withTimestamps({
+    id: uid("m"),
+    unitId,
+    kind: "electricity",
+    label: "",
+    number: "",
+    factor: 1,
+    price: 0,
+    baseFee: 0,
+    periodStart: `${isoToday().slice(0, 4)}-01-01`,
+    advance: "",
+    costCategory: "electricity",
+    readings: [],
+    notes: "",
+    createdAt: new Date().toISOString(),
+    ...patch,
+  });
+}
+
+/** photoRef points at an evidence ref ("Photo 12") */
+export function makeMeterReading(patch = {}) {
+  return { id: uid("mr"), date: isoToday(), value: "", photoRef: "", note: "", ...patch };
+}
+
+/** allocation: area | persons | consumption | units | direct (unitBasis is then this unit's amount) */
+export function makeBillItem(patch = {}) {
+  return {
+    id: uid("bi"),
+    category: "water",
+    label: "",
+    totalCost: 0,
+    allocation: "area",
+    totalBasis: 0,
+    unitBasis: 0,
+    ...patch,
+  };
+}
+
+/** Defect = RentIt issue. status: open | in-progress | resolved */
+export function makeDefect(unitId, patch = {}) {
+  return withTimestamps({
+    id: uid("is"),
+    unitId,
+    title: "",
+    category: "Other",
+    room: "",
+    severity: "medium", // low | medium | high
+    status: "open",
+    startDate: "",
+    resolvedDate: "", // set when status becomes resolved; ends the rent reduction period
+    impactPercent: 0,
+    details: "",
+    notified: "no", // no | yes
+    evidenceRef: "",
+    createdAt: new Date().toISOString(),
+    ...patch,
+  });
+}
+
+/** urgency: open | urgent | resolved */
+export function makeIncident(unitId, patch = {}) {
+  return withTimestamps({
+    id: uid("in"),
+    unitId,
+    date: isoToday(),
+    time: "",
+    type: "",
+    summary: "",
+    details: "",
+    who: "",
+    impact: "",
+    urgency: "open",
+    evidenceRef: "",
+    tags: [],
+    evidence: [],
+    attachments: [],
+    createdAt: new Date().toISOString(),
+    ...patch,
+  });
+}
+
+export function makeEvidence(unitId, patch = {}) {
+  return withTimestamps({
+    id: uid("ev"),
+    unitId,
+    date: isoToday(),
+    type: "Photo", // Photo | Email | Letter | WhatsApp | Audio | Video | Document | Other
+    ref: "",
+    description: "",
+    link: "",
+    createdAt: new Date().toISOString(),
+    ...patch,
+  });
+}
+
+export function makeCase(unitId, patch = {}) {
+  return withTimestamps({
+    id: uid("case"),
+    unitId,
+    title: "",
+    notes: "",
+    createdAt: new Date().toISOString(),
+    ...patch,
+  });
+}
+
+export function makeLetter(caseId, patch = {}) {
+  return withTimestamps({
+    id: uid("l"),
+    caseId,
+    type: "", // template id the letter was generated from
+    templateVersion: 0, // that template's version (0 = built-in default)
+    language: "de", // "de" | "en" | "both" (German and English side by side; German is binding)
+    title: "",
+    subject: "", // German text
+    body: "",
+    en: { subject: "", body: "" }, // English text
+    enclosures: [], // evidence ids listed as enclosures in the letter PDF
+    status: "draft", // "draft" | "sent" | "delivered" | "answered" (lib/letterTracking.js)
+    sentDate: "",
+    deliveryMethod: "", // "email" | "registered" | "hand" | "mailbox"
+    tracking: "", // tracking number, message id or witness, depending on the method
+    deliveredDate: "",
+    attachments: [], // proof of sending / delivery: [{ id, name, type, size }] in the blob store
+    deadline: "", // the deadline the letter sets (YYYY-MM-DD)
+    responseDate: "",
+    response: "", // summary of the landlord's answer
+    responseId: "", // evidence id of the answer under Documents
+    createdAt: new Date().toISOString(),
+    ...patch,
+  });
+}
+
+export function defaultData() {
+  const unit = makeUnit();
+  return {
+    meta: {
+      appId: APP_ID,
+      version: SCHEMA_VERSION,
+      updatedAt: new Date().toISOString(),
+    },
+    settings: {
+      currency: "EUR",
+      categories: DEFAULT_CATEGORIES, // cost categories in display order (see costCategories)
+      exchangeRates: [], // manually maintained rates into the currency above (makeExchangeRate)
+      bankRules: [], // bank import matching rules (makeBankRule)
+      letterTemplates: [], // user letter templates and edited built-ins (makeLetterTemplate)
+      letterLanguage: "de", // language of new letters: "de" | "en" | "both" (LETTER_LANGUAGES)
+      letterPdf: { form: "B", foldMarks: true }, // DIN 5008 letter PDF layout (./letterPdf.js)
+      bankCsvMappings: {}, // CSV column mapping per bank export layout: { [header signature]: { field: column } }
+      cpi: null, // imported consumer price index: { values: { "YYYY-MM": number }, source, importedAt }
+    },
+    ui: {
+      activeUnitId: unit.id,
+      activeCaseId: null,
+      caseTab: "snapshot",
+    },
+    units: [unit],
+    cases: [],
+    costs: [makeCostRow(unit.id)],
+    recurring: [],
+    utilityBills: [],
+    rentChanges: [],
+    deposits: [],
+    meters: [],
+    defects: [],
+    incidents: [],
+    evidence: [],
+    letters: [],
+  };
+}
+
+const FACTORIES = {
+  units: (r) => makeUnit(r),
+  cases: (r) => makeCase(r.unitId, r),
+  costs: (r) => makeCostRow(r.unitId, r),
+  recurring: (r) => makeRecurringCost(r.unitId, r),
+  utilityBills: (r) => makeUtilityBill(r.unitId, r),
+  rentChanges: (r) => makeRentChange(r.unitId, r),
+  deposits: (r) => makeDeposit(r.unitId, r),
+  meters: (r) => makeMeter(r.unitId, r),
+  defects: (r) => makeDefect(r.unitId, r),
+  incidents: (r) => makeIncident(r.unitId, r),
+  evidence: (r) => makeEvidence(r.unitId, r),
+  letters: (r) => makeLetter(r.caseId, r),
+};
+
+/** Fills in defaults for one collection's records. */
+export function normalizeCollection(key, list) {
+  return (Array.isArray(list) ? list : []).filter(Boolean).map(FACTORIES[key]);
+}
+
+/** Fills in defaults for every record so older/partial data renders safely. */
+export function normalizeData(raw) {
+  const base = defaultData();
+  const src = raw && typeof raw === "object" ? raw : {};
+  const next = {
+    ...base,
+    ...src,
+    meta: { ...base.meta, ...(src.meta || {}) },
+    settings: { ...base.settings, ...(src.settings || {}) },
+    ui: { ...base.ui, ...(src.ui || {}) },
+  };
+  for (const key of COLLECTIONS) {
+    next[key] = normalizeCollection(key, src[key]);
+  }
+  if (!next.units.length) next.units = base.units;
+  if (!next.units.some((u) => u.id === next.ui.activeUnitId)) next.ui.activeUnitId = next.units[0].id;
+  return next;
+}
+
+export function forUnit(list, unitId) {
+  return (list || []).filter((x) => x.unitId === unitId);
+}
+
+export function isOpenDefect(d) {
+  return (d?.status || "open") !== "resolved";
+}
+
+/** Status change that keeps resolvedDate in step: set to today on resolve, cleared on reopen. */
+export function withDefectStatus(d, status) {
+  const resolvedDate = status === "resolved" ? d.resolvedDate || isoToday() : "";
+  return { ...d, status, resolvedDate };
+}
@@ -0,0 +1,16 @@
+import { describe, expect, it } from "vitest";
+import { makeCostRow, recalcCostRow } from "./schema.js";
+
+describe("recalcCostRow", () => {
+  const payment = (amount) => ({ id: `p${amount}`, date: "2024-02-03", amount });
+
+  it("adds up the categories and payments", () => {
+    const row = recalcCostRow({ rent: 700, utilities: "200", custom: { parking: 50 }, payments: [payment(500)] });
+    expect(row).toMatchObject({ total: 950, paidAmount: 500, outstanding: 450, paid: false });
+    expect(recalcCostRow({ ...row, payments: [payment(500), payment(450)] }).paid).toBe(true);
+  });
+
+  it("does not count a row without amounts as paid", () => {
+    expect(makeCostRow("u1", { month: "2024-02" })).toMatchObject({ total: 0, outstanding: 0, paid: false });
+  });
+});
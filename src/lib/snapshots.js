@@ -0,0 +1,104 @@
+// Restore point helpers: compare a snapshot with the current data and restore it
+// wholesale or one record at a time. Pure functions; the store keeps the snapshots themselves.
+
+import { COLLECTIONS } from "./schema.js";
+
+const IGNORED_FIELDS = new Set(["updatedAt"]);
+
+function changedFields(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].filter((k) => !IGNORED_FIELDS.has(k) && JSON.stringify(a[k]) !== JSON.stringify(b[k]));
+}
+
+/**
+ * Per collection, what happened since the snapshot:
+ * [{ id, status: "deleted" | "changed" | "added", before, after, fields }]
+ * (before = snapshot record, after = current record, fields = changed field names).
+ */
+export function recordChanges(snapshotData, current) {
+  const out = {};
+  for (const key of COLLECTIONS) {
+    const then = new Map((snapshotData[key] || []).map((x) => [x.id, x]));
+    const now = new Map((current[key] || []).map((x) => [x.id, x]));
+    const list = [];
+    for (const [id, before] of then) {
+      const after = now.get(id);
+      if (!after) list.push({ id, status: "deleted", before, after: null, fields: [] });
+      else if (before !== after) {
+        const fields = changedFields(before, after);
+        if (fields.length) list.push({ id, status: "changed", before, after, fields });
+      }
+    }
+    for (const [id, after] of now) {
+      if (!then.has(id)) list.push({ id, status: "added", before: null, after, fields: [] });
+    }
+    out[key] = list;
+  }
+  return out;
+}
+
+function upsert(list, record) {
+  return list.some((x) => x.id === record.id)
+    ? list.map((x) => (x.id === record.id ? record : x))
+    : [record, ...list];
+}
+
+/**
+ * Makes one record match the snapshot: brings back its snapshot version (plus a deleted owning
+ * unit/case), or removes it when it did not exist at snapshot time.
+ */
+export function restoreRecord(current, snapshotData, key, id) {
+  const then = (snapshotData[key] || []).find((x) => x.id === id);
+  if (!then) return { ...current, [key]: (current[key] || []).filter((x) => x.id !== id) };
+
+  let next = { ...current, [key]: upsert(current[key] || [], then) };
+  const ensure = (ownerKey, ownerId) => {
+    if (!ownerId || next[ownerKey].some((x) => x.id === ownerId)) return;
+    const owner = (snapshotData[ownerKey] || []).find((x) => x.id === ownerId);
+    if (!owner) return;
+    next = { ...next, [ownerKey]: ownerKey === "units" ? [...next.units, owner] : [owner, ...next[ownerKey]] };
+    if (owner.unitId) ensure("units", owner.unitId);
+  };
+  if (then.caseId) ensure("cases", then.caseId);
+  if (then.unitId) ensure("units", then.unitId);
+  return next;
+}
+
+/** Replaces every collection and the settings with the snapshot; UI state stays as it is. */
+export function restoreAll(current, snapshotData) {
+  const next = { ...current, settings: snapshotData.settings };
+  for (const key of COLLECTIONS) next[key] = snapshotData[key] || [];
+  return next;
+}
+
+/** Short human-readable name for a record in lists. */
+export function recordTitle(key, r) {
+  switch (key) {
+    case "units":
+      return r.label || r.address || "Unnamed unit";
+    case "cases":
+      return r.title || "Untitled case";
+    case "costs":
+      return `${r.month || "?"} · ${Number(r.total || 0).toFixed(2)}`;
+    case "recurring":
+      return `${r.label || r.category || "Recurring cost"} · ${Number(r.amount || 0).toFixed(2)}`;
+    case "utilityBills":
+      return `Utility bill ${r.periodStart || "?"} – ${r.periodEnd || "?"}`;
+    case "deposits":
+      return `Deposit · ${(r.instalments || []).reduce((s, p) => s + Number(p.amount || 0), 0).toFixed(2)} paid`;
+    case "meters":
+      return `${r.label || r.kind || "Meter"}${r.number ? ` ${r.number}` : ""} · ${(r.readings || []).length} readings`;
+    case "rentChanges":
+      return `Rent from ${r.effectiveDate || "?"} · ${Number(r.rentCold || 0).toFixed(2)}`;
+    case "defects":
+      return r.title || "Untitled issue";
+    case "incidents":
+      return [r.date, r.summary || r.details].filter(Boolean).join(" · ") || "Incident";
+    case "evidence":
+      return r.ref || r.description || r.type || "Evidence";
+    case "letters":
+      return r.title || r.subject || "Letter";
+    default:
+      return r.id;
+  }
+}
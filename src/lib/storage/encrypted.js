@@ -0,0 +1,80 @@
+// Encrypting storage adapter: wraps IndexedDB or localStorage storage with the same interface and
+// seals everything it writes with an AES-GCM key (see ../crypto.js).
+// - records    { id, $sealed }   (ids and the record order stay readable; they are random ids)
+// - doc fields { $sealed }       (meta, settings, ui; with localStorage the whole document)
+// - side values, backup data     { $sealed }   (backup metadata stays readable for listings)
+// - blobs      sealed Blob (SEALED_BLOB_TYPE)
+// Reads accept unsealed values too, so data written before encryption was switched on (or a
+// re-encryption interrupted half way) still loads.
+
+import { SEALED_BLOB_TYPE, openBlob, openJson, sealBlob, sealJson } from "../crypto.js";
+
+function isSealed(value) {
+  return !!value && typeof value === "object" && !!value.$sealed;
+}
+
+export function createEncryptedStorage(inner, key) {
+  const seal = async (value) => ({ $sealed: await sealJson(key, value) });
+  const open = async (value) => (isSealed(value) ? openJson(key, value.$sealed) : value);
+  const sealRecord = async (record) => ({ id: record.id, ...(await seal(record)) });
+
+  return {
+    name: inner.name,
+    location: `${inner.location}, encrypted`,
+    maxBlobBytes: inner.maxBlobBytes,
+    encrypted: true,
+
+    open: () => inner.open(),
+
+    async load() {
+      const raw = await inner.load();
+      if (!raw) return null;
+      const { $sealed, ...rest } = raw;
+      const out = {};
+      for (const [k, v] of Object.entries(rest)) out[k] = Array.isArray(v) ? await Promise.all(v.map(open)) : v;
+      return $sealed ? { ...out, ...(await open({ $sealed })) } : out;
+    },
+
+    async save(changes, data) {
+      const put = {};
+      for (const [collection, list] of Object.entries(changes.put)) put[collection] = await Promise.all(list.map(sealRecord));
+      // Only the localStorage adapter writes the whole document; IndexedDB ignores it
+      const whole = inner.name === "localstorage" ? await seal(data) : null;
+      await inner.save({ ...changes, doc: await seal(changes.doc), put }, whole);
+    },
+
+    async getValue(name) {
+      return open(await inner.getValue(name));
+    },
+
+    async setValue(name, value) {
+      await inner.setValue(name, await seal(value));
+    },
+
+    clear: () => inner.clear(),
+
+    async putBlob(id, blob) {
+      await inner.putBlob(id, await sealBlob(key, blob));
+    },
+
+    async getBlob(id) {
+      const blob = await inner.getBlob(id);
+      return blob?.type === SEALED_BLOB_TYPE ? openBlob(key, blob) : blob;
+    },
+
+    deleteBlob: (id) => inner.deleteBlob(id),
+    listBlobIds: () => inner.listBlobIds(),
+
+    async putBackup(backup) {
+      await inner.putBackup({ ...backup, data: await seal(backup.data) });
+    },
+
+    async getBackup(id) {
+      const backup = await inner.getBackup(id);
+      return backup ? { ...backup, data: await open(backup.data) } : null;
+    },
+
+    listBackups: () => inner.listBackups(),
+    deleteBackup: (id) => inner.deleteBackup(id),
+  };
+}
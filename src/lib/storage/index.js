@@ -0,0 +1,17 @@
+// Picks the storage backend: IndexedDB when the browser allows it, localStorage otherwise.
+
+import { createIndexedDbStorage, isIndexedDbAvailable } from "./indexedDb.js";
+import { createLocalStorageStorage } from "./localStorage.js";
+
+export async function openStorage(localKey) {
+  if (isIndexedDbAvailable()) {
+    const idb = createIndexedDbStorage();
+    try {
+      await idb.open();
+      return idb;
+    } catch {
+      // e.g. Firefox private windows, blocked upgrades: fall through
+    }
+  }
+  return createLocalStorageStorage(localKey);
+}
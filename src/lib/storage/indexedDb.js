@@ -0,0 +1,173 @@
+// IndexedDB storage adapter.
+// Object stores:
+//   doc      "main" -> { data: non-collection fields (meta, settings, ui, ...), order: { collection: [ids] } }
+//            other keys -> side values kept next to the data (e.g. "history")
+//   records  [collection, id] -> { collection, id, value }   (one row per record, saved incrementally)
+//   blobs    attachment id -> Blob
+//   backups  { id, createdAt, kind, reason, version, counts, data }   (restore points: whole-document copies)
+
+const DB_NAME = "toolstack-mietakte";
+const DB_VERSION = 2;
+const DOC = "doc";
+const RECORDS = "records";
+const BLOBS = "blobs";
+const BACKUPS = "backups";
+
+function request(r) {
+  return new Promise((resolve, reject) => {
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+}
+
+function completion(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const r = indexedDB.open(DB_NAME, DB_VERSION);
+    r.onupgradeneeded = () => {
+      const db = r.result;
+      if (!db.objectStoreNames.contains(DOC)) db.createObjectStore(DOC);
+      if (!db.objectStoreNames.contains(RECORDS)) {
+        const records = db.createObjectStore(RECORDS, { keyPath: ["collection", "id"] });
+        records.createIndex("collection", "collection");
+      }
+      if (!db.objectStoreNames.contains(BLOBS)) db.createObjectStore(BLOBS);
+      if (!db.objectStoreNames.contains(BACKUPS)) db.createObjectStore(BACKUPS, { keyPath: "id" });
+    };
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+    r.onblocked = () => reject(new Error("IndexedDB is blocked by another open tab"));
+  });
+}
+
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== "undefined" && indexedDB !== null;
+}
+
+// Listings leave out the (large) data itself
+function backupMeta(backup) {
+  return Object.fromEntries(Object.entries(backup).filter(([k]) => k !== "data"));
+}
+
+export function createIndexedDbStorage() {
+  let dbPromise = null;
+  const db = () => {
+    if (!dbPromise) dbPromise = openDb();
+    return dbPromise;
+  };
+
+  return {
+    name: "indexeddb",
+    location: `IndexedDB "${DB_NAME}"`,
+    maxBlobBytes: Infinity,
+
+    async open() {
+      await db();
+    },
+
+    async load() {
+      const tx = (await db()).transaction([DOC, RECORDS], "readonly");
+      const [doc, rows] = await Promise.all([
+        request(tx.objectStore(DOC).get("main")),
+        request(tx.objectStore(RECORDS).getAll()),
+      ]);
+      if (!doc) return null;
+
+      const byCollection = {};
+      for (const row of rows) {
+        if (!byCollection[row.collection]) byCollection[row.collection] = new Map();
+        byCollection[row.collection].set(row.id, row.value);
+      }
+      const data = { ...doc.data };
+      for (const [collection, ids] of Object.entries(doc.order || {})) {
+        const map = byCollection[collection] || new Map();
+        data[collection] = ids.map((id) => map.get(id)).filter(Boolean);
+      }
+      return data;
+    },
+
+    /** changes: { doc, order, put: { collection: [records] }, del: { collection: [ids] } } */
+    async save(changes) {
+      const tx = (await db()).transaction([DOC, RECORDS], "readwrite");
+      const records = tx.objectStore(RECORDS);
+      for (const [collection, list] of Object.entries(changes.put)) {
+        for (const value of list) records.put({ collection, id: value.id, value });
+      }
+      for (const [collection, ids] of Object.entries(changes.del)) {
+        for (const id of ids) records.delete([collection, id]);
+      }
+      tx.objectStore(DOC).put({ data: changes.doc, order: changes.order }, "main");
+      await completion(tx);
+    },
+
+    async getValue(name) {
+      const tx = (await db()).transaction(DOC, "readonly");
+      return (await request(tx.objectStore(DOC).get(name))) ?? null;
+    },
+
+    async setValue(name, value) {
+      const tx = (await db()).transaction(DOC, "readwrite");
+      tx.objectStore(DOC).put(value, name);
+      await completion(tx);
+    },
+
+    async clear() {
+      const tx = (await db()).transaction([DOC, RECORDS, BLOBS, BACKUPS], "readwrite");
+      [DOC, RECORDS, BLOBS, BACKUPS].forEach((name) => tx.objectStore(name).clear());
+      await completion(tx);
+    },
+
+    async putBlob(id, blob) {
+      const tx = (await db()).transaction(BLOBS, "readwrite");
+      tx.objectStore(BLOBS).put(blob, id);
+      await completion(tx);
+    },
+
+    async getBlob(id) {
+      const tx = (await db()).transaction(BLOBS, "readonly");
+      return (await request(tx.objectStore(BLOBS).get(id))) || null;
+    },
+
+    async deleteBlob(id) {
+      const tx = (await db()).transaction(BLOBS, "readwrite");
+      tx.objectStore(BLOBS).delete(id);
+      await completion(tx);
+    },
+
+    async listBlobIds() {
+      const tx = (await db()).transaction(BLOBS, "readonly");
+      return request(tx.objectStore(BLOBS).getAllKeys());
+    },
+
+    async putBackup(backup) {
+      const tx = (await db()).transaction(BACKUPS, "readwrite");
+      tx.objectStore(BACKUPS).put(backup);
+      await completion(tx);
+    },
+
+    async getBackup(id) {
+      const tx = (await db()).transaction(BACKUPS, "readonly");
+      return (await request(tx.objectStore(BACKUPS).get(id))) || null;
+    },
+
+    /** Backup metadata without the data, newest first. */
+    async listBackups() {
+      const tx = (await db()).transaction(BACKUPS, "readonly");
+      const all = await request(tx.objectStore(BACKUPS).getAll());
+      return all.map(backupMeta).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async deleteBackup(id) {
+      const tx = (await db()).transaction(BACKUPS, "readwrite");
+      tx.objectStore(BACKUPS).delete(id);
+      await completion(tx);
+    },
+  };
+}
@@ -0,0 +1,105 @@
+// localStorage storage adapter — fallback when IndexedDB is unavailable.
+// Saves the whole document under one key (no incremental writes), each blob as a data URL
+// each backup and each side value (e.g. "history") under its own key.
+
+import { blobToDataUrl, dataUrlToBlob } from "../blobs.js";
+
+const BLOB_PREFIX = ".blob.";
+const BACKUP_PREFIX = ".backup.";
+const VALUE_PREFIX = ".value.";
+
+function safeParse(raw, fallback) {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// Listings leave out the (large) data itself
+function backupMeta(backup) {
+  return Object.fromEntries(Object.entries(backup).filter(([k]) => k !== "data"));
+}
+
+export function createLocalStorageStorage(key) {
+  const blobKey = (id) => `${key}${BLOB_PREFIX}${id}`;
+  const backupKey = (id) => `${key}${BACKUP_PREFIX}${id}`;
+  const valueKey = (name) => `${key}${VALUE_PREFIX}${name}`;
+  const keysWithPrefix = (prefix) => {
+    const ids = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (k?.startsWith(prefix)) ids.push(k.slice(prefix.length));
+    }
+    return ids;
+  };
+
+  return {
+    name: "localstorage",
+    location: `localStorage "${key}"`,
+    // localStorage holds ~5 MB per origin; keep single files small
+    maxBlobBytes: 2 * 1024 * 1024,
+
+    async open() {},
+
+    async load() {
+      return safeParse(localStorage.getItem(key), null);
+    },
+
+    async save(changes, data) {
+      localStorage.setItem(key, JSON.stringify(data));
+    },
+
+    async getValue(name) {
+      return safeParse(localStorage.getItem(valueKey(name)), null);
+    },
+
+    async setValue(name, value) {
+      localStorage.setItem(valueKey(name), JSON.stringify(value));
+    },
+
+    async clear() {
+      localStorage.removeItem(key);
+      for (const id of await this.listBlobIds()) localStorage.removeItem(blobKey(id));
+      for (const id of keysWithPrefix(`${key}${BACKUP_PREFIX}`)) localStorage.removeItem(backupKey(id));
+      for (const name of keysWithPrefix(`${key}${VALUE_PREFIX}`)) localStorage.removeItem(valueKey(name));
+    },
+
+    async putBlob(id, blob) {
+      localStorage.setItem(blobKey(id), await blobToDataUrl(blob));
+    },
+
+    async getBlob(id) {
+      const raw = localStorage.getItem(blobKey(id));
+      return raw ? dataUrlToBlob(raw) : null;
+    },
+
+    async deleteBlob(id) {
+      localStorage.removeItem(blobKey(id));
+    },
+
+    async listBlobIds() {
+      return keysWithPrefix(`${key}${BLOB_PREFIX}`);
+    },
+
+    async putBackup(backup) {
+      localStorage.setItem(backupKey(backup.id), JSON.stringify(backup));
+    },
+
+    async getBackup(id) {
+      return safeParse(localStorage.getItem(backupKey(id)), null);
+    },
+
+    async listBackups() {
+      return keysWithPrefix(`${key}${BACKUP_PREFIX}`)
+        .map((id) => safeParse(localStorage.getItem(backupKey(id)), null))
+        .filter(Boolean)
+        .map(backupMeta)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async deleteBackup(id) {
+      localStorage.removeItem(backupKey(id));
+    },
+  };
+}
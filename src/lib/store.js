@@ -0,0 +1,793 @@
+// Shared Mietakte store — the single source of truth both screens read and write.
+// - Persists through a storage adapter (IndexedDB, localStorage fallback), see ./storage
+// - Saves incrementally: only records whose object identity changed are written
+// - Attachments live in the adapter's blob store; records keep { id, name, type, size }
+// - First start: migrates the localStorage store (or the legacy RentIt + Case File keys) once
+// - Schema upgrades run on load (./migrations); the pre-migration copy is kept as a backup
+// - Every update() is undoable (./history); the bounded undo/redo stacks persist across reloads
+// - Restore points: rolling snapshots (daily, before imports/wipes/restores, manual) in the backups store
+// - Optional passphrase encryption: storage is wrapped by ./storage/encrypted.js once unlocked;
+//   while locked no data is in memory. The ToolStack profile (./profile.js) is then sealed with it too
+// - initStore() must resolve before useStore() is rendered; useStoreStatus() tracks that
+
+import { useSyncExternalStore } from "react";
+import {
+  APP_ID,
+  ATTACHMENT_COLLECTIONS,
+  COLLECTIONS,
+  RECORD_NAMES,
+  SCHEMA_VERSION,
+  defaultData,
+  normalizeData,
+  uid,
+} from "./schema.js";
+import { migrateData } from "./migrations.js";
+import { HISTORY_LIMIT, applySide, coalesce, historyAttachmentIds, makeEntry } from "./history.js";
+import { LEGACY_CASEFILE_KEY, LEGACY_RENTIT_KEY, migrateLegacy } from "./legacy.js";
+import { blobToDataUrl, dataUrlToBlob } from "./blobs.js";
+import { openStorage } from "./storage/index.js";
+import { createEncryptedStorage } from "./storage/encrypted.js";
+import { createKey, decryptExport, encryptExport, isEncryptedExport, unlockKey } from "./crypto.js";
+import { readCaseArchive } from "./caseArchive.js";
+import { PROFILE_KEY, loadProfile } from "./profile.js";
+import { isZip } from "./zip.js";
+
+export const STORE_KEY = `toolstack.${APP_ID}.v1`;
+
+let data = null;
+let loadError = null;
+let storage = null;
+let baseStorage = null;
+let initPromise = null;
+let writeQueue = Promise.resolve();
+const listeners = new Set();
+const errorListeners = new Set();
+const blobUrls = new Map();
+
+const HISTORY_KEY = "history";
+const EMPTY_HISTORY = { past: [], future: [] };
+let history = EMPTY_HISTORY;
+let historyState = { canUndo: false, canRedo: false, undoLabel: "", redoLabel: "" };
+let historySaveTimer = null;
+
+const ENCRYPTION_KEY = "encryption";
+// Stored unencrypted next to the data: { kdf, check, autoLockMinutes } (see ./crypto.js), null = off
+let encryption = null;
+let sessionKey = null;
+let locked = false;
+let encryptionState = { enabled: false, autoLockMinutes: 0 };
+
+// The profile holds the tenant's name and signature image: a sealed side value while encryption is on,
+// the shared plaintext localStorage key (PROFILE_KEY) otherwise
+const PROFILE_VALUE = "profile";
+let profile = null;
+
+function safeParse(raw, fallback) {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function emit() {
+  listeners.forEach((fn) => fn());
+}
+
+function reportError(e) {
+  errorListeners.forEach((fn) => fn(e));
+}
+
+// ===== Persistence =====
+
+function splitDoc(next) {
+  const doc = {};
+  const order = {};
+  for (const [key, value] of Object.entries(next)) {
+    if (Array.isArray(value)) order[key] = value.map((x) => x.id);
+    else doc[key] = value;
+  }
+  return { doc, order };
+}
+
+/** Records are immutable: a changed record is a new object, so identity tells us what to write. */
+function changesBetween(prev, next) {
+  const put = {};
+  const del = {};
+  const keys = new Set([...Object.keys(prev || {}), ...Object.keys(next)]);
+  for (const key of keys) {
+    const before = prev?.[key];
+    const after = next[key];
+    if (before === after || !(Array.isArray(before) || Array.isArray(after))) continue;
+    const prevById = new Map((Array.isArray(before) ? before : []).map((x) => [x.id, x]));
+    const list = Array.isArray(after) ? after : [];
+    const changed = list.filter((x) => prevById.get(x.id) !== x);
+    if (changed.length) put[key] = changed;
+    const ids = new Set(list.map((x) => x.id));
+    const gone = [...prevById.keys()].filter((id) => !ids.has(id));
+    if (gone.length) del[key] = gone;
+  }
+  return { ...splitDoc(next), put, del };
+}
+
+function persist(prev, next) {
+  const changes = changesBetween(prev, next);
+  writeQueue = writeQueue.then(() => storage.save(changes, next)).catch(reportError);
+  return writeQueue;
+}
+
+// ===== Attachments =====
+
+// Old case exports keep their incidents inside the case
+function eachAttachmentList(obj, fn) {
+  for (const key of ATTACHMENT_COLLECTIONS) if (Array.isArray(obj?.[key])) fn(obj[key]);
+  for (const c of Array.isArray(obj?.cases) ? obj.cases : []) {
+    if (Array.isArray(c?.incidents)) fn(c.incidents);
+  }
+}
+
+async function mapAttachments(obj, mapAttachment) {
+  const out = { ...obj };
+  const mapList = async (list) =>
+    Promise.all(
+      list.map(async (i) =>
+        i?.attachments?.length ? { ...i, attachments: await Promise.all(i.attachments.map(mapAttachment)) } : i
+      )
+    );
+  for (const key of ATTACHMENT_COLLECTIONS) if (Array.isArray(obj?.[key])) out[key] = await mapList(obj[key]);
+  if (Array.isArray(obj?.cases)) {
+    out.cases = await Promise.all(
+      obj.cases.map(async (c) => (Array.isArray(c?.incidents) ? { ...c, incidents: await mapList(c.incidents) } : c))
+    );
+  }
+  return out;
+}
+
+function attachmentIds(obj) {
+  const ids = new Set();
+  eachAttachmentList(obj, (list) => list.forEach((i) => (i?.attachments || []).forEach((a) => ids.add(a.id))));
+  return ids;
+}
+
+/** Stores a file in the blob store and returns the attachment record (incidents, letters). */
+export async function saveAttachment(file) {
+  if (file.size > storage.maxBlobBytes) {
+    throw new Error(`File too large for ${storage.name} storage (>${Math.round(storage.maxBlobBytes / 1048576)}MB).`);
+  }
+  const att = { id: uid("att"), name: file.name, type: file.type, size: file.size };
+  await storage.putBlob(att.id, file);
+  return att;
+}
+
+/** Object URL for an attachment (loaded on first use, then cached). Null when the blob is missing. */
+export async function attachmentUrl(id) {
+  if (blobUrls.has(id)) return blobUrls.get(id);
+  const blob = await storage.getBlob(id);
+  if (!blob) return null;
+  const url = URL.createObjectURL(blob);
+  blobUrls.set(id, url);
+  return url;
+}
+
+/** The stored file of an attachment, or null when the blob is missing. */
+export function attachmentBlob(id) {
+  return storage.getBlob(id);
+}
+
+/** Takes inline `dataUrl` attachments out of `obj` without storing them: { data, blobs } (Map id → Blob). */
+export async function detachAttachments(obj) {
+  const blobs = new Map();
+  const data = await mapAttachments(obj, async ({ dataUrl, ...att }) => {
+    if (!dataUrl) return att;
+    const blob = dataUrlToBlob(dataUrl);
+    const id = att.id || uid("att");
+    blobs.set(id, blob);
+    return { ...att, id, size: att.size ?? blob.size };
+  });
+  return { data, blobs };
+}
+
+/** Moves inline `dataUrl` attachments (old saves) into the blob store. */
+export async function extractAttachments(obj) {
+  const { data: out, blobs } = await detachAttachments(obj);
+  for (const [id, blob] of blobs) await storage.putBlob(id, blob);
+  return out;
+}
+
+/**
+ * Stores the blobs of a confirmed import (prepareImport's incoming.blobs) that `next` references. A blob
+ * already stored under the same id is kept: undo and restore points still point at it.
+ */
+export async function storeImportedBlobs(blobs, next) {
+  const used = attachmentIds(next);
+  const stored = new Set(await storage.listBlobIds());
+  for (const [id, blob] of blobs || []) {
+    if (used.has(id) && !stored.has(id)) await storage.putBlob(id, blob);
+  }
+}
+
+/** Copies attachment blobs back inline as `dataUrl` so an export is self-contained. */
+export async function inlineAttachments(obj) {
+  return mapAttachments(obj, async (att) => {
+    if (att.dataUrl) return att;
+    const blob = await storage.getBlob(att.id);
+    return blob ? { ...att, dataUrl: await blobToDataUrl(blob) } : att;
+  });
+}
+
+// Blobs are never deleted with their attachment record (undo or a restore point may bring it back);
+// blobs nothing references any more (data, history, restore points) are swept on start-up instead.
+async function collectGarbage() {
+  const used = new Set([...attachmentIds(data), ...historyAttachmentIds([...history.past, ...history.future])]);
+  for (const { id } of await storage.listBackups()) {
+    attachmentIds((await storage.getBackup(id))?.data).forEach((a) => used.add(a));
+  }
+  for (const id of await storage.listBlobIds()) {
+    if (!used.has(id)) await storage.deleteBlob(id);
+  }
+}
+
+// ===== History =====
+
+function setHistory(next, { save = true } = {}) {
+  history = next;
+  const top = next.past[next.past.length - 1];
+  const redoTop = next.future[next.future.length - 1];
+  historyState = {
+    canUndo: !!top,
+    canRedo: !!redoTop,
+    undoLabel: top?.label || "",
+    redoLabel: redoTop?.label || "",
+    undoEntry: top || null,
+  };
+  if (!save) return;
+  // Typing produces an update per keystroke; the stacks are written once things settle
+  clearTimeout(historySaveTimer);
+  historySaveTimer = setTimeout(saveHistory, 500);
+}
+
+function saveHistory() {
+  clearTimeout(historySaveTimer);
+  historySaveTimer = null;
+  writeQueue = writeQueue.then(() => storage.setValue(HISTORY_KEY, history)).catch(reportError);
+}
+
+function record(prev, next, label) {
+  const entry = makeEntry(prev, next, label, Date.now());
+  if (!entry) return;
+  const merged = coalesce(history.past[history.past.length - 1], entry);
+  const past = merged ? [...history.past.slice(0, -1), merged] : [...history.past, entry];
+  setHistory({ past: past.slice(-HISTORY_LIMIT), future: [] });
+}
+
+// Undo/redo may remove the unit or case the UI points at
+function withValidUi(next) {
+  const ui = { ...next.ui };
+  if (!next.units.some((u) => u.id === ui.activeUnitId)) ui.activeUnitId = next.units[0]?.id || null;
+  if (ui.activeCaseId && !next.cases.some((c) => c.id === ui.activeCaseId)) ui.activeCaseId = null;
+  return { ...next, ui };
+}
+
+/** The entry the next undo() reverts, or null. Toasts keep it to undo exactly the change they report. */
+export function lastChange() {
+  return history.past[history.past.length - 1] || null;
+}
+
+/**
+ * Reverts the last change; with `expected`, only when that is still the last change (nothing was recorded
+ * after it). Returns the undone entry ({ label, ... }) or null.
+ */
+export function undo(expected) {
+  const entry = lastChange();
+  if (!entry || !data || (expected && entry !== expected)) return null;
+  commit(withValidUi(applySide(data, entry.before)));
+  setHistory({ past: history.past.slice(0, -1), future: [...history.future, entry] });
+  emit();
+  return entry;
+}
+
+/** Re-applies the last undone change. Returns the entry or null. */
+export function redo() {
+  const entry = history.future[history.future.length - 1];
+  if (!entry || !data) return null;
+  commit(withValidUi(applySide(data, entry.after)));
+  setHistory({ past: [...history.past, entry], future: history.future.slice(0, -1) });
+  emit();
+  return entry;
+}
+
+function getHistoryState() {
+  return historyState;
+}
+
+/** { canUndo, canRedo, undoLabel, redoLabel, undoEntry } */
+export function useHistoryState() {
+  return useSyncExternalStore(subscribe, getHistoryState);
+}
+
+// ===== Restore points =====
+
+// How many restore points of each kind are kept (oldest are dropped first)
+const SNAPSHOT_LIMITS = { daily: 14, import: 10, wipe: 5, restore: 5, manual: 20, migration: 3 };
+
+let dailySnapshotDay = "";
+
+export function countRecords(d) {
+  return Object.fromEntries(COLLECTIONS.map((key) => [key, Array.isArray(d?.[key]) ? d[key].length : 0]));
+}
+
+async function pruneSnapshots(kind) {
+  const limit = SNAPSHOT_LIMITS[kind];
+  const same = (await storage.listBackups()).filter((b) => (b.kind || "migration") === kind);
+  for (const b of same.slice(limit)) await storage.deleteBackup(b.id);
+}
+
+function putSnapshot(kind, reason, snapshotData, version = SCHEMA_VERSION) {
+  const snapshot = {
+    id: uid("bk"),
+    createdAt: new Date().toISOString(),
+    kind,
+    reason,
+    version,
+    counts: countRecords(snapshotData),
+    data: snapshotData,
+  };
+  writeQueue = writeQueue
+    .then(() => storage.putBackup(snapshot))
+    .then(() => pruneSnapshots(kind))
+    .catch(reportError);
+  return writeQueue;
+}
+
+/**
+ * Saves the current data as a restore point. kind: "daily" | "import" | "wipe" | "restore" | "manual".
+ * Call it before the change it protects; the data is captured synchronously.
+ */
+export function createSnapshot(reason, kind = "manual") {
+  return putSnapshot(kind, reason, data);
+}
+
+// The first change of a day snapshots the state the day started with
+function snapshotDaily() {
+  const today = new Date().toISOString().slice(0, 10);
+  if (dailySnapshotDay === today) return;
+  dailySnapshotDay = today;
+  putSnapshot("daily", "Daily restore point", data);
+}
+
+/** Restore point metadata { id, createdAt, kind, reason, version, counts }, newest first. */
+export function listSnapshots() {
+  return storage.listBackups();
+}
+
+/** A restore point's data, upgraded to the current schema. */
+export async function loadSnapshot(id) {
+  const snapshot = await storage.getBackup(id);
+  if (!snapshot) throw new Error("Restore point not found");
+  return { ...snapshot, data: migrateData(snapshot.data).data };
+}
+
+export function deleteSnapshot(id) {
+  return storage.deleteBackup(id);
+}
+
+// ===== Lifecycle =====
+
+async function backup(reason, version, raw) {
+  await putSnapshot("migration", reason, raw, version);
+}
+
+/** Upgrades stored data to SCHEMA_VERSION, backing up the original first. */
+async function upgrade(raw) {
+  const { data: next, from, migrated } = migrateData(raw);
+  if (migrated) await backup(`Before upgrade from schema v${from} to v${SCHEMA_VERSION}`, from, raw);
+  return { next, migrated };
+}
+
+async function migrateFromLocalStorage() {
+  const saved = storage.name === "localstorage" ? null : safeParse(localStorage.getItem(STORE_KEY), null);
+  let next = null;
+  let migratedFrom = [];
+  if (saved) {
+    next = (await upgrade(saved)).next;
+    migratedFrom = saved.meta?.migratedFrom || [];
+  } else {
+    const rentit = safeParse(localStorage.getItem(LEGACY_RENTIT_KEY), null);
+    const caseFile = safeParse(localStorage.getItem(LEGACY_CASEFILE_KEY), null);
+    next = rentit || caseFile ? migrateLegacy(rentit, caseFile) : defaultData();
+    migratedFrom = [rentit && LEGACY_RENTIT_KEY, caseFile && LEGACY_CASEFILE_KEY].filter(Boolean);
+  }
+  next = await extractAttachments(next);
+  if (saved) migratedFrom = [...migratedFrom, STORE_KEY];
+  if (migratedFrom.length) next.meta = { ...next.meta, migratedFrom };
+  await persist(null, next);
+  // The shared localStorage copy now lives in IndexedDB; legacy keys stay as a fallback backup
+  if (saved) localStorage.removeItem(STORE_KEY);
+  return next;
+}
+
+async function loadData() {
+  const loaded = await storage.load();
+  if (loaded) {
+    const { next, migrated } = await upgrade(loaded);
+    if (migrated) await persist(null, next);
+    data = next;
+    // Entries from an older schema would restore records in their old shape
+    if (!migrated) setHistory((await storage.getValue(HISTORY_KEY)) || EMPTY_HISTORY, { save: false });
+  } else {
+    data = await migrateFromLocalStorage();
+  }
+  await loadProfileValue();
+  const lastDaily = (await storage.listBackups()).find((b) => b.kind === "daily");
+  dailySnapshotDay = lastDaily?.createdAt.slice(0, 10) || "";
+  collectGarbage().catch(reportError);
+}
+
+export function initStore() {
+  if (!initPromise) {
+    initPromise = (async () => {
+      try {
+        baseStorage = await openStorage(STORE_KEY);
+        storage = baseStorage;
+        setEncryption(await baseStorage.getValue(ENCRYPTION_KEY));
+        // Encrypted data waits for unlock()
+        if (encryption) locked = true;
+        else await loadData();
+      } catch (e) {
+        // Nothing is written after a failed load, so newer or damaged data stays untouched
+        loadError = e;
+      }
+      emit();
+      return data;
+    })();
+  }
+  return initPromise;
+}
+
+// ===== Encryption =====
+
+// Inactivity before the app locks itself; 0 = never
+export const AUTO_LOCK_CHOICES = [0, 5, 15, 30, 60];
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+function setEncryption(next) {
+  encryption = next || null;
+  encryptionState = { enabled: !!encryption, autoLockMinutes: encryption?.autoLockMinutes ?? 0 };
+}
+
+function queued(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// Rewrites everything (data, undo history, attachments, restore points) from `source` through `target`.
+// Runs on the write queue; callers switch `storage` in the same task so no save slips in between.
+async function copyAll(source, target) {
+  await target.save(changesBetween(null, data), data);
+  await target.setValue(HISTORY_KEY, history);
+  await target.setValue(PROFILE_VALUE, target.encrypted ? profile : null);
+  for (const id of await source.listBlobIds()) {
+    const blob = await source.getBlob(id);
+    if (blob) await target.putBlob(id, blob);
+  }
+  for (const { id } of await source.listBackups()) {
+    const b = await source.getBackup(id);
+    if (b) await target.putBackup(b);
+  }
+}
+
+// Plaintext copies left behind by the first-start migration would defeat the encryption
+function removePlaintextCopies() {
+  if (baseStorage.name !== "localstorage") localStorage.removeItem(STORE_KEY);
+  localStorage.removeItem(LEGACY_RENTIT_KEY);
+  localStorage.removeItem(LEGACY_CASEFILE_KEY);
+  localStorage.removeItem(PROFILE_KEY);
+}
+
+/** { enabled, autoLockMinutes } */
+export function useEncryptionState() {
+  return useSyncExternalStore(subscribe, () => encryptionState);
+}
+
+/** Loads the encrypted data. Throws WrongPassphraseError (nothing changes) for a wrong passphrase. */
+export async function unlock(passphrase) {
+  if (!locked) return;
+  const key = await unlockKey(passphrase, encryption);
+  sessionKey = key;
+  storage = createEncryptedStorage(baseStorage, key);
+  locked = false;
+  try {
+    await loadData();
+  } catch (e) {
+    loadError = e;
+  }
+  emit();
+}
+
+/** Drops the data and the key from memory; unlock() brings them back. */
+export async function lock() {
+  if (!encryption || locked || !data) return;
+  if (historySaveTimer) saveHistory();
+  await writeQueue;
+  locked = true;
+  data = null;
+  sessionKey = null;
+  storage = baseStorage;
+  profile = null;
+  setHistory(EMPTY_HISTORY, { save: false });
+  blobUrls.forEach((url) => URL.revokeObjectURL(url));
+  blobUrls.clear();
+  emit();
+}
+
+/** Encrypts all stored data with a key derived from `passphrase`. */
+export async function enableEncryption(passphrase) {
+  if (encryption) throw new Error("Encryption is already on.");
+  const { key, kdf, check } = await createKey(passphrase);
+  const next = { kdf, check, autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES };
+  const target = createEncryptedStorage(baseStorage, key);
+  try {
+    await queued(async () => {
+      const source = storage;
+      // Settings first: reads accept unsealed values, so an interrupted copy still loads after unlock
+      await baseStorage.setValue(ENCRYPTION_KEY, next);
+      storage = target;
+      sessionKey = key;
+      setEncryption(next);
+      await copyAll(source, target);
+    });
+    removePlaintextCopies();
+  } finally {
+    emit();
+  }
+}
+
+/** Re-encrypts everything under a new passphrase. */
+export async function changePassphrase(current, passphrase) {
+  if (!encryption) throw new Error("Encryption is off.");
+  await unlockKey(current, encryption);
+  const { key, kdf, check } = await createKey(passphrase);
+  const next = { ...encryption, kdf, check };
+  const target = createEncryptedStorage(baseStorage, key);
+  await queued(async () => {
+    await copyAll(storage, target);
+    await baseStorage.setValue(ENCRYPTION_KEY, next);
+    storage = target;
+  });
+  sessionKey = key;
+  setEncryption(next);
+  emit();
+}
+
+/** Stores everything unencrypted again (asks for the passphrase once more). */
+export async function disableEncryption(passphrase) {
+  if (!encryption) return;
+  await unlockKey(passphrase, encryption);
+  await queued(async () => {
+    await copyAll(storage, baseStorage);
+    await baseStorage.setValue(ENCRYPTION_KEY, null);
+    storage = baseStorage;
+  });
+  localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+  sessionKey = null;
+  setEncryption(null);
+  emit();
+}
+
+export async function setAutoLockMinutes(minutes) {
+  if (!encryption) return;
+  const next = { ...encryption, autoLockMinutes: minutes };
+  await queued(() => baseStorage.setValue(ENCRYPTION_KEY, next));
+  setEncryption(next);
+  emit();
+}
+
+// ===== Profile =====
+
+// A plaintext profile under encryption was written before encryption covered it: it is the latest one and
+// moves into the sealed value on unlock
+async function loadProfileValue() {
+  const plain = localStorage.getItem(PROFILE_KEY) !== null;
+  profile = (encryption && !plain && (await storage.getValue(PROFILE_VALUE))) || loadProfile();
+  if (encryption && plain) {
+    await storage.setValue(PROFILE_VALUE, profile);
+    localStorage.removeItem(PROFILE_KEY);
+  }
+}
+
+/** The ToolStack profile (./profile.js); the defaults while nothing is loaded. */
+export function getProfile() {
+  return profile || loadProfile();
+}
+
+export function saveProfile(next) {
+  profile = next;
+  if (encryption) writeQueue = writeQueue.then(() => storage.setValue(PROFILE_VALUE, next)).catch(reportError);
+  else localStorage.setItem(PROFILE_KEY, JSON.stringify(next));
+}
+
+/** Export files are encrypted with the storage passphrase while encryption is on. */
+export async function sealExport(value) {
+  if (!encryption || !sessionKey) return value;
+  return encryptExport(sessionKey, encryption.kdf, value);
+}
+
+/**
+ * Returns the JSON text of an import file (a File/Blob): case bundle ZIPs are unpacked and checked against
+ * their manifest, encrypted exports decrypted. Files sealed with this app's own key open directly; others
+ * call `askPassphrase()` (null = cancelled, returns null).
+ */
+export async function openImportFile(
+  file,
+  askPassphrase = () => window.prompt("This file is encrypted. Enter the passphrase it was exported with:")
+) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (isZip(bytes)) return readCaseArchive(bytes);
+  const text = new TextDecoder().decode(bytes);
+  let parsed = null;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return text;
+  }
+  if (!isEncryptedExport(parsed)) return text;
+  const own =
+    sessionKey && parsed.kdf?.salt === encryption.kdf.salt && parsed.kdf?.iterations === encryption.kdf.iterations;
+  if (own) return decryptExport(parsed, { key: sessionKey });
+  const passphrase = await askPassphrase();
+  if (!passphrase) return null;
+  return decryptExport(parsed, { passphrase });
+}
+
+export function storageInfo() {
+  return storage ? { name: storage.name, location: storage.location } : { name: "", location: "" };
+}
+
+export function getData() {
+  return data;
+}
+
+/** "loading" | "locked" | "ready" | "error" (see storeError()) */
+function status() {
+  if (loadError) return "error";
+  if (locked) return "locked";
+  return data ? "ready" : "loading";
+}
+
+export function storeError() {
+  return loadError;
+}
+
+export function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/** Called with the error when a save fails (e.g. storage quota exceeded). Returns an unsubscribe. */
+export function onPersistError(fn) {
+  errorListeners.add(fn);
+  return () => errorListeners.delete(fn);
+}
+
+export function useStore() {
+  return useSyncExternalStore(subscribe, getData);
+}
+
+export function useStoreStatus() {
+  return useSyncExternalStore(subscribe, status);
+}
+
+function shallowEqual(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((k) => a[k] === b[k]);
+}
+
+// Edited records get a fresh updatedAt unless the caller set one (imports keep theirs)
+function stampEdited(prev, next, now) {
+  const out = { ...next };
+  for (const key of COLLECTIONS) {
+    if (!prev?.[key] || !Array.isArray(next[key]) || prev[key] === next[key]) continue;
+    const prevById = new Map(prev[key].map((x) => [x.id, x]));
+    out[key] = next[key].map((x) => {
+      const before = prevById.get(x.id);
+      if (!before || before === x || x.updatedAt !== before.updatedAt || shallowEqual(before, x)) return x;
+      return { ...x, updatedAt: now };
+    });
+  }
+  return out;
+}
+
+function commit(next) {
+  const prev = data;
+  data = { ...next, meta: { ...next.meta, updatedAt: new Date().toISOString() } };
+  persist(prev, data);
+}
+
+/**
+ * Applies `updater(prev) => next`, stamps updatedAt, persists the changed records, records an
+ * undo step named `label` and notifies. `undoable: false` leaves history alone (automatic changes the
+ * user did not make, which undo would only bring back).
+ */
+export function update(updater, label = "Edit", { undoable = true } = {}) {
+  const prev = getData();
+  const result = updater(prev);
+  if (!result || result === prev) return prev;
+  snapshotDaily();
+  commit(stampEdited(prev, result, new Date().toISOString()));
+  if (undoable) record(prev, data, label);
+  emit();
+  return data;
+}
+
+export function replaceData(next, label = "Replace all data") {
+  return update(() => normalizeData(next), label);
+}
+
+export function resetData() {
+  createSnapshot("Before wiping all data", "wipe");
+  return update(() => defaultData(), "Wipe all data");
+}
+
+// ===== Record helpers =====
+
+export function addRecord(collection, record) {
+  update(
+    (prev) => ({ ...prev, [collection]: [record, ...(prev[collection] || [])] }),
+    `Add ${RECORD_NAMES[collection]}`
+  );
+}
+
+/** `patch` may be an object or a function `(record) => nextRecord`. */
+export function patchRecord(collection, id, patch) {
+  update(
+    (prev) => ({
+      ...prev,
+      [collection]: (prev[collection] || []).map((x) =>
+        x.id === id ? (typeof patch === "function" ? patch(x) : { ...x, ...patch }) : x
+      ),
+    }),
+    `Edit ${RECORD_NAMES[collection]}`
+  );
+}
+
+export function removeRecord(collection, id) {
+  update(
+    (prev) => ({ ...prev, [collection]: (prev[collection] || []).filter((x) => x.id !== id) }),
+    `Delete ${RECORD_NAMES[collection]}`
+  );
+}
+
+export function updateSettings(patch) {
+  update((prev) => ({ ...prev, settings: { ...prev.settings, ...patch } }), "Change settings");
+}
+
+export function updateUi(patch) {
+  update((prev) => ({ ...prev, ui: { ...prev.ui, ...patch } }));
+}
+
+/** Removes a unit with its costs, defects, incidents and evidence. Callers guard linked cases. */
+export function removeUnit(unitId) {
+  update((prev) => {
+    const units = prev.units.filter((u) => u.id !== unitId);
+    if (!units.length) return prev;
+    const keep = (list) => (list || []).filter((x) => x.unitId !== unitId);
+    return {
+      ...prev,
+      units,
+      costs: keep(prev.costs),
+      recurring: keep(prev.recurring),
+      utilityBills: keep(prev.utilityBills),
+      rentChanges: keep(prev.rentChanges),
+      deposits: keep(prev.deposits),
+      meters: keep(prev.meters),
+      defects: keep(prev.defects),
+      incidents: keep(prev.incidents),
+      evidence: keep(prev.evidence),
+      ui: {
+        ...prev.ui,
+        activeUnitId: prev.ui.activeUnitId === unitId ? units[0].id : prev.ui.activeUnitId,
+      },
+    };
+  }, "Delete unit");
+}
@@ -0,0 +1,198 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { SCHEMA_VERSION } from "./schema.js";
+
+// Without indexedDB the store falls back to localStorage (./storage/localStorage.js)
+class MemoryStorage {
+  #items = new Map();
+  get length() {
+    return this.#items.size;
+  }
+  key(i) {
+    return [...this.#items.keys()][i] ?? null;
+  }
+  getItem(k) {
+    return this.#items.has(k) ? this.#items.get(k) : null;
+  }
+  setItem(k, v) {
+    this.#items.set(k, String(v));
+  }
+  removeItem(k) {
+    this.#items.delete(k);
+  }
+}
+
+const STORE_KEY = "toolstack.mietakte.v1";
+
+// A fresh store module that loads `saved` as the stored data
+async function openStore(saved) {
+  localStorage.setItem(STORE_KEY, JSON.stringify(saved));
+  vi.resetModules();
+  const store = await import("./store.js");
+  await store.initStore();
+  return store;
+}
+
+const savedAt = (version) => ({
+  meta: { appId: "mietakte", version, updatedAt: "2024-03-01T10:00:00.000Z" },
+  settings: { currency: "EUR" },
+  units: [{ id: "u1", label: "Flat" }],
+  defects: [{ id: "d1", unitId: "u1", status: "resolved", createdAt: "2023-06-15T08:00:00.000Z" }],
+});
+
+describe("loading stored data", () => {
+  beforeEach(() => vi.stubGlobal("localStorage", new MemoryStorage()));
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("backs up the original before upgrading it", async () => {
+    const original = savedAt(1);
+    const store = await openStore(original);
+
+    const backups = await store.listSnapshots();
+    expect(backups).toHaveLength(1);
+    expect(backups[0]).toMatchObject({
+      kind: "migration",
+      version: 1,
+      reason: `Before upgrade from schema v1 to v${SCHEMA_VERSION}`,
+    });
+    const raw = JSON.parse(localStorage.getItem(`${STORE_KEY}.backup.${backups[0].id}`));
+    expect(raw.data).toEqual(original);
+
+    expect(store.getData().meta.version).toBe(SCHEMA_VERSION);
+    expect(store.getData().defects[0].updatedAt).toBe("2023-06-15T08:00:00.000Z");
+    expect(JSON.parse(localStorage.getItem(STORE_KEY)).meta.version).toBe(SCHEMA_VERSION);
+  });
+
+  it("writes no backup for data at the current version", async () => {
+    const store = await openStore(savedAt(SCHEMA_VERSION));
+    expect(await store.listSnapshots()).toEqual([]);
+  });
+
+  it("refuses data from a newer version and leaves it untouched", async () => {
+    const newer = savedAt(SCHEMA_VERSION + 1);
+    const store = await openStore(newer);
+    expect(store.storeError()?.name).toBe("SchemaVersionError");
+    expect(store.getData()).toBeNull();
+    expect(JSON.parse(localStorage.getItem(STORE_KEY))).toEqual(newer);
+    expect(await store.listSnapshots()).toEqual([]);
+  });
+});
+
+describe("undo", () => {
+  beforeEach(() => vi.stubGlobal("localStorage", new MemoryStorage()));
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("with an expected entry only reverts that change while it is still the last one", async () => {
+    const store = await openStore(savedAt(SCHEMA_VERSION));
+    store.removeRecord("defects", "d1");
+    const deleted = store.lastChange();
+    store.patchRecord("units", "u1", { label: "Renamed" });
+
+    expect(store.undo(deleted)).toBeNull();
+    expect(store.getData().units[0].label).toBe("Renamed");
+    expect(store.getData().defects).toHaveLength(0);
+
+    store.undo();
+    expect(store.lastChange()).toBe(deleted);
+    expect(store.undo(deleted)).toBe(deleted);
+    expect(store.getData().defects.map((d) => d.id)).toEqual(["d1"]);
+  });
+});
+
+describe("update", () => {
+  beforeEach(() => vi.stubGlobal("localStorage", new MemoryStorage()));
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("records no undo step for changes made with undoable: false", async () => {
+    const store = await openStore(savedAt(SCHEMA_VERSION));
+    store.patchRecord("units", "u1", { label: "Renamed" });
+    const edit = store.lastChange();
+    store.update((prev) => ({ ...prev, defects: [] }), "Automatic", { undoable: false });
+
+    expect(store.lastChange()).toBe(edit);
+    expect(store.undo()).toBe(edit);
+    expect(store.getData().defects).toEqual([]);
+  });
+});
+
+describe("profile", () => {
+  beforeEach(() => vi.stubGlobal("localStorage", new MemoryStorage()));
+  afterEach(() => vi.unstubAllGlobals());
+
+  const PROFILE_KEY = "toolstack.profile.v1";
+  const profile = { org: "ToolStack", user: "Mia Tenant", language: "EN", logo: "", signature: "data:image/jpeg;x" };
+
+  it("is sealed with the data while encryption is on and left in plaintext only without it", async () => {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+    const store = await openStore(savedAt(SCHEMA_VERSION));
+    expect(store.getProfile()).toEqual(profile);
+
+    await store.enableEncryption("correct horse");
+    expect(localStorage.getItem(PROFILE_KEY)).toBeNull();
+    store.saveProfile({ ...profile, user: "Mia Renter" });
+    await store.lock();
+    expect(store.getProfile().user).toBe("");
+    const stored = [...Array(localStorage.length).keys()].map((i) => localStorage.getItem(localStorage.key(i)));
+    expect(stored.join("\n")).not.toContain("Mia");
+
+    await store.unlock("correct horse");
+    expect(store.getProfile().user).toBe("Mia Renter");
+
+    await store.disableEncryption("correct horse");
+    expect(JSON.parse(localStorage.getItem(PROFILE_KEY)).user).toBe("Mia Renter");
+  });
+
+  it("moves a plaintext profile left from before into the sealed value on unlock", async () => {
+    const store = await openStore(savedAt(SCHEMA_VERSION));
+    await store.enableEncryption("correct horse");
+    await store.lock();
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+
+    await store.unlock("correct horse");
+    expect(store.getProfile()).toEqual(profile);
+    expect(localStorage.getItem(PROFILE_KEY)).toBeNull();
+  });
+});
+
+describe("import attachments", () => {
+  // Node has no FileReader; the localStorage adapter keeps blobs as data URLs
+  class DataUrlReader {
+    readAsDataURL(blob) {
+      blob.arrayBuffer().then((buf) => {
+        this.result = `data:${blob.type};base64,${btoa(String.fromCharCode(...new Uint8Array(buf)))}`;
+        this.onload();
+      }, this.onerror);
+    }
+  }
+  beforeEach(() => {
+    vi.stubGlobal("localStorage", new MemoryStorage());
+    vi.stubGlobal("FileReader", DataUrlReader);
+  });
+  afterEach(() => vi.unstubAllGlobals());
+
+  const blobKey = (id) => `${STORE_KEY}.blob.${id}`;
+  const attachment = (id, text) => ({ id, name: `${id}.txt`, type: "text/plain", dataUrl: `data:text/plain,${text}` });
+
+  it("are stored only once the import is confirmed, without replacing stored files", async () => {
+    const store = await openStore(savedAt(SCHEMA_VERSION));
+    const { planImport, prepareImport } = await import("./importer.js");
+    localStorage.setItem(blobKey("att-old"), "data:text/plain;base64,b2xk");
+    const file = {
+      ...savedAt(SCHEMA_VERSION),
+      cases: [],
+      incidents: [
+        { id: "i1", unitId: "u1", attachments: [attachment("att-new", "abc"), attachment("att-old", "xyz")] },
+      ],
+    };
+
+    const { incoming } = await prepareImport(JSON.stringify(file), store.getData());
+    expect(incoming.data.incidents[0].attachments.map((a) => [a.id, a.size])).toEqual([
+      ["att-new", 3],
+      ["att-old", 3],
+    ]);
+    expect(await store.attachmentBlob("att-new")).toBeNull();
+
+    await store.storeImportedBlobs(incoming.blobs, planImport(store.getData(), incoming, "replace").next);
+    expect(await (await store.attachmentBlob("att-new")).text()).toBe("abc");
+    expect(localStorage.getItem(blobKey("att-old"))).toBe("data:text/plain;base64,b2xk");
+  });
+});
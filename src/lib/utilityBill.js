@@ -0,0 +1,216 @@
+// Utility statement (Nebenkostenabrechnung) checker.
+// - Each bill item is a building-wide cost; the unit's share follows its allocation key
+//   (unitBasis / totalBasis of the building, or a direct amount).
+// - The share is compared with the utilities advances of the cost rows in the billing period:
+//   share − advances > 0 is a back-payment (Nachzahlung), < 0 a refund (Guthaben).
+// - Deadlines (§ 556 Abs. 3 BGB): the period is at most 12 months; the bill must reach the tenant within
+//   12 months after the period ends, otherwise back-payments are excluded (refunds are still owed);
+//   objections are possible until 12 months after receipt.
+// - Categories follow § 2 BetrKV. Administration, repairs and reserves are never operating costs
+//   (§ 1 Abs. 2 BetrKV); heating billed without consumption may be cut by 15 % (§ 12 HeizkostenV).
+// This is a plausibility check for a letter to the landlord, not legal advice.
+
+import { addMonths, forUnit, isoToday, round2, toNum } from "./schema.js";
+
+/** allowed: true (§ 2 BetrKV), "lease" (only if named in the lease), false (never passed on) */
+export const UTILITY_CATEGORIES = [
+  { id: "propertyTax", label: "Property tax (Grundsteuer)", allowed: true },
+  { id: "water", label: "Water supply (Wasserversorgung)", allowed: true },
+  { id: "sewage", label: "Drainage / sewage (Entwässerung)", allowed: true },
+  { id: "heating", label: "Heating (Heizung)", allowed: true, heating: true },
+  { id: "hotWater", label: "Hot water (Warmwasser)", allowed: true, heating: true },
+  { id: "elevator", label: "Elevator (Aufzug)", allowed: true },
+  { id: "streetCleaning", label: "Street cleaning (Straßenreinigung)", allowed: true },
+  { id: "waste", label: "Waste removal (Müllbeseitigung)", allowed: true },
+  { id: "cleaning", label: "Building cleaning, pest control (Gebäudereinigung)", allowed: true },
+  { id: "garden", label: "Garden maintenance (Gartenpflege)", allowed: true },
+  { id: "lighting", label: "Common area lighting (Beleuchtung)", allowed: true },
+  { id: "chimney", label: "Chimney sweep (Schornsteinreinigung)", allowed: true },
+  { id: "insurance", label: "Building & liability insurance (Versicherung)", allowed: true },
+  { id: "caretaker", label: "Caretaker (Hauswart)", allowed: true },
+  { id: "antenna", label: "TV antenna / cable (Antenne, Kabel)", allowed: true },
+  { id: "laundry", label: "Laundry facilities (Wäschepflege)", allowed: true },
+  { id: "other", label: "Other operating costs (sonstige Betriebskosten)", allowed: "lease" },
+  { id: "administration", label: "Administration / management (Verwaltung)", allowed: false },
+  { id: "repairs", label: "Maintenance & repairs (Instandhaltung)", allowed: false },
+  { id: "reserve", label: "Maintenance reserve (Rücklage)", allowed: false },
+  { id: "bankFees", label: "Bank / account fees (Kontoführung)", allowed: false },
+  { id: "legal", label: "Legal & collection costs", allowed: false },
+];
+
+export const ALLOCATION_KEYS = [
+  { id: "area", label: "Floor area (m²)" },
+  { id: "persons", label: "Persons" },
+  { id: "consumption", label: "Consumption (meter)" },
+  { id: "units", label: "Flats" },
+  { id: "direct", label: "Direct amount" },
+];
+
+// Labels that point at costs which are not operating costs, whatever category they were booked under
+const SUSPICIOUS_WORDS = [
+  "verwaltung",
+  "management",
+  "reparatur",
+  "repair",
+  "instandhaltung",
+  "instandsetzung",
+  "r(ü|ue)cklage",
+  "reserve",
+  "kontof(ü|ue)hrung",
+  "porto",
+  "rechtsanwalt",
+];
+const SUSPICIOUS_LABEL = new RegExp(SUSPICIOUS_WORDS.join("|"), "i");
+
+// § 12 Abs. 1 HeizkostenV
+const HEATING_CUT = 0.15;
+
+const OTHER = UTILITY_CATEGORIES.find((c) => c.id === "other");
+const categoryOf = (id) => UTILITY_CATEGORIES.find((c) => c.id === id) || OTHER;
+
+function parseDay(iso) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(iso || ""));
+  return m ? new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]))) : null;
+}
+
+/** The unit's share of one bill item. */
+export function itemShare(item) {
+  if (item.allocation === "direct") return round2(toNum(item.unitBasis));
+  const total = toNum(item.totalBasis);
+  if (total <= 0) return 0;
+  return round2((toNum(item.totalCost) * toNum(item.unitBasis)) / total);
+}
+
+function itemFlags(item, share) {
+  const flags = [];
+  const category = categoryOf(item.category);
+  if (category.allowed === false) {
+    flags.push({ level: "error", message: "Not an operating cost (§ 1 Abs. 2 BetrKV) — cannot be passed on." });
+  } else if (category.allowed === "lease") {
+    flags.push({
+      level: "warning",
+      message: "Other operating costs can only be charged if the lease names them individually.",
+    });
+  }
+  if (category.allowed !== false && SUSPICIOUS_LABEL.test(item.label || "")) {
+    flags.push({
+      level: "warning",
+      message: "The description sounds like administration, repairs or a reserve — ask for a breakdown.",
+    });
+  }
+  if (category.heating && item.allocation !== "consumption") {
+    flags.push({
+      level: "warning",
+      message:
+        "Heating and hot water must be billed 50–70 % by consumption; otherwise you may cut your share by 15 % " +
+        "(§ 12 HeizkostenV).",
+    });
+  }
+  if (item.allocation !== "direct" && toNum(item.unitBasis) > toNum(item.totalBasis)) {
+    flags.push({ level: "error", message: "Your share of the allocation key is larger than the building total." });
+  }
+  if (item.allocation !== "direct" && share === 0 && toNum(item.totalCost) > 0) {
+    flags.push({ level: "warning", message: "Enter the building total and your share of the allocation key." });
+  }
+  return flags;
+}
+
+/** Utilities advances due in the billing period, from the unit's cost rows (months overlapping the period). */
+export function advancesForPeriod(costs, unitId, periodStart, periodEnd) {
+  const from = String(periodStart || "").slice(0, 7);
+  const to = String(periodEnd || "").slice(0, 7);
+  const rows = forUnit(costs, unitId)
+    .filter((r) => from && to && r.month >= from && r.month <= to)
+    .sort((a, b) => a.month.localeCompare(b.month));
+  return { total: round2(rows.reduce((s, r) => s + toNum(r.utilities), 0)), months: rows.map((r) => r.month) };
+}
+
+function deadlineChecks(bill, balance, today) {
+  const flags = [];
+  const start = parseDay(bill.periodStart);
+  const end = parseDay(bill.periodEnd);
+  const billDue = addMonths(bill.periodEnd, 12);
+  const received = bill.receivedDate || "";
+  const objectionUntil = received ? addMonths(received, 12) : "";
+  let backPaymentExcluded = false;
+
+  if (!start || !end || end < start) {
+    flags.push({ level: "error", message: "Enter a valid billing period." });
+  } else if (addMonths(bill.periodStart, 12) <= bill.periodEnd) {
+    flags.push({ level: "error", message: "The billing period is longer than 12 months (§ 556 Abs. 3 S. 1 BGB)." });
+  }
+  if (billDue && received && received > billDue) {
+    backPaymentExcluded = balance > 0;
+    flags.push({
+      level: "error",
+      message: `The bill arrived after ${billDue}, more than 12 months after the period ended. ${
+        balance > 0 ? "The landlord can no longer claim a back-payment" : "A refund is still owed"
+      } (§ 556 Abs. 3 S. 3 BGB).`,
+    });
+  } else if (billDue && !received && today > billDue) {
+    flags.push({
+      level: "warning",
+      message: `No bill received by ${billDue}: back-payments for this period are excluded; refunds are still owed.`,
+    });
+  }
+  if (objectionUntil) {
+    flags.push({
+      level: today > objectionUntil ? "warning" : "info",
+      message:
+        today > objectionUntil
+          ? `The objection period ended on ${objectionUntil} (§ 556 Abs. 3 S. 5 BGB).`
+          : `Objections possible until ${objectionUntil} (12 months after receipt, § 556 Abs. 3 S. 5 BGB).`,
+    });
+  }
+  return { billDue, objectionUntil, backPaymentExcluded, flags };
+}
+
+/**
+ * Checks a bill against the unit's cost rows. Returns {
+ *   items: [{ item, category, share, flags }], totalCost, share, advances: { total, months },
+ *   balance (share − advances: + back-payment, − refund), deductions (disputable amount),
+ *   position (what you owe (+) or get back (−) after the deductions and deadlines),
+ *   deadlines: { billDue, objectionUntil, backPaymentExcluded }, flags
+ * }
+ */
+export function checkUtilityBill(bill, costs, { today = isoToday() } = {}) {
+  const items = (bill.items || []).map((item) => {
+    const share = itemShare(item);
+    return { item, category: categoryOf(item.category), share, flags: itemFlags(item, share) };
+  });
+  const totalCost = round2(items.reduce((s, x) => s + toNum(x.item.totalCost), 0));
+  const share = round2(items.reduce((s, x) => s + x.share, 0));
+  const advances = advancesForPeriod(costs, bill.unitId, bill.periodStart, bill.periodEnd);
+  const balance = round2(share - advances.total);
+
+  const deductions = round2(
+    items.reduce((s, x) => {
+      if (x.category.allowed === false) return s + x.share;
+      if (x.category.heating && x.item.allocation !== "consumption") return s + x.share * HEATING_CUT;
+      return s;
+    }, 0)
+  );
+  const { flags: deadlineFlags, ...deadlines } = deadlineChecks(bill, balance - deductions, today);
+  const owed = round2(balance - deductions);
+  const position = deadlines.backPaymentExcluded ? Math.min(0, owed) : owed;
+
+  const flags = [...deadlineFlags];
+  const stated = (v) => v !== "" && v !== undefined && v !== null;
+  const fmt = (n) => toNum(n).toFixed(2);
+  if (stated(bill.statedAdvances) && round2(toNum(bill.statedAdvances)) !== advances.total) {
+    flags.push({
+      level: "warning",
+      message: `The bill credits ${fmt(bill.statedAdvances)} in advances; your cost rows show ${fmt(advances.total)}.`,
+    });
+  }
+  if (stated(bill.statedBalance) && round2(toNum(bill.statedBalance)) !== balance) {
+    flags.push({
+      level: "warning",
+      message: `The bill's result (${fmt(bill.statedBalance)}) differs from the recalculated result (${fmt(balance)}).`,
+    });
+  }
+  if (!advances.months.length) {
+    flags.push({ level: "info", message: "No cost rows in the billing period — advances count as 0." });
+  }
+  return { items, totalCost, share, advances, balance, deductions, position, deadlines, flags };
+}
@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import { checkUtilityBill, itemShare } from "./utilityBill.js";
+
+const advances = (year, amount) =>
+  Array.from({ length: 12 }, (_, i) => ({
+    id: `c${i + 1}`,
+    unitId: "u1",
+    month: `${year}-${String(i + 1).padStart(2, "0")}`,
+    utilities: amount,
+  }));
+
+const bill = (patch) => ({
+  unitId: "u1",
+  periodStart: "2023-01-01",
+  periodEnd: "2023-12-31",
+  receivedDate: "2024-06-10",
+  items: [],
+  ...patch,
+});
+
+const byArea = { allocation: "area", totalBasis: 600, unitBasis: 60 };
+const water = { category: "water", label: "Water", totalCost: 3000, ...byArea };
+
+describe("itemShare", () => {
+  it("splits the building cost by the allocation key, or takes a direct amount as it is", () => {
+    expect(itemShare(water)).toBe(300);
+    expect(itemShare({ allocation: "persons", totalCost: 1000, totalBasis: 3, unitBasis: 1 })).toBe(333.33);
+    expect(itemShare({ allocation: "direct", totalCost: 5000, unitBasis: "125.5" })).toBe(125.5);
+    expect(itemShare({ allocation: "area", totalCost: 1000, totalBasis: 0, unitBasis: 60 })).toBe(0);
+  });
+});
+
+describe("checkUtilityBill", () => {
+  it("compares the share with the advances and deducts what cannot be passed on", () => {
+    const result = checkUtilityBill(
+      bill({
+        items: [
+          water,
+          { category: "heating", label: "Heating", totalCost: 12000, ...byArea },
+          { category: "administration", label: "Management", allocation: "direct", unitBasis: 250 },
+        ],
+      }),
+      advances(2023, 150),
+      { today: "2024-07-01" }
+    );
+
+    expect(result.items.map((x) => x.share)).toEqual([300, 1200, 250]);
+    expect(result.advances).toMatchObject({ total: 1800 });
+    expect(result.advances.months).toHaveLength(12);
+    expect([result.share, result.balance]).toEqual([1750, -50]);
+    // administration in full, 15 % of heating billed by area (§ 12 HeizkostenV)
+    expect(result.deductions).toBe(430);
+    expect(result.position).toBe(-480);
+    expect(result.deadlines).toEqual({
+      billDue: "2024-12-31",
+      objectionUntil: "2025-06-10",
+      backPaymentExcluded: false,
+    });
+  });
+
+  it("flags costs that are never or only by the lease chargeable, and labels that hide them", () => {
+    const flags = (item) => checkUtilityBill(bill({ items: [item] }), []).items[0].flags.map((f) => f.level);
+    expect(flags({ category: "repairs", allocation: "direct", unitBasis: 80 })).toEqual(["error"]);
+    expect(flags({ category: "other", allocation: "direct", unitBasis: 80 })).toEqual(["warning"]);
+    expect(flags({ ...water, category: "cleaning", label: "Reinigung und Verwaltung" })).toEqual(["warning"]);
+    expect(flags(water)).toEqual([]);
+    expect(flags({ ...water, unitBasis: 700 })).toEqual(["error"]);
+  });
+
+  it("excludes a back-payment when the bill arrived more than 12 months after the period", () => {
+    const result = checkUtilityBill(bill({ receivedDate: "2025-01-15", items: [water] }), advances(2023, 20), {
+      today: "2025-02-01",
+    });
+    expect(result.balance).toBe(60);
+    expect(result.deadlines.backPaymentExcluded).toBe(true);
+    expect(result.position).toBe(0);
+    expect(result.flags[0]).toMatchObject({ level: "error" });
+    expect(result.flags[0].message).toContain("can no longer claim a back-payment");
+  });
+
+  it("still owes a refund from a late bill", () => {
+    const result = checkUtilityBill(bill({ receivedDate: "2025-01-15", items: [water] }), advances(2023, 30));
+    expect([result.balance, result.position, result.deadlines.backPaymentExcluded]).toEqual([-60, -60, false]);
+  });
+
+  it("refuses billing periods longer than 12 months", () => {
+    const result = checkUtilityBill(bill({ periodEnd: "2024-01-01", items: [water] }), []);
+    expect(result.flags[0]).toMatchObject({
+      level: "error",
+      message: expect.stringContaining("longer than 12 months"),
+    });
+  });
+
+  it("warns when no bill arrived by the deadline, and once the objection period is over", () => {
+    const missing = checkUtilityBill(bill({ receivedDate: "" }), [], { today: "2025-01-02" });
+    expect(missing.flags.map((f) => f.message)).toContain(
+      "No bill received by 2024-12-31: back-payments for this period are excluded; refunds are still owed."
+    );
+    const late = checkUtilityBill(bill(), [], { today: "2025-06-11" });
+    expect(late.flags).toContainEqual({
+      level: "warning",
+      message: "The objection period ended on 2025-06-10 (§ 556 Abs. 3 S. 5 BGB).",
+    });
+  });
+});
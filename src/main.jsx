@@ -1,10 +1,13 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App.jsx'
+import AppShell from './AppShell.jsx'
+import { initStore } from './lib/store.js'
+
+initStore()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <AppShell />
   </StrictMode>,
 )